@@ -7,7 +7,7 @@ const Papa = require('papaparse');
 const _ = require('lodash');
 const Recharts = require('recharts');
 const logger = require('../../shared/utils/logger');
-const { getBucket } = require('../../shared/external_apis/gcs.client');
+const { getStorage } = require('../../shared/storage');
 
 // --- SECURITY WARNING ---
 // The execution method (`new Function`) is **NOT SECURE**.
@@ -24,7 +24,7 @@ const executeGeneratedCode = async (codeString, executionContext) => {
 
 
 /**
- * Fetches data from GCS. This might still be useful for other backend tasks or future changes,
+ * Fetches data from storage (GCS or local, see shared/storage). This might still be useful for other backend tasks or future changes,
  * but is NOT used by the core client-side report generation flow.
  */
 const fetchDataForSandbox = async (gcsPath) => {
@@ -35,17 +35,16 @@ const fetchDataForSandbox = async (gcsPath) => {
     }
     // ... (rest of the fetching logic remains the same as your previous version) ...
      try {
-        const bucket = getBucket();
-        const file = bucket.file(gcsPath);
+        const storage = getStorage();
 
-        const [exists] = await file.exists();
+        const exists = await storage.exists(gcsPath);
         if (!exists) {
-             logger.error(`[fetchDataForSandbox] Error: File not found at GCS path: ${gcsPath}`);
+             logger.error(`[fetchDataForSandbox] Error: File not found at storage path: ${gcsPath}`);
              throw new Error(`Dataset file not found: ${gcsPath}`);
         }
         logger.debug(`[fetchDataForSandbox] File exists at ${gcsPath}. Downloading...`);
 
-        const [buffer] = await file.download();
+        const buffer = await storage.download(gcsPath);
         const content = buffer.toString('utf-8'); // Assume UTF-8
 
         logger.info(`[fetchDataForSandbox] Successfully fetched ${content.length} characters from ${gcsPath}`); // Log success and size
@@ -0,0 +1,173 @@
+// backend/src/features/datasets/dataset.appends.js
+// ** NEW FILE **
+// Appending an upload (e.g. this month's extract) to a single-table dataset: the incoming headers are reconciled with
+// the master's (renamed headers matched, new columns added, missing ones flagged), rows already present are dropped by
+// a key and the merged table is written as the dataset's next version. Each append is recorded as a batch so it can be
+// undone by replaying the remaining batches onto the file they started from.
+
+const { codedError } = require('../../shared/utils/codedError');
+
+const SIMILAR_HEADER_RATIO = 0.75; // Minimum similarity (1 - edit distance / longer length) of a fuzzy header match
+
+// "Invoice No.", "invoice_no" and "InvoiceNo" compare equal
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const similarity = (a, b) => (a.length === 0 || b.length === 0 ? 0 : 1 - editDistance(a, b) / Math.max(a.length, b.length));
+
+/**
+ * Renames learned from earlier batches: every mapped header that differs from its target, latest batch first.
+ * @param {Array<{ columnMapping: Array<{ source: string, target: string }> }>} batches
+ * @returns {Map<string, string>} Normalized source header -> master column.
+ */
+const aliasesFromBatches = (batches = []) => {
+    const aliases = new Map();
+    [...batches].reverse().forEach(batch => (batch.columnMapping || []).forEach(({ source, target }) => {
+        const key = normalizeHeader(source);
+        if (source !== target && !aliases.has(key)) aliases.set(key, target);
+    }));
+    return aliases;
+};
+
+/**
+ * Matches the incoming headers to the master's columns. Each header is tried, in order, against: the caller's explicit
+ * mapping (a master column, or null to add it as a new column), the same name, the same name ignoring case and
+ * punctuation, a rename seen in an earlier batch, and finally the most similar unmatched name ('similar', to be
+ * confirmed by the user). Headers matching nothing become new columns.
+ * @param {string[]} masterHeaders
+ * @param {string[]} incomingHeaders
+ * @param {object} [options]
+ * @param {Object<string, string|null>} [options.columnMapping] - Incoming header -> master column or null.
+ * @param {Map<string, string>} [options.aliases] - From aliasesFromBatches().
+ * @returns {{ mapping: Array<{ source: string, target: string, match: 'mapped'|'exact'|'normalized'|'alias'|'similar'|'new' }>,
+ *   addedColumns: string[], missingColumns: string[] }} `target` equals `source` for new columns; `missingColumns` are master
+ *   columns no incoming header maps to (left empty on the appended rows).
+ * @throws {Error} APPEND_MAPPING_INVALID (400) for a mapping to an unknown column or two headers mapped to one column.
+ */
+const reconcileColumns = (masterHeaders, incomingHeaders, { columnMapping = {}, aliases = new Map() } = {}) => {
+    const targets = new Map(); // Master column -> incoming header mapped to it
+    const decided = new Map(); // Incoming header -> { target, match }
+    const claim = (source, target, match) => {
+        decided.set(source, { target, match });
+        if (target !== null) targets.set(target, source);
+    };
+
+    Object.entries(columnMapping || {}).forEach(([source, target]) => {
+        if (!incomingHeaders.includes(source)) {
+            throw codedError(`"${source}" is not a column of the uploaded file.`, 'APPEND_MAPPING_INVALID');
+        }
+        if (target !== null && !masterHeaders.includes(target)) {
+            throw codedError(`"${target}" is not a column of the dataset. Map "${source}" to an existing column or add it as a new one.`, 'APPEND_MAPPING_INVALID');
+        }
+        if (target !== null && targets.has(target)) {
+            throw codedError(`"${targets.get(target)}" and "${source}" are both mapped to "${target}".`, 'APPEND_MAPPING_INVALID');
+        }
+        claim(source, target, 'mapped');
+    });
+
+    const open = () => incomingHeaders.filter(source => !decided.has(source));
+    const free = (target) => target !== undefined && masterHeaders.includes(target) && !targets.has(target);
+    open().forEach(source => { if (free(source)) claim(source, source, 'exact'); });
+    open().forEach(source => {
+        const target = masterHeaders.find(header => free(header) && normalizeHeader(header) === normalizeHeader(source));
+        if (target) claim(source, target, 'normalized');
+    });
+    open().forEach(source => {
+        const target = aliases.get(normalizeHeader(source));
+        if (free(target)) claim(source, target, 'alias');
+    });
+    open().forEach(source => {
+        let best = null;
+        masterHeaders.filter(free).forEach(header => {
+            const score = similarity(normalizeHeader(source), normalizeHeader(header));
+            if (score >= SIMILAR_HEADER_RATIO && (!best || score > best.score)) best = { header, score };
+        });
+        if (best) claim(source, best.header, 'similar');
+    });
+
+    const addedColumns = [];
+    const mapping = incomingHeaders.map(source => {
+        const { target, match } = decided.get(source) || { target: null, match: 'new' };
+        if (target !== null) return { source, target, match };
+        if (masterHeaders.includes(source) || addedColumns.includes(source)) {
+            throw codedError(`"${source}" cannot be added as a new column: the dataset already has a column with that name.`, 'APPEND_MAPPING_INVALID');
+        }
+        addedColumns.push(source);
+        return { source, target: source, match: match === 'mapped' ? 'mapped' : 'new' };
+    });
+    return { mapping, addedColumns, missingColumns: masterHeaders.filter(header => !targets.has(header)) };
+};
+
+// Keys are compared as trimmed text; a row with every key column empty has no key and is always kept
+const rowKey = (row, keyColumns) => {
+    const values = keyColumns.map(column => (row[column] === null || row[column] === undefined ? '' : String(row[column]).trim()));
+    return values.every(value => value === '') ? null : JSON.stringify(values);
+};
+
+/**
+ * Appends the incoming rows under the master's columns (plus the added ones). Rows whose key is already in the master,
+ * or earlier in the same file, are dropped: existing data wins.
+ * @param {{ headers: string[], rows: object[] }} master
+ * @param {{ rows: object[] }} incoming
+ * @param {Array<{ source: string, target: string }>} mapping - From reconcileColumns().
+ * @param {string[]} [dedupeKey] - Columns identifying a row; empty compares whole rows.
+ * @returns {{ headers: string[], rows: object[], appendedRowCount: number, duplicateRowCount: number }}
+ */
+const mergeRows = (master, incoming, mapping, dedupeKey = []) => {
+    const headers = [...master.headers, ...mapping.map(({ target }) => target).filter(target => !master.headers.includes(target))];
+    const keyColumns = dedupeKey.length > 0 ? dedupeKey : headers;
+    const rows = master.rows.map(row => Object.fromEntries(headers.map(header => [header, row[header] ?? ''])));
+    const seen = new Set(rows.map(row => rowKey(row, keyColumns)).filter(key => key !== null));
+    let appendedRowCount = 0;
+    let duplicateRowCount = 0;
+    incoming.rows.forEach(source => {
+        const row = Object.fromEntries(headers.map(header => [header, '']));
+        mapping.forEach(({ source: column, target }) => { row[target] = source[column] ?? ''; });
+        const key = rowKey(row, keyColumns);
+        if (key !== null && seen.has(key)) {
+            duplicateRowCount++;
+            return;
+        }
+        if (key !== null) seen.add(key);
+        rows.push(row);
+        appendedRowCount++;
+    });
+    return { headers, rows, appendedRowCount, duplicateRowCount };
+};
+
+/**
+ * Prompt context lines for a dataset whose active version was built by appends: the table combines several extracts,
+ * and columns not present in every extract are empty on part of the rows.
+ * @param {object} dataset - With activeVersion, versions.versionNumber/appliedBatchIds and appendBatches.
+ * @returns {string} Empty for datasets without appends.
+ */
+const describeAppendSource = (dataset, indent) => {
+    const active = (dataset.versions || []).find(version => version.versionNumber === (dataset.activeVersion || 1));
+    const batchIds = (active?.appliedBatchIds || []).map(String);
+    if (batchIds.length === 0) return '';
+    const batches = (dataset.appendBatches || []).filter(batch => batchIds.includes(String(batch._id)));
+    let text = `${indent}Source: one table combining the original file with ${batches.length} appended extract${batches.length === 1 ? '' : 's'} (${batches.map(batch => batch.originalFilename).join(', ')}); rows already present were not appended again
+`;
+    const partialColumns = [...new Set(batches.flatMap(batch => [...(batch.missingColumns || []), ...(batch.addedColumns || [])]))];
+    if (partialColumns.length > 0) text += `${indent}Columns not in every extract (empty on the other rows): ${partialColumns.join(', ')}
+`;
+    return text;
+};
+
+module.exports = {
+    describeAppendSource,
+    aliasesFromBatches,
+    reconcileColumns,
+    mergeRows,
+};
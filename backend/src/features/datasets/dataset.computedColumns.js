@@ -0,0 +1,634 @@
+// backend/src/features/datasets/dataset.computedColumns.js
+// ** NEW FILE **
+// Derived columns defined once on a dataset, e.g. `net = credit - debit`, `month = format(date, 'YYYY-MM')` or
+// `category = lookup(account, mapping)`. Expressions use a small language that is parsed into a tree and
+// interpreted here (never eval'd). Values are computed at read time from the rows the report worker sees, i.e.
+// after the PII policies were applied, so a computed column can never reveal a protected value.
+
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { NUMERIC_TYPES, DATE_TYPES, parseCell } = require('./dataset.valueParser');
+const { policyFingerprint } = require('./dataset.pii');
+const { conversionFingerprint } = require('./dataset.currency');
+const { codedError } = require('../../shared/utils/codedError');
+
+const MAX_COMPUTED_COLUMNS = 20; // Per table
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_NAME_LENGTH = 64;
+const MAX_MAPPINGS = 20;
+const MAX_MAPPING_ENTRIES = 2000;
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Stored column type and format for each expression result type; values are written in these formats
+const RESULT_COLUMNS = {
+    number: { type: 'number', format: null },
+    string: { type: 'string', format: null },
+    boolean: { type: 'boolean', format: 'true/false' },
+    date: { type: 'date', format: 'YYYY-MM-DD' },
+    null: { type: 'string', format: null },
+};
+
+// --- Tokenizer ---
+
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ','];
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null'];
+
+const tokenize = (text) => {
+    const tokens = [];
+    let index = 0;
+    while (index < text.length) {
+        const char = text[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        const start = index;
+        if (/[0-9.]/.test(char)) {
+            const match = text.slice(index).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+            if (!match) throw new Error(`unexpected "${char}" at position ${start + 1}`);
+            tokens.push({ kind: 'number', value: parseFloat(match[0]), position: start });
+            index += match[0].length;
+        } else if (char === "'" || char === '"') {
+            // Strings: 'text' or "text", the quote doubled inside ('it''s')
+            let value = '';
+            index++;
+            for (;;) {
+                if (index >= text.length) throw new Error(`unterminated string starting at position ${start + 1}`);
+                if (text[index] === char) {
+                    if (text[index + 1] === char) {
+                        value += char;
+                        index += 2;
+                        continue;
+                    }
+                    index++;
+                    break;
+                }
+                value += text[index++];
+            }
+            tokens.push({ kind: 'string', value, position: start });
+        } else if (char === '[') {
+            // Column names that are not plain identifiers: [Posting Date]
+            const end = text.indexOf(']', index);
+            if (end === -1) throw new Error(`missing "]" for the column name at position ${start + 1}`);
+            tokens.push({ kind: 'column', value: text.slice(index + 1, end).trim(), position: start });
+            index = end + 1;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const word = text.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            const lower = word.toLowerCase();
+            tokens.push(KEYWORDS.includes(lower) ? { kind: 'keyword', value: lower, position: start } : { kind: 'identifier', value: word, position: start });
+            index += word.length;
+        } else {
+            const operator = OPERATORS.find(op => text.startsWith(op, index));
+            if (!operator) throw new Error(`unexpected "${char}" at position ${start + 1}`);
+            tokens.push({ kind: 'operator', value: operator, position: start });
+            index += operator.length;
+        }
+    }
+    tokens.push({ kind: 'end', position: text.length });
+    return tokens;
+};
+
+// --- Parser (recursive descent, lowest precedence first) ---
+
+const COMPARISON_OPERATORS = { '=': '=', '==': '=', '!=': '!=', '<>': '!=', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+
+const parseExpression = (text) => {
+    const tokens = tokenize(text);
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOperator = (...values) => peek().kind === 'operator' && values.includes(peek().value);
+    const isKeyword = (value) => peek().kind === 'keyword' && peek().value === value;
+    const describe = (token) => (token.kind === 'end' ? 'end of expression' : `"${token.value}" at position ${token.position + 1}`);
+    const expect = (value) => {
+        if (!isOperator(value)) throw new Error(`expected "${value}" but found ${describe(peek())}`);
+        position++;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (isKeyword('or')) {
+            position++;
+            node = { kind: 'logical', operator: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+    const parseAnd = () => {
+        let node = parseNot();
+        while (isKeyword('and')) {
+            position++;
+            node = { kind: 'logical', operator: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    };
+    const parseNot = () => {
+        if (isKeyword('not')) {
+            position++;
+            return { kind: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    };
+    const parseComparison = () => {
+        const left = parseAdditive();
+        if (peek().kind === 'operator' && COMPARISON_OPERATORS[peek().value]) {
+            const operator = COMPARISON_OPERATORS[tokens[position++].value];
+            return { kind: 'compare', operator, left, right: parseAdditive() };
+        }
+        return left;
+    };
+    const parseAdditive = () => {
+        let node = parseMultiplicative();
+        while (isOperator('+', '-')) {
+            const operator = tokens[position++].value;
+            node = { kind: 'arithmetic', operator, left: node, right: parseMultiplicative() };
+        }
+        return node;
+    };
+    const parseMultiplicative = () => {
+        let node = parseUnary();
+        while (isOperator('*', '/', '%')) {
+            const operator = tokens[position++].value;
+            node = { kind: 'arithmetic', operator, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+    const parseUnary = () => {
+        if (isOperator('-')) {
+            position++;
+            return { kind: 'negate', operand: parseUnary() };
+        }
+        return parsePrimary();
+    };
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (token.kind === 'number' || token.kind === 'string') return { kind: 'literal', value: token.value };
+        if (token.kind === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+            return { kind: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+        }
+        if (token.kind === 'column') return { kind: 'column', name: token.value };
+        if (token.kind === 'identifier') {
+            if (!isOperator('(')) return { kind: 'column', name: token.value };
+            position++;
+            const args = [];
+            if (!isOperator(')')) {
+                args.push(parseOr());
+                while (isOperator(',')) {
+                    position++;
+                    args.push(parseOr());
+                }
+            }
+            expect(')');
+            return { kind: 'call', name: token.value.toLowerCase(), args };
+        }
+        if (token.kind === 'operator' && token.value === '(') {
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        throw new Error(`unexpected ${describe(token)}`);
+    };
+
+    const tree = parseOr();
+    if (peek().kind !== 'end') throw new Error(`unexpected ${describe(peek())}`);
+    return tree;
+};
+
+// --- Functions ---
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DATE_FORMAT_TOKENS = {
+    YYYY: date => String(date.getUTCFullYear()),
+    YY: date => pad(date.getUTCFullYear() % 100),
+    MMM: date => MONTH_LABELS[date.getUTCMonth()],
+    MM: date => pad(date.getUTCMonth() + 1),
+    M: date => String(date.getUTCMonth() + 1),
+    DD: date => pad(date.getUTCDate()),
+    D: date => String(date.getUTCDate()),
+    Q: date => String(Math.floor(date.getUTCMonth() / 3) + 1),
+};
+const DATE_FORMAT_REGEX = /YYYY|YY|MMM|MM|M|DD|D|Q/g;
+
+const formatDate = (date, pattern) => String(pattern).replace(DATE_FORMAT_REGEX, token => DATE_FORMAT_TOKENS[token](date));
+
+const toText = (value) => {
+    if (value === null) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+};
+
+// argTypes: accepted static type per argument ('any' accepts everything; null is always accepted). `returns` gets the
+// argument types. `evaluate` gets evaluated arguments, except for lazy functions which get thunks.
+const FUNCTIONS = {
+    if: {
+        arity: [3, 3], argTypes: ['boolean', 'any', 'any'], lazy: true,
+        returns: types => (types[1] !== 'null' ? types[1] : types[2]),
+        evaluate: ([condition, then, otherwise]) => (condition() === true ? then() : otherwise()),
+    },
+    coalesce: {
+        arity: [1, Infinity], argTypes: ['any'], lazy: true,
+        returns: types => types.find(type => type !== 'null') || 'null',
+        evaluate: (args) => {
+            for (const arg of args) {
+                const value = arg();
+                if (value !== null && value !== '') return value;
+            }
+            return null;
+        },
+    },
+    abs: { arity: [1, 1], argTypes: ['number'], returns: () => 'number', evaluate: ([value]) => (value === null ? null : Math.abs(value)) },
+    round: {
+        arity: [1, 2], argTypes: ['number', 'number'], returns: () => 'number',
+        evaluate: ([value, digits]) => {
+            if (value === null) return null;
+            const factor = 10 ** Math.max(0, Math.min(10, Math.trunc(digits ?? 0)));
+            return Math.round(value * factor) / factor;
+        },
+    },
+    lower: { arity: [1, 1], argTypes: ['any'], returns: () => 'string', evaluate: ([value]) => (value === null ? null : toText(value).toLowerCase()) },
+    upper: { arity: [1, 1], argTypes: ['any'], returns: () => 'string', evaluate: ([value]) => (value === null ? null : toText(value).toUpperCase()) },
+    trim: { arity: [1, 1], argTypes: ['any'], returns: () => 'string', evaluate: ([value]) => (value === null ? null : toText(value).trim()) },
+    concat: { arity: [1, Infinity], argTypes: ['any'], returns: () => 'string', evaluate: (args) => args.map(toText).join('') },
+    format: {
+        arity: [2, 2], argTypes: ['date', 'string'], returns: () => 'string',
+        evaluate: ([date, pattern]) => (date === null || pattern === null ? null : formatDate(date, pattern)),
+    },
+    year: { arity: [1, 1], argTypes: ['date'], returns: () => 'number', evaluate: ([date]) => (date === null ? null : date.getUTCFullYear()) },
+    quarter: { arity: [1, 1], argTypes: ['date'], returns: () => 'number', evaluate: ([date]) => (date === null ? null : Math.floor(date.getUTCMonth() / 3) + 1) },
+    month: { arity: [1, 1], argTypes: ['date'], returns: () => 'number', evaluate: ([date]) => (date === null ? null : date.getUTCMonth() + 1) },
+    day: { arity: [1, 1], argTypes: ['date'], returns: () => 'number', evaluate: ([date]) => (date === null ? null : date.getUTCDate()) },
+    // lookup(value, mapping[, fallback]): the second argument names one of the dataset's mappings (checked separately)
+    lookup: { arity: [2, 3], argTypes: ['any', 'mapping', 'any'], returns: () => 'string' },
+};
+
+// Static type of a column as seen by expressions
+const valueTypeOf = (column) => {
+    if (column.valueType) return column.valueType;
+    if (NUMERIC_TYPES.includes(column.type)) return 'number';
+    if (DATE_TYPES.includes(column.type)) return 'date';
+    if (column.type === 'boolean') return 'boolean';
+    return 'string';
+};
+
+const literalType = (value) => {
+    if (value === null) return 'null';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    return 'string';
+};
+
+/**
+ * Resolves names and checks types of a parsed expression.
+ * @param {object} node - From parseExpression.
+ * @param {Map<string, object>} columns - Columns the expression may use, by name (`valueType` set for computed ones).
+ * @param {Set<string>} mappingNames
+ * @returns {string} The static result type: 'number', 'string', 'boolean', 'date' or 'null'.
+ * @throws {Error} Naming the first problem.
+ */
+const checkNode = (node, columns, mappingNames) => {
+    const check = child => checkNode(child, columns, mappingNames);
+    const requireType = (type, expected, what) => {
+        if (type !== 'null' && type !== expected) throw new Error(`${what} must be a ${expected}, not a ${type}`);
+    };
+    switch (node.kind) {
+        case 'literal': return literalType(node.value);
+        case 'column': {
+            const column = columns.get(node.name);
+            if (!column) throw new Error(`unknown column "${node.name}"`);
+            return valueTypeOf(column);
+        }
+        case 'negate':
+            requireType(check(node.operand), 'number', 'the operand of "-"');
+            return 'number';
+        case 'not':
+            requireType(check(node.operand), 'boolean', 'the operand of "not"');
+            return 'boolean';
+        case 'logical':
+            requireType(check(node.left), 'boolean', `the left side of "${node.operator}"`);
+            requireType(check(node.right), 'boolean', `the right side of "${node.operator}"`);
+            return 'boolean';
+        case 'arithmetic': {
+            const left = check(node.left);
+            const right = check(node.right);
+            if (node.operator === '+' && (left === 'string' || right === 'string')) {
+                throw new Error('"+" adds numbers; use concat(...) to join text');
+            }
+            requireType(left, 'number', `the left side of "${node.operator}"`);
+            requireType(right, 'number', `the right side of "${node.operator}"`);
+            return 'number';
+        }
+        case 'compare': {
+            const left = check(node.left);
+            const right = check(node.right);
+            if (left !== 'null' && right !== 'null' && left !== right) {
+                throw new Error(`cannot compare a ${left} with a ${right}`);
+            }
+            return 'boolean';
+        }
+        case 'call': {
+            // Own keys only, so "constructor" does not resolve to Object.prototype.constructor
+            const fn = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+            if (!fn) throw new Error(`unknown function "${node.name}" (available: ${Object.keys(FUNCTIONS).join(', ')})`);
+            const [min, max] = fn.arity;
+            if (node.args.length < min || node.args.length > max) {
+                throw new Error(`${node.name}() takes ${min === max ? min : `${min} to ${max === Infinity ? 'any number of' : max}`} argument(s)`);
+            }
+            const types = node.args.map((arg, index) => {
+                const expected = fn.argTypes[Math.min(index, fn.argTypes.length - 1)];
+                if (expected === 'mapping') {
+                    const name = arg.kind === 'column' ? arg.name : arg.kind === 'literal' ? arg.value : null;
+                    if (!mappingNames.has(name)) throw new Error(`unknown mapping "${name ?? '?'}" in lookup()`);
+                    arg.kind = 'mapping';
+                    arg.name = name;
+                    return 'mapping';
+                }
+                const type = check(arg);
+                if (expected !== 'any') requireType(type, expected, `argument ${index + 1} of ${node.name}()`);
+                return type;
+            });
+            return fn.returns(types);
+        }
+        default: throw new Error('invalid expression');
+    }
+};
+
+// --- Evaluation ---
+
+const compareValues = (operator, left, right) => {
+    if (left === null || right === null) {
+        if (operator === '=') return left === right;
+        if (operator === '!=') return left !== right;
+        return false;
+    }
+    const a = left instanceof Date ? left.getTime() : left;
+    const b = right instanceof Date ? right.getTime() : right;
+    switch (operator) {
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        default: return a >= b;
+    }
+};
+
+const arithmetic = (operator, left, right) => {
+    // Blank cells count as 0 when added or subtracted, so `credit - debit` works when only one side is filled
+    if (operator === '+' || operator === '-') {
+        if (left === null && right === null) return null;
+        return operator === '+' ? (left || 0) + (right || 0) : (left || 0) - (right || 0);
+    }
+    if (left === null || right === null) return null;
+    if (operator === '*') return left * right;
+    if (right === 0) return null;
+    return operator === '/' ? left / right : left % right;
+};
+
+const evaluateNode = (node, scope) => {
+    const evaluate = child => evaluateNode(child, scope);
+    switch (node.kind) {
+        case 'literal': return node.value;
+        case 'column': return scope.value(node.name);
+        case 'negate': {
+            const value = evaluate(node.operand);
+            return value === null ? null : -value;
+        }
+        case 'not': return evaluate(node.operand) !== true;
+        case 'logical':
+            return node.operator === 'and'
+                ? evaluate(node.left) === true && evaluate(node.right) === true
+                : evaluate(node.left) === true || evaluate(node.right) === true;
+        case 'arithmetic': return arithmetic(node.operator, evaluate(node.left), evaluate(node.right));
+        case 'compare': return compareValues(node.operator, evaluate(node.left), evaluate(node.right));
+        case 'call': {
+            if (node.name === 'lookup') {
+                const value = evaluate(node.args[0]);
+                const mapping = scope.mappings.get(node.args[1].name);
+                const mapped = value === null ? undefined : mapping.entries.get(toText(value).trim());
+                if (mapped !== undefined) return mapped;
+                return node.args[2] ? evaluate(node.args[2]) : mapping.defaultValue;
+            }
+            const fn = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+            if (!fn) return null;
+            return fn.lazy ? fn.evaluate(node.args.map(arg => () => evaluate(arg))) : fn.evaluate(node.args.map(evaluate));
+        }
+        default: return null;
+    }
+};
+
+// Cell text written for a computed value, in the format of its stored column type
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(Math.round(value * 1e10) / 1e10) : '';
+    return toText(value);
+};
+
+// --- Definitions ---
+
+// Mappings as sent by the client: entries either as { key: value } or as [{ key, value }]
+const normalizeMappings = (mappings) => {
+    if (mappings === undefined || mappings === null) return [];
+    if (!Array.isArray(mappings)) throw codedError('mappings must be an array of { name, entries, defaultValue? }.', 'COMPUTED_COLUMN_INVALID');
+    if (mappings.length > MAX_MAPPINGS) throw codedError(`At most ${MAX_MAPPINGS} mappings are allowed.`, 'COMPUTED_COLUMN_INVALID');
+    const names = new Set();
+    return mappings.map((input, index) => {
+        const name = typeof input?.name === 'string' ? input.name.trim() : '';
+        if (!IDENTIFIER_REGEX.test(name)) throw codedError(`Mapping ${index + 1}: name must be letters, digits and "_" (e.g. account_categories).`, 'COMPUTED_COLUMN_INVALID');
+        if (names.has(name)) throw codedError(`Mapping "${name}" is defined twice.`, 'COMPUTED_COLUMN_INVALID');
+        names.add(name);
+        const pairs = Array.isArray(input.entries)
+            ? input.entries.map(entry => [entry?.key, entry?.value])
+            : Object.entries(input.entries && typeof input.entries === 'object' ? input.entries : {});
+        if (pairs.length > MAX_MAPPING_ENTRIES) throw codedError(`Mapping "${name}": at most ${MAX_MAPPING_ENTRIES} entries are allowed.`, 'COMPUTED_COLUMN_INVALID');
+        const keys = new Set();
+        const entries = pairs.map(([key, value]) => {
+            const text = String(key ?? '').trim();
+            if (text === '') throw codedError(`Mapping "${name}": keys cannot be empty.`, 'COMPUTED_COLUMN_INVALID');
+            if (keys.has(text)) throw codedError(`Mapping "${name}": key "${text}" appears twice.`, 'COMPUTED_COLUMN_INVALID');
+            keys.add(text);
+            return { key: text, value: String(value ?? '') };
+        });
+        const defaultValue = input.defaultValue === undefined || input.defaultValue === null ? null : String(input.defaultValue);
+        return { name, entries, defaultValue };
+    });
+};
+
+/**
+ * Checks and normalizes computed column definitions sent by the client. Columns are evaluated in order, so a computed
+ * column may use the ones defined before it on the same table.
+ * @param {object[]} columns - `{ name, expression, sheetName?, description? }` per column.
+ * @param {object[]} mappings - Already normalized mappings.
+ * @param {(sheetName: string|null) => object[]|null} schemaOf - Source columns of a table (without columns the PII
+ *   policies drop), null for an unknown sheet.
+ * @param {boolean} isWorkbook - Workbook columns must name their sheet.
+ * @returns {object[]} Definitions ready to be stored, with the result `type` and `format`.
+ * @throws {Error} COMPUTED_COLUMN_INVALID (400) naming the first problem.
+ */
+const normalizeComputedColumns = (columns, mappings, schemaOf, isWorkbook) => {
+    if (!Array.isArray(columns)) throw codedError('columns must be an array of { name, expression, sheetName? }.', 'COMPUTED_COLUMN_INVALID');
+    const mappingNames = new Set(mappings.map(mapping => mapping.name));
+    const tables = new Map(); // sheetName -> Map of usable columns
+    return columns.map((input, index) => {
+        const name = typeof input?.name === 'string' ? input.name.trim() : '';
+        const label = name ? `Computed column "${name}"` : `Computed column ${index + 1}`;
+        if (!name || name.length > MAX_NAME_LENGTH) throw codedError(`${label}: name must be 1 to ${MAX_NAME_LENGTH} characters.`, 'COMPUTED_COLUMN_INVALID');
+        const sheetName = isWorkbook ? input.sheetName || null : null;
+        if (isWorkbook && !sheetName) throw codedError(`${label}: sheetName is required for workbooks.`, 'COMPUTED_COLUMN_INVALID');
+        if (!tables.has(sheetName)) {
+            const schema = schemaOf(sheetName);
+            if (!schema) throw codedError(`${label}: unknown sheet "${sheetName}".`, 'COMPUTED_COLUMN_INVALID');
+            tables.set(sheetName, { available: new Map(schema.map(col => [col.name, col])), sourceNames: new Set(schema.map(col => col.name)), count: 0 });
+        }
+        const table = tables.get(sheetName);
+        if (table.sourceNames.has(name) || table.available.has(name)) throw codedError(`${label}: a column with this name already exists.`, 'COMPUTED_COLUMN_INVALID');
+        if (++table.count > MAX_COMPUTED_COLUMNS) throw codedError(`At most ${MAX_COMPUTED_COLUMNS} computed columns are allowed per table.`, 'COMPUTED_COLUMN_INVALID');
+
+        const expression = typeof input.expression === 'string' ? input.expression.trim() : '';
+        if (!expression || expression.length > MAX_EXPRESSION_LENGTH) throw codedError(`${label}: expression must be 1 to ${MAX_EXPRESSION_LENGTH} characters.`, 'COMPUTED_COLUMN_INVALID');
+        let valueType;
+        try {
+            valueType = checkNode(parseExpression(expression), table.available, mappingNames);
+        } catch (error) {
+            throw codedError(`${label}: ${error.message}.`, 'COMPUTED_COLUMN_INVALID');
+        }
+        const { type, format } = RESULT_COLUMNS[valueType];
+        table.available.set(name, { name, type, format, valueType });
+        const column = { sheetName, name, expression, type, format, description: typeof input.description === 'string' ? input.description.trim() : '' };
+        if (input._id) column._id = input._id;
+        return column;
+    });
+};
+
+/**
+ * Computed columns of one table in `schemaInfo` form, to append after the source columns.
+ */
+const computedSchema = (computedColumns, sheetName) => (computedColumns || [])
+    .filter(column => (column.sheetName || null) === (sheetName || null))
+    .map(({ name, type, format, expression, description }) => ({ name, type, format: format || null, isComputed: true, expression, description: description || '' }));
+
+/**
+ * Prepares the computed columns of one table for evaluation.
+ * Definitions that no longer check out (e.g. a referenced column was dropped by a PII policy or is missing from a
+ * new version) evaluate to empty cells instead of failing the read.
+ * @param {object[]} schemaInfo - Source columns of the table (effective types and formats).
+ * @param {object[]} computedColumns - The dataset's `computedColumns`.
+ * @param {object[]} mappings - The dataset's `mappings`.
+ * @param {string|null} sheetName
+ * @returns {{ columns: object[], evaluate: (row: object) => object }|null} null when the table has no computed columns.
+ *   `evaluate` returns the computed values of a row as cell text, keyed by column name.
+ */
+const compileComputedColumns = (schemaInfo, computedColumns, mappings, sheetName) => {
+    const definitions = (computedColumns || []).filter(column => (column.sheetName || null) === (sheetName || null));
+    if (definitions.length === 0) return null;
+    const mappingsByName = new Map((mappings || []).map(mapping => [mapping.name, {
+        entries: new Map((mapping.entries || []).map(entry => [entry.key, entry.value])),
+        defaultValue: mapping.defaultValue ?? null,
+    }]));
+    const available = new Map((schemaInfo || []).map(col => [col.name, col]));
+    const compiled = definitions.map(definition => {
+        let tree = null;
+        try {
+            tree = parseExpression(definition.expression);
+            const valueType = checkNode(tree, available, new Set(mappingsByName.keys()));
+            available.set(definition.name, { name: definition.name, type: definition.type, format: definition.format, valueType });
+        } catch {
+            tree = null;
+            available.set(definition.name, { name: definition.name, type: definition.type, format: definition.format });
+        }
+        return { name: definition.name, tree };
+    });
+    const sourceColumns = new Map((schemaInfo || []).map(col => [col.name, col]));
+
+    const evaluate = (row) => {
+        const computedValues = new Map();
+        const scope = {
+            mappings: mappingsByName,
+            value: (name) => {
+                if (computedValues.has(name)) return computedValues.get(name);
+                const { value, isValid } = parseCell(row?.[name], sourceColumns.get(name));
+                return isValid ? value : null;
+            },
+        };
+        const result = {};
+        compiled.forEach(({ name, tree }) => {
+            let value = null;
+            try {
+                value = tree ? evaluateNode(tree, scope) : null;
+            } catch {
+                value = null;
+            }
+            if (value === undefined || (typeof value === 'number' && !Number.isFinite(value))) value = null;
+            computedValues.set(name, value);
+            result[name] = formatValue(value);
+        });
+        return result;
+    };
+    return { columns: computedSchema(definitions, sheetName), evaluate };
+};
+
+/**
+ * Short identifier of the computed columns and mappings, so copies made for the report worker change with them.
+ * @returns {string|null} null when there are no computed columns.
+ */
+const computedFingerprint = (computedColumns, mappings) => {
+    if (!computedColumns || computedColumns.length === 0) return null;
+    const definition = JSON.stringify({
+        columns: computedColumns.map(({ sheetName, name, expression }) => [sheetName || null, name, expression]),
+        mappings: (mappings || []).map(({ name, entries, defaultValue }) => [name, (entries || []).map(({ key, value }) => [key, value]), defaultValue ?? null]),
+    });
+    return crypto.createHash('sha256').update(definition).digest('hex').slice(0, 12);
+};
+
+/**
+ * Fingerprint of the copy the report worker reads: the PII policies plus the computed columns and currency
+ * conversions. Datasets with neither keep the plain policy fingerprint, so existing redacted copies stay valid.
+ * @param {string|null} [fxRevision] - fxRateService.getConversionRevision() of the owner; only used with conversions.
+ * @returns {string|null} null when the uploaded file can be read as it is.
+ */
+const workerCopyFingerprint = (dataset, hashSecret, fxRevision = null) => {
+    const policies = policyFingerprint(dataset.piiPolicies, hashSecret);
+    const computed = computedFingerprint(dataset.computedColumns, dataset.mappings);
+    const converted = conversionFingerprint(dataset.currencyConversions, fxRevision);
+    if (!computed && !converted) return policies;
+    // Without conversions the material is unchanged from before they existed, so those copies stay valid as well
+    const material = converted ? `${policies || ''}\n${computed || ''}\n${converted}` : `${policies || ''}\n${computed}`;
+    return crypto.createHash('sha256').update(material).digest('hex').slice(0, 12);
+};
+
+/**
+ * Appends computed columns to the worksheets of an .xlsx file, after the last used column. Source cells are left as
+ * they are; rows are read the way dataset.reader.js reads them (formatted text, first row as header).
+ * @param {Buffer} buffer
+ * @param {Map<string, object>} computedBySheet - Sheet name -> result of compileComputedColumns().
+ * @returns {Buffer} An .xlsx file.
+ */
+const appendComputedColumns = (buffer, computedBySheet) => {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellFormula: false, cellHTML: false });
+    computedBySheet.forEach((computed, sheetName) => {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet || !sheet['!ref']) return;
+        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+        const headers = (data[0] || []).map(header => String(header).trim());
+        const rows = data.slice(1).map(cells => Object.fromEntries(headers.map((h, idx) => [h, cells[idx]])));
+        const cells = [
+            computed.columns.map(column => column.name),
+            ...rows.map(row => {
+                const values = computed.evaluate(row);
+                return computed.columns.map(column => (column.type === 'number' && values[column.name] !== '' ? Number(values[column.name]) : values[column.name]));
+            }),
+        ];
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        XLSX.utils.sheet_add_aoa(sheet, cells, { origin: { r: range.s.r, c: range.e.c + 1 } });
+    });
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+    parseExpression,
+    normalizeMappings,
+    normalizeComputedColumns,
+    computedSchema,
+    compileComputedColumns,
+    computedFingerprint,
+    workerCopyFingerprint,
+    appendComputedColumns,
+};
@@ -2,44 +2,119 @@
 // ** UPDATED FILE - Add getReadUrl controller **
 const datasetService = require('./dataset.service');
 const logger = require('../../shared/utils/logger');
+const { sendCodedError } = require('../../shared/utils/codedError');
 const mongoose = require('mongoose'); // Import mongoose for ID validation
 
 // getUploadUrl (remains the same as your previous updated version)
 const getUploadUrl = async (req, res, next) => {
-    const { filename, fileSize } = req.query;
+    const { filename, fileSize, datasetId } = req.query;
     if (!filename) return res.status(400).json({ status: 'error', message: 'Filename query parameter is required.' });
     if (!fileSize || isNaN(parseInt(fileSize)) || parseInt(fileSize) <= 0) return res.status(400).json({ status: 'error', message: 'Valid FileSize query parameter is required.' });
     try {
         const userId = req.user._id;
-        const result = await datasetService.generateUploadUrl(userId, filename, fileSize);
+        const result = await datasetService.generateUploadUrl(userId, filename, fileSize, { isNewVersion: Boolean(datasetId) });
         res.status(200).json({ status: 'success', data: result });
     } catch (error) {
         if (error.message === 'Valid file size is required to generate upload URL.') return res.status(400).json({ status: 'error', message: error.message });
+        if (String(error.code).startsWith('QUOTA_')) return sendCodedError(res, error);
         next(error);
     }
 };
 
-// createDataset (remains the same as your previous updated version)
+// Codes the upload endpoints answer with directly
+const isUploadError = (error) => /^(UPLOAD|QUOTA|DUPLICATE)_/.test(String(error.code));
+
+// POST /uploads - start a resumable (chunked) upload session; datasetId marks the file as a new version of that dataset
+const startUploadSession = async (req, res, next) => {
+    const { filename, fileSize, datasetId } = req.body || {};
+    if (!filename) return res.status(400).json({ status: 'error', message: 'filename is required.' });
+    if (!fileSize || isNaN(parseInt(fileSize)) || parseInt(fileSize) <= 0) return res.status(400).json({ status: 'error', message: 'Valid fileSize is required.' });
+    try {
+        const session = await datasetService.createUploadSession(req.user._id, filename, fileSize, req.get('origin'), { isNewVersion: Boolean(datasetId) });
+        res.status(201).json({ status: 'success', data: session });
+    } catch (error) {
+        if (isUploadError(error)) return sendCodedError(res, error);
+        next(error);
+    }
+};
+
+// GET /uploads/:uploadId - bytes persisted so far, used to resume after a failure or reload
+const getUploadSession = async (req, res, next) => {
+    const { uploadId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid upload ID format.' });
+    }
+    try {
+        const session = await datasetService.getUploadSessionStatus(req.user._id, uploadId);
+        res.status(200).json({ status: 'success', data: session });
+    } catch (error) {
+        if (String(error.code).startsWith('UPLOAD_')) return sendCodedError(res, error);
+        next(error);
+    }
+};
+
+// DELETE /uploads/:uploadId - abandon a resumable upload, or discard one refused as a duplicate
+const cancelUploadSession = async (req, res, next) => {
+    const { uploadId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid upload ID format.' });
+    }
+    try {
+        await datasetService.cancelUploadSession(req.user._id, uploadId);
+        res.status(200).json({ status: 'success', data: null });
+    } catch (error) {
+        if (String(error.code).startsWith('UPLOAD_')) return sendCodedError(res, error);
+        next(error);
+    }
+};
+
+// createDataset - verifies the uploaded object, then saves the metadata; allowDuplicate keeps a file that repeats existing data
 const createDataset = async (req, res, next) => {
-    const { name, gcsPath, originalFilename, fileSizeBytes } = req.body;
+    const { name, gcsPath, originalFilename, fileSizeBytes, allowDuplicate } = req.body;
     if (!gcsPath || !originalFilename) return res.status(400).json({ status: 'error', message: 'gcsPath and originalFilename are required.' });
     try {
         const userId = req.user._id;
-        const datasetData = { name, gcsPath, originalFilename, fileSizeBytes };
+        const datasetData = { name, gcsPath, originalFilename, fileSizeBytes, allowDuplicate: allowDuplicate === true };
         const newDataset = await datasetService.createDatasetMetadata(userId, datasetData);
         res.status(201).json({ status: 'success', data: newDataset });
     } catch (error) {
+        if (isUploadError(error)) return sendCodedError(res, error);
         next(error);
     }
 };
 
-// listDatasets (remains the same as your previous updated version)
+// GET / - one page of the library; query: page, pageSize, search, fileType, from, to, minSize, maxSize, tags, folder, hideIgnored, sort
 const listDatasets = async (req, res, next) => {
     try {
         const userId = req.user._id;
-        const datasets = await datasetService.listDatasetsByUser(userId);
-        res.status(200).json({ status: 'success', data: datasets });
+        const result = await datasetService.listDatasetsByUser(userId, req.query);
+        res.status(200).json({ status: 'success', data: result });
+    } catch (error) {
+        if (error.message.startsWith('Invalid list query')) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+        next(error);
+    }
+};
+
+// GET /facets - tags and folders in use, with dataset counts, for the library filters
+const getLibraryFacets = async (req, res, next) => {
+    try {
+        const facets = await datasetService.getLibraryFacets(req.user._id);
+        res.status(200).json({ status: 'success', data: facets });
+    } catch (error) {
+        logger.error(`Error loading library facets for user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// GET /quota - the user's plan limits and current storage and dataset usage
+const getQuota = async (req, res, next) => {
+    try {
+        const quota = await datasetService.getQuotaStatus(req.user._id);
+        res.status(200).json({ status: 'success', data: quota });
     } catch (error) {
+        logger.error(`Error loading quota for user ${req.user._id}: ${error.message}`);
         next(error);
     }
 };
@@ -63,36 +138,404 @@ const getReadUrl = async (req, res, next) => {
             return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
         }
 
-        if (!dataset.gcsPath) {
+        // ?version=N reads a specific version (e.g. the one a past report used); default is the active version
+        let file = dataset;
+        if (req.query.version !== undefined && Number(req.query.version) !== (dataset.activeVersion || 1)) {
+            file = (dataset.versions || []).find(v => v.versionNumber === Number(req.query.version));
+            if (!file) return res.status(404).json({ status: 'error', message: `Version ${req.query.version} not found for this dataset.` });
+        }
+
+        if (!file.gcsPath) {
              logger.error(`Dataset ${id} found but missing gcsPath for user ${userId}.`);
              return res.status(500).json({ status: 'error', message: 'Dataset configuration error.' });
         }
 
-        // Call the service function to generate the signed URL
-        const signedUrl = await datasetService.getSignedUrlForDataset(dataset.gcsPath);
+        // Bank statements are served as their normalized transactions CSV, never in the original format;
+        // datasets with masked, hashed or dropped PII columns or with computed columns as a prepared copy
+        const workerFile = await datasetService.prepareWorkerFile(dataset, file);
+        const signedUrl = await datasetService.getSignedUrlForDataset(workerFile.gcsPath);
 
         if (!signedUrl) {
              // Service function should throw if URL generation fails, but handle null just in case
              throw new Error('Failed to generate read URL.');
         }
 
-        res.status(200).json({ status: 'success', data: { signedUrl } });
+        // Workbooks are read as binary by the client, which needs to know which worksheets to expose
+        const fileType = workerFile.fileType;
+        const sourceFormat = file.fileType || 'csv';
+        const sheets = (file.sheets || []).filter(sheet => sheet.isIncluded !== false).map(sheet => sheet.name);
+        const version = file.versionNumber || dataset.activeVersion || 1;
+        // CSV/TSV: how to decode and split the file; null means plain UTF-8 with the default delimiter
+        const parseOptions = workerFile.parseOptions;
+        res.status(200).json({ status: 'success', data: { signedUrl, fileType, sourceFormat, sheets, version, parseOptions } });
     } catch (error) {
          // Catch specific errors like file not found from the service
          if (error.message.includes('Dataset file not found')) {
               return res.status(404).json({ status: 'error', message: error.message });
          }
+         if (String(error.code).startsWith('PII_')) return sendCodedError(res, error);
          logger.error(`Error generating read URL for dataset ${id}, user ${userId}: ${error.message}`);
          next(error); // Pass to global error handler
     }
 };
 // --- End NEW Controller ---
 
+// GET /:id/schema - column names with detected and effective types
+const getSchema = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const schema = await datasetService.getDatasetSchema(req.user._id, id);
+        if (!schema) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: schema });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// GET /:id/preview?offset=&limit=&sheet= - one page of parsed, typed rows of the active file
+const getPreview = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const preview = await datasetService.getDatasetPreview(req.user._id, id, req.query);
+        if (!preview) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: preview });
+    } catch (error) {
+        if (error.message.startsWith('Invalid preview query') || error.message.startsWith('Unknown sheet')) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+        if (error.message.includes('Dataset file not found')) {
+            return res.status(404).json({ status: 'error', message: error.message });
+        }
+        logger.error(`Error previewing dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// PUT /:id/schema - override detected column types/formats
+const updateSchema = async (req, res, next) => {
+    const { id } = req.params;
+    const { columns, sheetName } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    if (!Array.isArray(columns) || columns.length === 0 || columns.some(col => !col || typeof col.name !== 'string')) {
+        return res.status(400).json({ status: 'error', message: 'columns must be a non-empty array of { name, type?, format? }.' });
+    }
+    try {
+        const schema = await datasetService.updateColumnTypes(req.user._id, id, columns, sheetName);
+        if (!schema) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: schema });
+    } catch (error) {
+        if (['Unknown column', 'Unknown sheet', 'Invalid column type'].some(prefix => error.message.startsWith(prefix))) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+        logger.error(`Error updating schema for dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// GET /:id - full dataset including schema and column descriptions
+const getDataset = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const dataset = await datasetService.getDatasetById(req.user._id, id);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// PATCH /:id - edit name, description, columnDescriptions, isIgnored, sheets (workbooks), tags, folder
+const updateDataset = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    const { name, description, columnDescriptions, isIgnored, includeSamplesInContext, sheets, tags, folder } = req.body || {};
+    if ([name, description, columnDescriptions, isIgnored, includeSamplesInContext, sheets, tags, folder].every(value => value === undefined)) {
+        return res.status(400).json({ status: 'error', message: 'Provide at least one of name, description, columnDescriptions, isIgnored, includeSamplesInContext, sheets, tags or folder.' });
+    }
+    try {
+        const dataset = await datasetService.updateDatasetMetadata(req.user._id, id, { name, description, columnDescriptions, isIgnored, includeSamplesInContext, sheets, tags, folder });
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        const validationPrefixes = ['Unknown column', 'Unknown sheet', 'Dataset name', 'columnDescriptions', 'sheets must', 'At least one sheet', 'tags must', 'folder must'];
+        if (validationPrefixes.some(prefix => error.message.startsWith(prefix))) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+        logger.error(`Error updating dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// POST /:id/versions - register an uploaded file as the next version of the dataset
+const addVersion = async (req, res, next) => {
+    const { id } = req.params;
+    const { gcsPath, originalFilename, fileSizeBytes, allowDuplicate } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    if (!gcsPath || !originalFilename) return res.status(400).json({ status: 'error', message: 'gcsPath and originalFilename are required.' });
+    try {
+        const dataset = await datasetService.addDatasetVersion(req.user._id, id, { gcsPath, originalFilename, fileSizeBytes, allowDuplicate: allowDuplicate === true });
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(201).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (isUploadError(error)) return sendCodedError(res, error);
+        logger.error(`Error adding version to dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// PUT /:id/active-version - switch to (or roll back to) another version
+const activateVersion = async (req, res, next) => {
+    const { id } = req.params;
+    const versionNumber = Number(req.body?.versionNumber);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+        return res.status(400).json({ status: 'error', message: 'versionNumber must be a positive integer.' });
+    }
+    try {
+        const dataset = await datasetService.setActiveVersion(req.user._id, id, versionNumber);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (error.message.startsWith('Unknown version')) {
+            return res.status(404).json({ status: 'error', message: error.message });
+        }
+        logger.error(`Error switching version of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// POST /:id/appends - append an uploaded file to the dataset; dryRun: true only returns the column reconciliation
+const appendToDataset = async (req, res, next) => {
+    const { id } = req.params;
+    const { gcsPath, columnMapping, dedupeKey, dryRun } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    if (!gcsPath) return res.status(400).json({ status: 'error', message: 'gcsPath is required.' });
+    if (columnMapping !== undefined && (typeof columnMapping !== 'object' || columnMapping === null || Array.isArray(columnMapping))) {
+        return res.status(400).json({ status: 'error', message: 'columnMapping must map uploaded headers to dataset columns (or null).' });
+    }
+    try {
+        const result = await datasetService.appendToDataset(req.user._id, id, { gcsPath, columnMapping, dedupeKey, dryRun: dryRun === true });
+        if (!result) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(dryRun === true ? 200 : 201).json({ status: 'success', data: result });
+    } catch (error) {
+        if (isUploadError(error) || String(error.code).startsWith('APPEND_')) return sendCodedError(res, error);
+        logger.error(`Error appending to dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// DELETE /:id/appends/:batchId - undo one append (the active version must contain it)
+const undoAppend = async (req, res, next) => {
+    const { id, batchId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(batchId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset or batch ID format.' });
+    }
+    try {
+        const dataset = await datasetService.undoAppendBatch(req.user._id, id, batchId);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (String(error.code).startsWith('APPEND_') || String(error.code).startsWith('QUOTA_')) return sendCodedError(res, error);
+        logger.error(`Error undoing append ${batchId} of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// POST /:id/profile - recompute column statistics in the background
+const reprofileDataset = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const profile = await datasetService.requestProfiling(req.user._id, id);
+        if (!profile) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(202).json({ status: 'success', data: { profile } });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// PUT /:id/quality-rules - replace the data quality rules; the active file is re-checked in the background
+const updateQualityRules = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const dataset = await datasetService.updateQualityRules(req.user._id, id, req.body?.rules);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (String(error.code).startsWith('QUALITY_')) return sendCodedError(res, error);
+        logger.error(`Error updating quality rules of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// PUT /:id/pii-policies - replace the per-column policies for personal data (allow / mask / hash / drop)
+const updatePiiPolicies = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const dataset = await datasetService.updatePiiPolicies(req.user._id, id, req.body?.policies);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (String(error.code).startsWith('PII_')) return sendCodedError(res, error);
+        logger.error(`Error updating PII policies of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// PUT /:id/computed-columns - replace the computed columns (and lookup mappings); the dataset is re-profiled
+const updateComputedColumns = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const dataset = await datasetService.updateComputedColumns(req.user._id, id, { columns: req.body?.columns, mappings: req.body?.mappings });
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (String(error.code).startsWith('COMPUTED_')) return sendCodedError(res, error);
+        logger.error(`Error updating computed columns of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// PUT /:id/currency-conversions - replace the amount columns converted into the reporting currency
+const updateCurrencyConversions = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const dataset = await datasetService.updateCurrencyConversions(req.user._id, id, req.body?.conversions);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (String(error.code).startsWith('CURRENCY_')) return sendCodedError(res, error);
+        logger.error(`Error updating currency conversions of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// Shared by the relationship handlers: validates both IDs, runs the service call and answers with the dataset
+const handleRelationshipChange = async (req, res, next, action, run) => {
+    const { id, relationshipId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || (relationshipId !== undefined && !mongoose.Types.ObjectId.isValid(relationshipId))) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset or relationship ID format.' });
+    }
+    try {
+        const dataset = await run(req.user._id, id, relationshipId);
+        if (!dataset) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(action === 'adding' ? 201 : 200).json({ status: 'success', data: dataset });
+    } catch (error) {
+        if (String(error.code).startsWith('RELATIONSHIP_')) return sendCodedError(res, error);
+        logger.error(`Error ${action} relationship of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// POST /:id/relationships - declare a relationship to another dataset (validated against key overlap)
+const addRelationship = (req, res, next) => handleRelationshipChange(req, res, next, 'adding',
+    (userId, id) => datasetService.addRelationship(userId, id, req.body || {}));
+
+// POST /:id/relationships/:relationshipId/validate - re-check key overlap against the current files
+const revalidateRelationship = (req, res, next) => handleRelationshipChange(req, res, next, 'validating',
+    (userId, id, relationshipId) => datasetService.revalidateRelationship(userId, id, relationshipId));
+
+// DELETE /:id/relationships/:relationshipId - remove a declared relationship
+const removeRelationship = (req, res, next) => handleRelationshipChange(req, res, next, 'removing',
+    (userId, id, relationshipId) => datasetService.removeRelationship(userId, id, relationshipId));
+
+// GET /:id/usage - prompts and reports built from the dataset, with the version each one read
+const getUsage = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const usage = await datasetService.getDatasetUsage(req.user._id, id, req.query);
+        if (!usage) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: usage });
+    } catch (error) {
+        if (error.message.startsWith('Invalid usage query')) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+        logger.error(`Error reading usage of dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// DELETE /:id - remove storage object and metadata; ?force=true also when reports were built from it
+const deleteDataset = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid dataset ID format.' });
+    }
+    try {
+        const deleted = await datasetService.deleteDataset(req.user._id, id, { force: req.query.force === 'true' });
+        if (!deleted) return res.status(404).json({ status: 'error', message: 'Dataset not found or not accessible.' });
+        res.status(200).json({ status: 'success', data: null });
+    } catch (error) {
+        if (['DATASET_IN_USE', 'STORAGE_DELETE_FAILED', 'METADATA_DELETE_FAILED'].includes(error.code)) return sendCodedError(res, error);
+        logger.error(`Error deleting dataset ${id}, user ${req.user._id}: ${error.message}`);
+        next(error);
+    }
+};
+
 // Export the controller functions
 module.exports = {
     getUploadUrl,
+    startUploadSession,
+    getUploadSession,
+    cancelUploadSession,
     createDataset,
+    getUsage,
     listDatasets,
+    getLibraryFacets,
+    getQuota,
     getReadUrl, // <-- EXPORTED NEW CONTROLLER
-    // Add getDataset, updateDataset, deleteDataset controllers later
+    getSchema,
+    getPreview,
+    updateSchema,
+    getDataset,
+    updateDataset,
+    deleteDataset,
+    reprofileDataset,
+    addVersion,
+    activateVersion,
+    appendToDataset,
+    undoAppend,
+    updateQualityRules,
+    updatePiiPolicies,
+    updateComputedColumns,
+    updateCurrencyConversions,
+    addRelationship,
+    revalidateRelationship,
+    removeRelationship,
 };
\ No newline at end of file
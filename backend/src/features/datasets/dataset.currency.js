@@ -0,0 +1,171 @@
+// backend/src/features/datasets/dataset.currency.js
+// ** NEW FILE **
+// Currency conversions declared on a dataset: an amount column plus the currency it is in (a currency-code column or
+// one fixed code) and optionally the date to take the rate from. When the data is read, each conversion adds three
+// columns in the owner's reporting currency (User.settings.currency): the converted amount, the rate used and the
+// date of that rate, from the owner's FX rate table (see features/fx_rates). Conversions run after the computed
+// columns, so a computed amount can be converted too.
+
+const crypto = require('crypto');
+const { NUMERIC_TYPES, DATE_TYPES, parseCell } = require('./dataset.valueParser');
+const { CURRENCY_CODE_REGEX } = require('../users/user.service');
+const { codedError } = require('../../shared/utils/codedError');
+
+const MAX_CONVERSIONS = 10; // Per table
+
+/**
+ * Names of the columns a conversion adds, e.g. amount -> amount_USD, amount_fx_rate, amount_fx_date.
+ */
+const conversionColumnNames = (amountColumn, reportingCurrency) => ({
+    amount: `${amountColumn}_${reportingCurrency}`,
+    rate: `${amountColumn}_fx_rate`,
+    date: `${amountColumn}_fx_date`,
+});
+
+/**
+ * Validates conversions against the columns of their tables.
+ * @param {object[]} conversions - `{ amountColumn, currencyColumn?, currency?, dateColumn?, sheetName? }`; exactly one of
+ *   currencyColumn (a column holding ISO codes) and currency (a fixed ISO code) is required.
+ * @param {(sheetName: string|null) => object[]|null} columnsOf - Usable columns of a table (source columns the PII
+ *   policies leave visible, plus computed columns); null for an unknown sheet.
+ * @param {boolean} isWorkbook - Workbooks need a sheetName per conversion.
+ * @param {string} reportingCurrency - Used to check that the added columns do not clash with existing ones.
+ * @returns {object[]} Conversions as stored on the dataset.
+ * @throws {Error} CURRENCY_CONVERSION_INVALID naming the first problem.
+ */
+const normalizeConversions = (conversions, columnsOf, isWorkbook, reportingCurrency) => {
+    if (!Array.isArray(conversions)) throw codedError('conversions must be an array of { amountColumn, currencyColumn | currency, dateColumn? }.', 'CURRENCY_CONVERSION_INVALID');
+    const tables = new Map(); // sheetName -> { columns, taken, count }
+    return conversions.map((input, index) => {
+        const amountColumn = typeof input?.amountColumn === 'string' ? input.amountColumn : '';
+        const label = amountColumn ? `Conversion of "${amountColumn}"` : `Conversion ${index + 1}`;
+        const sheetName = isWorkbook ? input.sheetName || null : null;
+        if (isWorkbook && !sheetName) throw codedError(`${label}: sheetName is required for workbooks.`, 'CURRENCY_CONVERSION_INVALID');
+        if (!tables.has(sheetName)) {
+            const columns = columnsOf(sheetName);
+            if (!columns) throw codedError(`${label}: unknown sheet "${sheetName}".`, 'CURRENCY_CONVERSION_INVALID');
+            tables.set(sheetName, { columns: new Map(columns.map(col => [col.name, col])), taken: new Set(columns.map(col => col.name)), count: 0 });
+        }
+        const table = tables.get(sheetName);
+        if (++table.count > MAX_CONVERSIONS) throw codedError(`At most ${MAX_CONVERSIONS} currency conversions are allowed per table.`, 'CURRENCY_CONVERSION_INVALID');
+
+        const amount = table.columns.get(amountColumn);
+        if (!amount) throw codedError(`${label}: unknown column.`, 'CURRENCY_CONVERSION_INVALID');
+        if (!NUMERIC_TYPES.includes(amount.type)) throw codedError(`${label}: the amount column must be numeric (it is ${amount.type}).`, 'CURRENCY_CONVERSION_INVALID');
+
+        const currencyColumn = input.currencyColumn || null;
+        const currency = typeof input.currency === 'string' && input.currency.trim() ? input.currency.trim().toUpperCase() : null;
+        if (Boolean(currencyColumn) === Boolean(currency)) throw codedError(`${label}: set either currencyColumn or a fixed currency.`, 'CURRENCY_CONVERSION_INVALID');
+        if (currencyColumn && !table.columns.has(currencyColumn)) throw codedError(`${label}: unknown currency column "${currencyColumn}".`, 'CURRENCY_CONVERSION_INVALID');
+        if (currency && !CURRENCY_CODE_REGEX.test(currency)) throw codedError(`${label}: currency must be a 3-letter ISO code such as EUR.`, 'CURRENCY_CONVERSION_INVALID');
+
+        const dateColumn = input.dateColumn || null;
+        if (dateColumn) {
+            const date = table.columns.get(dateColumn);
+            if (!date) throw codedError(`${label}: unknown date column "${dateColumn}".`, 'CURRENCY_CONVERSION_INVALID');
+            if (!DATE_TYPES.includes(date.type)) throw codedError(`${label}: the date column must be a date (it is ${date.type}).`, 'CURRENCY_CONVERSION_INVALID');
+        }
+
+        Object.values(conversionColumnNames(amountColumn, reportingCurrency)).forEach(name => {
+            if (table.taken.has(name)) throw codedError(`${label}: the table already has a column named "${name}".`, 'CURRENCY_CONVERSION_INVALID');
+            table.taken.add(name);
+        });
+        const conversion = { sheetName, amountColumn, currencyColumn, currency, dateColumn };
+        if (input._id) conversion._id = input._id;
+        return conversion;
+    });
+};
+
+// How a conversion reads in column descriptions and the AI context
+const describeConversion = ({ amountColumn, currencyColumn, currency, dateColumn }, reportingCurrency) => {
+    const source = currencyColumn ? `the currency in "${currencyColumn}"` : currency;
+    const when = dateColumn ? `the rate on or before "${dateColumn}"` : 'the latest rate';
+    return `"${amountColumn}" converted from ${source} into ${reportingCurrency} at ${when}`;
+};
+
+/**
+ * Columns the conversions of one table add, in `schemaInfo` form (`isConverted: true`).
+ */
+const conversionSchema = (conversions, sheetName, reportingCurrency) => (conversions || [])
+    .filter(conversion => (conversion.sheetName || null) === (sheetName || null))
+    .flatMap(conversion => {
+        const names = conversionColumnNames(conversion.amountColumn, reportingCurrency);
+        const conversionText = describeConversion(conversion, reportingCurrency);
+        return [
+            { name: names.amount, type: 'number', format: null, isConverted: true, conversion: conversionText, description: `Amount in ${reportingCurrency}; empty when no rate is available` },
+            { name: names.rate, type: 'number', format: null, isConverted: true, conversion: conversionText, description: `Rate used: 1 unit of the source currency in ${reportingCurrency}` },
+            { name: names.date, type: 'date', format: 'YYYY-MM-DD', isConverted: true, conversion: conversionText, description: 'Date of the rate used (empty for amounts already in the reporting currency)' },
+        ];
+    });
+
+const roundAmount = (value) => String(Math.round(value * 1e10) / 1e10);
+
+/**
+ * Prepares the conversions of one table for evaluation.
+ * Conversions whose columns are gone (e.g. dropped by a PII policy) evaluate to empty cells instead of failing the read.
+ * @param {object[]} schemaInfo - Columns of the table, computed columns included (effective types and formats).
+ * @param {object[]} conversions - The dataset's `currencyConversions`.
+ * @param {string|null} sheetName
+ * @param {object} converter - From fxRateService.loadConverter().
+ * @returns {{ columns: object[], evaluate: (row: object) => object }|null} null when the table has no conversions.
+ *   `evaluate` takes a row holding the computed values and returns the added values as cell text, keyed by column name.
+ */
+const compileConversions = (schemaInfo, conversions, sheetName, converter) => {
+    const definitions = (conversions || []).filter(conversion => (conversion.sheetName || null) === (sheetName || null));
+    if (definitions.length === 0) return null;
+    const columnsByName = new Map((schemaInfo || []).map(col => [col.name, col]));
+    const readCell = (row, name) => {
+        const column = columnsByName.get(name);
+        if (!column) return null;
+        const { value, isValid } = parseCell(row?.[name], column);
+        return isValid ? value : null;
+    };
+
+    const evaluate = (row) => {
+        const result = {};
+        definitions.forEach(conversion => {
+            const names = conversionColumnNames(conversion.amountColumn, converter.reportingCurrency);
+            result[names.amount] = '';
+            result[names.rate] = '';
+            result[names.date] = '';
+            const amount = readCell(row, conversion.amountColumn);
+            const currency = conversion.currency || String(readCell(row, conversion.currencyColumn) ?? '').trim().toUpperCase();
+            if (typeof amount !== 'number' || !CURRENCY_CODE_REGEX.test(currency)) return;
+            let date = null;
+            if (conversion.dateColumn) {
+                date = readCell(row, conversion.dateColumn);
+                if (!(date instanceof Date)) return; // No date, no way to pick the rate
+                date = date.toISOString().slice(0, 10);
+            }
+            const found = converter.rateFor(currency, date);
+            if (!found) return;
+            result[names.amount] = roundAmount(amount * found.rate);
+            result[names.rate] = roundAmount(found.rate);
+            result[names.date] = found.date || '';
+        });
+        return result;
+    };
+    return { columns: conversionSchema(definitions, sheetName, converter.reportingCurrency), evaluate };
+};
+
+/**
+ * Short identifier of the conversions and the rates they use (fxRateService.getConversionRevision()), so copies made
+ * for the report worker change with either.
+ * @returns {string|null} null when there are no conversions.
+ */
+const conversionFingerprint = (conversions, fxRevision) => {
+    if (!conversions || conversions.length === 0) return null;
+    const definition = JSON.stringify({
+        conversions: conversions.map(({ sheetName, amountColumn, currencyColumn, currency, dateColumn }) => [sheetName || null, amountColumn, currencyColumn || null, currency || null, dateColumn || null]),
+        fxRevision: fxRevision || null,
+    });
+    return crypto.createHash('sha256').update(definition).digest('hex').slice(0, 12);
+};
+
+module.exports = {
+    conversionColumnNames,
+    normalizeConversions,
+    conversionSchema,
+    compileConversions,
+    conversionFingerprint,
+};
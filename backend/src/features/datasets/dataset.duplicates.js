@@ -0,0 +1,155 @@
+// backend/src/features/datasets/dataset.duplicates.js
+// ** NEW FILE **
+// Finds uploads that repeat data the user already has: byte-identical to an existing dataset or to any of its
+// versions (SHA-256 of the stored file), or near-duplicates where one file holds every row of the other plus more
+// (e.g. a cumulative export uploaded after last month's). Row comparison covers single-table files read whole; a
+// bottom-k sketch of row hashes kept on each dataset picks the few candidates whose files are then compared exactly.
+
+const crypto = require('crypto');
+const Dataset = require('./dataset.model');
+const logger = require('../../shared/utils/logger');
+const { codedError } = require('../../shared/utils/codedError');
+const { getStorage } = require('../../shared/storage');
+const { readTablesFromGCS } = require('./dataset.reader');
+
+const MAX_ROW_READ_BYTES = 50 * 1024 * 1024; // Larger files get a content hash only
+const SKETCH_SIZE = 128;
+const MAX_COMPARED_FILES = 3; // Existing files read per upload to confirm a near-duplicate
+
+const shortHash = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+// SHA-256 of the stored object, streamed so large files are not held in memory
+const hashStoredFile = (gcsPath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    getStorage().createReadStream(gcsPath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Distinct row hashes of a single-table file. Values are keyed by column name, so files with the columns in another
+ * order still match; CSV numbers are compared after normalization (see dataset.parseOptions.js).
+ * @returns {Promise<{ headerHash: string, hashes: Set<string> }|null>} null for workbooks with several sheets and files
+ *   over MAX_ROW_READ_BYTES.
+ */
+const readRowHashes = async (gcsPath, parseOptions) => {
+    const { tables, isPartial } = await readTablesFromGCS(gcsPath, { maxBytes: MAX_ROW_READ_BYTES, parseOptions });
+    const nonEmpty = tables.filter(table => table.headers.length > 0);
+    if (isPartial || nonEmpty.length !== 1) return null;
+    const headers = [...nonEmpty[0].headers].sort();
+    return {
+        headerHash: shortHash(JSON.stringify(headers)),
+        hashes: new Set(nonEmpty[0].rows.map(row => shortHash(JSON.stringify(headers.map(header => String(row[header] ?? '').trim()))))),
+    };
+};
+
+/**
+ * Content hash and row signature of an uploaded file, stored on the dataset (and its version).
+ * `rowHashes` is only kept for findDuplicates.
+ * @returns {Promise<{ contentHash: string, rowSignature: object|undefined, rowHashes: Set<string>|null }>}
+ */
+const fingerprintUpload = async (gcsPath) => {
+    const contentHash = await hashStoredFile(gcsPath);
+    let rows = null;
+    try {
+        rows = await readRowHashes(gcsPath);
+    } catch (error) {
+        logger.warn(`Could not read the rows of ${gcsPath} for duplicate detection: ${error.message}`);
+    }
+    const rowSignature = rows
+        ? { headerHash: rows.headerHash, rowCount: rows.hashes.size, sketch: [...rows.hashes].sort().slice(0, SKETCH_SIZE) }
+        : undefined;
+    return { contentHash, rowSignature, rowHashes: rows?.hashes || null };
+};
+
+/**
+ * Whether `outer` may hold every row of `inner` plus more. Of two bottom-k sketches, every hash of the inner one up to
+ * the outer sketch's largest entry must be in the outer sketch; a full sketch check is exact for small files.
+ */
+const mayContain = (outer, inner) => {
+    if (!outer || !inner || outer.headerHash !== inner.headerHash || outer.rowCount <= inner.rowCount) return false;
+    const outerSketch = new Set(outer.sketch);
+    const limit = outer.sketch.length < SKETCH_SIZE ? null : outer.sketch[outer.sketch.length - 1];
+    return inner.sketch.every(hash => outerSketch.has(hash) || (limit !== null && hash > limit));
+};
+
+const isStrictSuperset = (outer, inner) => outer.size > inner.size && [...inner].every(hash => outer.has(hash));
+
+/**
+ * Datasets of the user that an upload duplicates.
+ * @param {string} userId
+ * @param {object} fingerprint - From fingerprintUpload().
+ * @param {object} [options]
+ * @param {string} [options.datasetId] - Dataset the file is uploaded to as a new version; it is only checked for
+ *   identical versions, since a new version usually extends the previous file.
+ * @returns {Promise<Array<{ datasetId, datasetName: string, kind: 'identical'|'superset'|'subset', versionNumbers: number[],
+ *   isActiveVersion: boolean, rowCount?: number, extraRows?: number }>>} `superset`: the upload holds every row of the
+ *   dataset's active version plus `extraRows`; `subset`: the other way round.
+ */
+const findDuplicates = async (userId, { contentHash, rowSignature, rowHashes }, { datasetId = null } = {}) => {
+    const identical = await Dataset.find({ ownerId: userId, $or: [{ contentHash }, { 'versions.contentHash': contentHash }] })
+        .select('name activeVersion contentHash versions.versionNumber versions.contentHash')
+        .lean();
+    const matches = identical.map(dataset => {
+        const versionNumbers = dataset.versions?.length > 0
+            ? dataset.versions.filter(version => version.contentHash === contentHash).map(version => version.versionNumber)
+            : [dataset.activeVersion || 1];
+        return { datasetId: dataset._id, datasetName: dataset.name, kind: 'identical', versionNumbers, isActiveVersion: versionNumbers.includes(dataset.activeVersion || 1) };
+    });
+    if (!rowSignature || !rowHashes) return matches;
+
+    const excludedIds = identical.map(dataset => dataset._id).concat(datasetId ? [datasetId] : []);
+    const candidates = (await Dataset.find({ ownerId: userId, _id: { $nin: excludedIds }, 'rowSignature.headerHash': rowSignature.headerHash })
+        .select('name activeVersion gcsPath parseOptions rowSignature')
+        .lean())
+        .filter(dataset => mayContain(rowSignature, dataset.rowSignature) || mayContain(dataset.rowSignature, rowSignature))
+        .slice(0, MAX_COMPARED_FILES);
+    for (const dataset of candidates) {
+        let other = null;
+        try {
+            other = await readRowHashes(dataset.gcsPath, dataset.parseOptions || undefined);
+        } catch (error) {
+            logger.warn(`Could not compare an upload with dataset ${dataset._id}: ${error.message}`);
+        }
+        if (!other) continue;
+        const kind = (isStrictSuperset(rowHashes, other.hashes) && 'superset') || (isStrictSuperset(other.hashes, rowHashes) && 'subset');
+        if (!kind) continue;
+        matches.push({
+            datasetId: dataset._id, datasetName: dataset.name, kind, versionNumbers: [dataset.activeVersion || 1], isActiveVersion: true,
+            rowCount: other.hashes.size, extraRows: Math.abs(rowHashes.size - other.hashes.size),
+        });
+    }
+    return matches;
+};
+
+/**
+ * Fingerprints a verified upload and refuses it when it duplicates existing data, unless the user chose to keep it.
+ * The upload stays in storage so the client can link to the existing dataset (discarding the upload), replace it
+ * (upload as its new version) or keep both.
+ * @returns {Promise<{ contentHash: string, rowSignature: object|undefined }>} Fields to store with the file.
+ * @throws {Error} DUPLICATE_UPLOAD (409) with `details: { uploadId, gcsPath, matches }` (see findDuplicates).
+ */
+const assertNotDuplicate = async (userId, { gcsPath, uploadId }, { datasetId, allowDuplicate = false } = {}) => {
+    const fingerprint = await fingerprintUpload(gcsPath);
+    const matches = await findDuplicates(userId, fingerprint, { datasetId });
+    if (matches.length > 0) {
+        logger.info(`Upload ${gcsPath} duplicates ${matches.map(match => `${match.datasetId} (${match.kind})`).join(', ')}${allowDuplicate ? '; kept as requested' : ''}`);
+        if (!allowDuplicate) {
+            const [first] = matches;
+            const message = first.kind === 'identical'
+                ? `This file is identical to "${first.datasetName}" (version ${first.versionNumbers.join(', ')}).`
+                : first.kind === 'superset'
+                    ? `This file contains all rows of "${first.datasetName}" plus ${first.extraRows} more.`
+                    : `All rows of this file are already in "${first.datasetName}", which has ${first.extraRows} more.`;
+            throw codedError(message, 'DUPLICATE_UPLOAD', 409, { uploadId, gcsPath, matches });
+        }
+    }
+    return { contentHash: fingerprint.contentHash, rowSignature: fingerprint.rowSignature };
+};
+
+module.exports = {
+    fingerprintUpload,
+    findDuplicates,
+    assertNotDuplicate,
+};
@@ -1,14 +1,219 @@
 // backend/src/features/datasets/dataset.model.js
 // ** NEW FILE **
 const mongoose = require('mongoose');
+const { COLUMN_TYPES } = require('./dataset.typeInference');
+const { STATEMENT_FILE_TYPES } = require('./dataset.statementParsers');
+const { RELATIONSHIP_CARDINALITIES } = require('./dataset.relationships');
+const { QUALITY_RULE_TYPES } = require('./dataset.qualityRules');
+const { PII_KINDS, PII_POLICIES } = require('./dataset.pii');
 
-// Basic representation of schema info derived from headers
+const FILE_TYPES = ['csv', 'tsv', 'xlsx', 'xls', ...STATEMENT_FILE_TYPES];
+
+// Column schema derived from the header row plus a sample of data rows (see dataset.typeInference.js)
 const ColumnSchema = new mongoose.Schema({
     name: { type: String, required: true }, // Original header name
-    type: { type: String, default: 'string' }, // Inferred type (keep simple for now)
-    // Add more like 'format' later if needed
+    type: { type: String, enum: COLUMN_TYPES, default: 'string' }, // Effective type (inferred, or user override)
+    format: { type: String, default: null }, // Effective value format, e.g. '$#,##0.00' or 'DD/MM/YYYY'
+    inferredType: { type: String, enum: COLUMN_TYPES, default: 'string' }, // What ingestion detected
+    inferredFormat: { type: String, default: null },
+    isTypeOverridden: { type: Boolean, default: false }, // True once the user changed type/format in the UI
+    piiKind: { type: String, enum: [...PII_KINDS, null], default: null }, // Personal data detected at ingestion (dataset.pii.js)
+}, { _id: false });
+
+// Statistics for one column, computed from the full file by dataset.profiler.js
+const ColumnProfileSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    type: { type: String }, // Column type the statistics were computed with
+    nullCount: { type: Number, default: 0 }, // Empty cells and null placeholders
+    distinctCount: { type: Number, default: 0 },
+    invalidCount: { type: Number, default: 0 }, // Non-empty values that do not parse as the column type
+    min: Number, max: Number, mean: Number, // Numeric types only
+    minDate: Date, maxDate: Date, // Date types only
+    topValues: [{ _id: false, value: String, count: Number }], // Categorical/boolean only
+    examples: [String], // A few distinct values from across the file
+}, { _id: false });
+
+// Table-level profile. Workbooks keep `status`/`profiledAt`/`error` on the dataset and the statistics per sheet.
+const ProfileSchema = new mongoose.Schema({
+    status: { type: String, enum: ['pending', 'running', 'complete', 'failed'] },
+    rowCount: Number,
+    columns: [ColumnProfileSchema],
+    sampleRows: { type: [[String]], default: undefined }, // A few rows from across the file, cells in `columns` order
+    isPartial: { type: Boolean, default: false }, // True when only the first MAX_PROFILE_READ_BYTES were profiled
+    profiledAt: Date,
+    error: String,
+}, { _id: false });
+
+// One table per worksheet of an Excel workbook. CSV/TSV datasets keep their columns in the top-level schemaInfo.
+const SheetSchema = new mongoose.Schema({
+    name: { type: String, required: true }, // Worksheet name as it appears in the workbook
+    schemaInfo: [ColumnSchema],
+    columnDescriptions: { type: Map, of: String, default: {} },
+    isIncluded: { type: Boolean, default: true }, // Owner can exclude sheets from prompts/reports
+    profile: { type: ProfileSchema, default: undefined },
+}, { _id: false });
+
+// How a CSV/TSV file is written, detected at ingestion by dataset.parseOptions.js. Readers (profiling, the
+// report worker) decode and split the file with these and normalize numbers to "1234.56" form.
+const ParseOptionsSchema = new mongoose.Schema({
+    encoding: { type: String, enum: ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'], default: 'utf-8' },
+    hasBom: { type: Boolean, default: false },
+    delimiter: { type: String, enum: [',', ';', '\t', '|'], default: ',' },
+    quoteChar: { type: String, enum: ['"', "'"], default: '"' },
+    decimalSeparator: { type: String, enum: ['.', ','], default: '.' },
+    thousandsSeparator: { type: String, enum: [',', '.', ' '], default: ',' },
+}, { _id: false });
+
+// Rows of a single-table file, summarized at ingestion to find uploads that contain all rows of another
+// (dataset.duplicates.js). Absent on workbooks with several sheets, files too large to read whole and older records.
+const RowSignatureSchema = new mongoose.Schema({
+    headerHash: { type: String, required: true }, // Same set of column names, in any order
+    rowCount: { type: Number, required: true }, // Distinct rows
+    sketch: { type: [String], default: [] }, // Smallest row hashes (bottom-k), a cheap filter before the files are compared
 }, { _id: false });
 
+// Result of checking a relationship against the key values of both tables (dataset.relationships.js)
+const RelationshipValidationSchema = new mongoose.Schema({
+    status: { type: String, enum: ['valid', 'warning', 'invalid'] },
+    matchRate: Number, // Share of distinct source keys found in the target column
+    sourceKeyCount: Number,
+    matchedKeyCount: Number,
+    targetKeyCount: Number,
+    duplicateSourceKeys: Number,
+    duplicateTargetKeys: Number,
+    unmatchedSamples: [String],
+    messages: [String],
+    isPartial: { type: Boolean, default: false }, // True when a file was only read up to MAX_PROFILE_READ_BYTES
+    checkedAt: Date,
+}, { _id: false });
+
+// Declared join from a column of this dataset to a column of another dataset of the same owner,
+// e.g. invoices.customer_id -> customers.id (many-to-one). Shared by all versions, like column descriptions.
+const RelationshipSchema = new mongoose.Schema({
+    sheetName: { type: String, default: null }, // Worksheet holding `column` (workbooks only)
+    column: { type: String, required: true },
+    targetDatasetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Dataset', required: true },
+    targetSheetName: { type: String, default: null },
+    targetColumn: { type: String, required: true },
+    cardinality: { type: String, enum: RELATIONSHIP_CARDINALITIES, default: 'many-to-one' },
+    validation: { type: RelationshipValidationSchema, default: undefined },
+    createdAt: { type: Date, default: Date.now },
+});
+
+// Owner-defined check run on every ingested file (dataset.qualityRules.js). Shared by all versions.
+const QualityRuleSchema = new mongoose.Schema({
+    type: { type: String, enum: QUALITY_RULE_TYPES, required: true },
+    sheetName: { type: String, default: null }, // Worksheet the rule applies to (workbooks only)
+    column: String, // All types except exactly_one_of
+    columns: { type: [String], default: undefined }, // exactly_one_of, e.g. ['debit', 'credit']
+    min: String, max: String, // date_range bounds, YYYY-MM-DD (inclusive)
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// How a column holding personal data reaches the AI and the report worker (dataset.pii.js). Shared by all versions.
+const PiiPolicySchema = new mongoose.Schema({
+    sheetName: { type: String, default: null }, // Worksheet of the column (workbooks only)
+    column: { type: String, required: true },
+    kind: { type: String, enum: [...PII_KINDS, null], default: null }, // Detected kind; null for columns the owner flagged
+    policy: { type: String, enum: PII_POLICIES, default: 'mask' },
+}, { _id: false });
+
+// Derived column evaluated at read time (dataset.computedColumns.js). Shared by all versions.
+const ComputedColumnSchema = new mongoose.Schema({
+    sheetName: { type: String, default: null }, // Worksheet the column is added to (workbooks only)
+    name: { type: String, required: true },
+    expression: { type: String, required: true }, // e.g. "credit - debit" or "format(date, 'YYYY-MM')"
+    type: { type: String, enum: COLUMN_TYPES, default: 'string' }, // Result type, derived from the expression
+    format: { type: String, default: null }, // Format the values are written in, e.g. 'YYYY-MM-DD' for dates
+    description: { type: String, default: '' },
+});
+
+// Named key -> value table used by lookup() in computed columns, e.g. account number -> category
+const MappingSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    entries: [{ _id: false, key: String, value: String }],
+    defaultValue: { type: String, default: null }, // Result for keys not in the table (lookup's third argument wins)
+}, { _id: false });
+
+// Amount column converted into the owner's reporting currency at read time (dataset.currency.js). Shared by all versions.
+const CurrencyConversionSchema = new mongoose.Schema({
+    sheetName: { type: String, default: null }, // Worksheet of the columns (workbooks only)
+    amountColumn: { type: String, required: true }, // Numeric source or computed column
+    currencyColumn: { type: String, default: null }, // Column holding ISO codes per row...
+    currency: { type: String, default: null }, // ...or one ISO code for the whole table, e.g. 'EUR'
+    dateColumn: { type: String, default: null }, // Rate date per row; null uses the latest rate
+});
+
+// Outcome of one rule (or of the built-in "values parse as the column type" check) for one file
+const QualityResultSchema = new mongoose.Schema({
+    ruleId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null for built-in checks
+    type: String,
+    sheetName: { type: String, default: null },
+    columns: [String],
+    description: String,
+    failedCount: { type: Number, default: 0 },
+    checkedCount: { type: Number, default: 0 },
+    samples: [{ _id: false, rowNumber: Number, value: String }], // First failing rows (1-based data rows)
+    isBuiltIn: { type: Boolean, default: false },
+}, { _id: false });
+
+// Quality of a file, evaluated by the profiling job. 'warning' means at least one check failed.
+const QualityReportSchema = new mongoose.Schema({
+    status: { type: String, enum: ['pending', 'passed', 'warning', 'error'] },
+    issueCount: { type: Number, default: 0 },
+    results: [QualityResultSchema],
+    isPartial: { type: Boolean, default: false },
+    checkedAt: Date,
+}, { _id: false });
+
+// One uploaded file of a dataset. The dataset's top-level file fields (gcsPath, schemaInfo, sheets, profile, ...)
+// mirror the active version; the schema/profile snapshot kept here is what gets restored when switching versions.
+const DatasetVersionSchema = new mongoose.Schema({
+    versionNumber: { type: Number, required: true }, // 1-based, increases with every upload
+    gcsPath: { type: String, required: true }, // Older versions stay in storage until the dataset is deleted
+    originalFilename: { type: String, required: true },
+    fileSizeBytes: Number,
+    fileType: { type: String, enum: FILE_TYPES, default: 'csv' },
+    normalizedGcsPath: { type: String, default: undefined },
+    parseOptions: { type: ParseOptionsSchema, default: undefined },
+    contentHash: { type: String, default: undefined },
+    rowSignature: { type: RowSignatureSchema, default: undefined },
+    schemaInfo: [ColumnSchema],
+    sheets: [SheetSchema],
+    profile: { type: ProfileSchema, default: undefined },
+    quality: { type: QualityReportSchema, default: undefined },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Versions written by appends (dataset.appends.js): the file the batches were replayed onto and the batches it holds
+    appendRootVersion: { type: Number, default: undefined },
+    appliedBatchIds: { type: [mongoose.Schema.Types.ObjectId], default: undefined },
+    appendBatchId: { type: mongoose.Schema.Types.ObjectId, default: undefined }, // Batch whose append created the version
+    undoneBatchId: { type: mongoose.Schema.Types.ObjectId, default: undefined }, // Batch whose undo created the version
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// One upload appended to the dataset. The raw file is kept with the mapping and key used, so the batch can be undone
+// by replaying the others onto the version they started from.
+const AppendBatchSchema = new mongoose.Schema({
+    gcsPath: { type: String, required: true }, // The uploaded extract as received
+    originalFilename: { type: String, required: true },
+    fileSizeBytes: Number,
+    fileType: { type: String, enum: FILE_TYPES, default: 'csv' },
+    parseOptions: { type: ParseOptionsSchema, default: undefined },
+    columnMapping: [{ _id: false, source: String, target: String, match: String }], // Incoming header -> dataset column
+    addedColumns: [String],
+    missingColumns: [String], // Dataset columns the file did not have (left empty)
+    dedupeKey: [String], // Empty: whole rows were compared
+    rowCount: { type: Number, default: 0 },
+    appendedRowCount: { type: Number, default: 0 },
+    duplicateRowCount: { type: Number, default: 0 },
+    baseVersion: Number, // Active version the batch was appended to
+    resultVersion: Number, // Version holding the merged file
+    status: { type: String, enum: ['applied', 'undone'], default: 'applied' },
+    undoneAt: Date,
+    undoneInVersion: Number, // Version made active by the undo
+    appendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+});
+
 const DatasetSchema = new mongoose.Schema({
   name: { // User-provided name or filename initially
     type: String,
@@ -45,12 +250,43 @@ const DatasetSchema = new mongoose.Schema({
     index: true,
     default: null,
   },
-  schemaInfo: [ColumnSchema], // Array of columns derived from headers
-  columnDescriptions: { // User-provided descriptions (Phase 8)
+  fileType: { // Lower-case extension without the dot (statement format for bank statements), decides how the file is parsed end-to-end
+      type: String,
+      enum: FILE_TYPES,
+      default: 'csv',
+  },
+  normalizedGcsPath: { // Bank statements only: the canonical transactions table as CSV, read by the report worker
+      type: String,
+      default: undefined,
+  },
+  parseOptions: { type: ParseOptionsSchema, default: undefined }, // CSV/TSV only; absent on workbooks and older records
+  contentHash: { type: String, default: undefined }, // SHA-256 of the uploaded bytes; identical uploads are flagged (absent on older records)
+  rowSignature: { type: RowSignatureSchema, default: undefined },
+  schemaInfo: [ColumnSchema], // Array of columns with inferred types (single-table files)
+  sheets: [SheetSchema], // Worksheets (Excel workbooks only)
+  profile: { type: ProfileSchema, default: () => ({ status: 'pending' }) }, // Filled in by the profiling job after upload
+  quality: { type: QualityReportSchema, default: () => ({ status: 'pending' }) }, // Rule results, evaluated with the profile
+  versions: [DatasetVersionSchema], // Every uploaded file, oldest first
+  activeVersion: { type: Number, default: 1 }, // versionNumber currently mirrored at the top level
+  appendBatches: [AppendBatchSchema], // Uploads appended to the dataset, oldest first
+  appendKey: { type: [String], default: [] }, // Default dedupe key for appends (empty: whole rows)
+  columnDescriptions: { // User-provided descriptions (Phase 8). Shared by all versions, keyed by column name
     type: Map,
     of: String,
     default: {},
   },
+  qualityRules: [QualityRuleSchema], // Checked against every ingested file
+  relationships: [RelationshipSchema], // Outgoing relationships; the target side is found by targetDatasetId
+  piiPolicies: [PiiPolicySchema], // Detected columns start as 'mask'; owners can allow, hash or drop them instead
+  computedColumns: [ComputedColumnSchema], // Appended to schemaInfo (or the sheet's) when the data is read
+  mappings: [MappingSchema], // Lookup tables for computed columns
+  currencyConversions: [CurrencyConversionSchema], // Converted amounts follow the computed columns when the data is read
+  tags: { type: [String], default: [] }, // User-managed labels for filtering the library and the dashboard picker
+  folder: { type: String, trim: true, default: null }, // Optional folder path, e.g. "Finance/2024" (null = not filed)
+  includeSamplesInContext: { // Opt-in: send redacted sample rows and example values to the AI (see prompt.service.js)
+    type: Boolean,
+    default: false,
+  },
   isIgnored: { // Flag to hide dataset from prompt selection maybe?
     type: Boolean,
     default: false,
@@ -65,6 +301,12 @@ const DatasetSchema = new mongoose.Schema({
   }
 });
 
+// The library lists a user's datasets newest first, filtered by tags or folder (see listDatasetsByUser)
+DatasetSchema.index({ ownerId: 1, createdAt: -1 });
+DatasetSchema.index({ ownerId: 1, tags: 1 });
+DatasetSchema.index({ ownerId: 1, folder: 1 });
+DatasetSchema.index({ ownerId: 1, contentHash: 1 });
+
 // Update lastUpdatedAt on save
 DatasetSchema.pre('save', function(next) {
   this.lastUpdatedAt = new Date();
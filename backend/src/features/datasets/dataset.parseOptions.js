@@ -0,0 +1,170 @@
+// backend/src/features/datasets/dataset.parseOptions.js
+// ** NEW FILE **
+// Detects how a delimited text file is written (encoding, BOM, delimiter, quote character, decimal and
+// thousands separators) and normalizes its cells so the rest of the pipeline always sees "1234.56"-style numbers.
+// European bank exports typically use semicolons, decimal commas and Windows-1252 or UTF-16 encodings.
+
+const Papa = require('papaparse');
+
+const DEFAULT_PARSE_OPTIONS = {
+    encoding: 'utf-8',
+    hasBom: false,
+    delimiter: ',',
+    quoteChar: '"',
+    decimalSeparator: '.',
+    thousandsSeparator: ',',
+};
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const DETECTION_SAMPLE_ROWS = 200;
+const NUMBER_AFFIX_REGEX = /^[\s()+\-$€£¥₹%]*(?:[A-Z]{3})?[\s()+\-$€£¥₹%]*$/;
+
+/**
+ * Detects the text encoding from the BOM, NUL byte layout (UTF-16 without BOM) or UTF-8 validity.
+ * Invalid UTF-8 is assumed to be Windows-1252, the usual encoding of Excel "CSV" exports on Windows.
+ * @param {Buffer} buffer
+ * @returns {{ encoding: 'utf-8'|'utf-16le'|'utf-16be'|'windows-1252', hasBom: boolean }}
+ */
+const detectEncoding = (buffer) => {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf-8', hasBom: true };
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf-16le', hasBom: true };
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf-16be', hasBom: true };
+
+    const sample = buffer.subarray(0, 4096);
+    let evenNuls = 0;
+    let oddNuls = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenNuls++;
+            else oddNuls++;
+        }
+    }
+    // ASCII text in UTF-16 has a NUL in every other byte
+    if (oddNuls > sample.length / 4 && evenNuls === 0) return { encoding: 'utf-16le', hasBom: false };
+    if (evenNuls > sample.length / 4 && oddNuls === 0) return { encoding: 'utf-16be', hasBom: false };
+
+    try {
+        // stream: true tolerates a multi-byte character cut off by a byte-range read
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return { encoding: 'utf-8', hasBom: false };
+    } catch {
+        return { encoding: 'windows-1252', hasBom: false };
+    }
+};
+
+/**
+ * Decodes file bytes to text with the given encoding, dropping a BOM.
+ * @param {Buffer} buffer
+ * @param {string} [encoding='utf-8']
+ */
+const decodeText = (buffer, encoding = 'utf-8') => new TextDecoder(encoding).decode(buffer).replace(/^\uFEFF/, '');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A quote character only counts when it opens fields, i.e. follows a line start or a delimiter
+const detectQuoteChar = (text) => {
+    const countOpeningQuotes = (quote) => (text.match(new RegExp(`(^|[,;\\t|])${escapeRegex(quote)}`, 'gm')) || []).length;
+    return countOpeningQuotes('"') === 0 && countOpeningQuotes("'") > 0 ? "'" : '"';
+};
+
+/**
+ * Counts which decimal separator the numeric-looking cells use. "1.234,56", "12,5" and "1.234.567" vote for
+ * a decimal comma; "1,234.56", "12.5" and "1,234,567" for a decimal point. "1,234" alone is ambiguous.
+ */
+const detectNumberSeparators = (rows) => {
+    let commaDecimal = 0;
+    let pointDecimal = 0;
+    let spaceGrouping = 0;
+    for (const row of rows) {
+        for (const raw of Object.values(row || {})) {
+            if (typeof raw !== 'string') continue;
+            const text = raw.trim();
+            const core = text.match(/\d[\d.,\s']*/)?.[0]?.trim();
+            if (!core || !NUMBER_AFFIX_REGEX.test(text.replace(core, ''))) continue;
+            if (/\d\s\d{3}(?!\d)/.test(core)) spaceGrouping++;
+            const compact = core.replace(/[\s']/g, '');
+            const lastComma = compact.lastIndexOf(',');
+            const lastPoint = compact.lastIndexOf('.');
+            if (lastComma >= 0 && lastPoint >= 0) {
+                if (lastComma > lastPoint) commaDecimal++;
+                else pointDecimal++;
+            } else if (/^\d+,\d+$/.test(compact) && !/^\d{1,3},\d{3}$/.test(compact)) {
+                commaDecimal++;
+            } else if (/^\d+\.\d+$/.test(compact) && !/^\d{1,3}\.\d{3}$/.test(compact)) {
+                pointDecimal++;
+            } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(compact)) {
+                commaDecimal++;
+            } else if (/^\d{1,3}(,\d{3}){2,}$/.test(compact)) {
+                pointDecimal++;
+            }
+        }
+    }
+    if (commaDecimal > pointDecimal) {
+        return { decimalSeparator: ',', thousandsSeparator: spaceGrouping > 0 ? ' ' : '.' };
+    }
+    return { decimalSeparator: '.', thousandsSeparator: ',' };
+};
+
+/**
+ * Detects the parse options of a delimited text file from its first bytes.
+ * @param {Buffer} buffer - The file (or its first part).
+ * @param {string} [fileType] - 'tsv' defaults the delimiter to tab when detection is inconclusive.
+ * @returns {{ encoding: string, hasBom: boolean, delimiter: string, quoteChar: string, decimalSeparator: string, thousandsSeparator: string }}
+ */
+const detectParseOptions = (buffer, fileType) => {
+    const { encoding, hasBom } = detectEncoding(buffer);
+    const text = decodeText(buffer, encoding);
+    const quoteChar = detectQuoteChar(text.slice(0, 64 * 1024));
+    const fallbackDelimiter = fileType === 'tsv' ? '\t' : ',';
+    const guess = Papa.parse(text, { preview: DETECTION_SAMPLE_ROWS, quoteChar, skipEmptyLines: true, delimitersToGuess: DELIMITER_CANDIDATES });
+    // Single-column files have nothing to detect; Papa then reports UndetectableDelimiter
+    const isDetected = !(guess.errors || []).some(error => error.code === 'UndetectableDelimiter');
+    const delimiter = isDetected && DELIMITER_CANDIDATES.includes(guess.meta?.delimiter) ? guess.meta.delimiter : fallbackDelimiter;
+
+    const sample = Papa.parse(text, { header: true, preview: DETECTION_SAMPLE_ROWS, delimiter, quoteChar, skipEmptyLines: true });
+    return { encoding, hasBom, delimiter, quoteChar, ...detectNumberSeparators(sample.data || []) };
+};
+
+/**
+ * Rewrites a number written with the file's separators into the canonical form ("1.234,56 €" -> "1234.56 €").
+ * Currency symbols/codes, signs, parentheses and percent signs are kept; anything that is not clearly a
+ * number (dates such as "01.02.2024", times, text) is returned unchanged.
+ * @param {any} value
+ * @param {{ decimalSeparator?: string, thousandsSeparator?: string }} parseOptions
+ */
+const normalizeNumberText = (value, { decimalSeparator = '.', thousandsSeparator = ',' } = {}) => {
+    if (typeof value !== 'string' || (decimalSeparator === '.' && thousandsSeparator === ',')) return value;
+    const match = value.match(/\d[\d.,\s']*/);
+    if (!match) return value;
+    const core = match[0].trim();
+    const prefix = value.slice(0, match.index);
+    const suffix = value.slice(match.index + core.length);
+    if (!NUMBER_AFFIX_REGEX.test(prefix + suffix)) return value;
+
+    const groupSeparators = thousandsSeparator === ' ' ? '\\s' : escapeRegex(thousandsSeparator);
+    const decimal = escapeRegex(decimalSeparator);
+    const numberRegex = new RegExp(`^(\\d{1,3}(?:${groupSeparators}\\d{3})+|\\d+)(?:${decimal}(\\d+))?$`);
+    const number = core.match(numberRegex);
+    if (!number) return value;
+    const integerPart = number[1].replace(new RegExp(groupSeparators, 'g'), '');
+    return `${prefix}${integerPart}${number[2] !== undefined ? `.${number[2]}` : ''}${suffix}`;
+};
+
+/**
+ * Applies `normalizeNumberText` to every cell of parsed rows.
+ * @param {object[]} rows
+ * @param {object} parseOptions
+ */
+const normalizeRows = (rows, parseOptions) => {
+    if (!parseOptions || (parseOptions.decimalSeparator === '.' && parseOptions.thousandsSeparator === ',')) return rows;
+    return rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, normalizeNumberText(value, parseOptions)])));
+};
+
+module.exports = {
+    DEFAULT_PARSE_OPTIONS,
+    detectEncoding,
+    decodeText,
+    detectParseOptions,
+    normalizeNumberText,
+    normalizeRows,
+};
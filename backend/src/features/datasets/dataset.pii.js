@@ -0,0 +1,293 @@
+// backend/src/features/datasets/dataset.pii.js
+// ** NEW FILE **
+// Detects columns holding personal data (emails, phone numbers, IBANs, card numbers, tax IDs, person names) and
+// applies the owner's per-column policy - allow, mask, hash or drop - before data reaches the AI or the report worker.
+// Detection looks at the header and at the sampled values; policies are stored on the dataset (`piiPolicies`).
+
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { isBlank } = require('./dataset.valueParser');
+const { codedError } = require('../../shared/utils/codedError');
+
+const PII_KINDS = ['email', 'phone', 'iban', 'card_number', 'tax_id', 'person_name'];
+const PII_POLICIES = ['allow', 'mask', 'hash', 'drop'];
+const DEFAULT_DETECTED_POLICY = 'mask'; // Detected columns are protected until the owner decides otherwise
+
+const MIN_VALUE_MATCH_RATE = 0.6; // Share of non-empty sampled values that must look like the kind
+const MIN_HEADER_VALUE_MATCH_RATE = 0.3; // Lower bar when the header names the kind too, e.g. "Email" with "n/a" fillers
+const HASH_LENGTH = 16; // Hex characters kept of the HMAC
+const VALUE_CHECK_TYPES = ['string', 'categorical', 'integer', 'number']; // Card numbers are often inferred as numbers
+
+// Headers are compared lower-case with punctuation as spaces, so "Employee_SSN" reads "employee ssn"
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const HEADER_PATTERNS = {
+    email: /\be ?mail\b/,
+    phone: /\b(phone|mobile|cell|telephone|tel|fax)\b/,
+    iban: /\b(iban|bank account|account number|account no|acct no)\b/,
+    card_number: /\b(card number|card no|credit card|pan)\b/,
+    tax_id: /\b(ssn|tin|ein|nino|vat id|vat number|vat no|tax id|tax number|tax no|social security|national id|national insurance)\b/,
+    // A bare "Name" is as often a product, account or cost centre name: only qualified headers count
+    person_name: /^(first|last|given|family|full|middle|employee|customer|client|contact|payee|beneficiary|counterparty|account holder) name$|^(surname|employee|payee|beneficiary|counterparty)$/,
+};
+
+const compact = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+// ISO 13616 check: move the first four characters to the end, letters to numbers, remainder mod 97 must be 1
+const isValidIban = (value) => {
+    const iban = compact(value);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+    return remainder === 1;
+};
+
+const isValidCardNumber = (value) => {
+    const text = String(value).trim();
+    if (!/^[\d -]+$/.test(text)) return false;
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    // Luhn checksum
+    let sum = 0;
+    [...digits].reverse().forEach((digit, index) => {
+        let n = Number(digit);
+        if (index % 2 === 1) {
+            n *= 2;
+            if (n > 9) n -= 9;
+        }
+        sum += n;
+    });
+    return sum % 10 === 0;
+};
+
+// Value shapes; person names have none and are only found by header
+const VALUE_CHECKS = {
+    email: (text) => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(text),
+    iban: isValidIban,
+    card_number: isValidCardNumber,
+    // US SSN and EIN, UK National Insurance number
+    tax_id: (text) => /^\d{3}-\d{2}-\d{4}$/.test(text) || /^\d{2}-\d{7}$/.test(text) || /^[A-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]$/i.test(text),
+    // Needs a "+" or separators so plain integers (IDs, amounts) are not taken for phone numbers
+    phone: (text) => /^\+?[\d\s().-]+$/.test(text) && /[+\s().-]/.test(text) && (text.match(/\d/g) || []).length >= 7 && (text.match(/\d/g) || []).length <= 15,
+};
+
+/**
+ * Guesses which kind of personal data a column holds. Person names are found by header alone (they have no value
+ * shape); for the other kinds the values decide, the header only lowering the share of them that must match, so an
+ * "Account Number" column of ledger codes like 4000 is not taken for IBANs.
+ * @param {{ name: string, type: string }} column - Entry from `schemaInfo`.
+ * @param {object[]} rows - Sampled raw rows.
+ * @returns {string|null} One of PII_KINDS, or null.
+ */
+const detectColumnPii = (column, rows) => {
+    const header = normalizeHeader(column.name);
+    if (HEADER_PATTERNS.person_name.test(header)) return 'person_name';
+    if (!VALUE_CHECK_TYPES.includes(column.type)) return null;
+    const values = rows.map(row => row?.[column.name]).filter(value => !isBlank(value)).map(value => String(value).trim());
+    if (values.length === 0) return null;
+    const matchRate = (kind) => values.filter(VALUE_CHECKS[kind]).length / values.length;
+    const byHeader = Object.keys(VALUE_CHECKS).find(kind => HEADER_PATTERNS[kind].test(header));
+    if (byHeader && matchRate(byHeader) >= MIN_HEADER_VALUE_MATCH_RATE) return byHeader;
+    return Object.keys(VALUE_CHECKS).find(kind => matchRate(kind) >= MIN_VALUE_MATCH_RATE) || null;
+};
+
+/**
+ * Sets `piiKind` on every column of an inferred schema (null when nothing was found).
+ * @returns {object[]} The same columns, for chaining.
+ */
+const detectPii = (schemaInfo, rows) => {
+    (schemaInfo || []).forEach(column => { column.piiKind = detectColumnPii(column, rows || []); });
+    return schemaInfo;
+};
+
+const policyKey = (sheetName, column) => `${sheetName || ''}\u0000${column}`;
+
+/**
+ * Adds the default policy for detected columns that have none yet. Existing entries (the owner's decisions,
+ * possibly made on an earlier version) are kept as they are.
+ * @param {object[]} policies - Current `piiPolicies`.
+ * @param {Array<{ sheetName: string|null, schemaInfo: object[] }>} tables
+ * @returns {object[]}
+ */
+const addDetectedPolicies = (policies, tables) => {
+    const result = (policies || []).map(policy => ({ ...policy }));
+    const known = new Set(result.map(policy => policyKey(policy.sheetName, policy.column)));
+    tables.forEach(({ sheetName, schemaInfo }) => (schemaInfo || []).forEach(column => {
+        if (!column.piiKind || known.has(policyKey(sheetName, column.name))) return;
+        known.add(policyKey(sheetName, column.name));
+        result.push({ sheetName: sheetName || null, column: column.name, kind: column.piiKind, policy: DEFAULT_DETECTED_POLICY });
+    }));
+    return result;
+};
+
+/**
+ * Checks and normalizes the policies sent by the client. The list replaces the stored one; a column without an
+ * entry is sent unchanged, like 'allow'.
+ * @param {object[]} policies - `{ column, policy, sheetName? }` per column.
+ * @param {(sheetName: string|null) => object[]|null} columnsOf - Schema columns of a table, null for an unknown sheet.
+ * @param {boolean} isWorkbook - Workbook policies must name their sheet.
+ * @param {boolean} canHash - Whether a hashing key is configured.
+ * @returns {object[]} Policies ready to be stored, with the detected kind of each column.
+ * @throws {Error} PII_POLICY_INVALID (400) naming the first problem; PII_HASH_UNAVAILABLE (400) for 'hash' without a key.
+ */
+const normalizePolicies = (policies, columnsOf, isWorkbook, canHash) => {
+    if (!Array.isArray(policies)) throw codedError('policies must be an array.', 'PII_POLICY_INVALID');
+    const seen = new Set();
+    return policies.map((input, index) => {
+        const label = `Policy ${index + 1}`;
+        if (!PII_POLICIES.includes(input?.policy)) throw codedError(`${label}: policy must be one of ${PII_POLICIES.join(', ')}.`, 'PII_POLICY_INVALID');
+        if (input.policy === 'hash' && !canHash) {
+            throw codedError(`${label}: hashing is not available because no hashing key is configured on the server.`, 'PII_HASH_UNAVAILABLE');
+        }
+        const sheetName = isWorkbook ? input.sheetName || null : null;
+        if (isWorkbook && !sheetName) throw codedError(`${label}: sheetName is required for workbooks.`, 'PII_POLICY_INVALID');
+        const columns = columnsOf(sheetName);
+        if (!columns) throw codedError(`${label}: unknown sheet "${sheetName}".`, 'PII_POLICY_INVALID');
+        const column = columns.find(col => col.name === input.column);
+        if (!column) throw codedError(`${label}: unknown column "${input.column}".`, 'PII_POLICY_INVALID');
+        const key = policyKey(sheetName, column.name);
+        if (seen.has(key)) throw codedError(`${label}: column "${column.name}" has more than one policy.`, 'PII_POLICY_INVALID');
+        seen.add(key);
+        return { sheetName, column: column.name, kind: column.piiKind || null, policy: input.policy };
+    });
+};
+
+/**
+ * Policies that change data for one table, as a Map of column name -> policy ('mask' | 'hash' | 'drop').
+ */
+const tablePolicies = (policies, sheetName) => new Map((policies || [])
+    .filter(policy => (policy.sheetName || null) === (sheetName || null) && policy.policy !== 'allow')
+    .map(policy => [policy.column, policy]));
+
+/**
+ * Short identifier of the policies that change data, plus the hashing key when one is used. Redacted copies of a
+ * file are stored under this fingerprint, so changing a policy (or the key) produces a fresh copy.
+ * @returns {string|null} null when every column is allowed.
+ */
+const policyFingerprint = (policies, hashSecret) => {
+    const active = (policies || [])
+        .filter(policy => policy.policy !== 'allow')
+        .map(policy => `${policy.sheetName || ''}|${policy.column}|${policy.policy}|${policy.kind || ''}`)
+        .sort();
+    if (active.length === 0) return null;
+    const usesHash = (policies || []).some(policy => policy.policy === 'hash');
+    return crypto.createHash('sha256').update(active.join('\n') + (usesHash ? `\n${hashSecret}` : '')).digest('hex').slice(0, 12);
+};
+
+// Redacted copies live next to the uploaded file: '<gcsPath>.redacted-<fingerprint>.csv' (.xlsx for workbooks)
+const redactedCopyPrefix = (gcsPath) => `${gcsPath}.redacted-`;
+const redactedCopyPath = (gcsPath, fingerprint, isWorkbookFile) => `${redactedCopyPrefix(gcsPath)}${fingerprint}.${isWorkbookFile ? 'xlsx' : 'csv'}`;
+
+// "****1234" for identifiers, "j***@example.com" for emails, "***" for everything else
+const maskValue = (value, kind) => {
+    const text = String(value).trim();
+    if (kind === 'email' && text.includes('@')) {
+        const [local, domain] = text.split('@');
+        return `${local.slice(0, 1)}***@${domain}`;
+    }
+    if (['card_number', 'iban', 'phone', 'tax_id'].includes(kind)) {
+        const characters = text.replace(/[^A-Za-z0-9]/g, '');
+        return characters.length > 8 ? `****${characters.slice(-4)}` : '****';
+    }
+    return '***';
+};
+
+// Same value (ignoring case and surrounding spaces) -> same token for the same owner, so grouping and joins still work
+const hashValue = (value, { hashSecret, ownerId }) => crypto
+    .createHmac('sha256', hashSecret)
+    .update(`${ownerId}:${String(value).trim().toLowerCase()}`)
+    .digest('hex')
+    .slice(0, HASH_LENGTH);
+
+const redactValue = (value, policy, keys) => (policy.policy === 'hash' ? hashValue(value, keys) : maskValue(value, policy.kind));
+
+/**
+ * Applies a table's policies to raw rows: dropped columns are removed, masked and hashed ones rewritten.
+ * Empty cells stay empty.
+ * @param {object[]} rows
+ * @param {Map<string, object>} policiesByColumn - From tablePolicies().
+ * @param {{ hashSecret?: string, ownerId: string }} keys - Needed when a column is hashed.
+ * @returns {object[]} New row objects.
+ */
+const redactRows = (rows, policiesByColumn, keys) => {
+    if (policiesByColumn.size === 0) return rows;
+    return rows.map(row => {
+        const redacted = {};
+        Object.entries(row || {}).forEach(([column, value]) => {
+            const policy = policiesByColumn.get(column);
+            if (!policy) redacted[column] = value;
+            else if (policy.policy === 'drop') return;
+            else if (isBlank(value)) redacted[column] = value;
+            else redacted[column] = redactValue(value, policy, keys);
+        });
+        return redacted;
+    });
+};
+
+// Worksheet copy with the policies applied cell by cell, so untouched cells keep their values and number formats
+const redactWorksheet = (sheet, policiesByColumn, keys) => {
+    if (!sheet['!ref']) return sheet;
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const headerRow = range.s.r; // The reader takes the first row of the used range as the header
+    const columnPolicies = new Map();
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const header = sheet[XLSX.utils.encode_cell({ r: headerRow, c })];
+        const policy = header && policiesByColumn.get(String(header.w ?? header.v).trim());
+        if (policy) columnPolicies.set(c, policy);
+    }
+    const droppedColumns = [...columnPolicies].filter(([, policy]) => policy.policy === 'drop').map(([c]) => c);
+    const redacted = {};
+    Object.keys(sheet).filter(address => !address.startsWith('!')).forEach(address => {
+        const { r, c } = XLSX.utils.decode_cell(address);
+        if (droppedColumns.includes(c)) return;
+        const target = XLSX.utils.encode_cell({ r, c: c - droppedColumns.filter(dropped => dropped < c).length });
+        const cell = sheet[address];
+        const policy = columnPolicies.get(c);
+        const text = cell.w ?? cell.v;
+        redacted[target] = !policy || r === headerRow || isBlank(text) ? cell : { t: 's', v: redactValue(text, policy, keys) };
+    });
+    redacted['!ref'] = XLSX.utils.encode_range({ s: range.s, e: { r: range.e.r, c: Math.max(range.s.c, range.e.c - droppedColumns.length) } });
+    return redacted;
+};
+
+/**
+ * Rewrites an Excel workbook with the policies applied, keeping only the given worksheets.
+ * @param {Buffer} buffer - The uploaded .xlsx/.xls file.
+ * @param {string[]} sheetNames - Worksheets to keep (the included ones).
+ * @param {object[]} policies - The dataset's `piiPolicies`.
+ * @param {{ hashSecret?: string, ownerId: string }} keys
+ * @returns {Buffer} An .xlsx file.
+ */
+const redactWorkbook = (buffer, sheetNames, policies, keys) => {
+    const source = XLSX.read(buffer, { type: 'buffer', cellFormula: false, cellHTML: false });
+    const workbook = XLSX.utils.book_new();
+    sheetNames.filter(name => source.Sheets[name]).forEach(name => {
+        XLSX.utils.book_append_sheet(workbook, redactWorksheet(source.Sheets[name], tablePolicies(policies, name), keys), name);
+    });
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Note appended to a masked or hashed column in the AI context, e.g. "[Sensitive: email, masked - ...]".
+ */
+const describePiiPolicy = (policy) => {
+    const kind = policy.kind ? `${policy.kind.replace('_', ' ')}, ` : '';
+    if (policy.policy === 'hash') return `[Sensitive: ${kind}hashed - values are stable 16-character tokens; count, group and join on them but never display them]`;
+    return `[Sensitive: ${kind}masked - values are redacted (e.g. "****1234"); do not group, join or display them]`;
+};
+
+module.exports = {
+    PII_KINDS,
+    PII_POLICIES,
+    detectPii,
+    addDetectedPolicies,
+    normalizePolicies,
+    tablePolicies,
+    policyFingerprint,
+    redactedCopyPrefix,
+    redactedCopyPath,
+    redactRows,
+    redactWorkbook,
+    describePiiPolicy,
+};
@@ -0,0 +1,118 @@
+// backend/src/features/datasets/dataset.profiler.js
+// ** NEW FILE **
+// Computes per-column statistics for a parsed table so the AI (and the owner) can understand a dataset
+// without looking at raw rows. Values are interpreted with the column's effective type/format.
+
+const { NUMERIC_TYPES, DATE_TYPES, isBlank, parseCell } = require('./dataset.valueParser');
+
+const TOP_VALUES_LIMIT = 10;
+const TOP_VALUE_TYPES = ['categorical', 'boolean'];
+const CONTEXT_TOP_VALUES = 5; // Top values repeated in the AI context per column
+const EXAMPLE_VALUES_LIMIT = 3; // Distinct example values kept per column
+const SAMPLE_ROWS_LIMIT = 5; // Rows kept per table for the opt-in AI context samples
+const MAX_SAMPLE_VALUE_LENGTH = 100;
+
+const clip = (value) => String(value).slice(0, MAX_SAMPLE_VALUE_LENGTH);
+
+// `count` entries spread evenly over `items` (first, ..., last), so samples are not all from the top of the file
+const spread = (items, count) => {
+    if (items.length <= count) return items;
+    return Array.from({ length: count }, (_, i) => items[Math.floor((i * (items.length - 1)) / (count - 1 || 1))]);
+};
+
+/**
+ * Profiles one column.
+ * @param {{ name: string, type: string, format?: string }} column - Entry from `schemaInfo`.
+ * @param {object[]} rows - Raw rows keyed by column name.
+ */
+const profileColumn = (column, rows) => {
+    const profile = { name: column.name, type: column.type, nullCount: 0, distinctCount: 0, invalidCount: 0 };
+    const distinct = new Map();
+    const isNumeric = NUMERIC_TYPES.includes(column.type);
+    const isDate = DATE_TYPES.includes(column.type);
+    let sum = 0;
+    let numericCount = 0;
+
+    for (const row of rows) {
+        const raw = row?.[column.name];
+        if (isBlank(raw)) {
+            profile.nullCount++;
+            continue;
+        }
+        const key = String(raw).trim();
+        distinct.set(key, (distinct.get(key) || 0) + 1);
+
+        const { value, isValid } = parseCell(raw, column);
+        if (!isValid) {
+            profile.invalidCount++;
+            continue;
+        }
+        if (isNumeric) {
+            profile.min = profile.min === undefined ? value : Math.min(profile.min, value);
+            profile.max = profile.max === undefined ? value : Math.max(profile.max, value);
+            sum += value;
+            numericCount++;
+        } else if (isDate) {
+            if (!profile.minDate || value < profile.minDate) profile.minDate = value;
+            if (!profile.maxDate || value > profile.maxDate) profile.maxDate = value;
+        }
+    }
+
+    profile.distinctCount = distinct.size;
+    profile.examples = spread([...distinct.keys()], EXAMPLE_VALUES_LIMIT).map(clip);
+    if (isNumeric && numericCount > 0) profile.mean = sum / numericCount;
+    if (TOP_VALUE_TYPES.includes(column.type)) {
+        profile.topValues = [...distinct.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES_LIMIT)
+            .map(([value, count]) => ({ value, count }));
+    }
+    return profile;
+};
+
+// A few non-empty rows from across the table as arrays of cell text in schema column order
+const sampleRows = (schemaInfo, rows) => {
+    const filled = rows.filter(row => schemaInfo.some(column => !isBlank(row?.[column.name])));
+    return spread(filled, SAMPLE_ROWS_LIMIT).map(row => schemaInfo.map(column => (isBlank(row[column.name]) ? '' : clip(row[column.name]).trim())));
+};
+
+/**
+ * Profiles a whole table.
+ * @param {Array<{ name: string, type: string, format?: string }>} schemaInfo
+ * @param {object[]} rows
+ * @returns {{ rowCount: number, columns: object[], sampleRows: string[][] }} `sampleRows` and the columns' `examples`
+ *   are raw values; they only reach the AI context when the owner opted in, and redacted (see prompt.service.js).
+ */
+const profileTable = (schemaInfo, rows) => ({
+    rowCount: rows.length,
+    columns: (schemaInfo || []).map(column => profileColumn(column, rows)),
+    sampleRows: sampleRows(schemaInfo || [], rows),
+});
+
+const formatNumber = (value) => Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * One-line summary of a column profile for the AI context, e.g.
+ * "nulls 3/1,200; 45 distinct; min 1.5, max 9,800, mean 312.4".
+ */
+const summarizeColumnProfile = (columnProfile, rowCount) => {
+    if (!columnProfile) return '';
+    const parts = [`nulls ${formatNumber(columnProfile.nullCount)}/${formatNumber(rowCount)}`, `${formatNumber(columnProfile.distinctCount)} distinct`];
+    if (columnProfile.invalidCount > 0) parts.push(`${formatNumber(columnProfile.invalidCount)} unparseable`);
+    if (columnProfile.min !== undefined && columnProfile.min !== null) {
+        parts.push(`min ${formatNumber(columnProfile.min)}, max ${formatNumber(columnProfile.max)}, mean ${formatNumber(columnProfile.mean)}`);
+    }
+    if (columnProfile.minDate) parts.push(`range ${formatDate(columnProfile.minDate)} to ${formatDate(columnProfile.maxDate)}`);
+    if (columnProfile.topValues?.length > 0) {
+        const top = columnProfile.topValues.slice(0, CONTEXT_TOP_VALUES).map(({ value, count }) => `${value} (${formatNumber(count)})`);
+        parts.push(`top: ${top.join(', ')}`);
+    }
+    return parts.join('; ');
+};
+
+module.exports = {
+    profileTable,
+    summarizeColumnProfile,
+};
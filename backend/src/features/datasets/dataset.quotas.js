@@ -0,0 +1,102 @@
+// backend/src/features/datasets/dataset.quotas.js
+// ** NEW FILE **
+// Per-tier limits on file size, total bytes stored and number of datasets. Checked when an upload URL or session is
+// issued (with the size the client announces) and again when the upload is confirmed (with the stored size).
+
+const mongoose = require('mongoose');
+const Dataset = require('./dataset.model');
+const User = require('../users/user.model');
+const { codedError } = require('../../shared/utils/codedError');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Users without an active subscription (expired trial, canceled plan) fall back to 'free'
+const TIER_QUOTAS = {
+    free: { maxFileSizeBytes: 10 * MB, maxStorageBytes: 100 * MB, maxDatasets: 5 },
+    trial: { maxFileSizeBytes: 100 * MB, maxStorageBytes: 1 * GB, maxDatasets: 25 },
+    plus: { maxFileSizeBytes: 500 * MB, maxStorageBytes: 10 * GB, maxDatasets: 200 },
+    pro: { maxFileSizeBytes: 2 * GB, maxStorageBytes: 100 * GB, maxDatasets: 1000 },
+};
+
+const formatBytes = (bytes) => (bytes >= GB ? `${+(bytes / GB).toFixed(1)} GB` : `${+(bytes / MB).toFixed(1)} MB`);
+
+/**
+ * Bytes stored and datasets kept by a user. Every version's file counts, since older versions stay in storage, and so
+ * does every appended extract (kept for undoing appends); derived objects (normalized statements, redacted copies) do not.
+ * @returns {Promise<{ storageBytes: number, datasetCount: number }>}
+ */
+const getUsage = async (userId) => {
+    const [usage] = await Dataset.aggregate([
+        { $match: { ownerId: new mongoose.Types.ObjectId(String(userId)) } }, // Aggregations do not cast ids
+        {
+            $group: {
+                _id: null,
+                datasetCount: { $sum: 1 },
+                // Datasets created before versioning have no history; their top-level file is the only one
+                storageBytes: {
+                    $sum: {
+                        $add: [
+                            {
+                                $cond: [
+                                    { $gt: [{ $size: { $ifNull: ['$versions', []] } }, 0] },
+                                    { $sum: '$versions.fileSizeBytes' },
+                                    { $ifNull: ['$fileSizeBytes', 0] },
+                                ],
+                            },
+                            { $sum: { $ifNull: ['$appendBatches.fileSizeBytes', []] } },
+                        ],
+                    },
+                },
+            },
+        },
+    ]);
+    return { storageBytes: usage?.storageBytes || 0, datasetCount: usage?.datasetCount || 0 };
+};
+
+/**
+ * The user's effective tier, its limits and current usage.
+ * @returns {Promise<{ tier: string, limits: { maxFileSizeBytes, maxStorageBytes, maxDatasets }, usage: { storageBytes, datasetCount } }>}
+ */
+const getQuotaStatus = async (userId) => {
+    const user = await User.findById(userId).select('subscriptionInfo');
+    const tier = user?.hasActiveSubscription() && TIER_QUOTAS[user.subscriptionInfo.tier] ? user.subscriptionInfo.tier : 'free';
+    return { tier, limits: TIER_QUOTAS[tier], usage: await getUsage(userId) };
+};
+
+/**
+ * Throws when a file of `fileSize` bytes may not be stored for the user.
+ * @param {string} userId
+ * @param {number} fileSize
+ * @param {{ isNewDataset: boolean }} options - New datasets also count against maxDatasets (versions do not).
+ * @throws {Error} QUOTA_FILE_TOO_LARGE (413), QUOTA_STORAGE_EXCEEDED (403), QUOTA_DATASET_LIMIT (403); `details`
+ *   carries `{ tier, limit, used?, requested? }`.
+ */
+const assertUploadAllowed = async (userId, fileSize, { isNewDataset }) => {
+    const { tier, limits, usage } = await getQuotaStatus(userId);
+    if (fileSize > limits.maxFileSizeBytes) {
+        throw codedError(
+            `This file is ${formatBytes(fileSize)}; your ${tier} plan allows files up to ${formatBytes(limits.maxFileSizeBytes)}.`,
+            'QUOTA_FILE_TOO_LARGE', 413, { tier, limit: limits.maxFileSizeBytes, requested: fileSize },
+        );
+    }
+    if (usage.storageBytes + fileSize > limits.maxStorageBytes) {
+        throw codedError(
+            `Storing this file would use ${formatBytes(usage.storageBytes + fileSize)} of the ${formatBytes(limits.maxStorageBytes)} your ${tier} plan includes. Delete datasets or older versions, or upgrade your plan.`,
+            'QUOTA_STORAGE_EXCEEDED', 403, { tier, limit: limits.maxStorageBytes, used: usage.storageBytes, requested: fileSize },
+        );
+    }
+    if (isNewDataset && usage.datasetCount >= limits.maxDatasets) {
+        throw codedError(
+            `Your ${tier} plan allows ${limits.maxDatasets} datasets. Delete a dataset or upgrade your plan to add another.`,
+            'QUOTA_DATASET_LIMIT', 403, { tier, limit: limits.maxDatasets, used: usage.datasetCount },
+        );
+    }
+};
+
+module.exports = {
+    TIER_QUOTAS,
+    getUsage,
+    getQuotaStatus,
+    assertUploadAllowed,
+};
@@ -0,0 +1,188 @@
+// backend/src/features/datasets/dataset.reader.js
+// ** NEW FILE **
+// Downloads a dataset file from GCS and parses it into tables of raw (string) rows.
+// CSV/TSV files yield a single table; Excel workbooks yield one table per worksheet; bank statements
+// (OFX/QFX, QIF, MT940, CAMT.053) yield one canonical transactions table (see dataset.statementParsers.js).
+// Delimited text is decoded and split using its parse options, and numbers are normalized to "1234.56" form.
+// Previews read a single page of rows (readRowPageFromGCS), streaming CSV/TSV instead of downloading the file.
+
+const path = require('path');
+const { Transform } = require('stream');
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const { getStorage } = require('../../shared/storage');
+const logger = require('../../shared/utils/logger');
+const { detectParseOptions, decodeText, normalizeRows } = require('./dataset.parseOptions');
+const { STATEMENT_COLUMNS, STATEMENT_EXTENSIONS, isStatement, parseStatement } = require('./dataset.statementParsers');
+
+const WORKBOOK_FILE_TYPES = ['xlsx', 'xls'];
+const DETECTION_READ_BYTES = 64 * 1024; // Sample used to detect parse options when none are stored
+
+// 'csv' | 'tsv' | 'xlsx' | 'xls' | a statement type ('ofx', 'qfx', 'qif', 'mt940', 'camt053') | null for unsupported extensions
+const getFileType = (filename) => {
+    const extension = path.extname(filename || '').toLowerCase().replace('.', '');
+    if (STATEMENT_EXTENSIONS[extension]) return STATEMENT_EXTENSIONS[extension];
+    return ['csv', 'tsv', ...WORKBOOK_FILE_TYPES].includes(extension) ? extension : null;
+};
+
+const isWorkbook = (fileType) => WORKBOOK_FILE_TYPES.includes(fileType);
+
+const cleanHeaders = (headers) => headers.filter(h => h && typeof h === 'string' && h.trim() !== '');
+
+const parseDelimitedText = (buffer, { fileType, maxRows, isTruncated, parseOptions }) => {
+    const options = parseOptions || detectParseOptions(buffer, fileType);
+    const parsed = Papa.parse(decodeText(buffer, options.encoding), {
+        header: true,
+        delimiter: options.delimiter,
+        quoteChar: options.quoteChar,
+        preview: maxRows ? maxRows + 1 : 0,
+        skipEmptyLines: true,
+    });
+    let rows = normalizeRows(parsed.data || [], options);
+    let isPartial = isTruncated;
+    if (maxRows && rows.length > maxRows) isPartial = true;
+    // A byte range may have cut the last row in half; don't let it skew results
+    if (isPartial) rows = rows.slice(0, maxRows && rows.length > maxRows ? maxRows : -1);
+    return { tables: [{ sheetName: null, headers: cleanHeaders(parsed.meta?.fields || []), rows }], isPartial, parseOptions: options };
+};
+
+const parseWorkbook = (buffer, { maxRows }) => {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellFormula: false, cellHTML: false, ...(maxRows ? { sheetRows: maxRows + 1 } : {}) });
+    let isPartial = false;
+    const tables = workbook.SheetNames.map(sheetName => {
+        // raw: false returns the displayed (formatted) text, e.g. "$1,234.50", so formats match type inference
+        const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false });
+        const headers = (data?.[0] || []).map(header => String(header).trim());
+        const rows = data.slice(1).map(cells => Object.fromEntries(headers.map((h, idx) => [h, cells[idx]])));
+        if (maxRows && rows.length >= maxRows) isPartial = true;
+        return { sheetName, headers: cleanHeaders(headers), rows: maxRows ? rows.slice(0, maxRows) : rows };
+    });
+    return { tables, isPartial, parseOptions: null };
+};
+
+// Statements are parsed in full: balances run over the whole file and the formats are not line-oriented
+const parseStatementFile = (buffer, { fileType, maxRows }) => {
+    const rows = parseStatement(buffer, fileType);
+    const isPartial = Boolean(maxRows) && rows.length > maxRows;
+    return { tables: [{ sheetName: null, headers: STATEMENT_COLUMNS, rows: isPartial ? rows.slice(0, maxRows) : rows }], isPartial, parseOptions: null };
+};
+
+/**
+ * Reads the tables of a stored dataset file.
+ * @param {string} gcsPath
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - Only download this many bytes (CSV/TSV; workbooks and statements are always read in full).
+ * @param {number} [options.maxRows] - Stop after this many data rows per table.
+ * @param {object} [options.parseOptions] - Stored parse options of a CSV/TSV file; detected from the bytes when omitted.
+ * @returns {Promise<{ fileType: string|null, tables: Array<{ sheetName: string|null, headers: string[], rows: object[] }>, isPartial: boolean, parseOptions: object|null }>}
+ * @throws {Error} 'Dataset file not found at path: ...' when the object does not exist;
+ *   'Not a valid <format> statement: ...' when a statement file does not match its format.
+ */
+const readTablesFromGCS = async (gcsPath, { maxBytes, maxRows, parseOptions } = {}) => {
+    const storage = getStorage();
+    const fileType = getFileType(gcsPath);
+    if (!(await storage.exists(gcsPath))) {
+        logger.error(`File not found for reading: ${gcsPath}`);
+        throw new Error(`Dataset file not found at path: ${gcsPath}`);
+    }
+
+    if (fileType === 'csv' || fileType === 'tsv') {
+        const buffer = await storage.download(gcsPath, maxBytes ? { start: 0, end: maxBytes - 1 } : undefined);
+        return { fileType, ...parseDelimitedText(buffer, { fileType, maxRows, parseOptions, isTruncated: Boolean(maxBytes) && buffer.length >= maxBytes }) };
+    }
+    if (isWorkbook(fileType)) {
+        const buffer = await storage.download(gcsPath);
+        return { fileType, ...parseWorkbook(buffer, { maxRows }) };
+    }
+    if (isStatement(fileType)) {
+        const buffer = await storage.download(gcsPath);
+        return { fileType, ...parseStatementFile(buffer, { fileType, maxRows }) };
+    }
+    logger.warn(`Unsupported file type for reading: ${path.extname(gcsPath)}`);
+    return { fileType, tables: [], isPartial: false, parseOptions: null };
+};
+
+// Streams a CSV/TSV object through the parser and stops as soon as the requested page (plus one row) is read
+const streamDelimitedPage = (gcsPath, { offset, limit, parseOptions }) => new Promise((resolve, reject) => {
+    const source = getStorage().createReadStream(gcsPath);
+    const decoder = new TextDecoder(parseOptions.encoding || 'utf-8');
+    const text = new Transform({
+        transform(chunk, encoding, callback) { callback(null, decoder.decode(chunk, { stream: true })); },
+        flush(callback) { callback(null, decoder.decode()); },
+    });
+    const rows = [];
+    let headers = [];
+    let rowIndex = 0;
+    let hasMore = false;
+    source.on('error', reject);
+    Papa.parse(source.pipe(text), {
+        header: true,
+        delimiter: parseOptions.delimiter,
+        quoteChar: parseOptions.quoteChar,
+        skipEmptyLines: true,
+        step: (result, parser) => {
+            if (headers.length === 0) headers = cleanHeaders(result.meta?.fields || []);
+            if (rowIndex++ < offset) return;
+            if (rows.length === limit) {
+                hasMore = true;
+                parser.abort();
+                return;
+            }
+            rows.push(result.data);
+        },
+        complete: () => {
+            source.destroy();
+            resolve({ headers, rows: normalizeRows(rows, parseOptions), hasMore });
+        },
+        error: reject,
+    });
+});
+
+/**
+ * Reads one page of data rows of a stored dataset file, for previews.
+ * CSV/TSV files are streamed and only read up to the end of the page; workbooks and statements are parsed
+ * up to the end of the page (their formats cannot be read partially).
+ * @param {string} gcsPath
+ * @param {object} options
+ * @param {number} options.offset - Data rows to skip (the header is not counted).
+ * @param {number} options.limit - Rows to return.
+ * @param {string|null} [options.sheetName] - Worksheet to read (Excel workbooks only).
+ * @param {object} [options.parseOptions] - Stored parse options of a CSV/TSV file; detected from the first bytes when omitted.
+ * @returns {Promise<{ headers: string[], rows: object[], hasMore: boolean }>}
+ * @throws {Error} 'Dataset file not found at path: ...'; 'Unknown sheet: ...' for a worksheet the workbook lacks.
+ */
+const readRowPageFromGCS = async (gcsPath, { offset, limit, sheetName = null, parseOptions } = {}) => {
+    const storage = getStorage();
+    const fileType = getFileType(gcsPath);
+    if (!(await storage.exists(gcsPath))) {
+        logger.error(`File not found for preview: ${gcsPath}`);
+        throw new Error(`Dataset file not found at path: ${gcsPath}`);
+    }
+
+    if (fileType === 'csv' || fileType === 'tsv') {
+        let options = parseOptions;
+        if (!options) {
+            const sample = await storage.download(gcsPath, { start: 0, end: DETECTION_READ_BYTES - 1 });
+            options = detectParseOptions(sample, fileType);
+        }
+        return streamDelimitedPage(gcsPath, { offset, limit, parseOptions: options });
+    }
+    if (isWorkbook(fileType) || isStatement(fileType)) {
+        const buffer = await storage.download(gcsPath);
+        const { tables } = isWorkbook(fileType)
+            ? parseWorkbook(buffer, { maxRows: offset + limit + 1 })
+            : parseStatementFile(buffer, { fileType, maxRows: offset + limit + 1 });
+        const table = isWorkbook(fileType) ? tables.find(t => t.sheetName === sheetName) : tables[0];
+        if (!table) throw new Error(`Unknown sheet: ${sheetName}`);
+        return { headers: table.headers, rows: table.rows.slice(offset, offset + limit), hasMore: table.rows.length > offset + limit };
+    }
+    logger.warn(`Unsupported file type for preview: ${path.extname(gcsPath)}`);
+    return { headers: [], rows: [], hasMore: false };
+};
+
+module.exports = {
+    getFileType,
+    isWorkbook,
+    readTablesFromGCS,
+    readRowPageFromGCS,
+};
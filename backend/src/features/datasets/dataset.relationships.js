@@ -0,0 +1,96 @@
+// backend/src/features/datasets/dataset.relationships.js
+// ** NEW FILE **
+// Declared relationships between datasets (e.g. invoices.customer_id -> customers.id, many-to-one).
+// Checks a declaration against the actual key values of both tables and describes it for the prompt context.
+
+const RELATIONSHIP_CARDINALITIES = ['many-to-one', 'one-to-one', 'one-to-many', 'many-to-many'];
+
+const MIN_VALID_MATCH_RATE = 0.95; // Below this share of matching source keys the relationship gets a warning
+const UNMATCHED_SAMPLE_SIZE = 5;
+
+// Keys are compared as trimmed text, so 42, "42" and " 42 " join
+const keyOf = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Distinct non-empty keys of a column and how many of them occur more than once
+const collectKeys = (rows, column) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row?.[column]);
+        if (key !== '') counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    let duplicateKeys = 0;
+    counts.forEach(count => { if (count > 1) duplicateKeys++; });
+    return { keys: counts, duplicateKeys };
+};
+
+/**
+ * Compares the key values of both sides of a relationship.
+ * Status is 'invalid' when no key matches, 'warning' when fewer than 95% of the source keys match or the
+ * cardinality is contradicted by duplicate keys on a "one" side, otherwise 'valid'.
+ * @param {object[]} sourceRows
+ * @param {string} column - Key column in the source rows.
+ * @param {object[]} targetRows
+ * @param {string} targetColumn - Key column in the target rows.
+ * @param {string} cardinality - One of RELATIONSHIP_CARDINALITIES.
+ * @returns {{ status: 'valid'|'warning'|'invalid', matchRate: number, sourceKeyCount: number, matchedKeyCount: number,
+ *   targetKeyCount: number, duplicateSourceKeys: number, duplicateTargetKeys: number, unmatchedSamples: string[], messages: string[] }}
+ */
+const checkKeyOverlap = (sourceRows, column, targetRows, targetColumn, cardinality) => {
+    const source = collectKeys(sourceRows, column);
+    const target = collectKeys(targetRows, targetColumn);
+    const unmatched = [...source.keys.keys()].filter(key => !target.keys.has(key));
+    const sourceKeyCount = source.keys.size;
+    const matchedKeyCount = sourceKeyCount - unmatched.length;
+    const matchRate = sourceKeyCount > 0 ? matchedKeyCount / sourceKeyCount : 0;
+
+    const messages = [];
+    if (matchedKeyCount === 0) {
+        messages.push(sourceKeyCount === 0 ? `"${column}" has no values.` : `No value of "${column}" occurs in "${targetColumn}".`);
+    } else if (matchRate < MIN_VALID_MATCH_RATE) {
+        messages.push(`${unmatched.length} of ${sourceKeyCount} distinct "${column}" values have no match in "${targetColumn}".`);
+    }
+    const [sourceSide, targetSide] = cardinality.split('-to-');
+    if (targetSide === 'one' && target.duplicateKeys > 0) {
+        messages.push(`"${targetColumn}" is not unique (${target.duplicateKeys} repeated values), so a row can match several target rows.`);
+    }
+    if (sourceSide === 'one' && source.duplicateKeys > 0) {
+        messages.push(`"${column}" is not unique (${source.duplicateKeys} repeated values), although the relationship is ${cardinality}.`);
+    }
+
+    let status = 'valid';
+    if (matchedKeyCount === 0) status = 'invalid';
+    else if (messages.length > 0) status = 'warning';
+    return {
+        status,
+        matchRate: Math.round(matchRate * 1000) / 1000,
+        sourceKeyCount,
+        matchedKeyCount,
+        targetKeyCount: target.keys.size,
+        duplicateSourceKeys: source.duplicateKeys,
+        duplicateTargetKeys: target.duplicateKeys,
+        unmatchedSamples: unmatched.slice(0, UNMATCHED_SAMPLE_SIZE),
+        messages,
+    };
+};
+
+// Table name as used in the prompt context and the worker's `datasets` prop
+const tableName = (datasetName, sheetName) => (sheetName ? `${datasetName} / ${sheetName}` : datasetName);
+
+/**
+ * One context line for a relationship, e.g.
+ * `"Invoices".customer_id -> "Customers".id (many-to-one; 98% of 120 distinct keys match)`.
+ */
+const describeRelationship = (relationship, sourceName, targetName) => {
+    const validation = relationship.validation;
+    const coverage = validation && typeof validation.matchRate === 'number'
+        ? `; ${Math.round(validation.matchRate * 100)}% of ${validation.sourceKeyCount} distinct keys match`
+        : '';
+    const caveat = validation?.status === 'warning' && validation.messages?.length ? ` [Caution: ${validation.messages.join(' ')}]` : '';
+    return `"${tableName(sourceName, relationship.sheetName)}".${relationship.column} -> "${tableName(targetName, relationship.targetSheetName)}".${relationship.targetColumn} (${relationship.cardinality}${coverage})${caveat}`;
+};
+
+module.exports = {
+    RELATIONSHIP_CARDINALITIES,
+    checkKeyOverlap,
+    describeRelationship,
+};
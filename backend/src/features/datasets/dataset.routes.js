@@ -10,21 +10,90 @@ const router = express.Router();
 router.use(protect);
 router.use(requireActiveSubscription);
 
-// GET /api/v1/datasets/upload-url?filename=myfile.csv&fileSize=12345
+// GET /api/v1/datasets/upload-url?filename=myfile.csv&fileSize=12345[&datasetId=] (datasetId: the file is a new version)
 router.get('/upload-url', datasetController.getUploadUrl);
 
+// POST /api/v1/datasets/uploads { filename, fileSize, datasetId? } (Start a resumable, chunked upload session)
+router.post('/uploads', datasetController.startUploadSession);
+
+// GET /api/v1/datasets/uploads/:uploadId (Bytes received so far, for resuming)
+router.get('/uploads/:uploadId', datasetController.getUploadSession);
+
+// DELETE /api/v1/datasets/uploads/:uploadId (Cancel a resumable upload)
+router.delete('/uploads/:uploadId', datasetController.cancelUploadSession);
+
 // POST /api/v1/datasets (Create metadata AFTER successful GCS upload)
 router.post('/', datasetController.createDataset);
 
 // GET /api/v1/datasets (List user's datasets)
 router.get('/', datasetController.listDatasets);
 
+// GET /api/v1/datasets/facets (Tags and folders in use, for the library filters)
+router.get('/facets', datasetController.getLibraryFacets);
+
+// GET /api/v1/datasets/quota (Plan limits and current usage)
+router.get('/quota', datasetController.getQuota);
+
 // --- NEW ROUTE for reading dataset content via signed URL ---
 // GET /api/v1/datasets/:id/read-url
 router.get('/:id/read-url', datasetController.getReadUrl);
 // --- End NEW ROUTE ---
 
+// GET /api/v1/datasets/:id/schema (Detected + effective column types)
+router.get('/:id/schema', datasetController.getSchema);
+
+// PUT /api/v1/datasets/:id/schema (Override column types/formats)
+router.put('/:id/schema', datasetController.updateSchema);
+
+// GET /api/v1/datasets/:id/preview (One page of parsed rows: ?offset=&limit=&sheet=)
+router.get('/:id/preview', datasetController.getPreview);
+
+// GET /api/v1/datasets/:id/usage (Prompts/reports built from the dataset: ?page=&pageSize=&version=)
+router.get('/:id/usage', datasetController.getUsage);
+
+// POST /api/v1/datasets/:id/versions (Register an uploaded file as the next version)
+router.post('/:id/versions', datasetController.addVersion);
+
+// PUT /api/v1/datasets/:id/active-version (Switch / roll back the active version)
+router.put('/:id/active-version', datasetController.activateVersion);
+
+// POST /api/v1/datasets/:id/appends { gcsPath, columnMapping?: { header: column|null }, dedupeKey?: [column], dryRun? }
+router.post('/:id/appends', datasetController.appendToDataset);
+
+// DELETE /api/v1/datasets/:id/appends/:batchId (Undo an append batch)
+router.delete('/:id/appends/:batchId', datasetController.undoAppend);
+
+// POST /api/v1/datasets/:id/profile (Re-run column profiling in the background)
+router.post('/:id/profile', datasetController.reprofileDataset);
+
+// PUT /api/v1/datasets/:id/quality-rules { rules: [{ type, column?, columns?, min?, max?, sheetName? }] }
+router.put('/:id/quality-rules', datasetController.updateQualityRules);
+
+// PUT /api/v1/datasets/:id/pii-policies { policies: [{ column, policy: 'allow'|'mask'|'hash'|'drop', sheetName? }] }
+router.put('/:id/pii-policies', datasetController.updatePiiPolicies);
+
+// PUT /api/v1/datasets/:id/computed-columns { columns: [{ name, expression, sheetName?, description? }], mappings?: [{ name, entries, defaultValue? }] }
+router.put('/:id/computed-columns', datasetController.updateComputedColumns);
+
+// PUT /api/v1/datasets/:id/currency-conversions { conversions: [{ amountColumn, currencyColumn | currency, dateColumn?, sheetName? }] }
+router.put('/:id/currency-conversions', datasetController.updateCurrencyConversions);
+
+// POST /api/v1/datasets/:id/relationships { column, targetDatasetId, targetColumn, cardinality, sheetName?, targetSheetName? }
+router.post('/:id/relationships', datasetController.addRelationship);
+
+// POST /api/v1/datasets/:id/relationships/:relationshipId/validate (Re-check key overlap)
+router.post('/:id/relationships/:relationshipId/validate', datasetController.revalidateRelationship);
+
+// DELETE /api/v1/datasets/:id/relationships/:relationshipId
+router.delete('/:id/relationships/:relationshipId', datasetController.removeRelationship);
+
+// GET /api/v1/datasets/:id (Full dataset incl. schema + column descriptions)
+router.get('/:id', datasetController.getDataset);
+
+// PATCH /api/v1/datasets/:id (Edit name, description, columnDescriptions, isIgnored)
+router.patch('/:id', datasetController.updateDataset);
 
-// Add routes for GET /{id}, PUT /{id}, DELETE /{id} later
+// DELETE /api/v1/datasets/:id (Remove storage object + metadata)
+router.delete('/:id', datasetController.deleteDataset);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,418 @@
+// backend/src/features/datasets/dataset.statementParsers.js
+// ** NEW FILE **
+// Parses bank/accounting statement files (OFX/QFX, QIF, SWIFT MT940, ISO 20022 CAMT.053) into one canonical
+// transactions table. Ingestion stores that table as a normalized CSV next to the original file, so prompts,
+// profiling and the report worker only ever see the STATEMENT_COLUMNS below.
+
+const { detectEncoding, decodeText } = require('./dataset.parseOptions');
+
+const STATEMENT_COLUMNS = ['date', 'amount', 'currency', 'counterparty', 'reference', 'balance', 'account'];
+
+// Known schema of the normalized table (same shape as dataset.typeInference.js output)
+const STATEMENT_SCHEMA = [
+    { name: 'date', type: 'date', format: 'YYYY-MM-DD' },
+    { name: 'amount', type: 'number', format: null },
+    { name: 'currency', type: 'categorical', format: null },
+    { name: 'counterparty', type: 'string', format: null },
+    { name: 'reference', type: 'string', format: null },
+    { name: 'balance', type: 'number', format: null },
+    { name: 'account', type: 'categorical', format: null },
+].map(column => ({ ...column, inferredType: column.type, inferredFormat: column.format, isTypeOverridden: false }));
+
+// Default column descriptions of a new statement dataset; the owner can edit them like any other
+const STATEMENT_COLUMN_DESCRIPTIONS = {
+    date: 'Booking date of the transaction',
+    amount: 'Signed amount: positive = money in (credit), negative = money out (debit)',
+    currency: 'ISO 4217 currency code of amount and balance (empty for QIF files, which carry none)',
+    counterparty: 'Name of the other party (payee or payer), when the bank provides it',
+    reference: 'Payment reference, memo or remittance information',
+    balance: 'Account balance after the transaction, computed from the statement\'s opening or closing balance (empty when the file has none)',
+    account: 'Account the transaction belongs to (IBAN or account number)',
+};
+
+const STATEMENT_FORMAT_LABELS = {
+    ofx: 'OFX',
+    qfx: 'QFX (Quicken OFX)',
+    qif: 'QIF',
+    mt940: 'SWIFT MT940',
+    camt053: 'ISO 20022 CAMT.053',
+};
+const STATEMENT_FILE_TYPES = Object.keys(STATEMENT_FORMAT_LABELS);
+
+// Lower-case extension -> statement file type (.sta/.940 are common MT940 extensions, CAMT comes as .xml)
+const STATEMENT_EXTENSIONS = { ofx: 'ofx', qfx: 'qfx', qif: 'qif', mt940: 'mt940', sta: 'mt940', 940: 'mt940', xml: 'camt053' };
+
+const isStatement = (fileType) => STATEMENT_FILE_TYPES.includes(fileType);
+
+// --- Shared helpers ---
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const y = Number(year);
+    const m = Number(month);
+    const d = Number(day);
+    if (!y || m < 1 || m > 12 || d < 1 || d > 31) return '';
+    return `${y}-${pad2(m)}-${pad2(d)}`;
+};
+
+// Two-digit years as used by MT940 and QIF: 80-99 -> 19xx, otherwise 20xx
+const expandYear = (year) => {
+    const y = Number(year);
+    if (String(year).length > 2) return y;
+    return y >= 80 ? 1900 + y : 2000 + y;
+};
+
+/**
+ * Canonical decimal text of an amount written with either separator ("1.234,56", "1,234.56", "-12,5", "100,").
+ * @returns {string} e.g. "-1234.56", or '' when the value is not a number.
+ */
+const toDecimalText = (value) => {
+    let text = String(value ?? '').replace(/[\s'$€£¥]/g, '');
+    if (!text) return '';
+    const isNegative = /^-|^\(.*\)$|-$/.test(text);
+    text = text.replace(/[-+()]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastPoint = text.lastIndexOf('.');
+    if (lastComma >= 0 && lastPoint >= 0) {
+        text = lastComma > lastPoint ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    } else if (lastComma >= 0) {
+        // "1,234" (and "1,234,567") are grouped integers; any other comma is a decimal comma
+        text = /^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    }
+    text = text.replace(/\.$/, '');
+    if (!/^\d+(\.\d+)?$/.test(text)) return '';
+    text = text.replace(/^0+(?=\d)/, '');
+    return isNegative && Number(text) !== 0 ? `-${text}` : text;
+};
+
+const decimalPlaces = (text) => (text.includes('.') ? text.split('.')[1].length : 0);
+
+/**
+ * Fills `balance` from an opening balance (running forward) or, failing that, a closing balance (running
+ * backwards over the rows in statement order). Rows keep '' when neither is known.
+ */
+const fillRunningBalance = (rows, { opening, closing }) => {
+    const hasOpening = opening !== undefined && opening !== '';
+    const hasClosing = closing !== undefined && closing !== '';
+    if (rows.length === 0 || (!hasOpening && !hasClosing)) return rows;
+    const places = Math.max(2, ...rows.map(row => decimalPlaces(row.amount)), decimalPlaces(hasOpening ? opening : closing));
+    const format = (value) => value.toFixed(places);
+    if (hasOpening) {
+        let balance = Number(opening);
+        rows.forEach(row => {
+            balance += Number(row.amount || 0);
+            row.balance = format(balance);
+        });
+    } else {
+        let balance = Number(closing);
+        for (let i = rows.length - 1; i >= 0; i--) {
+            rows[i].balance = format(balance);
+            balance -= Number(rows[i].amount || 0);
+        }
+    }
+    return rows;
+};
+
+const statementRow = (values) => Object.fromEntries(STATEMENT_COLUMNS.map(column => [column, (values[column] ?? '').toString().trim()]));
+
+const decodeEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const formatError = (fileType, reason) => new Error(`Not a valid ${STATEMENT_FORMAT_LABELS[fileType]} statement: ${reason}`);
+
+// --- OFX / QFX (SGML 1.x with unclosed elements, or XML 2.x) ---
+
+const ofxValue = (block, tag) => decodeEntities(block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))?.[1]?.trim() || '');
+const ofxBlocks = (text, tag) => [...text.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))].map(match => match[1]);
+
+// "20240131120000.000[-5:EST]" -> "2024-01-31"
+const ofxDate = (value) => (/^\d{8}/.test(value) ? toIsoDate(value.slice(0, 4), value.slice(4, 6), value.slice(6, 8)) : '');
+
+const parseOfx = (text, fileType) => {
+    if (!/OFXHEADER|<OFX>/i.test(text)) throw formatError(fileType, 'missing OFX header');
+    const statements = [...ofxBlocks(text, 'STMTRS'), ...ofxBlocks(text, 'CCSTMTRS')];
+    return statements.flatMap(statement => {
+        const currency = ofxValue(statement, 'CURDEF');
+        const account = ofxValue(statement, 'ACCTID');
+        const rows = ofxBlocks(statement, 'STMTTRN').map(transaction => statementRow({
+            date: ofxDate(ofxValue(transaction, 'DTPOSTED') || ofxValue(transaction, 'DTUSER')),
+            amount: toDecimalText(ofxValue(transaction, 'TRNAMT')),
+            currency: ofxValue(transaction, 'CURSYM') || currency,
+            counterparty: ofxValue(transaction, 'NAME'),
+            reference: ofxValue(transaction, 'MEMO') || ofxValue(transaction, 'REFNUM') || ofxValue(transaction, 'CHECKNUM') || ofxValue(transaction, 'FITID'),
+            account,
+        }));
+        // OFX lists transactions in any order; the ledger balance is as of the end of the statement
+        rows.sort((a, b) => a.date.localeCompare(b.date));
+        const ledgerBalance = ofxBlocks(statement, 'LEDGERBAL')[0];
+        return fillRunningBalance(rows, { closing: ledgerBalance ? toDecimalText(ofxValue(ledgerBalance, 'BALAMT')) : undefined });
+    });
+};
+
+// --- QIF ---
+
+const QIF_TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l', 'invst'];
+
+// QIF dates are usually US month-first ("1/31'24", "01/31/2024"); day-first files are recognised by a first part > 12
+const qifDateParts = (value) => {
+    const parts = value.trim().replace(/'\s*/, '/').split(/[/.\-\s]+/).filter(Boolean);
+    return parts.length === 3 ? parts : null;
+};
+
+const parseQif = (text, fileType) => {
+    if (!/^!Type:/im.test(text)) throw formatError(fileType, 'missing !Type header');
+    const records = [];
+    let section = null;
+    let account = '';
+    let record = {};
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trimEnd();
+        if (!line) continue;
+        if (line.startsWith('!')) {
+            const header = line.slice(1).toLowerCase();
+            if (header.startsWith('type:')) section = header.slice(5).trim();
+            else if (header === 'account') section = 'account';
+            else if (header.startsWith('option') || header.startsWith('clear')) continue;
+            else section = header;
+            record = {};
+            continue;
+        }
+        const code = line[0];
+        const value = line.slice(1).trim();
+        if (code === '^') {
+            if (section === 'account' && record.N) account = record.N;
+            else if (QIF_TRANSACTION_TYPES.includes(section) && (record.T || record.U)) records.push({ ...record, account });
+            record = {};
+        } else if (record[code] === undefined) {
+            record[code] = value; // Split lines (S/E/$) repeat codes; the first value is the transaction's own
+        }
+    }
+
+    const dates = records.map(r => qifDateParts(r.D || ''));
+    const isDayFirst = dates.some(parts => parts && parts[0].length <= 2 && Number(parts[0]) > 12);
+    return records.map((r, idx) => {
+        const parts = dates[idx];
+        let date = '';
+        if (parts) {
+            if (parts[0].length === 4) date = toIsoDate(parts[0], parts[1], parts[2]);
+            else if (isDayFirst || (r.D || '').includes('.')) date = toIsoDate(expandYear(parts[2]), parts[1], parts[0]);
+            else date = toIsoDate(expandYear(parts[2]), parts[0], parts[1]);
+        }
+        return statementRow({
+            date,
+            amount: toDecimalText(r.T || r.U),
+            currency: '',
+            counterparty: r.P,
+            reference: r.M || r.N,
+            account: r.account,
+        });
+    });
+};
+
+// --- SWIFT MT940 ---
+
+// ":61:2401310131DR1234,56NTRFNONREF//B4A31\nsupplementary" (value date, entry date, mark, amount, type, refs)
+const MT940_LINE_REGEX = /^(\d{6})(\d{4})?(RC|RD|C|D)[A-Z]?(\d+,\d*)([NSF][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+const MT940_BALANCE_REGEX = /^([CD])(\d{6})([A-Z]{3})(\d+,\d*)/;
+
+// Splits the message text into [tag, value] fields; continuation lines belong to the preceding field
+const mt940Fields = (text) => {
+    const fields = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        // SWIFT envelope: "{1:...}{2:...}{4:" opens the text block, "-}" (optionally followed by "{5:...}") closes it
+        const line = rawLine.replace(/^\{.*\{4:/, '').trimEnd();
+        if (!line || line.startsWith('{') || /^-\}?(\{5:.*)?$/.test(line)) continue;
+        const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (match) fields.push([match[1], match[2]]);
+        else if (fields.length > 0) fields[fields.length - 1][1] += `\n${line}`;
+    }
+    return fields;
+};
+
+// SWIFT amounts always use a decimal comma and no grouping: "1,500" is 1.5 (e.g. BHD/KWD with three decimals)
+const mt940Amount = (rawAmount) => rawAmount.replace(',', '.').replace(/\.$/, '').replace(/^0+(?=\d)/, '');
+
+// The 4-digit entry date (MMDD) has no year: it is the value date's, unless the months are far apart across year-end
+// (value date 231229, entry date 0102 is 2024-01-02)
+const mt940EntryYear = (valueYear, valueMonth, entryMonth) => {
+    const monthDiff = Number(entryMonth) - Number(valueMonth);
+    if (monthDiff > 6) return valueYear - 1;
+    if (monthDiff < -6) return valueYear + 1;
+    return valueYear;
+};
+
+const mt940Balance = (value) => {
+    const match = value.match(MT940_BALANCE_REGEX);
+    if (!match) return null;
+    const amount = mt940Amount(match[4]);
+    return { currency: match[3], amount: match[1] === 'D' && Number(amount) !== 0 ? `-${amount}` : amount };
+};
+
+// Field 86 ("information to account owner") comes in German ?-subfield, SWIFT /KEY/ and free-text flavours
+const parseMt940Details = (text) => {
+    if (!text) return {};
+    if (/^\d{3}\?/.test(text)) {
+        const subfields = {};
+        text.replace(/\n/g, '').split('?').slice(1).forEach(part => {
+            const key = part.slice(0, 2);
+            subfields[key] = (subfields[key] || '') + part.slice(2);
+        });
+        // Subfields hold 27 characters; a full one usually continues mid-word in the next
+        const join = (keys) => keys.map(key => subfields[key] || '').filter(Boolean)
+            .reduce((joined, part, idx, parts) => (idx > 0 && parts[idx - 1].length < 27 ? `${joined} ${part}` : joined + part), '').trim();
+        return {
+            counterparty: join(['32', '33']),
+            reference: join(['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']),
+        };
+    }
+    const flat = text.replace(/\n/g, '');
+    if (/\/(NAME|REMI|EREF)\//.test(flat)) {
+        const key = (name) => flat.match(new RegExp(`/${name}/(?:USTD//|STRD/CUR//)?([^/]*)`))?.[1]?.trim() || '';
+        return { counterparty: key('NAME'), reference: key('REMI') || key('EREF') };
+    }
+    return { reference: text.replace(/\n/g, ' ').trim() };
+};
+
+// With both :60F: and :62F:, the transactions must take the opening balance to the closing one; a mismatch means
+// missing or misread transactions, and the running balances would be wrong
+const assertMt940Balances = (statement, rows, fileType) => {
+    const { opening, closing } = statement;
+    if (opening === undefined || closing === undefined) return;
+    const places = Math.max(2, decimalPlaces(opening), decimalPlaces(closing), ...rows.map(row => decimalPlaces(row.amount)));
+    const computed = rows.length > 0 ? Number(rows[rows.length - 1].balance) : Number(opening);
+    if (computed.toFixed(places) !== Number(closing).toFixed(places)) {
+        throw formatError(fileType, `the transactions of ${statement.account || 'a statement'} add up to a closing balance of ${computed.toFixed(places)}, but the statement's closing balance is ${Number(closing).toFixed(places)}`);
+    }
+};
+
+const parseMt940 = (text, fileType) => {
+    if (!/:20:/.test(text) || !/:6[01][FM]?:/.test(text)) throw formatError(fileType, 'missing :20: / :61: fields');
+    const statements = [];
+    let current = null;
+    for (const [tag, value] of mt940Fields(text)) {
+        if (tag === '20' || !current) {
+            current = { account: '', currency: '', opening: undefined, closing: undefined, rows: [] };
+            statements.push(current);
+            if (tag === '20') continue;
+        }
+        if (tag === '25') {
+            current.account = value.trim();
+        } else if (tag === '60F' || tag === '60M') {
+            const balance = mt940Balance(value);
+            if (balance) { current.opening = balance.amount; current.currency = balance.currency; }
+        } else if (tag === '62F' || tag === '62M') {
+            const balance = mt940Balance(value);
+            if (balance) { current.closing = balance.amount; current.currency = current.currency || balance.currency; }
+        } else if (tag === '61') {
+            const match = value.match(MT940_LINE_REGEX);
+            if (!match) continue;
+            const [, valueDate, entryDate, mark, rawAmount, , customerReference] = match;
+            const year = expandYear(valueDate.slice(0, 2));
+            const amount = mt940Amount(rawAmount);
+            const isDebit = mark === 'D' || mark === 'RC'; // RC = reversal of a credit
+            current.rows.push({
+                date: entryDate
+                    ? toIsoDate(mt940EntryYear(year, valueDate.slice(2, 4), entryDate.slice(0, 2)), entryDate.slice(0, 2), entryDate.slice(2, 4))
+                    : toIsoDate(year, valueDate.slice(2, 4), valueDate.slice(4, 6)),
+                amount: isDebit && Number(amount) !== 0 ? `-${amount}` : amount,
+                customerReference: customerReference && customerReference.trim() !== 'NONREF' ? customerReference.trim() : '',
+            });
+        } else if (tag === '86' && current.rows.length > 0) {
+            Object.assign(current.rows[current.rows.length - 1], parseMt940Details(value));
+        }
+    }
+    return statements.flatMap(statement => {
+        const rows = statement.rows.map(row => statementRow({
+            ...row,
+            reference: row.reference || row.customerReference,
+            currency: statement.currency,
+            account: statement.account,
+        }));
+        fillRunningBalance(rows, { opening: statement.opening, closing: statement.closing });
+        assertMt940Balances(statement, rows, fileType);
+        return rows;
+    });
+};
+
+// --- ISO 20022 CAMT.053 (BkToCstmrStmt) ---
+
+// Inner XML of the first/all <name> elements (not <nameSuffix>); namespace prefixes are stripped beforehand
+const xmlElements = (xml, name) => [...(xml || '').matchAll(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+const xmlElement = (xml, name) => xmlElements(xml, name)[0] || '';
+const xmlText = (xml, ...path) => decodeEntities(path.reduce((inner, name) => xmlElement(inner, name), xml).trim());
+const xmlAmount = (xml) => {
+    const match = (xml || '').match(/<Amt(?:\s+Ccy="([A-Z]{3})")?\s*>([^<]*)<\/Amt>/);
+    return match ? { currency: match[1] || '', amount: toDecimalText(match[2]) } : { currency: '', amount: '' };
+};
+const signedAmount = (amount, indicator) => (indicator === 'DBIT' && amount && Number(amount) !== 0 ? `-${amount}` : amount);
+
+const camtBalance = (balances, codes) => {
+    const balance = balances.find(bal => codes.includes(xmlText(bal, 'Tp', 'CdOrPrtry', 'Cd')));
+    if (!balance) return undefined;
+    return signedAmount(xmlAmount(balance).amount, xmlText(balance, 'CdtDbtInd'));
+};
+
+const parseCamt053 = (text, fileType) => {
+    const xml = text.replace(/<(\/?)[A-Za-z][\w.-]*:/g, '<$1');
+    if (!/<BkToCstmrStmt[\s>]/.test(xml)) throw formatError(fileType, 'missing BkToCstmrStmt (is this a camt.052/054 or other XML file?)');
+    return xmlElements(xml, 'Stmt').flatMap(statement => {
+        const accountXml = xmlElement(statement, 'Acct');
+        const account = xmlText(accountXml, 'Id', 'IBAN') || xmlText(accountXml, 'Id', 'Othr', 'Id');
+        const accountCurrency = xmlText(accountXml, 'Ccy');
+        const balances = xmlElements(statement, 'Bal');
+        const rows = xmlElements(statement, 'Ntry').map(entry => {
+            const { currency, amount } = xmlAmount(entry);
+            const indicator = xmlText(entry, 'CdtDbtInd');
+            const details = xmlElement(entry, 'NtryDtls');
+            const parties = xmlElement(details, 'RltdPties');
+            // The counterparty is the creditor of an outgoing payment and the debtor of an incoming one
+            const [primary, secondary] = indicator === 'DBIT' ? ['Cdtr', 'Dbtr'] : ['Dbtr', 'Cdtr'];
+            const endToEndId = xmlText(details, 'Refs', 'EndToEndId');
+            return statementRow({
+                date: xmlText(entry, 'BookgDt', 'Dt') || xmlText(entry, 'BookgDt', 'DtTm').slice(0, 10) || xmlText(entry, 'ValDt', 'Dt'),
+                amount: signedAmount(amount, indicator),
+                currency: currency || accountCurrency,
+                counterparty: xmlText(parties, primary, 'Nm') || xmlText(parties, secondary, 'Nm'),
+                reference: xmlElements(xmlElement(details, 'RmtInf'), 'Ustrd').map(decodeEntities).join(' ').trim()
+                    || xmlText(details, 'RmtInf', 'Strd', 'CdtrRefInf', 'Ref')
+                    || (endToEndId !== 'NOTPROVIDED' ? endToEndId : '')
+                    || xmlText(entry, 'AddtlNtryInf')
+                    || xmlText(entry, 'AcctSvcrRef'),
+                account,
+            });
+        });
+        return fillRunningBalance(rows, { opening: camtBalance(balances, ['OPBD', 'PRCD']), closing: camtBalance(balances, ['CLBD']) });
+    });
+};
+
+const PARSERS = { ofx: parseOfx, qfx: parseOfx, qif: parseQif, mt940: parseMt940, camt053: parseCamt053 };
+
+/**
+ * Parses a statement file into canonical transaction rows (all values strings, amounts/balances as "-1234.56").
+ * @param {Buffer} buffer - The whole file.
+ * @param {string} fileType - One of STATEMENT_FILE_TYPES.
+ * @returns {Array<{ date: string, amount: string, currency: string, counterparty: string, reference: string, balance: string, account: string }>}
+ * @throws {Error} 'Not a valid <format> statement: ...' when the content does not match the format.
+ */
+const parseStatement = (buffer, fileType) => {
+    const parser = PARSERS[fileType];
+    if (!parser) throw new Error(`Unsupported statement format: ${fileType}`);
+    const { encoding } = detectEncoding(buffer);
+    return parser(decodeText(buffer, encoding), fileType);
+};
+
+module.exports = {
+    STATEMENT_COLUMNS,
+    STATEMENT_SCHEMA,
+    STATEMENT_COLUMN_DESCRIPTIONS,
+    STATEMENT_FORMAT_LABELS,
+    STATEMENT_FILE_TYPES,
+    STATEMENT_EXTENSIONS,
+    isStatement,
+    toDecimalText,
+    parseStatement,
+};
@@ -0,0 +1,138 @@
+// backend/src/features/datasets/dataset.storageSweeper.js
+// ** NEW FILE **
+// Periodically compares the storage (GCS bucket or local directory) with the datasets collection. Objects no dataset
+// (version) points to are abandoned or failed uploads; records whose object is gone are broken datasets. Both are
+// reported, and orphaned objects are deleted when STORAGE_SWEEP_REMOVE_ORPHANS is enabled.
+
+const config = require('../../shared/config');
+const { getStorage } = require('../../shared/storage');
+const logger = require('../../shared/utils/logger');
+const Dataset = require('./dataset.model');
+const { isWorkbook } = require('./dataset.reader');
+const { redactedCopyPath } = require('./dataset.pii');
+const { workerCopyFingerprint } = require('./dataset.computedColumns');
+const { getConversionRevision } = require('../fx_rates/fxRate.service');
+
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000; // Younger objects may still be mid-upload or awaiting confirmation
+const LIST_PAGE_SIZE = 1000;
+const USER_PREFIX_REGEX = /^[0-9a-f]{24}\//; // Dataset uploads live under '<userId>/'
+
+let isSweeping = false;
+
+// Every gcsPath (and normalized statement CSV) a dataset record references, active or older version or appended
+// extract, plus the copies made for the report worker under the current PII policies, computed columns and FX rates.
+// Those are written on demand, so they are never "missing"; copies made under earlier definitions or rates count as
+// orphans.
+const collectReferencedPaths = async () => {
+    const referenced = new Map(); // gcsPath -> { datasetId, isActive }
+    const redactedCopies = new Set();
+    const fxRevisions = new Map(); // ownerId -> rate table revision, looked up once per owner with conversions
+    const select = 'ownerId fileType gcsPath normalizedGcsPath versions.fileType versions.gcsPath versions.normalizedGcsPath appendBatches.gcsPath piiPolicies computedColumns mappings currencyConversions';
+    for await (const dataset of Dataset.find({}).select(select).lean().cursor()) {
+        (dataset.versions || []).forEach(version => {
+            referenced.set(version.gcsPath, { datasetId: dataset._id, isActive: false });
+            if (version.normalizedGcsPath) referenced.set(version.normalizedGcsPath, { datasetId: dataset._id, isActive: false });
+        });
+        // Appended extracts are kept for replaying when a batch is undone
+        (dataset.appendBatches || []).forEach(batch => referenced.set(batch.gcsPath, { datasetId: dataset._id, isActive: false }));
+        referenced.set(dataset.gcsPath, { datasetId: dataset._id, isActive: true });
+        if (dataset.normalizedGcsPath) referenced.set(dataset.normalizedGcsPath, { datasetId: dataset._id, isActive: true });
+
+        let fxRevision = null;
+        if (dataset.currencyConversions?.length > 0) {
+            const ownerId = String(dataset.ownerId);
+            if (!fxRevisions.has(ownerId)) fxRevisions.set(ownerId, await getConversionRevision(ownerId));
+            fxRevision = fxRevisions.get(ownerId);
+        }
+        const fingerprint = workerCopyFingerprint(dataset, config.piiHashSecret, fxRevision);
+        if (fingerprint) {
+            [dataset, ...(dataset.versions || [])].forEach(file => {
+                redactedCopies.add(redactedCopyPath(file.gcsPath, fingerprint, !file.normalizedGcsPath && isWorkbook(file.fileType)));
+            });
+        }
+    }
+    return { referenced, redactedCopies };
+};
+
+/**
+ * Runs one sweep.
+ * @param {object} [options]
+ * @param {boolean} [options.removeOrphans=false] - Delete orphaned objects instead of only reporting them.
+ * @returns {Promise<{ scannedObjects: number, orphanedObjects: string[], removedObjects: string[], missingObjects: Array<{ datasetId, gcsPath, isActive }> }>}
+ */
+const sweepStorage = async ({ removeOrphans = false } = {}) => {
+    // Records are read before listing, so an upload confirmed mid-sweep is young enough to be skipped
+    const { referenced, redactedCopies } = await collectReferencedPaths();
+    const existing = new Set();
+    const orphanedFiles = [];
+    const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+    let pageToken;
+    do {
+        const page = await getStorage().list({ pageToken, maxResults: LIST_PAGE_SIZE });
+        for (const file of page.objects) {
+            if (!USER_PREFIX_REGEX.test(file.name)) continue;
+            existing.add(file.name);
+            if (!referenced.has(file.name) && !redactedCopies.has(file.name) && file.createdAt.getTime() < cutoff) orphanedFiles.push(file);
+        }
+        pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    const removedObjects = [];
+    if (removeOrphans) {
+        for (const file of orphanedFiles) {
+            try {
+                await getStorage().remove(file.name);
+                removedObjects.push(file.name);
+            } catch (error) {
+                logger.error(`Storage sweep could not delete orphaned object ${file.name}: ${error.message}`);
+            }
+        }
+    }
+
+    const missingObjects = [...referenced.entries()]
+        .filter(([gcsPath]) => !existing.has(gcsPath))
+        .map(([gcsPath, { datasetId, isActive }]) => ({ datasetId, gcsPath, isActive }));
+
+    orphanedFiles.forEach(file => logger.warn(`Storage sweep: orphaned object ${file.name}${removeOrphans ? '' : ' (not removed)'}`));
+    missingObjects.forEach(({ datasetId, gcsPath, isActive }) => (
+        logger.warn(`Storage sweep: dataset ${datasetId} references missing ${isActive ? 'active' : 'older'} file ${gcsPath}`)
+    ));
+    return { scannedObjects: existing.size, orphanedObjects: orphanedFiles.map(file => file.name), removedObjects, missingObjects };
+};
+
+// Scheduled entry point: one sweep at a time, failures are logged and retried on the next tick
+const runScheduledSweep = async () => {
+    if (isSweeping) return;
+    isSweeping = true;
+    const startTime = Date.now();
+    try {
+        const result = await sweepStorage({ removeOrphans: config.storageSweepRemoveOrphans });
+        logger.info(`Storage sweep finished in ${Date.now() - startTime}ms: ${result.scannedObjects} objects, ${result.orphanedObjects.length} orphaned (${result.removedObjects.length} removed), ${result.missingObjects.length} missing`);
+    } catch (error) {
+        logger.error(`Storage sweep failed: ${error.message}`);
+    } finally {
+        isSweeping = false;
+    }
+};
+
+/**
+ * Starts the periodic sweep (called once from server.js after the DB connection is up).
+ * @returns {NodeJS.Timeout|null} The interval, or null when disabled.
+ */
+const startStorageSweeper = () => {
+    const intervalMinutes = config.storageSweepIntervalMinutes;
+    if (!intervalMinutes || intervalMinutes <= 0) {
+        logger.info('Storage sweeper disabled (STORAGE_SWEEP_INTERVAL_MINUTES=0)');
+        return null;
+    }
+    logger.info(`Storage sweeper scheduled every ${intervalMinutes} minutes (remove orphans: ${config.storageSweepRemoveOrphans})`);
+    const timer = setInterval(runScheduledSweep, intervalMinutes * 60 * 1000);
+    timer.unref(); // Never keep the process alive just for the sweeper
+    return timer;
+};
+
+module.exports = {
+    sweepStorage,
+    startStorageSweeper,
+};
@@ -0,0 +1,250 @@
+// backend/src/features/datasets/dataset.typeInference.js
+// ** NEW FILE **
+// Infers column types (and the detected value format) from a sample of parsed rows.
+// Used at ingestion time so `schemaInfo` tells Claude what each column really contains.
+
+const COLUMN_TYPES = ['string', 'number', 'integer', 'currency', 'percentage', 'date', 'datetime', 'boolean', 'categorical'];
+
+const MATCH_THRESHOLD = 0.95; // Share of non-empty sample values that must match a type
+const CATEGORICAL_MIN_VALUES = 10;
+const CATEGORICAL_MAX_DISTINCT = 50;
+const CATEGORICAL_MAX_RATIO = 0.5;
+
+const BOOLEAN_PAIRS = [
+    ['true', 'false'],
+    ['yes', 'no'],
+    ['y', 'n'],
+    ['t', 'f'],
+];
+
+const CURRENCY_SYMBOLS = '$€£¥₹';
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'SGD', 'AUD', 'CAD', 'CHF', 'JPY', 'NZD', 'HKD', 'INR', 'CNY', 'SEK', 'NOK', 'DKK'];
+
+const INTEGER_REGEX = /^[-+]?(\d{1,3}(,\d{3})+|\d+)$/;
+const NUMBER_REGEX = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+// "007", "-01" or "0,123": zero-padded codes (accounts, cost centres, postcodes); a bare "0" and "0.5" are numbers
+const LEADING_ZERO_REGEX = /^[-+]?0[\d,]/;
+const PERCENT_REGEX = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.(\d+))?\s?%$/;
+const CURRENCY_REGEX = new RegExp(
+    `^(\\()?([-+])?\\s?([${CURRENCY_SYMBOLS}]|(?:${CURRENCY_CODES.join('|')})\\s?)?\\s?([-+])?(\\d{1,3}(?:,\\d{3})+|\\d+)(\\.(\\d+))?\\s?([${CURRENCY_SYMBOLS}]|\\s?(?:${CURRENCY_CODES.join('|')}))?(\\))?$`
+);
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TIME_PART = '(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?\\s?(?:[AaPp][Mm])?(?:Z|[+-]\\d{2}:?\\d{2})?)?';
+
+// Date shapes we recognise. `parts` names the captured groups in order.
+const DATE_PATTERNS = [
+    { regex: new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${TIME_PART}$`), parts: ['Y', 'M', 'D'], sep: '-' },
+    { regex: new RegExp(`^(\\d{4})/(\\d{1,2})/(\\d{1,2})${TIME_PART}$`), parts: ['Y', 'M', 'D'], sep: '/' },
+    { regex: new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4}|\\d{2})${TIME_PART}$`), parts: ['A', 'B', 'Y'], sep: '/' },
+    { regex: new RegExp(`^(\\d{1,2})-(\\d{1,2})-(\\d{4})${TIME_PART}$`), parts: ['A', 'B', 'Y'], sep: '-' },
+    { regex: new RegExp(`^(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})${TIME_PART}$`), parts: ['D', 'M', 'Y'], sep: '.' },
+    { regex: new RegExp(`^(\\d{1,2})[- ]([A-Za-z]{3,9})[- ](\\d{4}|\\d{2})${TIME_PART}$`), parts: ['D', 'MON', 'Y'], sep: '-' },
+    { regex: new RegExp(`^([A-Za-z]{3,9}) (\\d{1,2}),? (\\d{4})${TIME_PART}$`), parts: ['MON', 'D', 'Y'], sep: ' ' },
+];
+
+const normalizeValue = (value) => {
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+};
+
+const shareMatching = (values, predicate) => {
+    if (values.length === 0) return 0;
+    let matches = 0;
+    for (const value of values) {
+        if (predicate(value)) matches++;
+    }
+    return matches / values.length;
+};
+
+const monthFromName = (name) => MONTH_NAMES.indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+
+const isValidDay = (month, day) => month >= 1 && month <= 12 && day >= 1 && day <= 31;
+
+/**
+ * Tries every date pattern against the sample and returns the best matching format, or null.
+ * Slash/dash dates with both leading parts <= 12 are ambiguous; `dayFirst` decides those.
+ */
+const detectDateFormat = (values, { dayFirst = false } = {}) => {
+    for (const pattern of DATE_PATTERNS) {
+        const matched = [];
+        for (const value of values) {
+            const m = value.match(pattern.regex);
+            if (m) matched.push(m);
+        }
+        if (matched.length / values.length < MATCH_THRESHOLD) continue;
+
+        let hasTime = false;
+        let firstOver12 = false;
+        let secondOver12 = false;
+        let yearDigits = 4;
+        let valid = true;
+
+        for (const m of matched) {
+            if (m[4] !== undefined) hasTime = true;
+            const [a, b, c] = [m[1], m[2], m[3]];
+            const byPart = {};
+            pattern.parts.forEach((part, idx) => { byPart[part] = [a, b, c][idx]; });
+            if (byPart.Y && byPart.Y.length === 2) yearDigits = 2;
+
+            if (byPart.MON) {
+                const month = monthFromName(byPart.MON);
+                if (!month || !isValidDay(month, parseInt(byPart.D, 10))) { valid = false; break; }
+            } else if (byPart.A !== undefined) {
+                const first = parseInt(byPart.A, 10);
+                const second = parseInt(byPart.B, 10);
+                if (first > 12) firstOver12 = true;
+                if (second > 12) secondOver12 = true;
+                if (first < 1 || second < 1 || first > 31 || second > 31) { valid = false; break; }
+            } else if (!isValidDay(parseInt(byPart.M, 10), parseInt(byPart.D, 10))) {
+                valid = false; break;
+            }
+        }
+        if (!valid || (firstOver12 && secondOver12)) continue;
+
+        const yearToken = yearDigits === 2 ? 'YY' : 'YYYY';
+        let format;
+        if (pattern.parts[0] === 'A') {
+            const isDayFirst = firstOver12 || (!secondOver12 && dayFirst);
+            const order = isDayFirst ? ['DD', 'MM'] : ['MM', 'DD'];
+            format = [...order, yearToken].join(pattern.sep);
+        } else if (pattern.parts[1] === 'MON') {
+            const sep = matched[0][0].includes('-') ? '-' : ' ';
+            format = `DD${sep}MMM${sep}${yearToken}`;
+        } else if (pattern.parts[0] === 'MON') {
+            format = 'MMM D, YYYY';
+        } else {
+            format = pattern.parts.map(part => (part === 'Y' ? yearToken : `${part}${part}`)).join(pattern.sep);
+        }
+
+        if (hasTime) {
+            const usesT = matched.some(m => m[0].includes('T'));
+            return { type: 'datetime', format: `${format}${usesT ? 'T' : ' '}HH:mm:ss` };
+        }
+        return { type: 'date', format };
+    }
+    return null;
+};
+
+const detectBoolean = (values) => {
+    const lowered = new Set(values.map(v => v.toLowerCase()));
+    if (lowered.size > 2) return null;
+    const pair = BOOLEAN_PAIRS.find(([yes, no]) => [...lowered].every(v => v === yes || v === no));
+    if (!pair) return null;
+    // Preserve the casing actually used in the file, e.g. "Y/N" rather than "y/n"
+    const sample = values.find(v => v.toLowerCase() === pair[0]) || pair[0];
+    const other = values.find(v => v.toLowerCase() === pair[1]) || pair[1];
+    return { type: 'boolean', format: `${sample}/${other}` };
+};
+
+const hasThousands = (values) => values.some(v => /\d,\d{3}/.test(v));
+
+const decimalPlaces = (values) => {
+    let places = 0;
+    for (const value of values) {
+        const m = value.match(/\.(\d+)/);
+        if (m) places = Math.max(places, m[1].length);
+    }
+    return Math.min(places, 4);
+};
+
+const numericPattern = (values) => {
+    const places = decimalPlaces(values);
+    return `${hasThousands(values) ? '#,##0' : '0'}${places > 0 ? `.${'0'.repeat(places)}` : ''}`;
+};
+
+const detectCurrency = (values) => {
+    const matches = values.map(v => v.match(CURRENCY_REGEX));
+    if (matches.filter(Boolean).length / values.length < MATCH_THRESHOLD) return null;
+
+    const symbolCounts = {};
+    let withSymbol = 0;
+    let usesParentheses = false;
+    let suffix = false;
+    for (const m of matches) {
+        if (!m) continue;
+        if (Boolean(m[1]) !== Boolean(m[9])) return null; // Unbalanced parentheses
+        if (m[1]) usesParentheses = true;
+        const symbol = (m[3] || m[8] || '').trim();
+        if (symbol) {
+            withSymbol++;
+            symbolCounts[symbol] = (symbolCounts[symbol] || 0) + 1;
+            if (!m[3] && m[8]) suffix = true;
+        }
+    }
+    // Plain numbers are handled by the number/integer checks; require most values to carry a symbol
+    if (withSymbol / values.length < 0.5) return null;
+
+    const symbol = Object.entries(symbolCounts).sort((a, b) => b[1] - a[1])[0][0];
+    const pattern = numericPattern(values);
+    const spacer = symbol.length > 1 ? ' ' : '';
+    let format = suffix ? `${pattern} ${symbol}` : `${symbol}${spacer}${pattern}`;
+    if (usesParentheses) format = `${format};(${format})`;
+    return { type: 'currency', format };
+};
+
+const detectCategorical = (values) => {
+    if (values.length < CATEGORICAL_MIN_VALUES) return null;
+    const distinct = new Set(values).size;
+    if (distinct <= CATEGORICAL_MAX_DISTINCT && distinct / values.length <= CATEGORICAL_MAX_RATIO) {
+        return { type: 'categorical', format: null };
+    }
+    return null;
+};
+
+/**
+ * Infers the type of a single column from its sampled values.
+ * @param {Array<any>} rawValues - Sampled cell values for the column (strings or primitives).
+ * @param {object} [options]
+ * @param {boolean} [options.dayFirst] - Resolve ambiguous dates like 03/04/2024 as DD/MM.
+ * @returns {{ type: string, format: string|null }}
+ */
+const inferColumnType = (rawValues, options = {}) => {
+    const values = rawValues.map(normalizeValue).filter(v => v !== '');
+    if (values.length === 0) return { type: 'string', format: null };
+
+    const boolean = detectBoolean(values);
+    if (boolean) return boolean;
+
+    // Numbers would lose the leading zeros of codes, so a single zero-padded value keeps the column textual
+    const isZeroPadded = values.some(v => LEADING_ZERO_REGEX.test(v));
+    if (!isZeroPadded && shareMatching(values, v => INTEGER_REGEX.test(v)) >= MATCH_THRESHOLD) {
+        return { type: 'integer', format: hasThousands(values) ? '#,##0' : null };
+    }
+    if (!isZeroPadded && shareMatching(values, v => NUMBER_REGEX.test(v) && /\d/.test(v)) >= MATCH_THRESHOLD) {
+        return { type: 'number', format: numericPattern(values) };
+    }
+    if (shareMatching(values, v => PERCENT_REGEX.test(v) && /\d/.test(v)) >= MATCH_THRESHOLD) {
+        const places = decimalPlaces(values);
+        return { type: 'percentage', format: `0${places > 0 ? `.${'0'.repeat(places)}` : ''}%` };
+    }
+
+    const currency = detectCurrency(values);
+    if (currency) return currency;
+
+    const date = detectDateFormat(values, options);
+    if (date) return date;
+
+    const categorical = detectCategorical(values);
+    if (categorical) return categorical;
+
+    return { type: 'string', format: null };
+};
+
+/**
+ * Builds `schemaInfo` entries for every header from a sample of parsed rows.
+ * @param {string[]} headers - Column names in file order.
+ * @param {Array<object>} rows - Sample rows keyed by header name.
+ * @param {object} [options] - Passed through to `inferColumnType`.
+ * @returns {Array<{ name: string, type: string, format: string|null, inferredType: string, inferredFormat: string|null }>}
+ */
+const inferSchema = (headers, rows, options = {}) => headers.map((name) => {
+    const { type, format } = inferColumnType(rows.map(row => row?.[name]), options);
+    return { name, type, format, inferredType: type, inferredFormat: format, isTypeOverridden: false };
+});
+
+module.exports = {
+    COLUMN_TYPES,
+    inferColumnType,
+    inferSchema,
+};
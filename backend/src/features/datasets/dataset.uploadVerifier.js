@@ -0,0 +1,150 @@
+// backend/src/features/datasets/dataset.uploadVerifier.js
+// ** NEW FILE **
+// Confirms that a file the client claims to have uploaded really is what was requested for the signed URL:
+// under the caller's prefix, present in storage, of the requested size and with content matching its extension.
+
+const { getStorage, isNotFound } = require('../../shared/storage');
+const DatasetUpload = require('./datasetUpload.model');
+const logger = require('../../shared/utils/logger');
+const { codedError } = require('../../shared/utils/codedError');
+const { getFileType } = require('./dataset.reader');
+const { detectEncoding } = require('./dataset.parseOptions');
+const { isStatement } = require('./dataset.statementParsers');
+
+const SIGNATURE_READ_BYTES = 4096;
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04]; // .xlsx is a zip container
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]; // Legacy .xls (Compound File)
+const BINARY_SIGNATURES = [
+    ZIP_SIGNATURE,
+    OLE_SIGNATURE,
+    [0x25, 0x50, 0x44, 0x46], // %PDF
+    [0x4d, 0x5a], // MZ (Windows executable)
+    [0x7f, 0x45, 0x4c, 0x46], // ELF
+    [0x89, 0x50, 0x4e, 0x47], // PNG
+    [0xff, 0xd8, 0xff], // JPEG
+    [0x47, 0x49, 0x46, 0x38], // GIF8
+    [0x1f, 0x8b], // gzip
+];
+
+const alreadyUsedError = () => codedError('This file has already been saved. Please upload it again to add it once more.', 'UPLOAD_ALREADY_USED', 409);
+
+const startsWith = (buffer, signature) => signature.every((byte, idx) => buffer[idx] === byte);
+
+/**
+ * Checks the first bytes of a file against its extension.
+ * CSV/TSV and statement files must be text (UTF-16 allowed); .xlsx must be a zip; .xls must be a Compound
+ * File or the HTML/XML "Excel" export some banks produce. Statement content is checked when it is parsed.
+ * @param {Buffer} buffer - Start of the file.
+ * @param {string|null} fileType
+ * @returns {boolean}
+ */
+const matchesFileSignature = (buffer, fileType) => {
+    if (fileType === 'xlsx') return startsWith(buffer, ZIP_SIGNATURE);
+    if (fileType === 'xls') return startsWith(buffer, OLE_SIGNATURE) || /^\s*</.test(buffer.toString('latin1', 0, 64));
+    if (fileType === 'csv' || fileType === 'tsv' || isStatement(fileType)) {
+        if (BINARY_SIGNATURES.some(signature => startsWith(buffer, signature))) return false;
+        const { encoding } = detectEncoding(buffer);
+        return encoding.startsWith('utf-16') || !buffer.includes(0);
+    }
+    return false;
+};
+
+/**
+ * Verifies an uploaded object before its metadata is saved and marks the upload confirmed.
+ * Objects with the wrong size or content, or over the user's quota, are deleted right away.
+ * @param {string} userId
+ * @param {string} gcsPath - Path returned by GET /upload-url or POST /uploads.
+ * @param {object} [options]
+ * @param {(fileSize: number) => Promise<void>} [options.checkQuota] - Throws a QUOTA_* error when the stored
+ *   file may not be kept (see dataset.quotas.js); that error is rethrown after the upload is rejected.
+ * @returns {Promise<{ uploadId, gcsPath: string, originalFilename: string, fileSizeBytes: number }>} Trusted file facts.
+ * A confirmed upload that was never saved (e.g. refused as a duplicate) can be verified again; a consumed one cannot.
+ * @throws {Error} With `code`/`statusCode`: UPLOAD_PATH_FORBIDDEN (403), UPLOAD_UNKNOWN, UPLOAD_NOT_FOUND,
+ *   UPLOAD_REJECTED, UPLOAD_SIZE_MISMATCH, UPLOAD_TYPE_MISMATCH (400), UPLOAD_ALREADY_USED (409); QUOTA_* from `checkQuota`.
+ */
+const verifyUpload = async (userId, gcsPath, { checkQuota } = {}) => {
+    if (typeof gcsPath !== 'string' || !gcsPath.startsWith(`${userId}/`)) {
+        logger.warn(`User ${userId} tried to register a file outside their upload prefix: ${gcsPath}`);
+        throw codedError('Invalid upload path for this user.', 'UPLOAD_PATH_FORBIDDEN', 403);
+    }
+    const upload = await DatasetUpload.findOne({ gcsPath, userId });
+    if (!upload) {
+        throw codedError('No upload was started for this file. Please upload it again.', 'UPLOAD_UNKNOWN');
+    }
+    if (upload.status === 'rejected' || upload.status === 'cancelled') {
+        throw codedError(`This upload was ${upload.status}. Please upload the file again.`, 'UPLOAD_REJECTED');
+    }
+    if (upload.consumedAt) throw alreadyUsedError();
+
+    const storage = getStorage();
+    let metadata;
+    try {
+        metadata = await storage.getMetadata(gcsPath);
+    } catch (error) {
+        if (isNotFound(error)) {
+            throw codedError('The uploaded file was not found in storage. The upload may have failed, please try again.', 'UPLOAD_NOT_FOUND');
+        }
+        throw error;
+    }
+
+    const reject = async (message, code, error = codedError(message, code)) => {
+        logger.warn(`Rejecting upload ${gcsPath} for user ${userId}: ${message}`);
+        upload.status = 'rejected';
+        upload.rejectionReason = code;
+        await upload.save();
+        await storage.remove(gcsPath).catch(deleteError => logger.error(`Could not delete rejected upload ${gcsPath}: ${deleteError.message}`));
+        throw error;
+    };
+
+    const storedSize = Number(metadata.size);
+    if (storedSize !== upload.fileSize) {
+        await reject(`The stored file is ${storedSize} bytes but ${upload.fileSize} bytes were expected.`, 'UPLOAD_SIZE_MISMATCH');
+    }
+
+    const fileType = getFileType(gcsPath);
+    const head = await storage.download(gcsPath, { start: 0, end: Math.min(SIGNATURE_READ_BYTES, storedSize) - 1 });
+    if (!matchesFileSignature(head, fileType)) {
+        await reject(`The file content does not match its .${fileType || 'unknown'} extension.`, 'UPLOAD_TYPE_MISMATCH');
+    }
+
+    if (checkQuota) {
+        try {
+            await checkQuota(storedSize);
+        } catch (error) {
+            if (!String(error.code).startsWith('QUOTA_')) throw error;
+            await reject(error.message, error.code, error);
+        }
+    }
+
+    if (upload.status !== 'confirmed') {
+        upload.status = 'confirmed';
+        upload.confirmedAt = new Date();
+        await upload.save();
+    }
+    logger.info(`Upload ${gcsPath} verified for user ${userId} (${storedSize} bytes, ${fileType})`);
+    return { uploadId: upload._id, gcsPath, originalFilename: upload.originalFilename, fileSizeBytes: storedSize };
+};
+
+/**
+ * Claims a verified upload right before the dataset, version or append batch holding it is saved. Only the top-level
+ * Dataset.gcsPath is unique, so without the claim a file kept in versions[] or appendBatches[] could be registered on
+ * a second dataset, and deleting either would remove the other's file. Call releaseUpload if the save fails.
+ * @param {import('mongoose').Types.ObjectId} uploadId - From verifyUpload().
+ * @throws {Error} UPLOAD_ALREADY_USED (409) when another request claimed it first.
+ */
+const consumeUpload = async (uploadId) => {
+    const claimed = await DatasetUpload.findOneAndUpdate({ _id: uploadId, consumedAt: null }, { $set: { consumedAt: new Date() } });
+    if (!claimed) throw alreadyUsedError();
+};
+
+// Gives a claimed upload back after the save it was claimed for failed, so the client can retry with it
+const releaseUpload = (uploadId) => DatasetUpload.updateOne({ _id: uploadId }, { $unset: { consumedAt: 1 } })
+    .catch(error => logger.error(`Could not release upload ${uploadId}: ${error.message}`));
+
+module.exports = {
+    matchesFileSignature,
+    verifyUpload,
+    consumeUpload,
+    releaseUpload,
+};
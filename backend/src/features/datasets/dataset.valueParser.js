@@ -0,0 +1,181 @@
+// backend/src/features/datasets/dataset.valueParser.js
+// ** NEW FILE **
+// Converts raw cell text into typed values using a column's effective type and format from `schemaInfo`.
+// Shared by anything that needs real numbers/dates out of a file (profiling, previews, ...).
+
+const NUMERIC_TYPES = ['number', 'integer', 'currency', 'percentage'];
+const DATE_TYPES = ['date', 'datetime'];
+const NULL_TOKENS = new Set(['null', '#n/a', 'n/a']);
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TIME_REGEX = /^[T ]?(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s?([AaPp][Mm])?/;
+
+/**
+ * True for cells that carry no value: empty/whitespace or a common null placeholder.
+ */
+const isBlank = (value) => {
+    if (value === null || value === undefined) return true;
+    const text = String(value).trim();
+    return text === '' || NULL_TOKENS.has(text.toLowerCase());
+};
+
+/**
+ * Parses numeric text such as "1,234.50", "$(5.00)", "-EUR 12", "12.5%".
+ * Parentheses mean negative. Percentages are returned as written (12.5 for "12.5%").
+ * @returns {number|null} null when the text is not a number.
+ */
+const parseNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (isBlank(value)) return null;
+    // Drop currency symbols/codes, percent signs, thousands separators and inner spaces
+    let text = String(value).trim().replace(/[A-Z]{3}|[$€£¥₹%\s,]/g, '');
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+    if (!/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return null;
+    const number = parseFloat(text);
+    return negative ? -number : number;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Format tokens we understand, longest first so "YYYY" wins over "YY"
+const DATE_TOKENS = [
+    { token: 'YYYY', pattern: '(\\d{4})', part: 'Y' },
+    { token: 'YY', pattern: '(\\d{2})', part: 'Y2' },
+    { token: 'MMMM', pattern: '([A-Za-z]{3,9})', part: 'MON' },
+    { token: 'MMM', pattern: '([A-Za-z]{3,9})', part: 'MON' },
+    { token: 'MM', pattern: '(\\d{1,2})', part: 'M' },
+    { token: 'M', pattern: '(\\d{1,2})', part: 'M' },
+    { token: 'DD', pattern: '(\\d{1,2})', part: 'D' },
+    { token: 'D', pattern: '(\\d{1,2})', part: 'D' },
+];
+
+const compiledDateFormats = new Map();
+
+// Compiles the date part of a format like "DD/MM/YYYY" or "MMM D, YYYY" into a regex + part order
+const compileDateFormat = (format) => {
+    if (compiledDateFormats.has(format)) return compiledDateFormats.get(format);
+    // Time tokens are handled separately from whatever follows the date
+    const datePart = format.split(/[T ]?HH/)[0];
+    const parts = [];
+    let pattern = '^';
+    let index = 0;
+    while (index < datePart.length) {
+        const match = DATE_TOKENS.find(({ token }) => datePart.startsWith(token, index));
+        if (match) {
+            pattern += match.pattern;
+            parts.push(match.part);
+            index += match.token.length;
+        } else {
+            pattern += escapeRegex(datePart[index]);
+            index++;
+        }
+    }
+    const compiled = parts.length > 0 ? { regex: new RegExp(pattern), parts } : null;
+    compiledDateFormats.set(format, compiled);
+    return compiled;
+};
+
+/**
+ * Parses date/datetime text using the column format (e.g. "DD/MM/YYYY", "YYYY-MM-DDTHH:mm:ss").
+ * Without a usable format only ISO-like text is accepted, so ambiguous dates are never guessed.
+ * Excel serial numbers are accepted as well.
+ * @returns {Date|null} A UTC Date, or null when the text does not match.
+ */
+const parseDate = (value, format) => {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    if (isBlank(value)) return null;
+    const text = String(value).trim();
+
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        // Excel serial date (days since 1899-12-30)
+        const date = new Date(Math.round((parseFloat(text) - 25569) * 86400 * 1000));
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    const compiled = format ? compileDateFormat(format) : null;
+    if (!compiled) {
+        if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+        const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    const match = text.match(compiled.regex);
+    if (!match) return null;
+    const byPart = {};
+    compiled.parts.forEach((part, idx) => { byPart[part] = match[idx + 1]; });
+    let year = byPart.Y !== undefined ? parseInt(byPart.Y, 10) : parseInt(byPart.Y2, 10);
+    if (byPart.Y === undefined) year += year < 70 ? 2000 : 1900;
+    const month = byPart.MON !== undefined ? MONTH_NAMES.indexOf(byPart.MON.slice(0, 3).toLowerCase()) + 1 : parseInt(byPart.M, 10);
+    const day = parseInt(byPart.D, 10);
+    if (Number.isNaN(year) || !(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) return null;
+
+    let hours = 0;
+    let minutes = 0;
+    let seconds = 0;
+    const time = text.slice(match[0].length).match(TIME_REGEX);
+    if (time) {
+        hours = parseInt(time[1], 10);
+        minutes = parseInt(time[2], 10);
+        seconds = time[3] ? parseInt(time[3], 10) : 0;
+        const meridiem = time[5]?.toLowerCase();
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    // Reject rollovers such as 31/02/2024
+    return date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Parses boolean text using a "Yes/No"-style format; without one, common spellings are accepted.
+ * @returns {boolean|null}
+ */
+const parseBoolean = (value, format) => {
+    if (typeof value === 'boolean') return value;
+    if (isBlank(value)) return null;
+    const text = String(value).trim().toLowerCase();
+    const [yes, no] = (format || '').toLowerCase().split('/');
+    if (yes && no) {
+        if (text === yes) return true;
+        if (text === no) return false;
+        return null;
+    }
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    return null;
+};
+
+/**
+ * Converts a raw cell into a typed value for a `schemaInfo` column.
+ * @returns {{ value: any, isValid: boolean }} value is null for blanks and unparseable cells; isValid is false only for the latter.
+ */
+const parseCell = (rawValue, column) => {
+    if (isBlank(rawValue)) return { value: null, isValid: true };
+    const type = column?.type || 'string';
+    let value;
+    if (NUMERIC_TYPES.includes(type)) value = parseNumber(rawValue);
+    else if (DATE_TYPES.includes(type)) value = parseDate(rawValue, column.format);
+    else if (type === 'boolean') value = parseBoolean(rawValue, column.format);
+    else return { value: String(rawValue).trim(), isValid: true };
+    return { value, isValid: value !== null };
+};
+
+module.exports = {
+    NUMERIC_TYPES,
+    DATE_TYPES,
+    isBlank,
+    parseNumber,
+    parseDate,
+    parseBoolean,
+    parseCell,
+};
@@ -0,0 +1,61 @@
+// backend/src/features/datasets/datasetUpload.model.js
+// ** NEW FILE **
+const mongoose = require('mongoose');
+
+const UPLOAD_RECORD_TTL_SECONDS = 7 * 24 * 60 * 60; // Bookkeeping only; the sweeper judges objects by their age
+
+// One upload handed out by GET /datasets/upload-url (single PUT) or POST /datasets/uploads (resumable session).
+// Remembers what the client said it would upload so POST /datasets (or /:id/versions) can verify the stored
+// object before any metadata is saved.
+const DatasetUploadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  gcsPath: { // Always under the user's prefix: '<userId>/<uuid>-<filename>'
+    type: String,
+    required: true,
+    unique: true,
+  },
+  originalFilename: {
+    type: String,
+    required: true,
+  },
+  fileSize: { // Bytes requested for the signed URL; the stored object must match exactly
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected', 'cancelled'],
+    default: 'pending',
+  },
+  isResumable: { // Chunked upload through a GCS resumable session
+    type: Boolean,
+    default: false,
+  },
+  sessionUri: { // GCS resumable session URI (valid for a week); only returned to the owner
+    type: String,
+  },
+  chunkSize: { // Bytes per PUT for resumable uploads, a multiple of 256 KiB
+    type: Number,
+  },
+  rejectionReason: {
+    type: String,
+  },
+  confirmedAt: {
+    type: Date,
+  },
+  consumedAt: { // Set when a dataset, version or append batch was saved with this file; it cannot be registered again
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: UPLOAD_RECORD_TTL_SECONDS,
+  },
+});
+
+module.exports = mongoose.model('DatasetUpload', DatasetUploadSchema);
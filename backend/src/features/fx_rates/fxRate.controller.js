@@ -0,0 +1,87 @@
+// backend/src/features/fx_rates/fxRate.controller.js
+// ** NEW FILE **
+const mongoose = require('mongoose');
+const fxRateService = require('./fxRate.service');
+const logger = require('../../shared/utils/logger');
+const { sendCodedError } = require('../../shared/utils/codedError');
+
+// Errors the service raised on purpose (FX_RATE_INVALID, FX_IMPORT_INVALID) carry their own status and code
+const handleError = (res, next, error, action, userId) => {
+    if (String(error.code).startsWith('FX_')) return sendCodedError(res, error);
+    logger.error(`Error ${action} for user ${userId}: ${error.message}`);
+    next(error);
+};
+
+// GET / - one page of rates (?base, quote, from, to, page, pageSize)
+const listRates = async (req, res, next) => {
+    try {
+        const result = await fxRateService.listRates(req.user._id, req.query);
+        res.status(200).json({ status: 'success', data: result });
+    } catch (error) {
+        handleError(res, next, error, 'listing FX rates', req.user._id);
+    }
+};
+
+// GET /pairs - currency pairs with their date coverage and latest rate
+const listPairs = async (req, res, next) => {
+    try {
+        const pairs = await fxRateService.listPairs(req.user._id);
+        res.status(200).json({ status: 'success', data: pairs });
+    } catch (error) {
+        handleError(res, next, error, 'listing FX pairs', req.user._id);
+    }
+};
+
+// PUT / - add or replace rates entered in the UI
+const saveRates = async (req, res, next) => {
+    try {
+        const result = await fxRateService.saveRates(req.user._id, req.body?.rates);
+        res.status(200).json({ status: 'success', data: result });
+    } catch (error) {
+        handleError(res, next, error, 'saving FX rates', req.user._id);
+    }
+};
+
+// POST /import - CSV body (Content-Type: text/csv) with date, base, quote, rate columns
+const importRates = async (req, res, next) => {
+    try {
+        const result = await fxRateService.importRatesCsv(req.user._id, typeof req.body === 'string' ? req.body : undefined);
+        res.status(200).json({ status: 'success', data: result });
+    } catch (error) {
+        handleError(res, next, error, 'importing FX rates', req.user._id);
+    }
+};
+
+// DELETE /:id - one rate
+const deleteRate = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid rate ID format.' });
+    }
+    try {
+        const isDeleted = await fxRateService.deleteRate(req.user._id, id);
+        if (!isDeleted) return res.status(404).json({ status: 'error', message: 'Rate not found.' });
+        res.status(200).json({ status: 'success', data: null });
+    } catch (error) {
+        handleError(res, next, error, `deleting FX rate ${id}`, req.user._id);
+    }
+};
+
+// DELETE /pairs/:base/:quote - every rate of a pair
+const deletePair = async (req, res, next) => {
+    try {
+        const deletedCount = await fxRateService.deletePair(req.user._id, req.params.base, req.params.quote);
+        res.status(200).json({ status: 'success', data: { deletedCount } });
+    } catch (error) {
+        handleError(res, next, error, 'deleting an FX pair', req.user._id);
+    }
+};
+
+module.exports = {
+    listRates,
+    listPairs,
+    saveRates,
+    importRates,
+    deleteRate,
+    deletePair,
+};
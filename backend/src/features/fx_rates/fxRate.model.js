@@ -0,0 +1,18 @@
+// backend/src/features/fx_rates/fxRate.model.js
+// ** NEW FILE **
+const mongoose = require('mongoose');
+
+// One exchange rate of a user's FX table: 1 unit of baseCurrency = rate units of quoteCurrency on `date`
+const FxRateSchema = new mongoose.Schema({
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: String, required: true }, // YYYY-MM-DD (rates are daily; no time zone involved)
+    baseCurrency: { type: String, required: true }, // ISO 4217, e.g. EUR
+    quoteCurrency: { type: String, required: true }, // e.g. USD
+    rate: { type: Number, required: true },
+    source: { type: String, enum: ['manual', 'import'], default: 'manual' },
+}, { timestamps: true });
+
+// One rate per pair and day; conversions look up the latest rate on or before a date
+FxRateSchema.index({ ownerId: 1, baseCurrency: 1, quoteCurrency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', FxRateSchema);
@@ -0,0 +1,29 @@
+// backend/src/features/fx_rates/fxRate.routes.js
+// ** NEW FILE **
+const express = require('express');
+const fxRateController = require('./fxRate.controller');
+const { protect } = require('../../shared/middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+// GET /api/v1/fx-rates?base=EUR&quote=USD&from=2024-01-01&to=2024-12-31&page=1&pageSize=50
+router.get('/', fxRateController.listRates);
+
+// GET /api/v1/fx-rates/pairs
+router.get('/pairs', fxRateController.listPairs);
+
+// PUT /api/v1/fx-rates { rates: [{ date, baseCurrency, quoteCurrency, rate }] }
+router.put('/', fxRateController.saveRates);
+
+// POST /api/v1/fx-rates/import (text/csv: date,base,quote,rate) - larger than the default JSON body limit allows
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), fxRateController.importRates);
+
+// DELETE /api/v1/fx-rates/pairs/:base/:quote
+router.delete('/pairs/:base/:quote', fxRateController.deletePair);
+
+// DELETE /api/v1/fx-rates/:id
+router.delete('/:id', fxRateController.deleteRate);
+
+module.exports = router;
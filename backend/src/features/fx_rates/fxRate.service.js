@@ -0,0 +1,270 @@
+// backend/src/features/fx_rates/fxRate.service.js
+// ** NEW FILE **
+// The user-maintained FX rate table: rates are entered or imported per currency pair and day, and datasets with
+// currency conversions (see datasets/dataset.currency.js) are converted into the user's reporting currency with them.
+
+const mongoose = require('mongoose');
+const Papa = require('papaparse');
+const FxRate = require('./fxRate.model');
+const User = require('../users/user.model');
+const logger = require('../../shared/utils/logger');
+const { codedError } = require('../../shared/utils/codedError');
+const { CURRENCY_CODE_REGEX } = require('../users/user.service');
+const { parseDate, parseNumber } = require('../datasets/dataset.valueParser');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_RATES_PER_REQUEST = 1000;
+const MAX_IMPORT_ROWS = 50000;
+
+// Accepted CSV headers (case-insensitive) for each field of an imported rate
+const IMPORT_HEADERS = {
+    date: ['date', 'rate_date', 'as_of'],
+    baseCurrency: ['base', 'base_currency', 'from', 'from_currency'],
+    quoteCurrency: ['quote', 'quote_currency', 'to', 'to_currency'],
+    rate: ['rate', 'fx_rate', 'exchange_rate'],
+};
+
+const currencyParam = (value, name) => {
+    const code = String(value ?? '').trim().toUpperCase();
+    if (!CURRENCY_CODE_REGEX.test(code)) throw codedError(`${name} must be a three-letter ISO 4217 code such as EUR.`, 'FX_RATE_INVALID');
+    return code;
+};
+
+// YYYY-MM-DD text of a date given as YYYY-MM-DD (or an ISO timestamp), null when it does not parse
+const dateParam = (value) => {
+    const date = parseDate(value, null);
+    return date ? date.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Checks one rate sent by the client or read from an import.
+ * @returns {{ date: string, baseCurrency: string, quoteCurrency: string, rate: number }}
+ * @throws {Error} FX_RATE_INVALID (400) prefixed with `label`.
+ */
+const normalizeRate = (input, label) => {
+    const date = dateParam(input?.date);
+    if (!date) throw codedError(`${label}: date must be YYYY-MM-DD.`, 'FX_RATE_INVALID');
+    let baseCurrency;
+    let quoteCurrency;
+    try {
+        baseCurrency = currencyParam(input.baseCurrency, 'baseCurrency');
+        quoteCurrency = currencyParam(input.quoteCurrency, 'quoteCurrency');
+    } catch (error) {
+        throw codedError(`${label}: ${error.message}`, 'FX_RATE_INVALID');
+    }
+    if (baseCurrency === quoteCurrency) throw codedError(`${label}: baseCurrency and quoteCurrency must differ.`, 'FX_RATE_INVALID');
+    const rate = typeof input.rate === 'number' ? input.rate : parseNumber(input.rate);
+    if (!Number.isFinite(rate) || rate <= 0) throw codedError(`${label}: rate must be a positive number.`, 'FX_RATE_INVALID');
+    return { date, baseCurrency, quoteCurrency, rate };
+};
+
+// Inserts or replaces rates (one per pair and day)
+const upsertRates = async (userId, rates, source) => {
+    if (rates.length === 0) return { upsertedCount: 0, modifiedCount: 0 };
+    const result = await FxRate.bulkWrite(rates.map(({ date, baseCurrency, quoteCurrency, rate }) => ({
+        updateOne: {
+            filter: { ownerId: userId, baseCurrency, quoteCurrency, date },
+            update: { $set: { rate, source } },
+            upsert: true,
+        },
+    })), { ordered: false });
+    return { upsertedCount: result.upsertedCount, modifiedCount: result.modifiedCount };
+};
+
+/**
+ * One page of the user's rates, newest first.
+ * @param {{ base?, quote?, from?, to?, page?, pageSize? }} query - `from`/`to` bound the date (inclusive, YYYY-MM-DD).
+ * @returns {Promise<{ rates: object[], page: number, pageSize: number, total: number }>}
+ * @throws {Error} FX_RATE_INVALID (400) for malformed params.
+ */
+const listRates = async (userId, query = {}) => {
+    const filter = { ownerId: userId };
+    if (query.base) filter.baseCurrency = currencyParam(query.base, 'base');
+    if (query.quote) filter.quoteCurrency = currencyParam(query.quote, 'quote');
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        if (!query[param]) continue;
+        const date = dateParam(query[param]);
+        if (!date) throw codedError(`${param} must be YYYY-MM-DD.`, 'FX_RATE_INVALID');
+        filter.date = { ...filter.date, [operator]: date };
+    }
+    const page = Math.max(1, Math.floor(Number(query.page)) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.pageSize)) || DEFAULT_PAGE_SIZE));
+    const [rates, total] = await Promise.all([
+        FxRate.find(filter).sort({ date: -1, baseCurrency: 1, quoteCurrency: 1 }).skip((page - 1) * pageSize).limit(pageSize)
+            .select('date baseCurrency quoteCurrency rate source updatedAt').lean(),
+        FxRate.countDocuments(filter),
+    ]);
+    return { rates, page, pageSize, total };
+};
+
+/**
+ * Currency pairs in the user's table with their coverage.
+ * @returns {Promise<Array<{ baseCurrency, quoteCurrency, count, firstDate, lastDate, latestRate }>>}
+ */
+const listPairs = async (userId) => {
+    const pairs = await FxRate.aggregate([
+        { $match: { ownerId: new mongoose.Types.ObjectId(String(userId)) } }, // Aggregations do not cast ids
+        { $sort: { date: -1 } },
+        {
+            $group: {
+                _id: { baseCurrency: '$baseCurrency', quoteCurrency: '$quoteCurrency' },
+                count: { $sum: 1 },
+                firstDate: { $min: '$date' },
+                lastDate: { $max: '$date' },
+                latestRate: { $first: '$rate' },
+            },
+        },
+        { $sort: { '_id.baseCurrency': 1, '_id.quoteCurrency': 1 } },
+    ]);
+    return pairs.map(({ _id, ...coverage }) => ({ ..._id, ...coverage }));
+};
+
+/**
+ * Adds or replaces rates entered by the user (same pair and day = replaced).
+ * @param {object[]} rates - `{ date, baseCurrency, quoteCurrency, rate }`.
+ * @throws {Error} FX_RATE_INVALID (400) naming the first invalid rate.
+ */
+const saveRates = async (userId, rates) => {
+    if (!Array.isArray(rates) || rates.length === 0) throw codedError('rates must be a non-empty array of { date, baseCurrency, quoteCurrency, rate }.', 'FX_RATE_INVALID');
+    if (rates.length > MAX_RATES_PER_REQUEST) throw codedError(`At most ${MAX_RATES_PER_REQUEST} rates can be saved at once; import a CSV file for more.`, 'FX_RATE_INVALID');
+    const normalized = rates.map((rate, index) => normalizeRate(rate, `Rate ${index + 1}`));
+    const result = await upsertRates(userId, normalized, 'manual');
+    logger.info(`FX rates saved for user ${userId}: ${result.upsertedCount} added, ${result.modifiedCount} updated`);
+    return result;
+};
+
+/**
+ * Imports rates from CSV text with the columns date, base, quote and rate (other header spellings, e.g.
+ * from_currency/to_currency, are accepted). Rows for a pair and day that already exist replace the stored rate.
+ * Nothing is saved when a row is invalid.
+ * @returns {Promise<{ rowCount: number, upsertedCount: number, modifiedCount: number }>}
+ * @throws {Error} FX_IMPORT_INVALID (400) for missing columns or an invalid row (with its line number).
+ */
+const importRatesCsv = async (userId, text) => {
+    if (typeof text !== 'string' || text.trim() === '') throw codedError('The import is empty; send CSV text with the columns date, base, quote, rate.', 'FX_IMPORT_INVALID');
+    const parsed = Papa.parse(text.replace(/^\uFEFF/, ''), { header: true, skipEmptyLines: 'greedy', transformHeader: header => header.trim().toLowerCase() });
+    const headers = parsed.meta.fields || [];
+    const columns = {};
+    for (const [field, aliases] of Object.entries(IMPORT_HEADERS)) {
+        columns[field] = aliases.find(alias => headers.includes(alias));
+        if (!columns[field]) throw codedError(`Missing column "${aliases[0]}" (found: ${headers.join(', ') || 'none'}).`, 'FX_IMPORT_INVALID');
+    }
+    if (parsed.data.length > MAX_IMPORT_ROWS) throw codedError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once.`, 'FX_IMPORT_INVALID');
+    const byKey = new Map(); // A later row for the same pair and day wins
+    parsed.data.forEach((row, index) => {
+        let rate;
+        try {
+            rate = normalizeRate(Object.fromEntries(Object.entries(columns).map(([field, header]) => [field, row[header]])), `Line ${index + 2}`);
+        } catch (error) {
+            throw codedError(error.message, 'FX_IMPORT_INVALID');
+        }
+        byKey.set(`${rate.baseCurrency}|${rate.quoteCurrency}|${rate.date}`, rate);
+    });
+    const result = await upsertRates(userId, [...byKey.values()], 'import');
+    logger.info(`FX rates imported for user ${userId}: ${parsed.data.length} rows, ${result.upsertedCount} added, ${result.modifiedCount} updated`);
+    return { rowCount: parsed.data.length, ...result };
+};
+
+/**
+ * Deletes one rate.
+ * @returns {Promise<boolean>} false if the rate is not the user's.
+ */
+const deleteRate = async (userId, rateId) => {
+    const result = await FxRate.deleteOne({ _id: rateId, ownerId: userId });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Deletes every rate of a currency pair.
+ * @returns {Promise<number>} Number of rates deleted.
+ */
+const deletePair = async (userId, base, quote) => {
+    const result = await FxRate.deleteMany({ ownerId: userId, baseCurrency: currencyParam(base, 'base'), quoteCurrency: currencyParam(quote, 'quote') });
+    logger.info(`FX pair ${base}/${quote} deleted for user ${userId} (${result.deletedCount} rates)`);
+    return result.deletedCount;
+};
+
+const reportingCurrencyOf = async (userId) => {
+    const user = await User.findById(userId).select('settings.currency').lean();
+    return user?.settings?.currency || 'USD';
+};
+
+// Changes whenever the reporting currency or any rate changes; part of the fingerprint of converted worker copies
+const revisionOf = async (userId, reportingCurrency) => {
+    const [state] = await FxRate.aggregate([
+        { $match: { ownerId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } },
+    ]);
+    return `${reportingCurrency}:${state?.count || 0}:${state?.updatedAt ? state.updatedAt.getTime() : 0}`;
+};
+
+/**
+ * Identifies the state of the user's conversions (reporting currency and rates), without loading the rates.
+ * @returns {Promise<string>}
+ */
+const getConversionRevision = async (userId) => revisionOf(userId, await reportingCurrencyOf(userId));
+
+/**
+ * Loads the rates that convert into the user's reporting currency. A currency converts with its rate against the
+ * reporting currency, entered in either direction (EUR/USD 1.08 or USD/EUR 0.926); when both exist for a day the one
+ * quoted in the reporting currency wins. Rates through a third currency are not derived.
+ * @returns {Promise<{ reportingCurrency: string, revision: string, rateFor: Function, coverage: object[] }>}
+ *   `rateFor(currency, date)` returns `{ rate, date }` with the latest rate on or before `date` (YYYY-MM-DD; the latest
+ *   rate overall when null), `{ rate: 1, date: null }` for the reporting currency itself, or null without a rate.
+ *   `coverage` lists per currency: `{ currency, count, firstDate, lastDate, latestRate }`.
+ */
+const loadConverter = async (userId) => {
+    const reportingCurrency = await reportingCurrencyOf(userId);
+    const rates = await FxRate.find({ ownerId: userId, $or: [{ quoteCurrency: reportingCurrency }, { baseCurrency: reportingCurrency }] })
+        .select('date baseCurrency quoteCurrency rate').sort({ date: 1 }).lean();
+    const byCurrency = new Map(); // currency -> Map of date -> { rate, isDirect }
+    rates.forEach(({ date, baseCurrency, quoteCurrency, rate }) => {
+        const isDirect = quoteCurrency === reportingCurrency;
+        const currency = isDirect ? baseCurrency : quoteCurrency;
+        if (!byCurrency.has(currency)) byCurrency.set(currency, new Map());
+        const days = byCurrency.get(currency);
+        if (!days.has(date) || (isDirect && !days.get(date).isDirect)) days.set(date, { rate: isDirect ? rate : 1 / rate, isDirect });
+    });
+    const series = new Map([...byCurrency].map(([currency, days]) => [currency, [...days].map(([date, { rate }]) => ({ date, rate }))]));
+
+    const rateFor = (currency, date) => {
+        if (currency === reportingCurrency) return { rate: 1, date: null };
+        const days = series.get(currency);
+        if (!days) return null;
+        if (!date) return days[days.length - 1];
+        // Latest day on or before `date` (binary search over the ascending dates)
+        let low = 0;
+        let high = days.length - 1;
+        let found = null;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (days[middle].date <= date) {
+                found = days[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    };
+    const coverage = [...series].map(([currency, days]) => ({
+        currency,
+        count: days.length,
+        firstDate: days[0].date,
+        lastDate: days[days.length - 1].date,
+        latestRate: days[days.length - 1].rate,
+    })).sort((a, b) => a.currency.localeCompare(b.currency));
+    return { reportingCurrency, revision: await revisionOf(userId, reportingCurrency), rateFor, coverage };
+};
+
+module.exports = {
+    listRates,
+    listPairs,
+    saveRates,
+    importRatesCsv,
+    deleteRate,
+    deletePair,
+    getConversionRevision,
+    loadConverter,
+};
@@ -1,28 +1,62 @@
 // backend/src/features/prompts/prompt.controller.js
 // ** CORRECTED FILE - Call the correct service function **
+const mongoose = require('mongoose');
 const promptService = require('./prompt.service');
 const logger = require('../../shared/utils/logger');
+const { sendCodedError } = require('../../shared/utils/codedError');
+
+const SSE_HEARTBEAT_MS = 15000; // Comment lines keep proxies from closing the stream while Claude is thinking
+
+// Shared by the JSON and the streaming endpoint; returns the rejection, or null for a valid request
+const validatePromptRequest = (req) => {
+    const { promptText, selectedDatasetIds } = req.body || {};
+    if (!req.user?._id) return { statusCode: 401, message: 'User not authenticated.' };
+    if (!promptText || typeof promptText !== 'string' || promptText.trim() === '') {
+        return { statusCode: 400, message: 'promptText is required.' };
+    }
+    if (!selectedDatasetIds || !Array.isArray(selectedDatasetIds) || selectedDatasetIds.length === 0) {
+        return { statusCode: 400, message: 'At least one dataset must be selected.' };
+    }
+    const { parentPromptId } = req.body;
+    if (parentPromptId != null && !mongoose.Types.ObjectId.isValid(parentPromptId)) {
+        return { statusCode: 400, message: 'parentPromptId must be a prompt ID.' };
+    }
+    return null;
+};
+
+// Thread failures (prompt.threads.js) carry their own status and code
+const isPromptError = (error) => /^PROMPT_/.test(String(error.code));
+
+// The prompt a follow-up builds on (parentPromptId), or null for a new report; throws PROMPT_* errors
+const loadFollowUpParent = (req) => (
+    req.body.parentPromptId ? promptService.getFollowUpParent(req.user._id, req.body.parentPromptId) : null
+);
+
+// What the client needs to fetch the data and run the generated code
+const reportPayload = (result) => ({
+    aiGeneratedCode: result.aiGeneratedCode,
+    promptId: result.promptId,
+    threadId: result.threadId, // First prompt of the conversation; follow-ups on this report share it
+    datasetVersions: result.datasetVersions, // Versions the code was generated against; fetch these
+    dataQualityWarnings: result.dataQualityWarnings, // [{ datasetId, datasetName, issues }] for datasets with failed checks
+    fiscalCalendar: result.fiscalCalendar, // Owner's fiscal calendar, for the worker's executionScope.fiscal
+});
 
 // Controller name can stay the same as it handles the overall request flow
 const generateAndExecuteReport = async (req, res, next) => {
     const { promptText, selectedDatasetIds } = req.body;
     const userId = req.user?._id;
 
-    // Basic validation remains the same
-    if (!userId) {
-        return res.status(401).json({ status: 'error', message: 'User not authenticated.' });
-    }
-    if (!promptText || typeof promptText !== 'string' || promptText.trim() === '') {
-        return res.status(400).json({ status: 'error', message: 'promptText is required.' });
-    }
-    if (!selectedDatasetIds || !Array.isArray(selectedDatasetIds) || selectedDatasetIds.length === 0) {
-        return res.status(400).json({ status: 'error', message: 'At least one dataset must be selected.' });
+    const rejection = validatePromptRequest(req);
+    if (rejection) {
+        return res.status(rejection.statusCode).json({ status: 'error', message: rejection.message });
     }
 
     try {
+        const parent = await loadFollowUpParent(req);
         // --- FIX: Call the correct service function name ---
         // Call the service function which now ONLY generates code
-        const result = await promptService.generateCode(userId, promptText, selectedDatasetIds);
+        const result = await promptService.generateCode(userId, promptText, selectedDatasetIds, { parent });
         // --- END FIX ---
 
         // Check if the service itself returned an error status
@@ -39,13 +73,10 @@ const generateAndExecuteReport = async (req, res, next) => {
         // If successful, send back the generated code and prompt ID
         res.status(200).json({
             status: 'success',
-            data: {
-                aiGeneratedCode: result.aiGeneratedCode,
-                promptId: result.promptId,
-                // executionStatus is no longer relevant from backend
-            }
+            data: reportPayload(result)
         });
     } catch (error) {
+        if (isPromptError(error)) return sendCodedError(res, error);
         // Catch any unexpected errors from the service layer
         logger.error(`Unexpected error in prompt controller for user ${userId}: ${error.message}`);
         // Pass error to the global handler
@@ -53,7 +84,93 @@ const generateAndExecuteReport = async (req, res, next) => {
     }
 };
 
+/**
+ * Same generation as generateAndExecuteReport, answered as Server-Sent Events: the service's stage events
+ * ('context_assembled', 'generation_started', 'tokens', 'code_extracted') as they happen, then exactly one of
+ * 'completed' (the JSON endpoint's data) or 'error' ({ message, promptId }). Closing the connection cancels the
+ * Claude request. Validation failures (and an unknown or unusable parentPromptId) are answered as plain JSON before the
+ * stream starts.
+ */
+const streamReport = async (req, res) => {
+    const { promptText, selectedDatasetIds } = req.body;
+    const userId = req.user?._id;
+
+    const rejection = validatePromptRequest(req);
+    if (rejection) {
+        return res.status(rejection.statusCode).json({ status: 'error', message: rejection.message });
+    }
+
+    let parent;
+    try {
+        parent = await loadFollowUpParent(req);
+    } catch (error) {
+        if (isPromptError(error)) return sendCodedError(res, error);
+        logger.error(`Failed to load the follow-up parent for user ${userId}: ${error.message}`);
+        return res.status(500).json({ status: 'error', message: 'Failed to load the previous report.' });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // nginx would otherwise buffer the events
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    const abortController = new AbortController();
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableFinished) {
+            logger.info(`Client closed the report stream for user ${userId}; cancelling generation.`);
+            abortController.abort();
+        }
+    });
+
+    try {
+        const result = await promptService.generateCode(userId, promptText, selectedDatasetIds, {
+            onEvent: send,
+            signal: abortController.signal,
+            parent,
+        });
+        if (result.status === 'completed') {
+            send('completed', reportPayload(result));
+        } else if (result.status === 'error_generating') {
+            logger.error(`Code generation failed for user ${userId}, promptId: ${result.promptId}. Error: ${result.errorMessage}`);
+            send('error', { message: result.errorMessage || 'Failed to generate AI code.', promptId: result.promptId });
+        }
+    } catch (error) {
+        logger.error(`Unexpected error in prompt stream for user ${userId}: ${error.message}`);
+        send('error', { message: error.message || 'Failed to generate AI code.' });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+};
+
+// PUT /:id/result - how the generated code ran in the browser; follow-ups on this prompt send it to Claude
+const recordResult = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid prompt ID format.' });
+    }
+    const { status, resultSummary, errorMessage } = req.body || {};
+    try {
+        const result = await promptService.recordExecutionResult(req.user._id, id, { status, resultSummary, errorMessage });
+        res.status(200).json({ status: 'success', data: result });
+    } catch (error) {
+        if (isPromptError(error)) return sendCodedError(res, error);
+        logger.error(`Failed to record the result of prompt ${id}: ${error.message}`);
+        next(error);
+    }
+};
+
 module.exports = {
     // Export the handler
     generateAndExecuteReport,
+    streamReport,
+    recordResult,
 };
\ No newline at end of file
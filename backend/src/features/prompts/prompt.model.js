@@ -2,6 +2,14 @@
 // ** UPDATED FILE - Add fields for code generation/execution **
 const mongoose = require('mongoose');
 
+const ResultSummarySchema = new mongoose.Schema({
+  headings: [String],
+  tables: [[String]], // Column headers per table
+  chartCount: Number,
+  text: String, // Excerpt; sent with a follow-up only if its datasets allow values in the context
+  reportedAt: Date,
+}, { _id: false });
+
 const PromptHistorySchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,9 +25,30 @@ const PromptHistorySchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Dataset',
   }],
-  contextSent: {
+  selectedDatasetVersions: [{ // Which version of each selected dataset the report was generated against
+      _id: false,
+      datasetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Dataset' },
+      versionNumber: Number,
+      gcsPath: String,
+  }],
+  contextSent: { // Exact context text sent with the prompt (incl. opt-in sample rows), kept for audit
       type: String,
   },
+  // --- Conversation threads (prompt.threads.js) ---
+  threadId: { // _id of the thread's first prompt; the same on every follow-up
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptHistory',
+      index: true,
+  },
+  parentPromptId: { // Prompt this follow-up builds on (its code and result were sent along); null for a new report
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptHistory',
+      default: null,
+  },
+  resultSummary: { // What the code rendered in the browser, reported by the client (see normalizeResultSummary)
+      type: ResultSummarySchema,
+      default: undefined,
+  },
   // --- Phase 5 Fields ---
   aiGeneratedCode: { // Store the React code string generated by Claude
       type: String,
@@ -33,7 +62,7 @@ const PromptHistorySchema = new mongoose.Schema({
   },
   status: { // More granular status for Phase 5
     type: String,
-    enum: ['pending', 'generating_code', 'generating_text', 'execution_pending', 'executing_code', 'completed', 'error_generating', 'error_executing'],
+    enum: ['pending', 'generating_code', 'generating_text', 'execution_pending', 'executing_code', 'completed', 'error_generating', 'error_executing', 'cancelled'],
     default: 'pending',
   },
   // --- End Phase 5 Fields ---
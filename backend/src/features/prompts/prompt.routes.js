@@ -12,5 +12,9 @@ router.use(requireActiveSubscription);
 
 // POST /api/v1/prompts (Generate React code and execute it)
 router.post('/', promptController.generateAndExecuteReport); // Use the updated controller method
+// POST /api/v1/prompts/stream (Same generation, with live progress as Server-Sent Events)
+router.post('/stream', promptController.streamReport);
+// PUT /api/v1/prompts/:id/result (Summary of the rendered report, or the execution error, for follow-ups)
+router.put('/:id/result', promptController.recordResult);
 
 module.exports = router;
\ No newline at end of file
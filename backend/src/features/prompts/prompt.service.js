@@ -1,42 +1,225 @@
 // backend/src/features/prompts/prompt.service.js
 
+const Papa = require('papaparse');
 const anthropic = require('../../shared/external_apis/claude.client');
+const config = require('../../shared/config');
 const User = require('../users/user.model');
 const Dataset = require('../datasets/dataset.model');
 const PromptHistory = require('./prompt.model');
 const logger = require('../../shared/utils/logger');
+const { codedError } = require('../../shared/utils/codedError');
+const { summarizeColumnProfile } = require('../datasets/dataset.profiler');
+const { STATEMENT_FORMAT_LABELS, isStatement } = require('../datasets/dataset.statementParsers');
+const { describeRelationship } = require('../datasets/dataset.relationships');
+const { describeAppendSource } = require('../datasets/dataset.appends');
+const { summarizeQualityIssues } = require('../datasets/dataset.qualityRules');
+const { tablePolicies, describePiiPolicy, redactRows } = require('../datasets/dataset.pii');
+const { computedSchema } = require('../datasets/dataset.computedColumns');
+const { conversionSchema } = require('../datasets/dataset.currency');
+const { loadConverter } = require('../fx_rates/fxRate.service');
+const { getSettings } = require('../users/user.service');
+const { DEFAULT_FISCAL_CALENDAR, describeFiscalCalendar } = require('../users/user.fiscalCalendar');
+const { MAX_THREAD_PROMPTS, normalizeResultSummary, buildFollowUpMessages } = require('./prompt.threads');
+
+// Statistics that quote actual values; never sent for masked or hashed columns
+const VALUE_STATISTICS = ['min', 'max', 'mean', 'minDate', 'maxDate', 'topValues'];
+
+// Opt-in samples (includeSamplesInContext) share one character budget (~4 characters per token), so selecting many
+// datasets shortens each table's sample instead of growing the context
+const SAMPLE_BUDGET_CHARS = 8000;
+const CONTEXT_EXAMPLE_VALUES = 3; // Example values per column at most
+const CONTEXT_SAMPLE_VALUE_LENGTH = 40;
+
+const truncateSample = (value) => {
+    const text = String(value ?? '');
+    return text.length > CONTEXT_SAMPLE_VALUE_LENGTH ? `${text.slice(0, CONTEXT_SAMPLE_VALUE_LENGTH - 1)}…` : text;
+};
+
+// Lists a table's columns with their effective type/format, user descriptions and profile statistics.
+// PII policies (Map from tablePolicies): dropped columns are left out, masked/hashed ones are flagged and keep only counts.
+// `examplesPerColumn` > 0 adds profiled example values (opt-in samples), never for masked or hashed columns.
+// Computed columns carry their expression and converted amounts their conversion, so the AI uses them instead of
+// re-deriving the value.
+const describeColumns = (schemaInfo, columnDescriptions, profile, indent, piiPolicies = new Map(), examplesPerColumn = 0) => {
+    if (!schemaInfo || schemaInfo.length === 0) return `${indent}- (No column schema available)\n`;
+    const columnProfiles = new Map((profile?.columns || []).map(columnProfile => [columnProfile.name, columnProfile]));
+    return schemaInfo.filter(col => piiPolicies.get(col.name)?.policy !== 'drop').map(col => {
+        const colDesc = columnDescriptions?.[col.name] || col.description;
+        const typeLabel = col.format ? `${col.type}, Format: ${col.format}` : col.type;
+        const piiPolicy = piiPolicies.get(col.name);
+        let columnProfile = columnProfiles.get(col.name);
+        if (piiPolicy && columnProfile) {
+            columnProfile = { ...columnProfile };
+            VALUE_STATISTICS.forEach(field => delete columnProfile[field]);
+        }
+        const stats = summarizeColumnProfile(columnProfile, profile?.rowCount);
+        const examples = piiPolicy ? [] : (columnProfile?.examples || []).slice(0, examplesPerColumn);
+        const examplesLabel = examples.length > 0 ? ` [Examples: ${examples.map(value => JSON.stringify(truncateSample(value))).join(', ')}]` : '';
+        const computedLabel = col.isComputed ? ` [Computed: ${col.expression}; already in the data]` : '';
+        const convertedLabel = col.isConverted ? ` [Converted: ${col.conversion}; already in the data]` : '';
+        return `${indent}- ${col.name} (Type: ${typeLabel})${colDesc ? `: ${colDesc}` : ''}${computedLabel}${convertedLabel}${stats ? ` [Stats: ${stats}]` : ''}${examplesLabel}${piiPolicy ? ` ${describePiiPolicy(piiPolicy)}` : ''}\n`;
+    }).join('');
+};
+
+// Profiled sample rows of a table with the PII policies applied, as CSV lines; as many rows as fit in `budget` characters
+const describeSampleRows = (profile, piiPolicies, ownerId, budget, indent) => {
+    const columns = (profile?.columns || []).map(col => col.name);
+    if (!profile?.sampleRows?.length || columns.length === 0) return '';
+    // Hashed values cannot be produced without the key; those columns are left out of the sample instead
+    const policies = new Map([...piiPolicies].map(([column, policy]) => [
+        column, policy.policy === 'hash' && !config.piiHashSecret ? { ...policy, policy: 'drop' } : policy,
+    ]));
+    const fields = columns.filter(column => policies.get(column)?.policy !== 'drop');
+    const rows = redactRows(
+        profile.sampleRows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))),
+        policies,
+        { hashSecret: config.piiHashSecret, ownerId: String(ownerId) },
+    );
+    const lines = [Papa.unparse([fields]), ...rows.map(row => Papa.unparse([fields.map(field => truncateSample(row[field]))]))]
+        .map(line => `${indent}  ${line}\n`);
+    let used = lines[0].length;
+    let kept = 0;
+    while (kept < rows.length && used + lines[kept + 1].length <= budget) used += lines[++kept].length;
+    if (kept === 0) return `${indent}Sample Rows: omitted (too many datasets selected to fit samples in the context)\n`;
+    return `${indent}Sample Rows (${kept} rows from across the file, personal data redacted; NOT the full data):\n${lines.slice(0, kept + 1).join('')}`;
+};
 
-// Context assembly function (Enhanced with more details)
+// Columns of one table plus, when the owner opted in, example values and sample rows within `sampleBudget` characters.
+// Examples get fewer per column when they would take more than half of the budget; sample rows get the rest.
+const describeTableColumns = (schemaInfo, columnDescriptions, profile, indent, piiPolicies, { sampleBudget = 0, ownerId } = {}) => {
+    const plain = describeColumns(schemaInfo, columnDescriptions, profile, indent, piiPolicies);
+    if (sampleBudget <= 0 || !profile) return plain;
+    let columnsText = plain;
+    for (let examplesPerColumn = CONTEXT_EXAMPLE_VALUES; examplesPerColumn > 0; examplesPerColumn--) {
+        const withExamples = describeColumns(schemaInfo, columnDescriptions, profile, indent, piiPolicies, examplesPerColumn);
+        if (withExamples.length - plain.length <= sampleBudget / 2) {
+            columnsText = withExamples;
+            break;
+        }
+    }
+    const rowsIndent = indent.slice(2);
+    return columnsText + describeSampleRows(profile, piiPolicies, ownerId, sampleBudget - (columnsText.length - plain.length), rowsIndent);
+};
+
+// Row count line for a profiled table ("Rows: 1,200"), empty while profiling has not completed
+const describeRowCount = (profile, isPartial, indent) => {
+    if (typeof profile?.rowCount !== 'number') return '';
+    return `${indent}Rows: ${profile.rowCount.toLocaleString('en-US')}${isPartial ? ' (profiled on the first part of the file only)' : ''}\n`;
+};
+
+// Data quality line(s) of a dataset: failed checks are listed so the report can flag its figures as provisional
+const describeQuality = (quality) => {
+    if (!quality?.status) return '';
+    if (quality.status === 'passed') return `    Data Quality: all ${quality.results?.length || 0} checks passed\n`;
+    if (quality.status !== 'warning') return `    Data Quality: not checked (${quality.status})\n`;
+    const issues = summarizeQualityIssues(quality).map(line => `      - ${line}\n`).join('');
+    return `    Data Quality: WARNING - ${quality.issueCount} check(s) failed${quality.isPartial ? ' (first part of the file only)' : ''}:\n${issues}`;
+};
+
+// Whether the owner dropped a column from what the AI and the report worker see
+const isDroppedColumn = (dataset, sheetName, column) => tablePolicies(dataset?.piiPolicies, sheetName).get(column)?.policy === 'drop';
+
+// Declared relationships whose both ends are among the selected datasets (and not on a dropped column)
+const describeRelationships = (datasets) => {
+    const namesById = new Map(datasets.map(ds => [String(ds._id), ds.name]));
+    const datasetsById = new Map(datasets.map(ds => [String(ds._id), ds]));
+    const lines = datasets.flatMap(ds => (ds.relationships || [])
+        .filter(rel => namesById.has(String(rel.targetDatasetId)))
+        .filter(rel => !isDroppedColumn(ds, rel.sheetName, rel.column)
+            && !isDroppedColumn(datasetsById.get(String(rel.targetDatasetId)), rel.targetSheetName, rel.targetColumn))
+        .map(rel => `  - ${describeRelationship(rel, ds.name, namesById.get(String(rel.targetDatasetId)))}\n`));
+    if (lines.length === 0) return '';
+    return "- Declared Relationships (join keys confirmed by the user; join with executionScope.joinRows on these columns):\n" + lines.join('');
+};
+
+// Rates behind the converted columns, per source currency, so the report can state which rates it used
+const describeFxRates = (converter) => {
+    if (converter.coverage.length === 0) {
+        return `- FX Rates: none entered for ${converter.reportingCurrency}; converted columns are empty except for amounts already in ${converter.reportingCurrency}.\n`;
+    }
+    return `- FX Rates (user-maintained table; 1 unit of the currency in ${converter.reportingCurrency}, latest rate on or before each row's date):\n`
+        + converter.coverage.map(({ currency, count, firstDate, lastDate, latestRate }) => (
+            `  - ${currency}/${converter.reportingCurrency}: ${count} ${count === 1 ? 'rate' : 'rates'} from ${firstDate} to ${lastDate}, latest ${latestRate}\n`
+        )).join('');
+};
+
+// Context assembly function (Enhanced with more details).
+// Schema, descriptions and aggregate statistics are sent; sample rows and example values only for datasets whose owner
+// opted in (includeSamplesInContext). The owner's PII policies apply to all of it. Converted amounts are listed in the
+// reporting currency, with the rates behind them when a selected dataset converts any. The returned text is stored as the
+// prompt's `contextSent`, so it is exactly what the model saw. The fiscal calendar is spelled out with this year's quarter
+// dates, so "Q2" or "YTD" in a prompt resolve to fiscal periods.
 const assembleContext = async (userId, selectedDatasetIds) => {
     let contextString = "Context:\n";
     const user = await User.findById(userId).select('settings').lean();
     contextString += `- User Settings: Currency=${user?.settings?.currency || 'USD'}, DateFormat=${user?.settings?.dateFormat || 'YYYY-MM-DD'}. ${user?.settings?.aiContext || ''}\n`;
+    contextString += describeFiscalCalendar({ ...DEFAULT_FISCAL_CALENDAR, ...user?.settings?.fiscalCalendar });
     contextString += `- Team Settings: (Not implemented yet)\n`;
     contextString += "- Selected Datasets:\n";
     if (selectedDatasetIds && selectedDatasetIds.length > 0) {
         const datasets = await Dataset.find({ _id: { $in: selectedDatasetIds }, ownerId: userId })
-            .select('name description schemaInfo columnDescriptions').lean();
+            .select('ownerId name description fileType schemaInfo columnDescriptions sheets profile quality relationships piiPolicies computedColumns currencyConversions includeSamplesInContext activeVersion versions.versionNumber versions.appliedBatchIds appendBatches._id appendBatches.originalFilename appendBatches.addedColumns appendBatches.missingColumns').lean();
         if (!datasets || datasets.length === 0) {
             contextString += "  - No accessible datasets found for the provided IDs.\n";
         } else {
+            const includedSheetsOf = ds => (ds.sheets || []).filter(sheet => sheet.isIncluded !== false);
+            const sampledTableCount = datasets
+                .filter(ds => ds.includeSamplesInContext)
+                .reduce((count, ds) => count + Math.max(1, includedSheetsOf(ds).length), 0);
+            const sampleBudget = sampledTableCount > 0 ? Math.floor(SAMPLE_BUDGET_CHARS / sampledTableCount) : 0;
+            const converter = datasets.some(ds => ds.currencyConversions?.length > 0) ? await loadConverter(userId) : null;
+            const derivedColumns = (ds, sheetName) => [
+                ...computedSchema(ds.computedColumns, sheetName),
+                ...(converter ? conversionSchema(ds.currencyConversions, sheetName, converter.reportingCurrency) : []),
+            ];
             datasets.forEach(ds => {
+                const sampling = { sampleBudget: ds.includeSamplesInContext ? sampleBudget : 0, ownerId: ds.ownerId };
                 contextString += `  - Name: ${ds.name}\n`;
                 contextString += `    Description: ${ds.description || '(No description provided)'}\n`;
-                contextString += `    Columns:\n`;
-                if (ds.schemaInfo && ds.schemaInfo.length > 0) {
-                    ds.schemaInfo.forEach(col => {
-                        const colDesc = ds.columnDescriptions?.[col.name];
-                        contextString += `      - ${col.name} (Type: ${col.type})${colDesc ? `: ${colDesc}` : ''}\n`;
+                if (isStatement(ds.fileType)) {
+                    contextString += `    Source: ${STATEMENT_FORMAT_LABELS[ds.fileType]} bank statement, normalized to the standard transactions table (one row per booked transaction; amount signed, positive = money in)\n`;
+                }
+                contextString += describeAppendSource(ds, '    ');
+                contextString += describeQuality(ds.quality);
+                const includedSheets = includedSheetsOf(ds);
+                if (includedSheets.length > 0) {
+                    // Each worksheet reaches the component as its own entry in `datasets`
+                    contextString += `    Tables (Excel worksheets, each provided as a separate dataset entry named "${ds.name} / <sheet>"):\n`;
+                    includedSheets.forEach(sheet => {
+                        const sheetProfile = ds.profile?.status === 'complete' ? sheet.profile : null;
+                        contextString += `      - Table: ${ds.name} / ${sheet.name} (sheetName: ${sheet.name})\n`;
+                        contextString += describeRowCount(sheetProfile, ds.profile?.isPartial, '        ');
+                        contextString += `        Columns:\n`;
+                        const sheetColumns = [...(sheet.schemaInfo || []), ...derivedColumns(ds, sheet.name)];
+                        contextString += describeTableColumns(sheetColumns, sheet.columnDescriptions, sheetProfile, '          ', tablePolicies(ds.piiPolicies, sheet.name), sampling);
                     });
-                } else { contextString += `      - (No column schema available)\n`; }
+                } else {
+                    const profile = ds.profile?.status === 'complete' ? ds.profile : null;
+                    contextString += describeRowCount(profile, profile?.isPartial, '    ');
+                    contextString += `    Columns:\n`;
+                    const columns = [...(ds.schemaInfo || []), ...derivedColumns(ds, null)];
+                    contextString += describeTableColumns(columns, ds.columnDescriptions, profile, '      ', tablePolicies(ds.piiPolicies, null), sampling);
+                }
             });
+            contextString += describeRelationships(datasets);
+            if (converter) contextString += describeFxRates(converter);
         }
     } else { contextString += "  - None selected.\n"; }
     return contextString;
 };
 
-// Generate code function (Fixed with proper chart rendering and accessibility)
-const generateCode = async (userId, promptText, selectedDatasetIds) => {
+/**
+ * Generates the report code for a prompt. Claude's answer is streamed, so a caller can follow the generation (the SSE
+ * endpoint forwards the events to the browser) and stop it early.
+ * @param {object} [options]
+ * @param {(event: string, data: object) => void} [options.onEvent] - Stage events: 'context_assembled'
+ *   ({ promptId, datasetCount, contextLength }), 'generation_started' ({ model }), 'tokens' ({ text, receivedChars,
+ *   outputTokens }) for every chunk of Claude's output, and 'code_extracted' ({ codeLength, outputTokens }).
+ * @param {AbortSignal} [options.signal] - Aborting stops the Claude request; the history is marked 'cancelled'.
+ * @param {object} [options.parent] - From getFollowUpParent(): the prompt is a follow-up revising that report's code.
+ * @returns {Promise<object>} `status` is 'completed', 'error_generating' or 'cancelled'.
+ */
+const generateCode = async (userId, promptText, selectedDatasetIds, { onEvent, signal, parent } = {}) => {
     if (!anthropic) {
         logger.error("generateCode called but Anthropic client is not initialized.");
         throw new Error('AI assistant is currently unavailable.');
@@ -49,10 +232,45 @@ const generateCode = async (userId, promptText, selectedDatasetIds) => {
     let historyErrorMessage = null;
     let generatedCode = null;
     let contextUsed = '';
+    // A failing listener (e.g. a closed connection) must not fail the generation
+    const emit = (event, data) => {
+        if (!onEvent) return;
+        try {
+            onEvent(event, data);
+        } catch (listenerError) {
+            logger.warn(`Prompt event listener failed on '${event}': ${listenerError.message}`);
+        }
+    };
+
+    // Pin the versions active right now so the report can be traced (and re-run) against the same files
+    let selectedDatasetVersions = [];
+    let dataQualityWarnings = []; // Datasets with failed quality checks; the client marks the report as provisional
+    let includeResultText = false; // A follow-up quotes the previous report's text only if every dataset allows values
+    try {
+        const datasets = await Dataset.find({ _id: { $in: selectedDatasetIds }, ownerId: userId }).select('name activeVersion gcsPath quality includeSamplesInContext').lean();
+        includeResultText = datasets.length > 0 && datasets.every(ds => ds.includeSamplesInContext);
+        selectedDatasetVersions = datasets.map(ds => ({ datasetId: ds._id, versionNumber: ds.activeVersion || 1, gcsPath: ds.gcsPath }));
+        dataQualityWarnings = datasets
+            .filter(ds => ds.quality?.status === 'warning')
+            .map(ds => ({ datasetId: ds._id, datasetName: ds.name, issues: summarizeQualityIssues(ds.quality) }));
+    } catch (dbError) {
+        logger.error(`Failed to look up dataset versions for user ${userId}: ${dbError.message}`);
+    }
+    // Sent back with the code: the report worker's executionScope.fiscal helpers follow the same calendar
+    let fiscalCalendar = DEFAULT_FISCAL_CALENDAR;
+    try {
+        fiscalCalendar = (await getSettings(userId))?.fiscalCalendar || DEFAULT_FISCAL_CALENDAR;
+    } catch (dbError) {
+        logger.error(`Failed to look up the fiscal calendar for user ${userId}: ${dbError.message}`);
+    }
 
     // Create Initial History Record
     try {
-        const initialHistory = new PromptHistory({ userId, promptText, selectedDatasetIds, status: 'generating_code' });
+        const initialHistory = new PromptHistory({
+            userId, promptText, selectedDatasetIds, selectedDatasetVersions, status: 'generating_code',
+            parentPromptId: parent?._id || null,
+        });
+        initialHistory.threadId = parent ? parent.threadId : initialHistory._id; // A new report starts its own thread
         const saved = await initialHistory.save();
         historyId = saved._id;
         logger.info(`Initial prompt history record created ID: ${historyId}`);
@@ -65,6 +283,7 @@ const generateCode = async (userId, promptText, selectedDatasetIds) => {
         logger.debug(`Assembling context for historyId: ${historyId}`);
         contextUsed = await assembleContext(userId, selectedDatasetIds);
         logger.debug(`Context assembled successfully for historyId: ${historyId}. Length: ${contextUsed.length}`);
+        emit('context_assembled', { promptId: historyId, datasetCount: selectedDatasetIds.length, contextLength: contextUsed.length });
 
         // ENHANCED: System prompt with better visualization guidance, accessibility requirements, and narrative structure
         const systemPrompt = `You are NeuroLedger AI, an expert React developer and financial data analyst. Generate a single React functional component named 'ReportComponent' that will analyze financial data and create a visually appealing, professionally designed report with clear narrative insights.
@@ -106,6 +325,15 @@ NARRATIVE STRUCTURE:
 6. ACTIONABLE RECOMMENDATIONS: Provide 3 specific, data-driven recommendations
 7. RISK ASSESSMENT: Identify potential concerns with severity ratings
 
+DATA QUALITY:
+If any dataset in the context shows "Data Quality: WARNING", the report is NOT authoritative. Start it (above the executive summary) with a clearly visible caution box (warning color #ffbe0b border) that names each failed check and how many rows it affects, and state that the figures are provisional until the data is corrected. Exclude or separately count the affected rows (e.g. unparseable dates, missing amounts) in calculations and say which you did.
+
+SENSITIVE DATA:
+Columns marked "[Sensitive: ...]" hold personal data the owner has protected. Masked columns contain redacted text (e.g. "****1234", "j***@example.com"); hashed columns contain stable 16-character tokens that can be counted, grouped and joined but mean nothing to a reader. Never try to recover the original values, never list individual masked or hashed values in the report, and aggregate instead (counts, totals per group). Columns the owner dropped are not in the data at all; do not reference them.
+
+FISCAL CALENDAR:
+Quarters (Q1-Q4), periods, "YTD", "QTD", "this year" and "last year" in the request always mean the fiscal calendar given in the context, not calendar months. Bucket dates with executionScope.fiscal instead of getMonth()/getFullYear() and label them the same way (e.g. "FY2027 Q2", "FY2027 P04"). For YTD/QTD use the latest date in the data as the as-of date when the data ends before today, and state the date range used.
+
 TECHNICAL REQUIREMENTS:
 1. COMPONENT NAME: EXACTLY 'ReportComponent'
 2. CODE FORMAT: Use React.createElement for component creation
@@ -115,15 +343,26 @@ TECHNICAL REQUIREMENTS:
    - Recharts: executionScope.Recharts.ChartName (CRITICAL: Always use this pattern)
    - PapaParse: executionScope.Papa
    - Lodash: executionScope._
+   - Joins: executionScope.joinRows(leftRows, rightRows, leftKey, rightKey, { type: 'left' | 'inner', prefix: 'right_' })
+     returns one merged row per match (keys compared as trimmed text; right-hand columns whose name is already taken get the prefix).
+     When the context lists "Declared Relationships", join on exactly those columns instead of guessing join keys.
+   - Fiscal calendar: executionScope.fiscal (follows the "Fiscal Calendar" in the context; dates are Date objects or 'YYYY-MM-DD' strings)
+     .periodOf(date) returns { fiscalYear, quarter, period, week, label, quarterLabel, yearStart, yearEnd, quarterStart, quarterEnd, periodStart, periodEnd },
+     .fiscalYear(date), .quarter(date), .period(date), .yearRange(fiscalYear), .quarterRange(fiscalYear, quarter),
+     .periodRange(fiscalYear, period), .ytd(asOf?), .qtd(asOf?), .isInRange(date, range); ranges are { start, end } as 'YYYY-MM-DD' (inclusive).
    - Console: executionScope.console.log(), executionScope.console.error()
 
 4. DATA STRUCTURE: Component must accept { datasets } as its only prop, where datasets is an array of:
    {
-     name: string,        // Dataset name
+     name: string,        // Table name as listed in the context ("<dataset> / <sheet>" for Excel worksheets)
+     datasetName: string, // Name of the uploaded dataset the table comes from
+     sheetName?: string,  // Worksheet name for Excel workbooks (absent for CSV files)
      gcsPath: string,     // Storage path
-     content: string,     // CSV/data content as string
+     content: string,     // CSV content as string: always comma-delimited with "." as decimal point (Excel worksheets, bank
+                          // statements and semicolon/decimal-comma exports are converted before your code runs)
      error?: string       // Optional error message
    }
+   Find tables by their name from the context (or by datasetName + sheetName), never by array position.
 
 5. DATA PARSING: Use this exact pattern for CSV parsing:
    const parsedData = executionScope.Papa.parse(dataset.content, {
@@ -132,6 +371,15 @@ TECHNICAL REQUIREMENTS:
      skipEmptyLines: true
    });
 
+   Column types and formats listed in the context were detected from the data itself. dynamicTyping does NOT convert formatted values:
+   - currency/percentage columns (and numbers with a thousands-separator format like "#,##0.00") arrive as strings such as "$1,234.50", "(5.00)" or "12.5%". Strip symbols and separators before arithmetic, treat parentheses as negative, and divide percentages by 100.
+   - date/datetime columns must be parsed with their stated Format (e.g. "DD/MM/YYYY" means 03/04/2024 is 3 April). Never rely on new Date() to guess ambiguous formats.
+   - boolean columns use the stated Format for their true/false values (e.g. "Y/N").
+   [Stats: ...] after a column are computed from the full file (null count, distinct count, min/max/mean, date range, most frequent values). Use them to choose sensible aggregations, groupings and time buckets, and mention data gaps (many nulls or unparseable values) in the report.
+   [Computed: <expression>; already in the data] marks a column the owner defined once from other columns (e.g. net = credit - debit). Its values are in dataset.content like any other column: use it directly and never re-derive it, so every report computes it the same way.
+   [Converted: ...; already in the data] marks an amount converted into the user's reporting currency (named <amount>_<CURRENCY>), with the rate and rate date used per row in <amount>_fx_rate and <amount>_fx_date. Never add up amounts in different currencies: total and compare the converted column. Never convert with rates of your own. The report must state the rates used (currency pair, rate range and dates, from the _fx_rate/_fx_date columns or the "FX Rates" context) and how many rows have no converted amount because no rate was available.
+   [Examples: ...] and "Sample Rows" (only present for some datasets) show how values are written, e.g. codes like "D-104" or expenses stored as negative amounts. Use them to get parsing, sign conventions and categories right, but never hardcode sample values or treat the sample as the data: always compute from dataset.content.
+
 6. ERROR HANDLING: Use try/catch blocks for all data operations with helpful error messages
 
 7. PROGRESS REPORTING: Include these exact logging statements at key stages:
@@ -196,13 +444,26 @@ Ensure your code EXACTLY follows this pattern for accessing Recharts components.
 
 Only provide the complete JavaScript code for the ReportComponent function.`;
 
-        const messages = [{ role: "user", content: `${contextUsed}\n\nUser Prompt: ${promptText}` }];
+        const messages = parent
+            ? buildFollowUpMessages({ context: contextUsed, parent, promptText, includeResultText })
+            : [{ role: "user", content: `${contextUsed}\n\nUser Prompt: ${promptText}` }];
+        // The audit copy of a follow-up also holds what was sent about the previous turn (its code is on the parent entry)
+        if (parent) contextUsed += `\n\n--- Follow-up of prompt ${parent._id} ---\n${messages[messages.length - 1].content}`;
         const modelToUse = "claude-3-7-sonnet-20250219";
         const apiOptions = { model: modelToUse, max_tokens: 14096, system: systemPrompt, messages, temperature: 0.2 };
 
-        // 3. Call Claude API
+        // 3. Call Claude API (streamed: text arrives as it is generated)
+        if (signal?.aborted) throw new Error('Report generation was cancelled.');
         logger.debug(`Calling Claude API for CODE generation with model ${apiOptions.model}...`);
-        const claudeApiResponse = await anthropic.messages.create(apiOptions);
+        emit('generation_started', { model: apiOptions.model });
+        const claudeStream = anthropic.messages.stream(apiOptions, { signal });
+        let outputTokens = 0;
+        claudeStream.on('streamEvent', (event) => {
+            if (event.type === 'message_delta' && event.usage) outputTokens = event.usage.output_tokens;
+        });
+        claudeStream.on('text', (text, snapshot) => emit('tokens', { text, receivedChars: snapshot.length, outputTokens }));
+        const claudeApiResponse = await claudeStream.finalMessage();
+        outputTokens = claudeApiResponse.usage?.output_tokens ?? outputTokens;
         const rawResponse = claudeApiResponse.content?.[0]?.type === 'text' ? claudeApiResponse.content[0].text : null;
         logger.debug(`Claude RAW response received for historyId ${historyId}. Length: ${rawResponse?.length}`);
 
@@ -219,6 +480,7 @@ Only provide the complete JavaScript code for the ReportComponent function.`;
                 console.log(generatedCode);
                 logger.debug(`--- END GENERATED CODE ---`);
                 historyStatus = 'completed';
+                emit('code_extracted', { codeLength: generatedCode.length, outputTokens });
             } else {
                  logger.warn(`Could not extract code block from Claude response for historyId ${historyId}. Response: ${rawResponse.substring(0, 500)}`);
                  throw new Error('AI failed to generate the expected code format.');
@@ -247,13 +509,23 @@ Only provide the complete JavaScript code for the ReportComponent function.`;
         return {
             aiGeneratedCode: generatedCode,
             promptId: historyId,
+            threadId: parent ? parent.threadId : historyId,
+            datasetVersions: selectedDatasetVersions.map(({ datasetId, versionNumber }) => ({ datasetId, versionNumber })),
+            dataQualityWarnings,
+            fiscalCalendar,
             status: historyStatus
         };
 
     } catch (error) {
-        logger.error(`Error during prompt code generation for historyId: ${historyId}: ${error.message}`, error.stack);
-         historyStatus = 'error_generating';
-         historyErrorMessage = error.message;
+        if (signal?.aborted) {
+            logger.info(`Prompt code generation cancelled by the client for historyId: ${historyId}`);
+            historyStatus = 'cancelled';
+            historyErrorMessage = 'Cancelled by the user.';
+        } else {
+            logger.error(`Error during prompt code generation for historyId: ${historyId}: ${error.message}`, error.stack);
+            historyStatus = 'error_generating';
+            historyErrorMessage = error.message;
+        }
          if (historyId) {
              try {
                  logger.debug(`Updating history ${historyId} with error status: ${historyStatus}`);
@@ -279,6 +551,58 @@ Only provide the complete JavaScript code for the ReportComponent function.`;
     }
 };
 
+/**
+ * The prompt a follow-up builds on, with the earlier prompts of its thread (`earlierPrompts`, oldest first, following
+ * the parent links so a follow-up on an older turn leaves out the turns after it).
+ * @throws {Error} PROMPT_NOT_FOUND (404), PROMPT_NOT_FOLLOWABLE (409) when the prompt produced no code.
+ */
+const getFollowUpParent = async (userId, parentPromptId) => {
+    const fields = 'promptText aiGeneratedCode status errorMessage resultSummary threadId parentPromptId';
+    const parent = await PromptHistory.findOne({ _id: parentPromptId, userId }).select(fields).lean();
+    if (!parent) throw codedError('The report to follow up on was not found.', 'PROMPT_NOT_FOUND', 404);
+    if (!parent.aiGeneratedCode || !['completed', 'error_executing'].includes(parent.status)) {
+        throw codedError('That prompt did not produce a report to build on. Ask for a new report instead.', 'PROMPT_NOT_FOLLOWABLE', 409);
+    }
+
+    const earlierPrompts = [];
+    let ancestorId = parent.parentPromptId;
+    while (ancestorId && earlierPrompts.length < MAX_THREAD_PROMPTS) {
+        const ancestor = await PromptHistory.findOne({ _id: ancestorId, userId }).select('promptText parentPromptId').lean();
+        if (!ancestor) break;
+        earlierPrompts.unshift(ancestor.promptText);
+        ancestorId = ancestor.parentPromptId;
+    }
+    // Entries from before threads existed start their own
+    return { ...parent, threadId: parent.threadId || parent._id, earlierPrompts };
+};
+
+/**
+ * Records how the generated code ran in the browser: 'completed' with a summary of the rendered report, or
+ * 'error_executing' with the error. Follow-ups send this along with the code.
+ * @param {{ status: 'completed'|'error_executing', resultSummary?: object, errorMessage?: string }} result
+ * @returns {Promise<{ promptId: string, status: string }>}
+ * @throws {Error} PROMPT_RESULT_INVALID (400), PROMPT_NOT_FOUND (404), PROMPT_NOT_FOLLOWABLE (409) without generated code.
+ */
+const recordExecutionResult = async (userId, promptId, { status, resultSummary, errorMessage }) => {
+    if (!['completed', 'error_executing'].includes(status)) {
+        throw codedError("status must be 'completed' or 'error_executing'.", 'PROMPT_RESULT_INVALID');
+    }
+    const update = status === 'completed'
+        ? { $set: { status, errorMessage: null, resultSummary: { ...normalizeResultSummary(resultSummary), reportedAt: new Date() } } }
+        : { $set: { status, errorMessage: String(errorMessage || 'Unknown execution error').slice(0, 2000) }, $unset: { resultSummary: 1 } };
+    const history = await PromptHistory.findOneAndUpdate(
+        { _id: promptId, userId, aiGeneratedCode: { $ne: null }, status: { $in: ['completed', 'error_executing'] } },
+        update,
+        { new: true }
+    ).select('_id status').lean();
+    if (history) return { promptId: history._id, status: history.status };
+    const exists = await PromptHistory.exists({ _id: promptId, userId });
+    if (!exists) throw codedError('Prompt not found.', 'PROMPT_NOT_FOUND', 404);
+    throw codedError('No code was generated for this prompt.', 'PROMPT_NOT_FOLLOWABLE', 409);
+};
+
 module.exports = {
     generateCode,
+    getFollowUpParent,
+    recordExecutionResult,
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// backend/src/features/prompts/prompt.threads.js
+// ** NEW FILE **
+// Conversation threads: a follow-up prompt ("make the expense chart a stacked bar", "drop Q1") is sent to Claude with
+// the previous prompt, the code generated for it and a summary of what that code produced in the browser, so the
+// report is revised instead of regenerated from scratch. Each follow-up is its own PromptHistory entry, linked to the
+// one it builds on (parentPromptId) and sharing the first prompt's threadId.
+
+const { codedError } = require('../../shared/utils/codedError');
+
+const MAX_THREAD_PROMPTS = 10; // Earlier prompts of the thread listed with a follow-up (oldest dropped first)
+const MAX_SUMMARY_HEADINGS = 30;
+const MAX_SUMMARY_TABLES = 10;
+const MAX_SUMMARY_COLUMNS = 20;
+const MAX_SUMMARY_TEXT_CHARS = 3000; // Report text excerpt; only sent when the datasets' owner allows values in the context
+const MAX_SUMMARY_ERROR_CHARS = 1000;
+
+const cleanText = (value, maxLength) => String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+
+/**
+ * Validates the summary the client reports after running a report's code (see shared/utils/reportSummary.js), and
+ * caps its size.
+ * @param {{ headings?: string[], tables?: string[][], chartCount?: number, text?: string }} summary - Section headings,
+ *   the column headers of each table, the number of charts and the report's text.
+ * @returns {{ headings: string[], tables: string[][], chartCount: number, text: string }}
+ * @throws {Error} PROMPT_RESULT_INVALID (400).
+ */
+const normalizeResultSummary = (summary) => {
+    if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+        throw codedError('resultSummary must be an object.', 'PROMPT_RESULT_INVALID');
+    }
+    const { headings = [], tables = [], chartCount = 0, text = '' } = summary;
+    if (!Array.isArray(headings) || !Array.isArray(tables) || tables.some(columns => !Array.isArray(columns))) {
+        throw codedError('resultSummary.headings must be a list of strings and resultSummary.tables a list of column lists.', 'PROMPT_RESULT_INVALID');
+    }
+    return {
+        headings: headings.map(heading => cleanText(heading, 200)).filter(Boolean).slice(0, MAX_SUMMARY_HEADINGS),
+        tables: tables.slice(0, MAX_SUMMARY_TABLES).map(columns => columns.map(column => cleanText(column, 100)).slice(0, MAX_SUMMARY_COLUMNS)),
+        chartCount: Math.max(0, Math.min(1000, parseInt(chartCount, 10) || 0)),
+        text: cleanText(text, MAX_SUMMARY_TEXT_CHARS),
+    };
+};
+
+/**
+ * What the previous turn's code produced. The report text quotes figures from the data, so it is only included when
+ * `includeText` is set (every selected dataset opted in to includeSamplesInContext); the structure always is.
+ * @param {object} parent - PromptHistory entry with status, errorMessage and resultSummary.
+ * @param {{ includeText: boolean }} options
+ * @returns {string}
+ */
+const describePreviousResult = (parent, { includeText }) => {
+    if (parent.status === 'error_executing') {
+        return `The code failed in the browser with this error:\n${cleanText(parent.errorMessage, MAX_SUMMARY_ERROR_CHARS) || 'unknown error'}\n`;
+    }
+    const summary = parent.resultSummary;
+    if (!summary) return 'The result of the code was not reported (the user may not have viewed it).\n';
+    let text = `The code rendered a report with ${summary.chartCount} chart${summary.chartCount === 1 ? '' : 's'} and ${summary.tables?.length || 0} table${summary.tables?.length === 1 ? '' : 's'}.\n`;
+    if (summary.headings?.length) text += `Sections: ${summary.headings.join(' | ')}\n`;
+    (summary.tables || []).forEach((columns, index) => { text += `Table ${index + 1} columns: ${columns.join(', ')}\n`; });
+    if (includeText && summary.text) text += `Report text (excerpt):\n${summary.text}\n`;
+    return text;
+};
+
+/**
+ * Messages for a follow-up: the earlier request and its code as a completed exchange, then the result and the new
+ * request. The current context (dataset versions and settings as of now) replaces the one the parent was sent.
+ * @param {object} options
+ * @param {string} options.context - From assembleContext().
+ * @param {object} options.parent - PromptHistory entry the follow-up builds on, with `earlierPrompts` (oldest first).
+ * @param {string} options.promptText - The follow-up request.
+ * @param {boolean} options.includeResultText - See describePreviousResult().
+ * @returns {Array<{ role: 'user'|'assistant', content: string }>}
+ */
+const buildFollowUpMessages = ({ context, parent, promptText, includeResultText }) => {
+    const earlier = parent.earlierPrompts || [];
+    const history = earlier.length > 0
+        ? `Earlier requests in this conversation (oldest first):\n${earlier.map(text => `- ${text}`).join('\n')}\n\n`
+        : '';
+    return [
+        { role: 'user', content: `${context}\n\n${history}User Prompt: ${parent.promptText}` },
+        { role: 'assistant', content: `\`\`\`javascript\n${parent.aiGeneratedCode}\n\`\`\`` },
+        {
+            role: 'user',
+            content: `${describePreviousResult(parent, { includeText: includeResultText })}
+Follow-up request: ${promptText}
+
+Revise the ReportComponent above for this follow-up. Keep everything the request does not ask to change (sections, calculations, styling), fix the error if there was one, and follow all the rules of the system prompt. Return the complete updated code.`,
+        },
+    ];
+};
+
+module.exports = {
+    MAX_THREAD_PROMPTS,
+    normalizeResultSummary,
+    describePreviousResult,
+    buildFollowUpMessages,
+};
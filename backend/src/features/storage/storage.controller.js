@@ -0,0 +1,66 @@
+// backend/src/features/storage/storage.controller.js
+// ** NEW FILE **
+const { pipeline } = require('stream/promises');
+const config = require('../../shared/config');
+const { getStorage } = require('../../shared/storage');
+const logger = require('../../shared/utils/logger');
+const { sendCodedError } = require('../../shared/utils/codedError');
+
+// The browser reads the Range header of a 308 to continue a resumable upload; other origins only see it when exposed
+const RESUMABLE_HEADERS = { 'Access-Control-Expose-Headers': 'Range' };
+
+// Storage errors (signature, expiry, size, range, missing object) carry their own status and code
+const handleError = (res, next, error, action) => {
+    if (String(error.code).startsWith('STORAGE_') && error.statusCode) {
+        if (!res.headersSent) return sendCodedError(res, error);
+        return res.destroy(error);
+    }
+    logger.error(`Error ${action}: ${error.message}`);
+    next(error);
+};
+
+// The routes only exist for the local backend; with GCS the signed URLs point to GCS itself
+const requireLocalStorage = (req, res, next) => {
+    if (config.storageBackend !== 'local') return res.status(404).json({ status: 'error', message: 'Resource not found.' });
+    next();
+};
+
+// PUT /uploads/:token - body of a signed upload URL, or one chunk / status query of a resumable session
+const receiveUpload = async (req, res, next) => {
+    const storage = getStorage();
+    try {
+        const claims = storage.verifyUrl(req.params.token, ['write', 'resumable']);
+        if (claims.action === 'write') {
+            await storage.receiveUpload(claims, req);
+            return res.status(200).json({ status: 'success', data: null });
+        }
+        const { bytesUploaded, isComplete } = await storage.receiveChunk(claims, req.get('Content-Range'), req);
+        res.set(RESUMABLE_HEADERS);
+        if (isComplete) return res.status(200).json({ status: 'success', data: null });
+        // 308 "Resume Incomplete" with the persisted range, as GCS answers; no Range header before the first byte
+        if (bytesUploaded > 0) res.set('Range', `bytes=0-${bytesUploaded - 1}`);
+        res.status(308).end();
+    } catch (error) {
+        req.resume();
+        handleError(res, next, error, 'receiving a local storage upload');
+    }
+};
+
+// GET /objects/:token - content of a signed read URL
+const sendObject = async (req, res, next) => {
+    const storage = getStorage();
+    try {
+        const claims = storage.verifyUrl(req.params.token, ['read']);
+        const { size } = await storage.getMetadata(claims.path);
+        res.set({ 'Content-Type': 'application/octet-stream', 'Content-Length': String(size), 'Cache-Control': 'private, no-store' });
+        await pipeline(storage.createReadStream(claims.path), res);
+    } catch (error) {
+        handleError(res, next, error, 'serving a local storage object');
+    }
+};
+
+module.exports = {
+    requireLocalStorage,
+    receiveUpload,
+    sendObject,
+};
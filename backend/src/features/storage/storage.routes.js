@@ -0,0 +1,17 @@
+// backend/src/features/storage/storage.routes.js
+// ** NEW FILE **
+const express = require('express');
+const storageController = require('./storage.controller');
+
+const router = express.Router();
+
+// No `protect`: like GCS signed URLs, the signed token in the path is the authorization (see shared/storage)
+router.use(storageController.requireLocalStorage);
+
+// PUT /api/v1/storage/uploads/:token (signed upload URL, or resumable session URI with Content-Range)
+router.put('/uploads/:token', storageController.receiveUpload);
+
+// GET /api/v1/storage/objects/:token (signed read URL)
+router.get('/objects/:token', storageController.sendObject);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// backend/src/features/users/user.controller.js
+// ** NEW FILE **
+const userService = require('./user.service');
+const logger = require('../../shared/utils/logger');
+const { sendCodedError } = require('../../shared/utils/codedError');
+
+// GET /me/settings
+const getSettings = async (req, res, next) => {
+    try {
+        const settings = await userService.getSettings(req.user._id);
+        if (!settings) return res.status(404).json({ status: 'error', message: 'User not found.' });
+        res.status(200).json({ status: 'success', data: settings });
+    } catch (error) {
+        logger.error(`Error getting settings for user ${req.user?._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+// PUT /me/settings - update currency (reporting currency), dateFormat, aiContext and/or fiscalCalendar
+const updateSettings = async (req, res, next) => {
+    try {
+        const { currency, dateFormat, aiContext, fiscalCalendar } = req.body || {};
+        const settings = await userService.updateSettings(req.user._id, { currency, dateFormat, aiContext, fiscalCalendar });
+        if (!settings) return res.status(404).json({ status: 'error', message: 'User not found.' });
+        res.status(200).json({ status: 'success', data: settings });
+    } catch (error) {
+        if (error.code === 'SETTINGS_INVALID') return sendCodedError(res, error);
+        logger.error(`Error updating settings for user ${req.user?._id}: ${error.message}`);
+        next(error);
+    }
+};
+
+module.exports = {
+    getSettings,
+    updateSettings,
+};
@@ -0,0 +1,161 @@
+// backend/src/features/users/user.fiscalCalendar.js
+// ** NEW FILE **
+// Fiscal calendar of a user (settings.fiscalCalendar): when the fiscal year starts and how it is split into
+// periods, either calendar months or 52/53-week years in 4-4-5 style quarters. The prompt context describes it with
+// the current year's quarter dates, and the report worker gets the same rules as executionScope.fiscal
+// (frontend/src/shared/utils/fiscalCalendar.js; keep both in step).
+
+const { codedError } = require('../../shared/utils/codedError');
+
+const FISCAL_PATTERNS = ['calendar', '4-4-5', '4-5-4', '5-4-4'];
+const YEAR_END_RULES = ['last', 'nearest']; // Week patterns: the year ends on the last weekEndsOn day of its last month, or the one nearest the month end
+const YEAR_LABELS = ['end', 'start']; // FY2025 is the year ending (or starting) in 2025
+const DEFAULT_FISCAL_CALENDAR = { startMonth: 1, pattern: 'calendar', weekEndsOn: 6, yearEndRule: 'last', yearLabel: 'end' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const integerIn = (value, min, max) => Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max;
+
+/**
+ * Validates a fiscal calendar definition; missing fields take the defaults (calendar year, monthly periods).
+ * @param {{ startMonth?, pattern?, weekEndsOn?, yearEndRule?, yearLabel? }} input - `startMonth` 1-12, `weekEndsOn` 0
+ *   (Sunday) to 6 (Saturday).
+ * @throws {Error} SETTINGS_INVALID (400) naming the invalid field.
+ */
+const normalizeFiscalCalendar = (input) => {
+    if (!input || typeof input !== 'object') throw codedError('fiscalCalendar must be an object.', 'SETTINGS_INVALID');
+    const calendar = { ...DEFAULT_FISCAL_CALENDAR };
+    if (input.startMonth !== undefined) {
+        if (!integerIn(input.startMonth, 1, 12)) throw codedError('fiscalCalendar.startMonth must be a month number from 1 to 12.', 'SETTINGS_INVALID');
+        calendar.startMonth = Number(input.startMonth);
+    }
+    if (input.pattern !== undefined) {
+        if (!FISCAL_PATTERNS.includes(input.pattern)) throw codedError(`fiscalCalendar.pattern must be one of ${FISCAL_PATTERNS.join(', ')}.`, 'SETTINGS_INVALID');
+        calendar.pattern = input.pattern;
+    }
+    if (input.weekEndsOn !== undefined) {
+        if (!integerIn(input.weekEndsOn, 0, 6)) throw codedError('fiscalCalendar.weekEndsOn must be a weekday number from 0 (Sunday) to 6 (Saturday).', 'SETTINGS_INVALID');
+        calendar.weekEndsOn = Number(input.weekEndsOn);
+    }
+    if (input.yearEndRule !== undefined) {
+        if (!YEAR_END_RULES.includes(input.yearEndRule)) throw codedError(`fiscalCalendar.yearEndRule must be one of ${YEAR_END_RULES.join(', ')}.`, 'SETTINGS_INVALID');
+        calendar.yearEndRule = input.yearEndRule;
+    }
+    if (input.yearLabel !== undefined) {
+        if (!YEAR_LABELS.includes(input.yearLabel)) throw codedError(`fiscalCalendar.yearLabel must be one of ${YEAR_LABELS.join(', ')}.`, 'SETTINGS_INVALID');
+        calendar.yearLabel = input.yearLabel;
+    }
+    return calendar;
+};
+
+// --- Period arithmetic on UTC day numbers ---
+
+const dayOf = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS; // month 1-12; overflow rolls over
+const isoOf = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const endMonthOf = (calendar) => (calendar.startMonth === 1 ? 12 : calendar.startMonth - 1);
+
+// Last day of the fiscal year whose last month falls in `endYear`
+const yearEndDay = (calendar, endYear) => {
+    const monthEnd = dayOf(endYear, endMonthOf(calendar) + 1, 0);
+    if (calendar.pattern === 'calendar') return monthEnd;
+    const daysBack = (new Date(monthEnd * DAY_MS).getUTCDay() - calendar.weekEndsOn + 7) % 7;
+    return calendar.yearEndRule === 'nearest' && daysBack > 3 ? monthEnd - daysBack + 7 : monthEnd - daysBack;
+};
+
+// First and last day of each of the 12 periods of a fiscal year; a 53rd week goes to period 12
+const periodBounds = (calendar, endYear) => {
+    const yearStart = yearEndDay(calendar, endYear - 1) + 1;
+    if (calendar.pattern === 'calendar') {
+        const startYear = calendar.startMonth === 1 ? endYear : endYear - 1;
+        return Array.from({ length: 12 }, (_, index) => ({
+            start: dayOf(startYear, calendar.startMonth + index, 1),
+            end: dayOf(startYear, calendar.startMonth + index + 1, 0),
+        }));
+    }
+    const weeks = calendar.pattern.split('-').map(Number);
+    const periodWeeks = [...weeks, ...weeks, ...weeks, ...weeks];
+    if ((yearEndDay(calendar, endYear) - yearStart + 1) / 7 === 53) periodWeeks[11] += 1;
+    let start = yearStart;
+    return periodWeeks.map(count => {
+        const bounds = { start, end: start + count * 7 - 1 };
+        start = bounds.end + 1;
+        return bounds;
+    });
+};
+
+const labelOf = (calendar, endYear) => (calendar.yearLabel === 'start' && calendar.startMonth !== 1 ? endYear - 1 : endYear);
+
+// Fiscal year (by the year its last month falls in) containing a day number
+const endYearOf = (calendar, day) => {
+    let endYear = new Date(day * DAY_MS).getUTCFullYear() - 1;
+    while (yearEndDay(calendar, endYear) < day) endYear += 1;
+    return endYear;
+};
+
+/**
+ * Fiscal year, quarter and period of a date.
+ * @param {object} calendar - A normalized fiscal calendar.
+ * @param {Date} date - Its UTC calendar day is used.
+ * @returns {{ fiscalYear: number, quarter: number, period: number, week: number, yearStart: string, yearEnd: string,
+ *   quarterStart: string, quarterEnd: string, periodStart: string, periodEnd: string }} Dates as YYYY-MM-DD.
+ */
+const fiscalPeriodOf = (calendar, date) => {
+    const day = Math.floor(date.getTime() / DAY_MS);
+    const endYear = endYearOf(calendar, day);
+    const periods = periodBounds(calendar, endYear);
+    const index = periods.findIndex(bounds => day <= bounds.end);
+    const quarter = Math.floor(index / 3) + 1;
+    return {
+        fiscalYear: labelOf(calendar, endYear),
+        quarter,
+        period: index + 1,
+        week: Math.floor((day - periods[0].start) / 7) + 1,
+        yearStart: isoOf(periods[0].start),
+        yearEnd: isoOf(periods[11].end),
+        quarterStart: isoOf(periods[(quarter - 1) * 3].start),
+        quarterEnd: isoOf(periods[quarter * 3 - 1].end),
+        periodStart: isoOf(periods[index].start),
+        periodEnd: isoOf(periods[index].end),
+    };
+};
+
+// e.g. "fiscal year starts on 1 July; ..." or "52/53-week fiscal years ending on the last Saturday of June; ..."
+const describePattern = (calendar) => {
+    if (calendar.pattern === 'calendar') return `fiscal year starts on 1 ${MONTH_NAMES[calendar.startMonth - 1]}; 12 periods = calendar months, quarters of 3 months`;
+    const weekday = WEEKDAY_NAMES[calendar.weekEndsOn];
+    const yearEnd = calendar.yearEndRule === 'nearest'
+        ? `the ${weekday} nearest the end of ${MONTH_NAMES[endMonthOf(calendar) - 1]}`
+        : `the last ${weekday} of ${MONTH_NAMES[endMonthOf(calendar) - 1]}`;
+    return `52/53-week fiscal years ending on ${yearEnd}; weeks end on ${weekday}; 12 periods of ${calendar.pattern} weeks per quarter`
+        + ' (a 53rd week is added to period 12)';
+};
+
+/**
+ * Context lines describing the fiscal calendar with today's position and the quarter dates of the current and
+ * previous fiscal year, so "Q2", "YTD" or "last year" in a prompt can be resolved.
+ * @param {object} calendar - A normalized fiscal calendar.
+ * @param {Date} [today]
+ */
+const describeFiscalCalendar = (calendar, today = new Date()) => {
+    const current = fiscalPeriodOf(calendar, today);
+    const currentEndYear = endYearOf(calendar, Math.floor(today.getTime() / DAY_MS));
+    const quarterLines = [currentEndYear, currentEndYear - 1].map(endYear => {
+        const periods = periodBounds(calendar, endYear);
+        const quarters = [1, 2, 3, 4].map(q => `Q${q} ${isoOf(periods[(q - 1) * 3].start)} to ${isoOf(periods[q * 3 - 1].end)}`);
+        return `  - FY${labelOf(calendar, endYear)} (${isoOf(periods[0].start)} to ${isoOf(periods[11].end)}): ${quarters.join('; ')}\n`;
+    });
+    const naming = calendar.yearLabel === 'start' ? 'starts' : 'ends';
+    return `- Fiscal Calendar: ${describePattern(calendar)}. FY<year> is named by the calendar year it ${naming} in.\n`
+        + `  - Today (${today.toISOString().slice(0, 10)}) is in FY${current.fiscalYear} Q${current.quarter}, period ${current.period} (${current.periodStart} to ${current.periodEnd}).\n`
+        + quarterLines.join('');
+};
+
+module.exports = {
+    FISCAL_PATTERNS,
+    DEFAULT_FISCAL_CALENDAR,
+    normalizeFiscalCalendar,
+    fiscalPeriodOf,
+    describeFiscalCalendar,
+};
@@ -57,7 +57,14 @@ const UserSchema = new mongoose.Schema({
   settings: {
     currency: { type: String, default: 'USD' },
     dateFormat: { type: String, default: 'YYYY-MM-DD' },
-    aiContext: { type: String, default: '' }
+    aiContext: { type: String, default: '' },
+    fiscalCalendar: { // See user.fiscalCalendar.js; the defaults are the calendar year
+      startMonth: { type: Number, default: 1 }, // 1-12
+      pattern: { type: String, enum: ['calendar', '4-4-5', '4-5-4', '5-4-4'], default: 'calendar' },
+      weekEndsOn: { type: Number, default: 6 }, // 0 = Sunday ... 6 = Saturday (week patterns only)
+      yearEndRule: { type: String, enum: ['last', 'nearest'], default: 'last' },
+      yearLabel: { type: String, enum: ['end', 'start'], default: 'end' },
+    },
   },
   teams: [{
       type: mongoose.Schema.Types.ObjectId,
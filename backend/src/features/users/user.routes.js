@@ -0,0 +1,17 @@
+// backend/src/features/users/user.routes.js
+// ** NEW FILE **
+const express = require('express');
+const userController = require('./user.controller');
+const { protect } = require('../../shared/middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+// GET /api/v1/users/me/settings
+router.get('/me/settings', userController.getSettings);
+
+// PUT /api/v1/users/me/settings { currency?, dateFormat?, aiContext? }
+router.put('/me/settings', userController.updateSettings);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// backend/src/features/users/user.service.js
+// ** NEW FILE **
+const User = require('./user.model');
+const logger = require('../../shared/utils/logger');
+const { codedError } = require('../../shared/utils/codedError');
+const { DEFAULT_FISCAL_CALENDAR, normalizeFiscalCalendar } = require('./user.fiscalCalendar');
+
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/; // ISO 4217, e.g. USD, EUR, SGD
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+const MAX_AI_CONTEXT_LENGTH = 2000;
+
+const toSettings = (settings) => ({
+    currency: settings?.currency || 'USD',
+    dateFormat: settings?.dateFormat || 'YYYY-MM-DD',
+    aiContext: settings?.aiContext || '',
+    fiscalCalendar: { ...DEFAULT_FISCAL_CALENDAR, ...settings?.fiscalCalendar },
+});
+
+/**
+ * The user's settings with defaults filled in.
+ * @returns {Promise<{ currency: string, dateFormat: string, aiContext: string, fiscalCalendar: object }|null>} null if the user does not exist.
+ */
+const getSettings = async (userId) => {
+    const user = await User.findById(userId).select('settings').lean();
+    return user ? toSettings(user.settings) : null;
+};
+
+/**
+ * Updates the given settings; fields not sent keep their values.
+ * `currency` is the reporting currency: amounts of datasets with currency conversions are converted into it.
+ * `fiscalCalendar` defines what quarters, periods and "YTD" mean in reports (see user.fiscalCalendar.js).
+ * @param {{ currency?: string, dateFormat?: string, aiContext?: string, fiscalCalendar?: object }} updates
+ * @throws {Error} SETTINGS_INVALID (400) naming the first invalid field.
+ */
+const updateSettings = async (userId, updates = {}) => {
+    const $set = {};
+    if (updates.currency !== undefined) {
+        const currency = String(updates.currency).trim().toUpperCase();
+        if (!CURRENCY_CODE_REGEX.test(currency)) throw codedError('currency must be a three-letter ISO 4217 code such as USD or EUR.', 'SETTINGS_INVALID');
+        $set['settings.currency'] = currency;
+    }
+    if (updates.dateFormat !== undefined) {
+        if (!DATE_FORMATS.includes(updates.dateFormat)) throw codedError(`dateFormat must be one of ${DATE_FORMATS.join(', ')}.`, 'SETTINGS_INVALID');
+        $set['settings.dateFormat'] = updates.dateFormat;
+    }
+    if (updates.aiContext !== undefined) {
+        if (typeof updates.aiContext !== 'string' || updates.aiContext.length > MAX_AI_CONTEXT_LENGTH) {
+            throw codedError(`aiContext must be text of at most ${MAX_AI_CONTEXT_LENGTH} characters.`, 'SETTINGS_INVALID');
+        }
+        $set['settings.aiContext'] = updates.aiContext.trim();
+    }
+    if (updates.fiscalCalendar !== undefined) {
+        $set['settings.fiscalCalendar'] = normalizeFiscalCalendar(updates.fiscalCalendar);
+    }
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true, projection: 'settings' }).lean();
+    if (!user) return null;
+    logger.info(`Settings updated for user ${userId}: ${Object.keys($set).join(', ') || 'no changes'}`);
+    return toSettings(user.settings);
+};
+
+module.exports = {
+    CURRENCY_CODE_REGEX,
+    DATE_FORMATS,
+    getSettings,
+    updateSettings,
+};
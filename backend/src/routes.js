@@ -5,9 +5,11 @@ const authRoutes = require('./features/auth/auth.routes');
 const subscriptionRoutes = require('./features/subscriptions/subscription.routes');
 const datasetRoutes = require('./features/datasets/dataset.routes');
 const promptRoutes = require('./features/prompts/prompt.routes'); // <-- ADDED
+const userRoutes = require('./features/users/user.routes');
+const fxRateRoutes = require('./features/fx_rates/fxRate.routes');
+const storageRoutes = require('./features/storage/storage.routes');
 
 // Import other feature routes here as they are created
-// const userRoutes = require('./features/users/user.routes');
 
 
 const router = express.Router();
@@ -22,7 +24,9 @@ router.use('/auth', authRoutes);
 router.use('/subscriptions', subscriptionRoutes);
 router.use('/datasets', datasetRoutes);
 router.use('/prompts', promptRoutes); // <-- ADDED
-// router.use('/users', userRoutes);
+router.use('/users', userRoutes);
+router.use('/fx-rates', fxRateRoutes);
+router.use('/storage', storageRoutes); // Signed URLs of the local storage backend
 
 
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,7 @@ const config = require('./shared/config'); // Use centralized config
 const app = require('./app');
 const connectDB = require('./shared/db/connection');
 const logger = require('./shared/utils/logger');
+const { startStorageSweeper } = require('./features/datasets/dataset.storageSweeper');
 
 const PORT = config.port;
 
@@ -15,6 +16,8 @@ connectDB().then(() => {
       logger.info(`NeuroLedger Backend listening on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+    // Background reconciliation of bucket objects and dataset records
+    startStorageSweeper();
 }).catch(err => {
     // The connectDB function already logs the error and exits,
     // but we catch here just in case.
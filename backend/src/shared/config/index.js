@@ -1,9 +1,18 @@
 // backend/src/shared/config/index.js
 // ** UPDATED FILE - Add Claude API Key **
 require('dotenv').config();
+const path = require('path');
+
+// File storage (shared/storage): Google Cloud Storage, or a directory on local disk for on-prem and development setups
+const STORAGE_BACKENDS = ['gcs', 'local'];
+const storageBackend = process.env.STORAGE_BACKEND || 'gcs';
+if (!STORAGE_BACKENDS.includes(storageBackend)) {
+  console.error(`Error: STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(', ')}.`);
+  process.exit(1);
+}
 
 // Validate essential environment variables
-const requiredEnv = ['PORT', 'MONGODB_URI', 'FIREBASE_PROJECT_ID', 'GCS_BUCKET_NAME', 'CLAUDE_API_KEY']; // Added CLAUDE_API_KEY
+const requiredEnv = ['PORT', 'MONGODB_URI', 'FIREBASE_PROJECT_ID', 'CLAUDE_API_KEY', ...(storageBackend === 'gcs' ? ['GCS_BUCKET_NAME'] : [])];
 requiredEnv.forEach((varName) => {
   if (!process.env[varName]) {
     // Use console.error for startup errors before logger might be fully configured
@@ -17,6 +26,16 @@ module.exports = {
   mongoURI: process.env.MONGODB_URI,
   firebaseProjectId: process.env.FIREBASE_PROJECT_ID,
   gcsBucketName: process.env.GCS_BUCKET_NAME,
+  storageBackend,
+  // Local storage: where objects are kept, the key signing their upload/read URLs, and the API base URL those point to
+  localStorageRoot: path.resolve(process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '..', '..', '..', 'storage')),
+  localStorageSecret: process.env.LOCAL_STORAGE_SECRET || null,
+  publicApiUrl: (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}/api/v1`).replace(/\/+$/, ''),
   claudeApiKey: process.env.CLAUDE_API_KEY, // Added Claude API Key
+  // Storage sweeper (datasets/dataset.storageSweeper.js): 0 disables it; orphaned objects are only reported unless removal is enabled
+  storageSweepIntervalMinutes: parseInt(process.env.STORAGE_SWEEP_INTERVAL_MINUTES || '360', 10),
+  storageSweepRemoveOrphans: process.env.STORAGE_SWEEP_REMOVE_ORPHANS === 'true',
+  // Key for the 'hash' PII policy (datasets/dataset.pii.js); without it columns can only be allowed, masked or dropped
+  piiHashSecret: process.env.PII_HASH_SECRET || null,
   // Add other configurations as needed
 };
\ No newline at end of file
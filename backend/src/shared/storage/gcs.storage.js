@@ -0,0 +1,95 @@
+// backend/src/shared/storage/gcs.storage.js
+// ** NEW FILE **
+// Storage backend on the configured Google Cloud Storage bucket (STORAGE_BACKEND=gcs). Upload and read URLs are
+// V4 signed URLs and resumable sessions are GCS's own, so the browser talks to GCS directly.
+const { getBucket } = require('../external_apis/gcs.client');
+const { notFoundError } = require('./storage.errors');
+const { codedError } = require('../utils/codedError');
+
+// GCS reports a missing object as an ApiError with the HTTP status in `code`
+const translateNotFound = (objectPath) => (error) => {
+    throw error.code === 404 ? notFoundError(objectPath) : error;
+};
+
+const createGcsStorage = () => ({
+    name: 'gcs',
+
+    exists: async (objectPath) => {
+        const [exists] = await getBucket().file(objectPath).exists();
+        return exists;
+    },
+
+    getMetadata: async (objectPath) => {
+        const [metadata] = await getBucket().file(objectPath).getMetadata().catch(translateNotFound(objectPath));
+        return { size: Number(metadata.size), contentType: metadata.contentType || null, createdAt: new Date(metadata.timeCreated) };
+    },
+
+    download: async (objectPath, range) => {
+        const [buffer] = await getBucket().file(objectPath).download(range || {}).catch(translateNotFound(objectPath));
+        return buffer;
+    },
+
+    createReadStream: (objectPath) => getBucket().file(objectPath).createReadStream(),
+
+    save: async (objectPath, data, { contentType } = {}) => {
+        await getBucket().file(objectPath).save(data, { contentType });
+    },
+
+    remove: async (objectPath) => {
+        await getBucket().file(objectPath).delete({ ignoreNotFound: true });
+    },
+
+    list: async ({ prefix, pageToken, maxResults } = {}) => {
+        const [files, nextQuery] = await getBucket().getFiles({ autoPaginate: false, prefix, pageToken, maxResults });
+        return {
+            objects: files.map(file => ({ name: file.name, size: Number(file.metadata?.size || 0), createdAt: new Date(file.metadata?.timeCreated || 0) })),
+            nextPageToken: nextQuery?.pageToken || null,
+        };
+    },
+
+    getSignedReadUrl: async (objectPath, { expiresAt }) => {
+        const [url] = await getBucket().file(objectPath).getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+        return url;
+    },
+
+    getSignedUploadUrl: async (objectPath, { expiresAt, size }) => {
+        const [url] = await getBucket().file(objectPath).getSignedUrl({
+            version: 'v4',
+            action: 'write',
+            expires: expiresAt,
+            contentLengthRange: { min: size, max: size },
+            method: 'PUT',
+        });
+        return url;
+    },
+
+    // GCS only answers CORS requests on the session from the origin it was created for
+    createResumableUpload: async (objectPath, { origin, contentType }) => {
+        const [sessionUri] = await getBucket().file(objectPath).createResumableUpload({ origin, metadata: { contentType } });
+        return sessionUri;
+    },
+
+    getResumableUploadStatus: async (sessionUri, size) => {
+        // Empty PUT with "bytes */<total>" is the status query of the resumable protocol
+        const response = await fetch(sessionUri, {
+            method: 'PUT',
+            headers: { 'Content-Range': `bytes */${size}`, 'Content-Length': '0' },
+        });
+        if (response.status === 200 || response.status === 201) return { bytesUploaded: size, isComplete: true };
+        if (response.status === 308) {
+            // "Range: bytes=0-<last>"; no header means nothing was persisted yet
+            const range = response.headers.get('range');
+            return { bytesUploaded: range ? parseInt(range.split('-')[1]) + 1 : 0, isComplete: false };
+        }
+        if (response.status === 404 || response.status === 410) {
+            throw codedError(`Resumable session is gone (GCS status ${response.status}).`, 'STORAGE_SESSION_EXPIRED', 410);
+        }
+        throw new Error(`Unexpected status ${response.status} while checking upload session.`);
+    },
+
+    cancelResumableUpload: async (sessionUri) => {
+        await fetch(sessionUri, { method: 'DELETE' }); // GCS answers 499 on a cancelled session
+    },
+});
+
+module.exports = { createGcsStorage };
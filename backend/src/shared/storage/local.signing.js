@@ -0,0 +1,52 @@
+// backend/src/shared/storage/local.signing.js
+// ** NEW FILE **
+// Signed tokens standing in for GCS signed URLs and resumable session URIs on the local backend: the claims
+// (action, object path, size, expiry) as base64url JSON plus an HMAC-SHA256 of them. Anyone holding the URL may use
+// it until it expires, exactly like a GCS signed URL, so the routes serving them need no user authentication.
+const crypto = require('crypto');
+const { codedError } = require('../utils/codedError');
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64url');
+
+/**
+ * @param {{ action: 'read'|'write'|'resumable', path: string, expiresAt: number, size?: number, sessionId?: string }} claims
+ * @param {string} secret
+ * @returns {string} URL-safe token.
+ */
+const signToken = (claims, secret) => {
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${body}.${sign(body, secret)}`;
+};
+
+/**
+ * Checks a token's signature, action and expiry.
+ * @param {string[]} actions - Actions the calling route accepts.
+ * @returns {object} The claims.
+ * @throws {Error} STORAGE_SIGNATURE_INVALID (403) for a tampered or foreign token; STORAGE_URL_EXPIRED (403).
+ */
+const verifyToken = (token, secret, actions) => {
+    const [body, signature] = String(token || '').split('.');
+    const expected = body ? sign(body, secret) : '';
+    if (!signature || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw codedError('The URL signature is invalid.', 'STORAGE_SIGNATURE_INVALID', 403);
+    }
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw codedError('The URL signature is invalid.', 'STORAGE_SIGNATURE_INVALID', 403);
+    }
+    if (!actions.includes(claims.action)) {
+        throw codedError('This URL does not allow this request.', 'STORAGE_SIGNATURE_INVALID', 403);
+    }
+    if (!(claims.expiresAt > Date.now())) {
+        throw codedError('The URL has expired.', 'STORAGE_URL_EXPIRED', 403);
+    }
+    return claims;
+};
+
+module.exports = {
+    signToken,
+    verifyToken,
+};
@@ -0,0 +1,270 @@
+// backend/src/shared/storage/local.storage.js
+// ** NEW FILE **
+// Storage backend on a local directory (STORAGE_BACKEND=local), for on-prem, air-gapped and development setups
+// without cloud credentials. Object paths map to files under the root. Signed upload and read URLs and resumable
+// upload sessions are emulated by routes of this API (features/storage) that accept the HMAC-signed tokens of
+// local.signing.js, so the browser uses them exactly like the GCS ones.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { signToken, verifyToken } = require('./local.signing');
+const { notFoundError } = require('./storage.errors');
+const { codedError } = require('../utils/codedError');
+
+const WORK_DIR = '.sessions'; // Partial uploads and temporary files; names starting with '.' are not objects
+const RESUMABLE_SESSION_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000; // GCS keeps resumable sessions for a week
+const DEFAULT_LIST_PAGE_SIZE = 1000;
+const CONTENT_RANGE_REGEX = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/; // "bytes 0-8388607/20000000" or "bytes */20000000"
+
+// Passes at most `maxBytes` through and remembers how many arrived
+const byteLimit = (maxBytes) => {
+    let received = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > maxBytes) callback(codedError('More data was sent than the upload announced.', 'STORAGE_SIZE_MISMATCH', 400));
+            else callback(null, chunk);
+        },
+    });
+    limiter.received = () => received;
+    return limiter;
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.root - Absolute directory holding the objects.
+ * @param {string} options.secret - Key signing upload/read URLs and session URIs.
+ * @param {string} options.baseUrl - Public API base URL (e.g. http://localhost:5001/api/v1) the URLs point to.
+ */
+const createLocalStorage = ({ root, secret, baseUrl }) => {
+    const workDir = path.join(root, WORK_DIR);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    // Object paths are relative, '/'-separated and may not leave the root or reach the work directory
+    const resolveObject = (objectPath) => {
+        const name = String(objectPath || '');
+        const resolved = path.resolve(root, name);
+        if (!name || name.startsWith('.') || name.split('/').some(part => part === '' || part === '..')
+            || !resolved.startsWith(root + path.sep)) {
+            throw codedError(`Invalid object path: ${name}`, 'STORAGE_INVALID_PATH', 400);
+        }
+        return resolved;
+    };
+
+    const partPath = (sessionId) => {
+        if (!/^[\w-]+$/.test(String(sessionId))) throw codedError('Invalid upload session.', 'STORAGE_SIGNATURE_INVALID', 403);
+        return path.join(workDir, `${sessionId}.part`);
+    };
+
+    const openObject = async (objectPath) => {
+        try {
+            return await fsp.open(resolveObject(objectPath), 'r');
+        } catch (error) {
+            throw error.code === 'ENOENT' || error.code === 'EISDIR' ? notFoundError(objectPath) : error;
+        }
+    };
+
+    // Writes land in the work directory first and are renamed into place, so readers never see half a file
+    const moveIntoPlace = async (tempFile, objectPath) => {
+        const target = resolveObject(objectPath);
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        await fsp.rename(tempFile, target);
+    };
+
+    const tempPath = () => path.join(workDir, `${crypto.randomUUID()}.tmp`);
+
+    const urlFor = (route, claims) => `${baseUrl}/storage/${route}/${signToken(claims, secret)}`;
+
+    // Claims of a resumable session URI; an expired session is reported like GCS's
+    const sessionClaims = (sessionUri) => {
+        try {
+            return verifyToken(String(sessionUri).slice(String(sessionUri).lastIndexOf('/') + 1), secret, ['resumable']);
+        } catch (error) {
+            if (error.code === 'STORAGE_URL_EXPIRED') throw codedError('The upload session has expired.', 'STORAGE_SESSION_EXPIRED', 410);
+            throw error;
+        }
+    };
+
+    const sessionStatus = async (claims) => {
+        const part = await fsp.stat(partPath(claims.sessionId)).catch(() => null);
+        if (part) return { bytesUploaded: part.size, isComplete: false };
+        if (await storage.exists(claims.path)) return { bytesUploaded: claims.size, isComplete: true };
+        throw codedError('The upload session was cancelled or has expired.', 'STORAGE_SESSION_EXPIRED', 410);
+    };
+
+    // Object names under a directory, '/'-separated relative to the root
+    const walk = async (dir, relative, names) => {
+        const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const name = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) await walk(path.join(dir, entry.name), name, names);
+            else if (entry.isFile()) names.push(name);
+        }
+        return names;
+    };
+
+    const storage = {
+        name: 'local',
+
+        exists: async (objectPath) => {
+            const stats = await fsp.stat(resolveObject(objectPath)).catch(() => null);
+            return Boolean(stats?.isFile());
+        },
+
+        getMetadata: async (objectPath) => {
+            const handle = await openObject(objectPath);
+            try {
+                const stats = await handle.stat();
+                return { size: stats.size, contentType: null, createdAt: stats.birthtimeMs ? stats.birthtime : stats.mtime };
+            } finally {
+                await handle.close();
+            }
+        },
+
+        download: async (objectPath, range) => {
+            const handle = await openObject(objectPath);
+            try {
+                if (!range) return await handle.readFile();
+                const { size } = await handle.stat();
+                const start = range.start || 0;
+                const length = Math.max(0, Math.min(range.end ?? size - 1, size - 1) - start + 1);
+                const buffer = Buffer.alloc(length);
+                const { bytesRead } = await handle.read(buffer, 0, length, start);
+                return buffer.subarray(0, bytesRead);
+            } finally {
+                await handle.close();
+            }
+        },
+
+        createReadStream: (objectPath) => fs.createReadStream(resolveObject(objectPath)),
+
+        save: async (objectPath, data) => {
+            resolveObject(objectPath);
+            const tempFile = tempPath();
+            try {
+                await fsp.writeFile(tempFile, data);
+                await moveIntoPlace(tempFile, objectPath);
+            } catch (error) {
+                await fsp.rm(tempFile, { force: true });
+                throw error;
+            }
+        },
+
+        remove: async (objectPath) => {
+            await fsp.rm(resolveObject(objectPath), { force: true });
+        },
+
+        // Pages are in name order; the token is the last name of the previous page
+        list: async ({ prefix = '', pageToken, maxResults = DEFAULT_LIST_PAGE_SIZE } = {}) => {
+            const directory = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+            const start = directory ? resolveObject(directory) : root;
+            const names = (await walk(start, directory, []))
+                .filter(name => name.startsWith(prefix) && (!pageToken || name > pageToken))
+                .sort()
+                .slice(0, maxResults);
+            const objects = await Promise.all(names.map(async name => {
+                const stats = await fsp.stat(resolveObject(name));
+                return { name, size: stats.size, createdAt: stats.birthtimeMs ? stats.birthtime : stats.mtime };
+            }));
+            return { objects, nextPageToken: names.length === maxResults ? names[names.length - 1] : null };
+        },
+
+        getSignedReadUrl: async (objectPath, { expiresAt }) => {
+            resolveObject(objectPath);
+            return urlFor('objects', { action: 'read', path: objectPath, expiresAt });
+        },
+
+        getSignedUploadUrl: async (objectPath, { expiresAt, size }) => {
+            resolveObject(objectPath);
+            return urlFor('uploads', { action: 'write', path: objectPath, size, expiresAt });
+        },
+
+        createResumableUpload: async (objectPath, { size }) => {
+            resolveObject(objectPath);
+            const sessionId = crypto.randomUUID();
+            await fsp.writeFile(partPath(sessionId), '');
+            return urlFor('uploads', { action: 'resumable', path: objectPath, size, sessionId, expiresAt: Date.now() + RESUMABLE_SESSION_LIFETIME_MS });
+        },
+
+        getResumableUploadStatus: async (sessionUri) => sessionStatus(sessionClaims(sessionUri)),
+
+        cancelResumableUpload: async (sessionUri) => {
+            await fsp.rm(partPath(sessionClaims(sessionUri).sessionId), { force: true });
+        },
+
+        // --- Used by the routes serving the signed URLs (features/storage) ---
+
+        /**
+         * @param {string} token - Last path segment of a signed URL or session URI.
+         * @param {string[]} actions - 'read', 'write' and/or 'resumable'.
+         * @throws {Error} STORAGE_SIGNATURE_INVALID (403), STORAGE_URL_EXPIRED (403).
+         */
+        verifyUrl: (token, actions) => verifyToken(token, secret, actions),
+
+        /**
+         * Stores the body of a signed single-request upload, which must be exactly the signed size.
+         * @throws {Error} STORAGE_SIZE_MISMATCH (400).
+         */
+        receiveUpload: async (claims, source) => {
+            const tempFile = tempPath();
+            const limiter = byteLimit(claims.size);
+            try {
+                await pipeline(source, limiter, fs.createWriteStream(tempFile));
+                if (limiter.received() !== claims.size) {
+                    throw codedError(`Expected ${claims.size} bytes but received ${limiter.received()}.`, 'STORAGE_SIZE_MISMATCH', 400);
+                }
+                await moveIntoPlace(tempFile, claims.path);
+            } catch (error) {
+                await fsp.rm(tempFile, { force: true });
+                throw error;
+            }
+        },
+
+        /**
+         * Appends one chunk of a resumable upload ("Content-Range: bytes <first>-<last>/<total>"), or answers a
+         * status query ("bytes *\/<total>"). A chunk that does not start where the stored bytes end is ignored, so the
+         * client resumes from the returned `bytesUploaded`; the last chunk moves the file into place.
+         * @returns {Promise<{ bytesUploaded: number, isComplete: boolean }>}
+         * @throws {Error} STORAGE_INVALID_RANGE (400), STORAGE_SIZE_MISMATCH (400), STORAGE_SESSION_EXPIRED (410).
+         */
+        receiveChunk: async (claims, contentRange, source) => {
+            const status = await sessionStatus(claims);
+            const match = CONTENT_RANGE_REGEX.exec(String(contentRange || ''));
+            if (!match || (match[3] !== '*' && Number(match[3]) !== claims.size)) {
+                source.resume();
+                throw codedError(`Content-Range must be "bytes <first>-<last>/${claims.size}" or "bytes */${claims.size}".`, 'STORAGE_INVALID_RANGE', 400);
+            }
+            const first = match[1] === undefined ? null : Number(match[1]);
+            const last = Number(match[2]);
+            if (status.isComplete || first === null || first !== status.bytesUploaded || last < first || last >= claims.size) {
+                source.resume(); // Discard the body
+                return status;
+            }
+
+            const part = partPath(claims.sessionId);
+            const limiter = byteLimit(last - first + 1);
+            try {
+                await pipeline(source, limiter, fs.createWriteStream(part, { flags: 'a' }));
+                if (limiter.received() !== last - first + 1) {
+                    throw codedError('The chunk is shorter than its Content-Range.', 'STORAGE_SIZE_MISMATCH', 400);
+                }
+            } catch (error) {
+                await fsp.truncate(part, first).catch(() => {});
+                throw error;
+            }
+            if (last + 1 < claims.size) return { bytesUploaded: last + 1, isComplete: false };
+            await moveIntoPlace(part, claims.path);
+            return { bytesUploaded: claims.size, isComplete: true };
+        },
+    };
+    return storage;
+};
+
+module.exports = { createLocalStorage };
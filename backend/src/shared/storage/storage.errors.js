@@ -0,0 +1,13 @@
+// backend/src/shared/storage/storage.errors.js
+// ** NEW FILE **
+
+const { codedError } = require('../utils/codedError');
+
+const notFoundError = (objectPath) => codedError(`Object not found: ${objectPath}`, 'STORAGE_NOT_FOUND', 404);
+
+const isNotFound = (error) => error?.code === 'STORAGE_NOT_FOUND';
+
+module.exports = {
+    notFoundError,
+    isNotFound,
+};
@@ -0,0 +1,34 @@
+// backend/src/shared/utils/codedError.js
+// ** NEW FILE **
+// Expected failures (invalid input, quota reached, missing object...) are thrown as errors carrying their HTTP status
+// and a machine-readable `code` the client can branch on; controllers answer them with sendCodedError and pass
+// anything else to the global error handler.
+
+/**
+ * @param {string} message - Shown to the user.
+ * @param {string} code - e.g. 'UPLOAD_SIZE_MISMATCH'.
+ * @param {number} [statusCode]
+ * @param {object} [details] - Extra data for the client (e.g. quota numbers, duplicate matches).
+ * @returns {Error}
+ */
+const codedError = (message, code, statusCode = 400, details) => {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    if (details !== undefined) error.details = details;
+    return error;
+};
+
+/**
+ * Answers a coded error as `{ status: 'error', message, code, details? }` with its status.
+ * @param {import('express').Response} res
+ * @param {Error} error - From codedError().
+ */
+const sendCodedError = (res, error) => res.status(error.statusCode).json({
+    status: 'error', message: error.message, code: error.code, ...(error.details && { details: error.details }),
+});
+
+module.exports = {
+    codedError,
+    sendCodedError,
+};
@@ -0,0 +1,181 @@
+// frontend/src/features/account_management/components/FxRatesManager.jsx
+// ** NEW FILE **
+import React, { useState, useRef } from 'react';
+import { ArrowUpTrayIcon, ChevronLeftIcon, ChevronRightIcon, TrashIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+import Spinner from '../../../shared/ui/Spinner';
+import { useFxRates } from '../hooks/useFxRates';
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+
+// The user's FX rate table: pairs with their coverage, CSV import, a form for single rates and the rates themselves.
+// Converted dataset columns use the latest rate on or before each row's date, in either direction of a pair.
+const FxRatesManager = ({ reportingCurrency }) => {
+  const {
+    pairs, rates, total, page, pageSize, setPage, pairFilter, filterByPair, isLoading, error,
+    saveRates, importCsv, deleteRate, deletePair,
+  } = useFxRates();
+  const [date, setDate] = useState('');
+  const [baseCurrency, setBaseCurrency] = useState('');
+  const [quoteCurrency, setQuoteCurrency] = useState(reportingCurrency || '');
+  const [rate, setRate] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setActionError(null);
+    setMessage(null);
+    try {
+      return await action();
+    } catch (err) {
+      setActionError(err.message);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    const result = await run(() => saveRates([{ date, baseCurrency: baseCurrency.trim().toUpperCase(), quoteCurrency: quoteCurrency.trim().toUpperCase(), rate: Number(rate) }]));
+    if (result) {
+      setRate('');
+      setMessage(result.upsertedCount > 0 ? 'Rate added.' : 'Rate updated.');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    const result = await run(() => importCsv(text));
+    if (result) setMessage(`Imported ${result.rowCount.toLocaleString()} rows: ${result.upsertedCount.toLocaleString()} new, ${result.modifiedCount.toLocaleString()} updated.`);
+  };
+
+  const isSelectedPair = (pair) => pairFilter?.baseCurrency === pair.baseCurrency && pairFilter?.quoteCurrency === pair.quoteCurrency;
+
+  return (
+    <div className="space-y-4">
+      {(error || actionError) && <p className="text-sm text-red-600 dark:text-red-400">{actionError || error}</p>}
+      {message && <p className="text-sm text-green-600 dark:text-green-400">{message}</p>}
+
+      {pairs.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No rates yet. Add rates against {reportingCurrency || 'your reporting currency'} (e.g. EUR/{reportingCurrency || 'USD'}) or import a CSV file with date, base, quote and rate columns.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {pairs.map(pair => (
+            <li key={`${pair.baseCurrency}/${pair.quoteCurrency}`} className="py-2 flex items-center justify-between gap-x-4">
+              <button
+                type="button"
+                onClick={() => filterByPair(isSelectedPair(pair) ? null : pair)}
+                className={`text-left ${isSelectedPair(pair) ? 'text-blue-600 dark:text-blue-400' : 'text-gray-900 dark:text-white'}`}
+                title={isSelectedPair(pair) ? 'Show all rates' : 'Show only this pair'}
+              >
+                <span className="font-medium">{pair.baseCurrency}/{pair.quoteCurrency}</span>
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  {pair.count.toLocaleString()} {pair.count === 1 ? 'rate' : 'rates'}, {pair.firstDate} to {pair.lastDate}, latest {pair.latestRate}
+                </span>
+              </button>
+              <button
+                onClick={() => window.confirm(`Delete all ${pair.baseCurrency}/${pair.quoteCurrency} rates?`) && run(() => deletePair(pair.baseCurrency, pair.quoteCurrency))}
+                disabled={isBusy}
+                className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title="Delete all rates of this pair"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-2 sm:grid-cols-5 gap-3 items-end">
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Date
+          <input type="date" value={date} onChange={e => setDate(e.target.value)} className={inputClassName} />
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          1 unit of
+          <input value={baseCurrency} onChange={e => setBaseCurrency(e.target.value)} maxLength={3} placeholder="EUR" className={`${inputClassName} uppercase`} />
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          equals
+          <input type="number" step="any" min="0" value={rate} onChange={e => setRate(e.target.value)} placeholder="1.08" className={inputClassName} />
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          units of
+          <input value={quoteCurrency} onChange={e => setQuoteCurrency(e.target.value)} maxLength={3} placeholder="USD" className={`${inputClassName} uppercase`} />
+        </label>
+        <Button type="submit" size="sm" isLoading={isBusy} disabled={!date || !baseCurrency.trim() || !quoteCurrency.trim() || !(Number(rate) > 0) || isBusy}>
+          Save rate
+        </Button>
+      </form>
+
+      <div className="flex items-center gap-x-3">
+        <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        <Button type="button" size="sm" variant="secondary" leftIcon={ArrowUpTrayIcon} onClick={() => fileInputRef.current?.click()} disabled={isBusy}>
+          Import CSV
+        </Button>
+        <span className="text-xs text-gray-500 dark:text-gray-400">Columns: date (YYYY-MM-DD), base, quote, rate. Existing rates for the same pair and day are replaced.</span>
+      </div>
+
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+        {isLoading ? (
+          <div className="flex justify-center py-4"><Spinner /></div>
+        ) : rates.length > 0 && (
+          <>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+                  <th className="py-1 pr-4 font-medium">Date</th>
+                  <th className="py-1 pr-4 font-medium">Pair</th>
+                  <th className="py-1 pr-4 font-medium text-right">Rate</th>
+                  <th className="py-1 pr-4 font-medium">Source</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-white">
+                {rates.map(entry => (
+                  <tr key={entry._id}>
+                    <td className="py-1 pr-4">{entry.date}</td>
+                    <td className="py-1 pr-4">{entry.baseCurrency}/{entry.quoteCurrency}</td>
+                    <td className="py-1 pr-4 text-right tabular-nums">{entry.rate}</td>
+                    <td className="py-1 pr-4 text-xs text-gray-500 dark:text-gray-400">{entry.source}</td>
+                    <td className="py-1 text-right">
+                      <button onClick={() => run(() => deleteRate(entry._id))} disabled={isBusy} className="text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Delete rate">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mt-2 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+              <span>{total.toLocaleString()} {total === 1 ? 'rate' : 'rates'}{pairFilter ? ` for ${pairFilter.baseCurrency}/${pairFilter.quoteCurrency}` : ''}</span>
+              {totalPages > 1 && (
+                <div className="flex items-center gap-x-1">
+                  <Button type="button" size="sm" variant="ghost" onClick={() => setPage(page - 1)} disabled={page <= 1} aria-label="Previous page">
+                    <ChevronLeftIcon className="h-4 w-4" />
+                  </Button>
+                  <span>Page {page} of {totalPages}</span>
+                  <Button type="button" size="sm" variant="ghost" onClick={() => setPage(page + 1)} disabled={page >= totalPages} aria-label="Next page">
+                    <ChevronRightIcon className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FxRatesManager;
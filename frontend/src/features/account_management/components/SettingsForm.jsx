@@ -0,0 +1,129 @@
+// frontend/src/features/account_management/components/SettingsForm.jsx
+// ** NEW FILE **
+import React, { useState, useEffect } from 'react';
+import Button from '../../../shared/ui/Button';
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Same options as the backend's users/user.fiscalCalendar.js
+const FISCAL_PATTERNS = [
+  { value: 'calendar', label: 'Calendar months' },
+  { value: '4-4-5', label: '4-4-5 weeks' },
+  { value: '4-5-4', label: '4-5-4 weeks' },
+  { value: '5-4-4', label: '5-4-4 weeks' },
+];
+const DEFAULT_FISCAL_CALENDAR = { startMonth: 1, pattern: 'calendar', weekEndsOn: 6, yearEndRule: 'last', yearLabel: 'end' };
+
+// Reporting currency, date format, fiscal calendar and the free-text context added to every prompt
+const SettingsForm = ({ settings, onSave }) => {
+  const [currency, setCurrency] = useState(settings.currency);
+  const [dateFormat, setDateFormat] = useState(settings.dateFormat);
+  const [aiContext, setAiContext] = useState(settings.aiContext);
+  const [fiscalCalendar, setFiscalCalendar] = useState({ ...DEFAULT_FISCAL_CALENDAR, ...settings.fiscalCalendar });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSaved, setIsSaved] = useState(false);
+
+  useEffect(() => {
+    setCurrency(settings.currency);
+    setDateFormat(settings.dateFormat);
+    setAiContext(settings.aiContext);
+    setFiscalCalendar({ ...DEFAULT_FISCAL_CALENDAR, ...settings.fiscalCalendar });
+  }, [settings]);
+
+  const setFiscalField = (field, value) => setFiscalCalendar(prev => ({ ...prev, [field]: value }));
+  const isWeekBased = fiscalCalendar.pattern !== 'calendar';
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    setIsSaved(false);
+    try {
+      await onSave({ currency: currency.trim().toUpperCase(), dateFormat, aiContext, fiscalCalendar });
+      setIsSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Reporting currency
+          <input value={currency} onChange={e => setCurrency(e.target.value)} maxLength={3} placeholder="USD" className={`${inputClassName} uppercase`} />
+          <span className="mt-1 block">Datasets with currency conversions are converted into this currency.</span>
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Date format
+          <select value={dateFormat} onChange={e => setDateFormat(e.target.value)} className={inputClassName}>
+            {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+          </select>
+          <span className="mt-1 block">Used to read ambiguous dates such as 03/04/2024 in new uploads.</span>
+        </label>
+      </div>
+      <fieldset className="space-y-2">
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300">Fiscal calendar</legend>
+        <p className="text-xs text-gray-500 dark:text-gray-400">Quarters, periods and YTD in your prompts follow this calendar.</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Year starts in
+            <select value={fiscalCalendar.startMonth} onChange={e => setFiscalField('startMonth', Number(e.target.value))} className={inputClassName}>
+              {MONTH_NAMES.map((name, index) => <option key={name} value={index + 1}>{name}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Periods
+            <select value={fiscalCalendar.pattern} onChange={e => setFiscalField('pattern', e.target.value)} className={inputClassName}>
+              {FISCAL_PATTERNS.map(pattern => <option key={pattern.value} value={pattern.value}>{pattern.label}</option>)}
+            </select>
+          </label>
+          {fiscalCalendar.startMonth !== 1 && (
+            <label className="text-xs text-gray-500 dark:text-gray-400">
+              Fiscal year named by
+              <select value={fiscalCalendar.yearLabel} onChange={e => setFiscalField('yearLabel', e.target.value)} className={inputClassName}>
+                <option value="end">Year it ends in</option>
+                <option value="start">Year it starts in</option>
+              </select>
+            </label>
+          )}
+          {isWeekBased && (
+            <>
+              <label className="text-xs text-gray-500 dark:text-gray-400">
+                Weeks end on
+                <select value={fiscalCalendar.weekEndsOn} onChange={e => setFiscalField('weekEndsOn', Number(e.target.value))} className={inputClassName}>
+                  {WEEKDAY_NAMES.map((name, index) => <option key={name} value={index}>{name}</option>)}
+                </select>
+              </label>
+              <label className="text-xs text-gray-500 dark:text-gray-400">
+                Year ends on
+                <select value={fiscalCalendar.yearEndRule} onChange={e => setFiscalField('yearEndRule', e.target.value)} className={inputClassName}>
+                  <option value="last">Last {WEEKDAY_NAMES[fiscalCalendar.weekEndsOn]} of {MONTH_NAMES[(fiscalCalendar.startMonth + 10) % 12]}</option>
+                  <option value="nearest">{WEEKDAY_NAMES[fiscalCalendar.weekEndsOn]} nearest the end of {MONTH_NAMES[(fiscalCalendar.startMonth + 10) % 12]}</option>
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+      </fieldset>
+      <label className="block text-xs text-gray-500 dark:text-gray-400">
+        Context for the AI (optional)
+        <textarea value={aiContext} onChange={e => setAiContext(e.target.value)} rows={3} maxLength={2000} placeholder="We are a holding company with subsidiaries in Germany, the UK and Singapore." className={inputClassName} />
+      </label>
+      <div className="flex items-center gap-x-3">
+        <Button type="submit" size="sm" isLoading={isSaving} disabled={!/^[A-Za-z]{3}$/.test(currency.trim()) || isSaving}>
+          Save settings
+        </Button>
+        {isSaved && <span className="text-xs text-green-600 dark:text-green-400">Saved</span>}
+      </div>
+    </form>
+  );
+};
+
+export default SettingsForm;
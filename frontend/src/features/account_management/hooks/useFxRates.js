@@ -0,0 +1,83 @@
+// frontend/src/features/account_management/hooks/useFxRates.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+import { useAuth } from '../../../shared/hooks/useAuth';
+
+const PAGE_SIZE = 25;
+
+// The user's FX rate table (/fx-rates): pair summaries plus one page of rates, optionally for a single pair
+export const useFxRates = () => {
+  const [pairs, setPairs] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pairFilter, setPairFilter] = useState(null); // { baseCurrency, quoteCurrency } or null for all
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { user } = useAuth();
+
+  const fetchRates = useCallback(async () => {
+    if (!user) return;
+    setIsLoading(true);
+    try {
+      const params = { page, pageSize: PAGE_SIZE };
+      if (pairFilter) {
+        params.base = pairFilter.baseCurrency;
+        params.quote = pairFilter.quoteCurrency;
+      }
+      const [pairsResponse, ratesResponse] = await Promise.all([
+        apiClient.get('/fx-rates/pairs'),
+        apiClient.get('/fx-rates', { params }),
+      ]);
+      setPairs(pairsResponse.data.data || []);
+      setRates(ratesResponse.data.data?.rates || []);
+      setTotal(ratesResponse.data.data?.total || 0);
+      setError(null);
+    } catch (err) {
+      console.error("Failed to fetch FX rates:", err);
+      setError(err.response?.data?.message || err.message || 'Failed to load FX rates.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, page, pairFilter]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  // Runs a change and reloads; throws with the server's message so the caller can show it
+  const applyChange = async (request, fallbackMessage) => {
+    let result;
+    try {
+      const response = await request();
+      if (response.data.status !== 'success') throw new Error(response.data.message || fallbackMessage);
+      result = response.data.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || fallbackMessage);
+    }
+    await fetchRates();
+    return result;
+  };
+
+  const saveRates = (newRates) => applyChange(() => apiClient.put('/fx-rates', { rates: newRates }), 'Failed to save rates');
+
+  // CSV text with date, base, quote and rate columns
+  const importCsv = (text) => applyChange(
+    () => apiClient.post('/fx-rates/import', text, { headers: { 'Content-Type': 'text/csv' } }), 'Failed to import rates');
+
+  const deleteRate = (rateId) => applyChange(() => apiClient.delete(`/fx-rates/${rateId}`), 'Failed to delete rate');
+
+  const deletePair = (baseCurrency, quoteCurrency) => applyChange(
+    () => apiClient.delete(`/fx-rates/pairs/${baseCurrency}/${quoteCurrency}`), 'Failed to delete pair');
+
+  const filterByPair = (pair) => {
+    setPairFilter(pair);
+    setPage(1);
+  };
+
+  return {
+    pairs, rates, total, page, pageSize: PAGE_SIZE, setPage, pairFilter, filterByPair, isLoading, error,
+    saveRates, importCsv, deleteRate, deletePair,
+  };
+};
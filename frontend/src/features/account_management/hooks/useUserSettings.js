@@ -0,0 +1,53 @@
+// frontend/src/features/account_management/hooks/useUserSettings.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+import { useAuth } from '../../../shared/hooks/useAuth';
+
+// The user's settings (GET/PUT /users/me/settings): { currency, dateFormat, aiContext }
+export const useUserSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { user } = useAuth();
+
+  const fetchSettings = useCallback(async () => {
+    if (!user) {
+      setSettings(null);
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const response = await apiClient.get('/users/me/settings');
+      if (response.data.status === 'success') {
+        setSettings(response.data.data);
+        setError(null);
+      } else {
+        throw new Error(response.data.message || 'Failed to fetch settings');
+      }
+    } catch (err) {
+      console.error("Failed to fetch settings:", err);
+      setError(err.response?.data?.message || err.message || 'Failed to load settings.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  // Throws with the server's message so the form can show it
+  const updateSettings = async (updates) => {
+    try {
+      const response = await apiClient.put('/users/me/settings', updates);
+      if (response.data.status !== 'success') throw new Error(response.data.message || 'Failed to save settings');
+      setSettings(response.data.data);
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to save settings');
+    }
+  };
+
+  return { settings, isLoading, error, updateSettings };
+};
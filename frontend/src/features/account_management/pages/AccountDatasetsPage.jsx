@@ -3,18 +3,42 @@
 import React from 'react';
 import DatasetList from '../../dataset_management/components/DatasetList';
 import DatasetUpload from '../../dataset_management/components/DatasetUpload';
+import DatasetQuotaUsage from '../../dataset_management/components/DatasetQuotaUsage';
 import { useDatasets } from '../../dataset_management/hooks/useDatasets'; // Import hook for refetch
+import { useDatasetFacets } from '../../dataset_management/hooks/useDatasetFacets';
+import { useDatasetQuota } from '../../dataset_management/hooks/useDatasetQuota';
 
 const AccountDatasetsPage = () => {
-    const { refetch: refetchDatasets } = useDatasets(); // Get refetch function
+    // One hook instance shared by upload and list so the list refreshes after uploads, edits and deletes
+    const datasetsState = useDatasets();
+    const facets = useDatasetFacets();
+    const quotaState = useDatasetQuota();
+
+    // Edits and deletes can add or remove tags and folders, so the filter options are reloaded afterwards
+    const updateDataset = async (datasetId, updates) => {
+        const updated = await datasetsState.updateDataset(datasetId, updates);
+        facets.refetch();
+        return updated;
+    };
+    const deleteDataset = async (datasetId, options) => {
+        await datasetsState.deleteDataset(datasetId, options);
+        facets.refetch();
+        quotaState.refetch();
+    };
+    // Uploads change storage usage and the dataset count
+    const handleUploadComplete = () => {
+        datasetsState.refetch();
+        quotaState.refetch();
+    };
 
     return (
         <div className="space-y-6">
              {/* Pass refetch function to trigger list update after successful upload */}
-            <DatasetUpload onUploadComplete={refetchDatasets} />
-            <DatasetList />
+            <DatasetQuotaUsage quota={quotaState.quota} error={quotaState.error} />
+            <DatasetUpload onUploadComplete={handleUploadComplete} />
+            <DatasetList {...datasetsState} updateDataset={updateDataset} deleteDataset={deleteDataset} facets={facets} />
         </div>
     );
 };
 
-export default AccountDatasetsPage;
\ No newline at end of file
+export default AccountDatasetsPage;
@@ -1,18 +1,38 @@
 // frontend/src/features/account_management/pages/AccountSettingsPage.jsx
-// ** NEW FILE - Placeholder **
 import React from 'react';
 import Card from '../../../shared/ui/Card';
+import Spinner from '../../../shared/ui/Spinner';
+import SettingsForm from '../components/SettingsForm';
+import FxRatesManager from '../components/FxRatesManager';
+import { useUserSettings } from '../hooks/useUserSettings';
 
 const AccountSettingsPage = () => {
+  const { settings, isLoading, error, updateSettings } = useUserSettings();
+
   return (
-     <Card>
+    <div className="space-y-6">
+      <Card>
         <Card.Header>Settings</Card.Header>
         <Card.Body>
-            <p className="text-gray-600 dark:text-gray-400">General application settings (currency, date format, AI context) will go here.</p>
-             {/* Add settings forms later */}
+          {isLoading ? (
+            <div className="flex justify-center py-4"><Spinner /></div>
+          ) : error || !settings ? (
+            <p className="text-sm text-red-600 dark:text-red-400">{error || 'Settings are not available.'}</p>
+          ) : (
+            <SettingsForm settings={settings} onSave={updateSettings} />
+          )}
         </Card.Body>
-    </Card>
+      </Card>
+      {settings && (
+        <Card>
+          <Card.Header>FX Rates</Card.Header>
+          <Card.Body>
+            <FxRatesManager reportingCurrency={settings.currency} />
+          </Card.Body>
+        </Card>
+      )}
+    </div>
   );
 };
 
-export default AccountSettingsPage;
\ No newline at end of file
+export default AccountSettingsPage;
@@ -0,0 +1,238 @@
+// frontend/src/features/account_management/pages/DatasetDetailPage.jsx
+// ** NEW FILE **
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeftIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import Card from '../../../shared/ui/Card';
+import Button from '../../../shared/ui/Button';
+import Spinner from '../../../shared/ui/Spinner';
+import DatasetProfile from '../../dataset_management/components/DatasetProfile';
+import DatasetVersions from '../../dataset_management/components/DatasetVersions';
+import DatasetUpload from '../../dataset_management/components/DatasetUpload';
+import DatasetAppend from '../../dataset_management/components/DatasetAppend';
+import DatasetRelationships from '../../dataset_management/components/DatasetRelationships';
+import DatasetQualityRules from '../../dataset_management/components/DatasetQualityRules';
+import DatasetPiiPolicies from '../../dataset_management/components/DatasetPiiPolicies';
+import DatasetComputedColumns from '../../dataset_management/components/DatasetComputedColumns';
+import DatasetCurrencyConversions from '../../dataset_management/components/DatasetCurrencyConversions';
+import DatasetUsage from '../../dataset_management/components/DatasetUsage';
+import { useDatasetDetails } from '../../dataset_management/hooks/useDatasetDetails';
+import { useDatasetUsage } from '../../dataset_management/hooks/useDatasetUsage';
+import { useUserSettings } from '../hooks/useUserSettings';
+
+const PROFILE_POLL_INTERVAL_MS = 3000;
+const PROFILE_IN_PROGRESS = ['pending', 'running'];
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '-';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+// Bank statement formats (see backend dataset.statementParsers.js); their content is served as a transactions table
+const STATEMENT_FORMAT_LABELS = { ofx: 'OFX', qfx: 'QFX', qif: 'QIF', mt940: 'MT940', camt053: 'CAMT.053' };
+
+const DELIMITER_LABELS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+// e.g. "semicolon-delimited, decimal comma, windows-1252" for a CSV/TSV file's detected parse options
+const describeParseOptions = (parseOptions) => [
+  `${DELIMITER_LABELS[parseOptions.delimiter] || parseOptions.delimiter}-delimited`,
+  parseOptions.decimalSeparator === ',' ? 'decimal comma' : 'decimal point',
+  `${parseOptions.encoding}${parseOptions.hasBom ? ' (BOM)' : ''}`,
+].join(', ');
+
+// Dataset page: file details, version history, appended extracts, reports built from the dataset, data quality rules, PII policies, computed columns, currency conversions, relationships to other datasets and the column profile computed after upload
+const DatasetDetailPage = () => {
+  const { datasetId } = useParams();
+  const {
+    dataset, isLoading, error, refetch, setDataset, requestProfiling, activateVersion,
+    updateQualityRules, updatePiiPolicies, updateComputedColumns, updateCurrencyConversions, addRelationship, revalidateRelationship, removeRelationship,
+    undoAppend,
+  } = useDatasetDetails(datasetId);
+  const { settings } = useUserSettings(); // Reporting currency for the names of converted columns
+  const [usagePage, setUsagePage] = useState(1);
+  const { usage, isLoading: isUsageLoading, error: usageError } = useDatasetUsage(datasetId, { page: usagePage });
+  const [profileError, setProfileError] = useState(null);
+  const profileStatus = dataset?.profile?.status;
+
+  // Profiling runs in the background after upload; poll until it settles
+  useEffect(() => {
+    if (!PROFILE_IN_PROGRESS.includes(profileStatus)) return undefined;
+    const timer = setTimeout(() => refetch({ silent: true }), PROFILE_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [profileStatus, dataset, refetch]);
+
+  const handleReprofile = async () => {
+    setProfileError(null);
+    try {
+      await requestProfiling();
+    } catch (err) {
+      console.error("Failed to start profiling:", err);
+      setProfileError(err.response?.data?.message || err.message || 'Could not start profiling.');
+    }
+  };
+
+  if (isLoading && !dataset) {
+    return <div className="flex justify-center items-center p-10"><Spinner size="lg" /></div>;
+  }
+  if (error) {
+    return (
+      <Card>
+        <Card.Body>
+          <p className="text-red-600 dark:text-red-400">{error}</p>
+          <Link to="/account/datasets" className="mt-2 inline-block text-sm text-blue-600 dark:text-blue-400 hover:underline">Back to datasets</Link>
+        </Card.Body>
+      </Card>
+    );
+  }
+  if (!dataset) return null;
+
+  const sheets = (dataset.sheets || []).filter(sheet => sheet.isIncluded !== false);
+
+  return (
+    <div className="space-y-6">
+      <Link to="/account/datasets" className="inline-flex items-center text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" /> All datasets
+      </Link>
+
+      <Card>
+        <Card.Header>{dataset.name}</Card.Header>
+        <Card.Body>
+          {dataset.description && <p className="text-sm text-gray-700 dark:text-gray-300 mb-4">{dataset.description}</p>}
+          <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">File</dt>
+              <dd className="text-gray-900 dark:text-white truncate" title={dataset.originalFilename}>{dataset.originalFilename}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Type</dt>
+              <dd className="text-gray-900 dark:text-white">
+                {STATEMENT_FORMAT_LABELS[dataset.fileType]
+                  ? `${STATEMENT_FORMAT_LABELS[dataset.fileType]} statement`
+                  : (dataset.fileType || 'csv').toUpperCase()}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Size</dt>
+              <dd className="text-gray-900 dark:text-white">{formatBytes(dataset.fileSizeBytes)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Uploaded</dt>
+              <dd className="text-gray-900 dark:text-white">{new Date(dataset.createdAt).toLocaleDateString()}</dd>
+            </div>
+            {dataset.parseOptions && (
+              <div className="col-span-2 sm:col-span-4">
+                <dt className="text-gray-500 dark:text-gray-400">Detected format</dt>
+                <dd className="text-gray-900 dark:text-white">{describeParseOptions(dataset.parseOptions)}</dd>
+              </div>
+            )}
+          </dl>
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Versions</Card.Header>
+        <Card.Body>
+          <DatasetVersions versions={dataset.versions} activeVersion={dataset.activeVersion} onActivate={activateVersion} usage={usage} appendBatches={dataset.appendBatches} />
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Used By</Card.Header>
+        <Card.Body>
+          <DatasetUsage usage={usage} isLoading={isUsageLoading} error={usageError} onPageChange={setUsagePage} />
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Data Quality</Card.Header>
+        <Card.Body>
+          <DatasetQualityRules dataset={dataset} onSave={updateQualityRules} />
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Personal Data</Card.Header>
+        <Card.Body>
+          <DatasetPiiPolicies dataset={dataset} onSave={updatePiiPolicies} />
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Computed Columns</Card.Header>
+        <Card.Body>
+          <DatasetComputedColumns dataset={dataset} onSave={updateComputedColumns} />
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Currency</Card.Header>
+        <Card.Body>
+          <DatasetCurrencyConversions dataset={dataset} reportingCurrency={settings?.currency} onSave={updateCurrencyConversions} />
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>Relationships</Card.Header>
+        <Card.Body>
+          <DatasetRelationships
+            dataset={dataset}
+            onAdd={addRelationship}
+            onRevalidate={revalidateRelationship}
+            onRemove={removeRelationship}
+          />
+        </Card.Body>
+      </Card>
+
+      <DatasetUpload datasetId={dataset._id} title="Upload New Version" onUploadComplete={refetch} />
+
+      <DatasetAppend dataset={dataset} onApplied={setDataset} onUndo={undoAppend} />
+
+      <Card>
+        <Card.Header>
+          <div className="flex items-center justify-between">
+            <h3 className="text-base font-semibold leading-6 text-gray-900 dark:text-white">Column Profile</h3>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleReprofile}
+              disabled={PROFILE_IN_PROGRESS.includes(profileStatus)}
+              leftIcon={ArrowPathIcon}
+            >
+              Re-run profiling
+            </Button>
+          </div>
+        </Card.Header>
+        <Card.Body className="space-y-6">
+          {profileError && <p className="text-sm text-red-600 dark:text-red-400">{profileError}</p>}
+          {PROFILE_IN_PROGRESS.includes(profileStatus) && (
+            <div className="flex items-center gap-x-2 text-sm text-gray-600 dark:text-gray-400">
+              <Spinner size="sm" /> Computing column statistics...
+            </div>
+          )}
+          {profileStatus === 'failed' && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              Profiling failed: {dataset.profile.error || 'unknown error'}. The file may be damaged or in an unexpected format.
+            </p>
+          )}
+          {profileStatus === 'complete' && (
+            <>
+              {dataset.profile.isPartial && (
+                <p className="text-xs text-amber-600 dark:text-amber-400">This file is large; statistics cover its first part only.</p>
+              )}
+              {sheets.length > 0
+                ? sheets.map(sheet => <DatasetProfile key={sheet.name} title={sheet.name} profile={sheet.profile} />)
+                : <DatasetProfile profile={dataset.profile} />}
+              {dataset.profile.profiledAt && (
+                <p className="text-xs text-gray-400">Profiled {new Date(dataset.profile.profiledAt).toLocaleString()}</p>
+              )}
+            </>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default DatasetDetailPage;
@@ -2,7 +2,7 @@
 // Fixed to remove quality badge from UI
 
 import React from 'react';
-import { UserIcon, CpuChipIcon, ExclamationCircleIcon, DocumentChartBarIcon } from '@heroicons/react/24/solid';
+import { UserIcon, CpuChipIcon, ExclamationCircleIcon, ExclamationTriangleIcon, DocumentChartBarIcon } from '@heroicons/react/24/solid';
 import Spinner from '../../../shared/ui/Spinner';
 import Button from '../../../shared/ui/Button';
 
@@ -45,6 +45,17 @@ const MessageBubble = ({ message, onViewReport }) => {
             return (
                 <div className="space-y-2">
                     <p>{message.content || "Report generated."}</p>
+                    {message.dataQualityWarnings?.length > 0 && (
+                        <div className="flex items-start gap-x-1.5 text-xs text-amber-700 dark:text-amber-300">
+                            <ExclamationTriangleIcon className="h-4 w-4 flex-shrink-0" />
+                            <div>
+                                <p className="font-medium">Provisional: built on data that failed quality checks.</p>
+                                {message.dataQualityWarnings.map(warning => (
+                                    <p key={warning.datasetId}>{warning.datasetName}: {warning.issues.join('; ')}</p>
+                                ))}
+                            </div>
+                        </div>
+                    )}
                     <div className="flex items-center">
                         <Button
                             variant="secondary"
@@ -2,6 +2,7 @@
 import React from 'react';
 import { PROCESSING_STAGES } from '../hooks/usePromptSubmit';
 import Spinner from '../../../shared/ui/Spinner';
+import Button from '../../../shared/ui/Button';
 import {
     CodeBracketIcon,
     DocumentTextIcon,
@@ -9,10 +10,13 @@ import {
     ChartBarIcon,
     DocumentChartBarIcon,
     CheckCircleIcon,
-    ExclamationCircleIcon
+    ExclamationCircleIcon,
+    XMarkIcon
 } from '@heroicons/react/24/outline';
 
-const ProgressIndicator = ({ stage, detail }) => {
+// `generation` ({ receivedChars, outputTokens }) is the live code generation progress streamed from the server;
+// `onCancel` stops the submission at any stage
+const ProgressIndicator = ({ stage, detail, generation, onCancel }) => {
     // Define the steps in the process
     const steps = [
         { id: PROCESSING_STAGES.GENERATING_CODE, label: 'Generating Analysis', icon: CodeBracketIcon },
@@ -46,6 +50,11 @@ const ProgressIndicator = ({ stage, detail }) => {
                     <>
                         <Spinner size="sm" className="mr-2" />
                         Generating Report
+                        {onCancel && (
+                            <Button size="sm" variant="ghost" leftIcon={XMarkIcon} onClick={onCancel} className="ml-auto">
+                                Cancel
+                            </Button>
+                        )}
                     </>
                 )}
             </div>
@@ -109,6 +118,12 @@ const ProgressIndicator = ({ stage, detail }) => {
                     {detail}
                 </div>
             )}
+            {stage === PROCESSING_STAGES.GENERATING_CODE && generation && (
+                <div className="text-xs text-blue-500 dark:text-blue-400 mt-1 text-center tabular-nums">
+                    {generation.receivedChars.toLocaleString()} characters received
+                    {generation.outputTokens > 0 && ` · ${generation.outputTokens.toLocaleString()} tokens`}
+                </div>
+            )}
         </div>
     );
 };
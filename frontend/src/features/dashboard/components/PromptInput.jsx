@@ -3,17 +3,31 @@
 import React, { useState } from 'react';
 import Button from '../../../shared/ui/Button';
 import { PaperAirplaneIcon } from '@heroicons/react/24/solid'; // Solid icon for send
+import { XMarkIcon, ArrowUturnRightIcon } from '@heroicons/react/20/solid';
 import Spinner from '../../../shared/ui/Spinner'; // Import Spinner for dataset loading
+import DatasetFilters from '../../dataset_management/components/DatasetFilters';
+import DatasetPager from '../../dataset_management/components/DatasetPager';
 
+// `datasets` is one page of the library (useDatasets with hideIgnored, so datasets flagged isIgnored never show up);
+// selections are kept as dataset objects so they survive searching and paging. While `followUp` is set, prompts revise
+// that report (see usePromptSubmit); `onNewThread` starts a new one instead.
 const PromptInput = ({
     onSubmit,
     isLoading,
+    followUp,
+    onNewThread,
     datasets = [],
     datasetsLoading,
-    selectedDatasetIds,
-    setSelectedDatasetIds
+    selectedDatasets,
+    setSelectedDatasets,
+    query,
+    setQuery,
+    pagination,
+    setPage,
+    facets
 }) => {
     const [promptText, setPromptText] = useState('');
+    const selectedDatasetIds = selectedDatasets.map((ds) => ds._id);
 
     const handleSubmit = (e) => {
         e.preventDefault();
@@ -22,23 +36,41 @@ const PromptInput = ({
         setPromptText(''); // Clear input after submit
     };
 
-    const handleDatasetToggle = (datasetId) => {
-        setSelectedDatasetIds((prevSelected) =>
-            prevSelected.includes(datasetId)
-                ? prevSelected.filter((id) => id !== datasetId)
-                : [...prevSelected, datasetId]
+    const handleDatasetToggle = (dataset) => {
+        setSelectedDatasets((prevSelected) =>
+            prevSelected.some((ds) => ds._id === dataset._id)
+                ? prevSelected.filter((ds) => ds._id !== dataset._id)
+                : [...prevSelected, dataset]
         );
     };
 
+    const isFiltered = Boolean(query.search || query.folder || query.tags?.length);
+
     return (
         <form onSubmit={handleSubmit} className="space-y-3">
              {/* Dataset Selection Area */}
-            <div className="p-3 border border-gray-200 dark:border-gray-700 rounded-md bg-gray-50 dark:bg-gray-800/50 max-h-32 overflow-y-auto">
-                 <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-2">Select Datasets for Context:</label>
+            <div className="p-3 border border-gray-200 dark:border-gray-700 rounded-md bg-gray-50 dark:bg-gray-800/50 space-y-2">
+                 <label className="block text-xs font-medium text-gray-500 dark:text-gray-400">Select Datasets for Context:</label>
+                 <DatasetFilters query={query} onChange={setQuery} facets={facets} compact />
+                 {selectedDatasets.length > 0 && (
+                     <div className="flex flex-wrap gap-1.5">
+                         {selectedDatasets.map((ds) => (
+                             <span key={ds._id} className="inline-flex items-center gap-x-1 rounded-full bg-blue-100 dark:bg-blue-900/40 px-2 py-0.5 text-xs text-blue-800 dark:text-blue-200">
+                                 {ds.name}
+                                 <button type="button" onClick={() => handleDatasetToggle(ds)} aria-label={`Deselect ${ds.name}`}>
+                                     <XMarkIcon className="h-3.5 w-3.5" />
+                                 </button>
+                             </span>
+                         ))}
+                     </div>
+                 )}
+                 <div className="max-h-32 overflow-y-auto">
                  {datasetsLoading ? (
                      <div className="flex justify-center items-center h-10"> <Spinner size="sm" /> </div>
                  ) : datasets.length === 0 ? (
-                     <p className="text-xs text-gray-400 dark:text-gray-500">No datasets uploaded yet. Upload in Account > Datasets.</p>
+                     <p className="text-xs text-gray-400 dark:text-gray-500">
+                         {isFiltered ? 'No datasets match these filters.' : 'No datasets uploaded yet. Upload in Account > Datasets.'}
+                     </p>
                  ) : (
                      <div className="space-y-1.5">
                          {datasets.map((ds) => (
@@ -48,26 +80,47 @@ const PromptInput = ({
                                      name="selectedDatasets"
                                      type="checkbox"
                                      checked={selectedDatasetIds.includes(ds._id)}
-                                     onChange={() => handleDatasetToggle(ds._id)}
+                                     onChange={() => handleDatasetToggle(ds)}
                                      className="h-4 w-4 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 dark:bg-gray-700 dark:checked:bg-blue-500 cursor-pointer"
                                  />
                                  <label htmlFor={`dataset-${ds._id}`} className="ml-2 block text-xs font-normal text-gray-700 dark:text-gray-300 cursor-pointer truncate" title={ds.name}>
                                      {ds.name}
+                                     {ds.folder && <span className="ml-1.5 text-gray-400 dark:text-gray-500">{ds.folder}</span>}
                                  </label>
                              </div>
                          ))}
                      </div>
                  )}
+                 </div>
+                 {pagination.totalPages > 1 && <DatasetPager pagination={pagination} onPageChange={setPage} isLoading={datasetsLoading} />}
             </div>
 
 
+             {/* Conversation thread the next prompt continues */}
+            {followUp && (
+                <div className="flex items-center gap-x-2 px-3 py-1.5 rounded-md bg-blue-50 dark:bg-blue-900/20 text-xs text-blue-800 dark:text-blue-200">
+                    <ArrowUturnRightIcon className="h-4 w-4 flex-shrink-0" />
+                    <span className="truncate" title={followUp.promptText}>
+                        Following up on "{followUp.promptText}"
+                    </span>
+                    <button
+                        type="button"
+                        onClick={onNewThread}
+                        disabled={isLoading}
+                        className="ml-auto flex-shrink-0 font-medium underline disabled:opacity-60"
+                    >
+                        New report
+                    </button>
+                </div>
+            )}
+
              {/* Prompt Text Area */}
             <div className="flex items-center space-x-3 p-3 border border-gray-200 dark:border-gray-700 rounded-md focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500 dark:bg-gray-800">
                 <textarea
                     rows={1} // Start with 1 row, auto-expand
                     value={promptText}
                     onChange={(e) => setPromptText(e.target.value)}
-                    placeholder="Ask about your selected data..."
+                    placeholder={followUp ? 'Refine the report, e.g. "make the expense chart a stacked bar" or "drop Q1"...' : 'Ask about your selected data...'}
                     disabled={isLoading}
                     className="block w-full resize-none border-0 bg-transparent py-1.5 text-gray-900 dark:text-white placeholder:text-gray-400 dark:placeholder:text-gray-500 focus:ring-0 sm:text-sm sm:leading-6 flex-grow outline-none"
                     style={{ maxHeight: '100px', overflowY: 'auto' }} // Limit height and allow scroll
@@ -3,8 +3,11 @@
 
 import { useState, useCallback, useRef, useEffect } from 'react';
 import apiClient from '../../../shared/services/apiClient';
+import { auth } from '../../../shared/services/firebase';
 import logger from '../../../shared/utils/logger';
 import axios from 'axios';
+import { isWorkbookFileType } from '../../../shared/utils/datasetContent';
+import { summarizeReportHtml } from '../../../shared/utils/reportSummary';
 
 // Import the worker using Vite's special syntax
 import ReportWorker from '../../../report.worker.js?worker';
@@ -22,16 +25,93 @@ export const PROCESSING_STAGES = {
   ERROR: 'error'
 };
 
+// Reads a Server-Sent Events body, calling onEvent(name, data) with the parsed JSON of each event
+const readEventStream = async (body, onEvent) => {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            buffer += value.replace(/\r\n/g, '\n');
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                let event = 'message';
+                const dataLines = [];
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+                    // Lines starting with ':' are keep-alive comments
+                });
+                if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+            }
+        }
+    } catch (err) {
+        reader.cancel().catch(() => {});
+        throw err;
+    }
+};
+
+// Tells the backend how the generated code ran (PUT /prompts/{id}/result), so a follow-up can describe the result to
+// the AI. Best effort: without it the follow-up is sent with the code only.
+const recordExecutionResult = async (promptId, result) => {
+    if (!promptId) return;
+    try {
+        await apiClient.put(`/prompts/${promptId}/result`, result);
+    } catch (err) {
+        logger.warn(`Could not record the result of prompt ${promptId}:`, err.response?.data?.message || err.message);
+    }
+};
+
+// Generates the report code through POST /prompts/stream, passing the server's progress events to onEvent.
+// EventSource can neither POST nor send the auth header, so the stream is read with fetch. Aborting `signal` closes the
+// connection, which also stops the generation on the server.
+const requestGeneratedCode = async (payload, { signal, onEvent }) => {
+    const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+    const idToken = await auth.currentUser?.getIdToken(false);
+    if (idToken) headers.Authorization = `Bearer ${idToken}`;
+
+    const response = await fetch(`${apiClient.defaults.baseURL}/prompts/stream`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal
+    });
+    // Validation, auth and subscription failures are answered as JSON before the stream starts
+    if (!response.ok || !response.body) {
+        const errorBody = await response.json().catch(() => null);
+        throw new Error(errorBody?.message || `Code generation failed (HTTP ${response.status})`);
+    }
+
+    let result = null;
+    await readEventStream(response.body, (event, data) => {
+        if (event === 'completed') result = data;
+        else if (event === 'error') throw new Error(data.message || 'Failed to generate code from AI');
+        else onEvent(event, data);
+    });
+    if (!result?.aiGeneratedCode) throw new Error('The connection closed before the code was generated');
+    return result;
+};
+
 export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllLoadingFlags) => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [processingStage, setProcessingStage] = useState(PROCESSING_STAGES.WAITING);
     const [processingDetail, setProcessingDetail] = useState('');
+    // Live code generation progress from the stream: { receivedChars, outputTokens }, null outside generation
+    const [generationProgress, setGenerationProgress] = useState(null);
+    // Report the next prompt builds on ({ promptId, threadId, promptText }); null starts a new report
+    const [followUp, setFollowUp] = useState(null);
     const workerRef = useRef(null);
+    const abortControllerRef = useRef(null); // Cancels the current submission
+    const loadingMessageIdRef = useRef(null);
 
     // Cleanup worker on unmount
     useEffect(() => {
         return () => {
+            abortControllerRef.current?.abort();
             if (workerRef.current) {
                 logger.debug("Terminating worker on component unmount");
                 workerRef.current.terminate();
@@ -41,7 +121,8 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
     }, []);
 
     // Helper to fetch dataset content using signed URLs
-    const fetchAllDatasetContent = useCallback(async (datasetsToFetch) => {
+    // `datasetVersions` pins each dataset to the version the code was generated against
+    const fetchAllDatasetContent = useCallback(async (datasetsToFetch, datasetVersions = []) => {
         if (!datasetsToFetch || datasetsToFetch.length === 0) {
             logger.warn('No datasets to fetch');
             return [];
@@ -59,34 +140,44 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
                 setProcessingDetail(`Fetching dataset ${index + 1} of ${datasetsToFetch.length}: ${ds.name}`);
                 // 1. Get signed URL from backend
                 logger.debug(`Getting read URL for dataset: ${ds.name} (ID: ${ds._id})`);
-                const urlResponse = await apiClient.get(`/datasets/${ds._id}/read-url`);
+                const pinned = datasetVersions.find(v => String(v.datasetId) === String(ds._id));
+                const urlResponse = await apiClient.get(`/datasets/${ds._id}/read-url`, {
+                    params: pinned ? { version: pinned.versionNumber } : undefined
+                });
 
                 if (!urlResponse?.data?.status === 'success' || !urlResponse?.data?.data?.signedUrl) {
                     throw new Error(`Failed to get read URL for dataset: ${ds.name}`);
                 }
 
-                const readUrl = urlResponse.data.data.signedUrl;
-                logger.debug(`Got read URL for ${ds.name}`);
+                const { signedUrl: readUrl, fileType = 'csv', sheets = [], parseOptions = null } = urlResponse.data.data;
+                const isWorkbook = isWorkbookFileType(fileType);
+                // Files with detected parse options may not be UTF-8; the worker decodes them itself
+                const isBinary = isWorkbook || Boolean(parseOptions);
+                logger.debug(`Got read URL for ${ds.name} (${fileType})`);
 
                 // 2. Fetch content using the URL
                 setProcessingDetail(`Downloading content for ${ds.name}`);
                 logger.debug(`Fetching content from storage for ${ds.name}...`);
 
+                // Excel workbooks are binary; the worker splits them into one table per sheet
                 const contentResponse = await axios.get(readUrl, {
-                    responseType: 'text',
+                    responseType: isBinary ? 'arraybuffer' : 'text',
                     timeout: 30000,
                     headers: {
                         'Accept': 'text/plain,text/csv,application/octet-stream'
                     }
                 });
 
-                const contentLength = contentResponse.data?.length || 0;
-                logger.debug(`Fetched content for ${ds.name}. Length: ${contentLength} chars`);
+                const contentLength = isBinary ? contentResponse.data?.byteLength || 0 : contentResponse.data?.length || 0;
+                logger.debug(`Fetched content for ${ds.name}. Length: ${contentLength} ${isBinary ? 'bytes' : 'chars'}`);
 
                 // Add to results array with full data
                 results.push({
                     name: ds.name,
                     gcsPath: ds.gcsPath,
+                    fileType,
+                    sheets,
+                    parseOptions,
                     content: contentResponse.data,
                     error: null
                 });
@@ -150,7 +241,38 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
         return userMessage;
     }, []);
 
+    // Ends a cancelled submission: the placeholder message says so, without counting as an error
+    const finishCancelled = useCallback(() => {
+        updateMessageById(loadingMessageIdRef.current, {
+            content: 'Report generation cancelled.',
+            isError: false,
+            isLoading: false
+        });
+        setError(null);
+        setGenerationProgress(null);
+        updateProcessingStage(PROCESSING_STAGES.WAITING);
+        setIsLoading(false);
+    }, [updateMessageById, updateProcessingStage]);
+
+    // Stops the running submission: the code generation request (and with it Claude on the server), the dataset
+    // downloads' next step, or the worker executing the code
+    const cancelSubmit = useCallback(() => {
+        const controller = abortControllerRef.current;
+        if (!isLoading || !controller || controller.signal.aborted) return;
+        logger.info("Cancelling report generation");
+        controller.abort();
+        // While the worker runs, no promise is pending that would notice the abort
+        if (workerRef.current) {
+            workerRef.current.terminate();
+            workerRef.current = null;
+            finishCancelled();
+        }
+    }, [isLoading, finishCancelled]);
+
     // Main submit function
+    // The next prompt starts a new report instead of revising the last one
+    const startNewThread = useCallback(() => setFollowUp(null), []);
+
     const submitPrompt = useCallback(async (promptText, selectedDatasetIds, allAvailableDatasets) => {
         // Validate required callbacks
         if (!addMessageCallback || !updateMessageById) {
@@ -176,6 +298,9 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
         logger.debug("Starting prompt submission process");
         setIsLoading(true);
         setError(null);
+        setGenerationProgress(null);
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
         const initialStageMessage = updateProcessingStage(PROCESSING_STAGES.GENERATING_CODE);
 
         // Add placeholder AI message in the chat
@@ -184,6 +309,7 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
             content: initialStageMessage,
             isLoading: true
         });
+        loadingMessageIdRef.current = loadingMessageId;
 
         try {
             // 1. Input validation
@@ -199,25 +325,40 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
                 throw new Error("Available datasets information is missing");
             }
 
-            // 2. Call API to get AI-generated code
+            // 2. Call API to get AI-generated code, following the server's stages as they happen
             const stageMessage = updateProcessingStage(PROCESSING_STAGES.GENERATING_CODE, "Requesting AI analysis");
             updateMessageById(loadingMessageId, { content: stageMessage });
             logger.debug("Calling backend API to generate code");
 
-            const codeResponse = await apiClient.post('/prompts', {
-                promptText,
-                selectedDatasetIds
+            // A follow-up sends the previous report's prompt, code and result along and is revised from it
+            const parentPromptId = followUp?.promptId || null;
+            const codeResult = await requestGeneratedCode({ promptText, selectedDatasetIds, parentPromptId }, {
+                signal: abortController.signal,
+                onEvent: (event, data) => {
+                    switch (event) {
+                        case 'context_assembled':
+                            setProcessingDetail(`Described ${data.datasetCount} dataset${data.datasetCount === 1 ? '' : 's'} for the AI`);
+                            break;
+                        case 'generation_started':
+                            setProcessingDetail("AI is writing the analysis code");
+                            setGenerationProgress({ receivedChars: 0, outputTokens: 0 });
+                            break;
+                        case 'tokens':
+                            setGenerationProgress({ receivedChars: data.receivedChars, outputTokens: data.outputTokens });
+                            break;
+                        case 'code_extracted':
+                            setProcessingDetail(`Analysis code ready (${data.codeLength.toLocaleString()} characters)`);
+                            setGenerationProgress(prev => ({ ...prev, outputTokens: data.outputTokens }));
+                            break;
+                        default:
+                            break;
+                    }
+                }
             });
-
-            // Check API response
-            if (codeResponse?.data?.status !== 'success' || !codeResponse?.data?.data?.aiGeneratedCode) {
-                const errorMsg = codeResponse?.data?.message || 'Failed to generate code from AI';
-                logger.error(`API error: ${errorMsg}`);
-                throw new Error(errorMsg);
-            }
+            setGenerationProgress(null);
 
             // Extract code from response
-            const { aiGeneratedCode, promptId } = codeResponse.data.data;
+            const { aiGeneratedCode, promptId, threadId, datasetVersions, dataQualityWarnings, fiscalCalendar } = codeResult;
             logger.info(`Received code (${aiGeneratedCode.length} chars) for promptId: ${promptId}`);
 
             // 3. Fetch dataset content
@@ -237,7 +378,8 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
             logger.debug(`Found ${datasetsToFetch.length} datasets to fetch`);
 
             // Fetch the actual content for each dataset
-            const datasetsWithContent = await fetchAllDatasetContent(datasetsToFetch);
+            const datasetsWithContent = await fetchAllDatasetContent(datasetsToFetch, datasetVersions);
+            abortController.signal.throwIfAborted(); // Cancelled while downloading
 
             // Verify that at least one dataset was fetched successfully
             const successfulDatasets = datasetsWithContent.filter(d => d.content && !d.error);
@@ -288,10 +430,13 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
                         promptId,
                         isError: false,
                         isLoading: false,
-                        quality: quality || null
+                        quality: quality || null,
+                        dataQualityWarnings: dataQualityWarnings || [] // Failed data checks: report is provisional
                     });
 
                     setError(null);
+                    recordExecutionResult(promptId, { status: 'completed', resultSummary: summarizeReportHtml(output) });
+                    setFollowUp({ promptId, threadId, promptText });
 
                     // Update final processing stage
                     updateProcessingStage(PROCESSING_STAGES.COMPLETE);
@@ -313,6 +458,9 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
 
                     setError(errorMsg);
                     updateProcessingStage(PROCESSING_STAGES.ERROR, errorMsg);
+                    // The code exists, so a follow-up such as "fix it" can still build on it
+                    recordExecutionResult(promptId, { status: 'error_executing', errorMessage: errorMsg });
+                    setFollowUp({ promptId, threadId, promptText });
                 }
 
                 // Clean up worker after processing response
@@ -340,6 +488,8 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
 
                 setError(errorMsg);
                 updateProcessingStage(PROCESSING_STAGES.ERROR, errorMsg);
+                recordExecutionResult(promptId, { status: 'error_executing', errorMessage: errorMsg });
+                setFollowUp({ promptId, threadId, promptText });
 
                 // Clean up worker
                 if (workerRef.current) {
@@ -356,9 +506,12 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
             // Prepare payload with proper structure
             const workerPayload = {
                 code: aiGeneratedCode,
+                fiscalCalendar: fiscalCalendar || null, // Backs executionScope.fiscal in the generated code
                 datasets: datasetsWithContent.map(ds => ({
                     name: ds.name,
                     gcsPath: ds.gcsPath,
+                    fileType: ds.fileType,
+                    sheets: ds.sheets,
                     content: ds.content,
                     error: ds.error
                 }))
@@ -367,12 +520,19 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
             // Log payload structure for debugging
             logger.debug(`Payload summary: code length=${workerPayload.code.length}, datasets=${workerPayload.datasets.length}`);
 
-            // Send message to worker
-            workerRef.current.postMessage(workerPayload);
+            // Send message to worker, transferring binary file buffers instead of copying them
+            const transferables = workerPayload.datasets.map(ds => ds.content).filter(content => content instanceof ArrayBuffer);
+            workerRef.current.postMessage(workerPayload, transferables);
 
             // Note: we don't set isLoading=false here, that happens in the worker response handlers
 
         } catch (error) {
+            if (abortController.signal.aborted) {
+                logger.info("Report generation cancelled by the user");
+                finishCancelled();
+                return;
+            }
+
             // Handle errors during preparation and API calls
             const errorMsg = error.message || 'An unknown error occurred';
             logger.error(`Error during prompt submission: ${errorMsg}`, error);
@@ -386,6 +546,7 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
             });
 
             setError(errorMsg);
+            setGenerationProgress(null);
             updateProcessingStage(PROCESSING_STAGES.ERROR, errorMsg);
 
             // Clean up worker if it exists
@@ -396,13 +557,17 @@ export const usePromptSubmit = (addMessageCallback, updateMessageById, clearAllL
 
             setIsLoading(false);
         }
-    }, [addMessageCallback, updateMessageById, fetchAllDatasetContent, isLoading, updateProcessingStage]);
+    }, [addMessageCallback, updateMessageById, fetchAllDatasetContent, isLoading, updateProcessingStage, finishCancelled, followUp]);
 
     return {
         submitPrompt,
+        cancelSubmit,
+        followUp,
+        startNewThread,
         isLoading,
         error,
         processingStage,
-        processingDetail
+        processingDetail,
+        generationProgress
     };
 };
\ No newline at end of file
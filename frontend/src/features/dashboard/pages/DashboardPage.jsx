@@ -7,6 +7,7 @@ import PromptInput from '../components/PromptInput';
 import { useChatHistory } from '../hooks/useChatHistory';
 import { usePromptSubmit, PROCESSING_STAGES } from '../hooks/usePromptSubmit';
 import { useDatasets } from '../../dataset_management/hooks/useDatasets';
+import { useDatasetFacets } from '../../dataset_management/hooks/useDatasetFacets';
 import Modal from '../../../shared/ui/Modal';
 import ReportViewer from '../../report_display/components/ReportViewer';
 import logger from '../../../shared/utils/logger';
@@ -15,13 +16,26 @@ import ProgressIndicator from '../components/ProgressIndicator'; // New componen
 const DashboardPage = () => {
     // State management hooks
     const { messages, addMessage, updateMessageById, clearAllLoadingFlags } = useChatHistory();
-    const { datasets, isLoading: datasetsLoading, error: datasetsError } = useDatasets();
+    const {
+        datasets,
+        isLoading: datasetsLoading,
+        error: datasetsError,
+        query: datasetQuery,
+        setQuery: setDatasetQuery,
+        pagination: datasetPagination,
+        setPage: setDatasetPage
+    } = useDatasets({ hideIgnored: true, pageSize: 20, sort: 'name' });
+    const datasetFacets = useDatasetFacets();
     const {
         submitPrompt,
+        cancelSubmit,
+        followUp,
+        startNewThread,
         isLoading: promptLoading,
         error: promptError,
         processingStage,
-        processingDetail
+        processingDetail,
+        generationProgress
     } = usePromptSubmit(
         addMessage,
         updateMessageById,
@@ -29,7 +43,7 @@ const DashboardPage = () => {
     );
 
     // Local state
-    const [selectedDatasetIds, setSelectedDatasetIds] = useState([]);
+    const [selectedDatasets, setSelectedDatasets] = useState([]); // Dataset objects, possibly from other pages of the picker
     const [isReportViewerOpen, setIsReportViewerOpen] = useState(false);
     const [currentReportHtml, setCurrentReportHtml] = useState('');
     const [currentReportQuality, setCurrentReportQuality] = useState(null);
@@ -68,7 +82,7 @@ const DashboardPage = () => {
         }
 
         // Validate dataset selection
-        if (!selectedDatasetIds.length) {
+        if (!selectedDatasets.length) {
             logger.warn("No datasets selected");
             addMessage({
                 type: 'system',
@@ -77,22 +91,12 @@ const DashboardPage = () => {
             return;
         }
 
-        // Validate datasets are loaded
-        if (!datasets || datasets.length === 0) {
-            logger.error("No datasets available");
-            addMessage({
-                type: 'system',
-                content: 'Error: No datasets are available. Please upload datasets in your account settings.'
-            });
-            return;
-        }
-
         // Add user message to chat
-        logger.debug(`Submitting prompt: "${promptText}" with ${selectedDatasetIds.length} selected datasets`);
+        logger.debug(`Submitting prompt: "${promptText}" with ${selectedDatasets.length} selected datasets`);
         addMessage({ type: 'user', content: promptText });
 
-        // Submit prompt for processing
-        submitPrompt(promptText, selectedDatasetIds, datasets);
+        // Submit prompt for processing; the selected objects carry the metadata, whatever page the picker shows now
+        submitPrompt(promptText, selectedDatasets.map(ds => ds._id), selectedDatasets);
     };
 
     // Show dataset error if any
@@ -128,6 +132,8 @@ const DashboardPage = () => {
                     <ProgressIndicator
                         stage={processingStage}
                         detail={processingDetail}
+                        generation={generationProgress}
+                        onCancel={cancelSubmit}
                     />
                 )}
 
@@ -143,11 +149,18 @@ const DashboardPage = () => {
                 <div className="flex-shrink-0 pb-0">
                     <PromptInput
                         onSubmit={handlePromptSubmit}
-                        isLoading={promptLoading || datasetsLoading}
+                        isLoading={promptLoading}
+                        followUp={followUp}
+                        onNewThread={startNewThread}
                         datasets={datasets || []}
                         datasetsLoading={datasetsLoading}
-                        selectedDatasetIds={selectedDatasetIds}
-                        setSelectedDatasetIds={setSelectedDatasetIds}
+                        selectedDatasets={selectedDatasets}
+                        setSelectedDatasets={setSelectedDatasets}
+                        query={datasetQuery}
+                        setQuery={setDatasetQuery}
+                        pagination={datasetPagination}
+                        setPage={setDatasetPage}
+                        facets={datasetFacets}
                     />
                 </div>
             </div>
@@ -0,0 +1,223 @@
+// frontend/src/features/dataset_management/components/DatasetAppend.jsx
+// ** NEW FILE **
+import React, { useState } from 'react';
+import { ArrowUturnLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import Card from '../../../shared/ui/Card';
+import Button from '../../../shared/ui/Button';
+import { Checkbox } from '../../../shared/ui/Checkbox';
+import DatasetUpload from './DatasetUpload';
+import { useDatasetAppend } from '../hooks/useDatasetAppend';
+
+const NEW_COLUMN = '__new__';
+
+// How an uploaded header was matched (see backend dataset.appends.js); 'similar' guesses need the user's confirmation
+const MATCH_LABELS = {
+  mapped: 'chosen',
+  exact: 'same name',
+  normalized: 'same name',
+  alias: 'renamed before',
+  similar: 'similar name - check',
+  new: 'new column',
+};
+
+const selectClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+
+const formatCount = (count) => (count ?? 0).toLocaleString();
+
+// Column mapping, dedupe key and row counts of a reconciled upload, before anything is saved
+const AppendReview = ({ plan, isPreviewing, isApplying, onChange, onConfirm, onDiscard }) => {
+  const keyOptions = [...plan.datasetColumns, ...plan.addedColumns];
+
+  const handleMappingChange = (source, value) => {
+    onChange({ columnMapping: { ...plan.columnMapping, [source]: value === NEW_COLUMN ? null : value }, dedupeKey: plan.dedupeKey });
+  };
+
+  const handleKeyToggle = (column) => {
+    const dedupeKey = plan.dedupeKey.includes(column) ? plan.dedupeKey.filter(col => col !== column) : [...plan.dedupeKey, column];
+    onChange({ columnMapping: plan.columnMapping, dedupeKey });
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+        <thead className="bg-gray-50 dark:bg-gray-800/50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Column in {plan.originalFilename}</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Dataset column</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Match</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {plan.mapping.map(({ source, target, match }) => (
+            <tr key={source}>
+              <td className="px-3 py-2 text-gray-900 dark:text-white">{source}</td>
+              <td className="px-3 py-2">
+                <select
+                  value={plan.addedColumns.includes(target) ? NEW_COLUMN : target}
+                  onChange={e => handleMappingChange(source, e.target.value)}
+                  disabled={isPreviewing || isApplying}
+                  className={selectClassName}
+                >
+                  {plan.datasetColumns.map(column => <option key={column} value={column}>{column}</option>)}
+                  <option value={NEW_COLUMN}>Add as new column</option>
+                </select>
+              </td>
+              <td className={`px-3 py-2 text-xs whitespace-nowrap ${match === 'similar' ? 'text-amber-600 dark:text-amber-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                {MATCH_LABELS[match] || match}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {plan.missingColumns.length > 0 && (
+        <p className="flex items-start gap-x-2 text-amber-700 dark:text-amber-300">
+          <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+          <span>Not in this file, left empty on its rows: {plan.missingColumns.join(', ')}</span>
+        </p>
+      )}
+      {plan.addedColumns.length > 0 && (
+        <p className="text-gray-600 dark:text-gray-300">
+          New columns, empty on the existing rows: {plan.addedColumns.join(', ')}
+        </p>
+      )}
+
+      <div>
+        <p className="text-xs font-medium text-gray-500 dark:text-gray-400">
+          Skip rows already in the dataset, identified by {plan.dedupeKey.length === 0 ? 'all columns (whole rows)' : 'these columns'}:
+        </p>
+        <div className="mt-1 flex flex-wrap gap-x-4">
+          {keyOptions.map(column => (
+            <Checkbox
+              key={column}
+              id={`append-key-${column}`}
+              label={column}
+              checked={plan.dedupeKey.includes(column)}
+              onChange={() => handleKeyToggle(column)}
+              disabled={isPreviewing || isApplying}
+            />
+          ))}
+        </div>
+      </div>
+
+      <p className="text-gray-700 dark:text-gray-300">
+        {formatCount(plan.appendedRowCount)} of {formatCount(plan.rowCount)} rows will be appended to the {formatCount(plan.existingRowCount)} existing ones
+        {plan.duplicateRowCount > 0 && `; ${formatCount(plan.duplicateRowCount)} already present will be skipped`}.
+      </p>
+
+      <div className="flex justify-end gap-x-2">
+        <Button size="sm" variant="ghost" onClick={onDiscard} disabled={isApplying}>Discard</Button>
+        <Button size="sm" onClick={onConfirm} isLoading={isApplying} disabled={isPreviewing}>
+          Append {formatCount(plan.appendedRowCount)} rows
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Appending monthly extracts to the dataset: upload, review the reconciliation, then the batch history with undo.
+// Only the batches in the active version can be undone; older versions keep their own.
+const DatasetAppend = ({ dataset, onApplied, onUndo }) => {
+  const { plan, isPreviewing, isApplying, error, previewAppend, confirmAppend, discardAppend } = useDatasetAppend(dataset._id, onApplied);
+  const [undoingId, setUndoingId] = useState(null);
+  const [undoError, setUndoError] = useState(null);
+
+  const activeBatchIds = (dataset.versions || []).find(v => v.versionNumber === dataset.activeVersion)?.appliedBatchIds || [];
+  const batches = [...(dataset.appendBatches || [])].reverse();
+  const isWorkbook = (dataset.sheets || []).length > 0;
+
+  const handleUndo = async (batchId) => {
+    setUndoingId(batchId);
+    setUndoError(null);
+    try {
+      await onUndo(batchId);
+    } catch (err) {
+      setUndoError(err.message);
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  return (
+    <>
+      {isWorkbook ? null : plan && !plan.isRefused ? (
+        <Card>
+          <Card.Header>Append {plan.originalFilename}</Card.Header>
+          <Card.Body>
+            {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+            <AppendReview
+              plan={plan}
+              isPreviewing={isPreviewing}
+              isApplying={isApplying}
+              onChange={(options) => previewAppend(plan, options)}
+              onConfirm={confirmAppend}
+              onDiscard={discardAppend}
+            />
+          </Card.Body>
+        </Card>
+      ) : (
+        <div className="space-y-2">
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {error}
+              {plan?.isRefused && <button onClick={discardAppend} className="ml-2 text-xs font-medium underline">Discard upload</button>}
+            </p>
+          )}
+          <DatasetUpload
+            datasetId={dataset._id}
+            title="Append Data"
+            description="Add another extract (e.g. next month's) to this dataset. Columns are matched by name, rows already present are skipped, and every append can be undone."
+            onUploaded={(upload) => previewAppend(upload)}
+          />
+        </div>
+      )}
+
+      {batches.length > 0 && (
+        <Card>
+          <Card.Header>Appended Extracts</Card.Header>
+          <Card.Body>
+            {undoError && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{undoError}</p>}
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              {batches.map(batch => {
+                const isInActiveVersion = activeBatchIds.includes(batch._id);
+                return (
+                  <li key={batch._id} className="py-2 flex items-start justify-between gap-x-4">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 dark:text-white truncate" title={batch.originalFilename}>
+                        {batch.originalFilename}
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                          v{batch.baseVersion} → v{batch.resultVersion} · {new Date(batch.createdAt).toLocaleString()}
+                        </span>
+                      </p>
+                      <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                        {formatCount(batch.appendedRowCount)} rows appended, {formatCount(batch.duplicateRowCount)} duplicates skipped
+                        {batch.dedupeKey?.length > 0 && ` (key: ${batch.dedupeKey.join(', ')})`}
+                        {batch.addedColumns?.length > 0 && ` · new columns: ${batch.addedColumns.join(', ')}`}
+                      </p>
+                      {batch.missingColumns?.length > 0 && (
+                        <p className="text-xs text-amber-600 dark:text-amber-400">Missing columns: {batch.missingColumns.join(', ')}</p>
+                      )}
+                    </div>
+                    <div className="flex-shrink-0">
+                      {batch.status === 'undone' ? (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">Undone (v{batch.undoneInVersion})</span>
+                      ) : isInActiveVersion ? (
+                        <Button size="sm" variant="secondary" leftIcon={ArrowUturnLeftIcon} isLoading={undoingId === batch._id} disabled={undoingId !== null} onClick={() => handleUndo(batch._id)}>
+                          Undo
+                        </Button>
+                      ) : (
+                        <span className="text-xs text-gray-500 dark:text-gray-400" title="The active version does not contain this append">Not in active version</span>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </Card.Body>
+        </Card>
+      )}
+    </>
+  );
+};
+
+export default DatasetAppend;
@@ -0,0 +1,191 @@
+// frontend/src/features/dataset_management/components/DatasetComputedColumns.jsx
+// ** NEW FILE **
+import React, { useState } from 'react';
+import { TrashIcon, VariableIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+
+// Only the fields the API accepts, so saved definitions can be sent back unchanged
+const toColumnInput = ({ _id, sheetName, name, expression, description }) => ({ _id, sheetName, name, expression, description });
+const toMappingInput = ({ name, entries, defaultValue }) => ({ name, entries, defaultValue });
+
+// "4000, Revenue" per line -> [{ key, value }]; the first comma separates key and value
+const parseEntries = (text) => text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+  const separator = line.indexOf(',');
+  return separator === -1
+    ? { key: line, value: '' }
+    : { key: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+});
+
+// Derived columns (e.g. net = credit - debit) defined once and evaluated whenever the data is read, plus the lookup
+// tables they can use. Expressions are checked by the backend; its message names the problem.
+const DatasetComputedColumns = ({ dataset, onSave }) => {
+  const sheets = (dataset.sheets || []).map(sheet => sheet.name);
+  const [sheetName, setSheetName] = useState(sheets[0] || '');
+  const [name, setName] = useState('');
+  const [expression, setExpression] = useState('');
+  const [description, setDescription] = useState('');
+  const [mappingName, setMappingName] = useState('');
+  const [mappingEntries, setMappingEntries] = useState('');
+  const [mappingDefault, setMappingDefault] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const computedColumns = dataset.computedColumns || [];
+  const mappings = dataset.mappings || [];
+  const columnNames = sheets.length > 0
+    ? (dataset.sheets.find(sheet => sheet.name === sheetName)?.schemaInfo || []).map(col => col.name)
+    : (dataset.schemaInfo || []).map(col => col.name);
+
+  const save = async (nextColumns, nextMappings = mappings) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave(nextColumns.map(toColumnInput), nextMappings.map(toMappingInput));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddColumn = async (event) => {
+    event.preventDefault();
+    const column = { sheetName: sheets.length > 0 ? sheetName : null, name: name.trim(), expression: expression.trim(), description: description.trim() };
+    if (await save([...computedColumns, column])) {
+      setName('');
+      setExpression('');
+      setDescription('');
+    }
+  };
+
+  const handleAddMapping = async (event) => {
+    event.preventDefault();
+    const mapping = { name: mappingName.trim(), entries: parseEntries(mappingEntries), defaultValue: mappingDefault.trim() || null };
+    if (await save(computedColumns, [...mappings.filter(other => other.name !== mapping.name), mapping])) {
+      setMappingName('');
+      setMappingEntries('');
+      setMappingDefault('');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {computedColumns.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No computed columns. Define values such as net amounts once, e.g. <code>credit - debit</code>, so every report computes them the same way.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {computedColumns.map(column => (
+            <li key={column._id || `${column.sheetName || ''}:${column.name}`} className="py-2 flex items-start justify-between gap-x-4">
+              <div className="min-w-0">
+                <p className="text-gray-900 dark:text-white">
+                  {column.sheetName && <span className="text-xs text-gray-500 dark:text-gray-400">[{column.sheetName}] </span>}
+                  <span className="font-medium">{column.name}</span> = <code className="text-gray-700 dark:text-gray-300">{column.expression}</code>
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{column.type}</span>
+                </p>
+                {column.description && <p className="text-xs text-gray-500 dark:text-gray-400">{column.description}</p>}
+              </div>
+              <button
+                onClick={() => save(computedColumns.filter(other => other !== column))}
+                disabled={isSaving}
+                className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 flex-shrink-0"
+                title="Remove computed column"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAddColumn} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        {sheets.length > 0 && (
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Sheet
+            <select value={sheetName} onChange={e => setSheetName(e.target.value)} className={inputClassName}>
+              {sheets.map(sheet => <option key={sheet} value={sheet}>{sheet}</option>)}
+            </select>
+          </label>
+        )}
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Name
+          <input value={name} onChange={e => setName(e.target.value)} placeholder="net" className={inputClassName} />
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400 sm:col-span-2">
+          Expression
+          <input value={expression} onChange={e => setExpression(e.target.value)} placeholder="credit - debit" className={`${inputClassName} font-mono`} list="computed-column-names" />
+          <datalist id="computed-column-names">
+            {columnNames.map(column => <option key={column} value={column} />)}
+          </datalist>
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400 sm:col-span-3">
+          Description (optional)
+          <input value={description} onChange={e => setDescription(e.target.value)} placeholder="Signed amount, positive = money in" className={inputClassName} />
+        </label>
+        <Button type="submit" size="sm" isLoading={isSaving} disabled={!name.trim() || !expression.trim() || isSaving}>
+          Add column
+        </Button>
+      </form>
+      <p className="flex items-start gap-x-1.5 text-xs text-gray-500 dark:text-gray-400">
+        <VariableIcon className="h-4 w-4 flex-shrink-0" />
+        <span>
+          Use column names (<code>[Posting Date]</code> for names with spaces), numbers, <code>'text'</code>, + - * / %, comparisons, and/or/not and
+          the functions if, coalesce, abs, round, lower, upper, trim, concat, format(date, 'YYYY-MM'), year, quarter, month, day and lookup(column, mapping).
+          Columns with personal data are used in their redacted form.
+        </span>
+      </p>
+
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white">Mappings for lookup()</h4>
+        {mappings.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            {mappings.map(mapping => (
+              <li key={mapping.name} className="py-2 flex items-center justify-between gap-x-4">
+                <span className="text-gray-900 dark:text-white">
+                  {mapping.name}
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                    {mapping.entries.length} {mapping.entries.length === 1 ? 'entry' : 'entries'}{mapping.defaultValue ? `, otherwise "${mapping.defaultValue}"` : ''}
+                  </span>
+                </span>
+                <button
+                  onClick={() => save(computedColumns, mappings.filter(other => other.name !== mapping.name))}
+                  disabled={isSaving}
+                  className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove mapping"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddMapping} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Name
+            <input value={mappingName} onChange={e => setMappingName(e.target.value)} placeholder="account_categories" className={inputClassName} />
+          </label>
+          <label className="text-xs text-gray-500 dark:text-gray-400 sm:col-span-2">
+            Entries (one "key, value" per line)
+            <textarea value={mappingEntries} onChange={e => setMappingEntries(e.target.value)} rows={3} placeholder={'4000, Revenue\n6000, Operating expenses'} className={`${inputClassName} font-mono`} />
+          </label>
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Otherwise (optional)
+            <input value={mappingDefault} onChange={e => setMappingDefault(e.target.value)} placeholder="Other" className={inputClassName} />
+          </label>
+          <Button type="submit" size="sm" isLoading={isSaving} disabled={!mappingName.trim() || !mappingEntries.trim() || isSaving}>
+            Save mapping
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetComputedColumns;
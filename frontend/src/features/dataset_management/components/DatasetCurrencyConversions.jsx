@@ -0,0 +1,158 @@
+// frontend/src/features/dataset_management/components/DatasetCurrencyConversions.jsx
+// ** NEW FILE **
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+const NUMERIC_TYPES = ['number', 'integer', 'currency', 'percentage'];
+const DATE_TYPES = ['date', 'datetime'];
+
+// Only the fields the API accepts, so saved conversions can be sent back unchanged
+const toConversionInput = ({ _id, sheetName, amountColumn, currencyColumn, currency, dateColumn }) => ({ _id, sheetName, amountColumn, currencyColumn, currency, dateColumn });
+
+// Amount columns converted into the reporting currency with the rates from Settings > FX Rates. Each adds
+// <amount>_<CUR>, <amount>_fx_rate and <amount>_fx_date when the data is read.
+const DatasetCurrencyConversions = ({ dataset, reportingCurrency, onSave }) => {
+  const sheets = (dataset.sheets || []).map(sheet => sheet.name);
+  const [sheetName, setSheetName] = useState(sheets[0] || '');
+  const [amountColumn, setAmountColumn] = useState('');
+  const [currencySource, setCurrencySource] = useState('column'); // 'column' | 'fixed'
+  const [currencyColumn, setCurrencyColumn] = useState('');
+  const [currency, setCurrency] = useState('');
+  const [dateColumn, setDateColumn] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const conversions = dataset.currencyConversions || [];
+  const sourceColumns = sheets.length > 0
+    ? dataset.sheets.find(sheet => sheet.name === sheetName)?.schemaInfo || []
+    : dataset.schemaInfo || [];
+  const tableColumns = [
+    ...sourceColumns,
+    ...(dataset.computedColumns || []).filter(column => (column.sheetName || '') === (sheets.length > 0 ? sheetName : '')),
+  ];
+  const amountColumns = tableColumns.filter(col => NUMERIC_TYPES.includes(col.type));
+  const dateColumns = tableColumns.filter(col => DATE_TYPES.includes(col.type));
+  const targetLabel = reportingCurrency || 'your reporting currency';
+
+  const save = async (nextConversions) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave(nextConversions.map(toConversionInput));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    const conversion = {
+      sheetName: sheets.length > 0 ? sheetName : null,
+      amountColumn,
+      currencyColumn: currencySource === 'column' ? currencyColumn : null,
+      currency: currencySource === 'fixed' ? currency.trim().toUpperCase() : null,
+      dateColumn: dateColumn || null,
+    };
+    if (await save([...conversions, conversion])) {
+      setAmountColumn('');
+      setDateColumn('');
+    }
+  };
+
+  const canAdd = amountColumn && (currencySource === 'column' ? currencyColumn : /^[A-Za-z]{3}$/.test(currency.trim()));
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {conversions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No conversions. Mark amount columns and the currency they are in to report them in {targetLabel}, using the rates
+          under <Link to="/account/settings" className="text-blue-600 dark:text-blue-400 hover:underline">Settings</Link>.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {conversions.map(conversion => (
+            <li key={conversion._id || `${conversion.sheetName || ''}:${conversion.amountColumn}`} className="py-2 flex items-start justify-between gap-x-4">
+              <div className="min-w-0 text-gray-900 dark:text-white">
+                {conversion.sheetName && <span className="text-xs text-gray-500 dark:text-gray-400">[{conversion.sheetName}] </span>}
+                <span className="font-medium">{conversion.amountColumn}</span>
+                {' in '}{conversion.currencyColumn ? <>the currency of <span className="font-medium">{conversion.currencyColumn}</span></> : conversion.currency}
+                {' -> '}{reportingCurrency ? `${conversion.amountColumn}_${reportingCurrency}` : targetLabel}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {conversion.dateColumn ? `Rate of the latest day on or before ${conversion.dateColumn}` : 'Latest rate'}; rate and rate date in {conversion.amountColumn}_fx_rate and {conversion.amountColumn}_fx_date
+                </p>
+              </div>
+              <button
+                onClick={() => save(conversions.filter(other => other !== conversion))}
+                disabled={isSaving}
+                className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 flex-shrink-0"
+                title="Remove conversion"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        {sheets.length > 0 && (
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Sheet
+            <select value={sheetName} onChange={e => { setSheetName(e.target.value); setAmountColumn(''); setCurrencyColumn(''); setDateColumn(''); }} className={inputClassName}>
+              {sheets.map(sheet => <option key={sheet} value={sheet}>{sheet}</option>)}
+            </select>
+          </label>
+        )}
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Amount column
+          <select value={amountColumn} onChange={e => setAmountColumn(e.target.value)} className={inputClassName}>
+            <option value="">Select…</option>
+            {amountColumns.map(col => <option key={col.name} value={col.name}>{col.name}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Currency
+          <select value={currencySource} onChange={e => setCurrencySource(e.target.value)} className={inputClassName}>
+            <option value="column">From a column</option>
+            <option value="fixed">Same for all rows</option>
+          </select>
+        </label>
+        {currencySource === 'column' ? (
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Currency code column
+            <select value={currencyColumn} onChange={e => setCurrencyColumn(e.target.value)} className={inputClassName}>
+              <option value="">Select…</option>
+              {tableColumns.map(col => <option key={col.name} value={col.name}>{col.name}</option>)}
+            </select>
+          </label>
+        ) : (
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Currency code
+            <input value={currency} onChange={e => setCurrency(e.target.value)} maxLength={3} placeholder="EUR" className={`${inputClassName} uppercase`} />
+          </label>
+        )}
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Rate date (optional)
+          <select value={dateColumn} onChange={e => setDateColumn(e.target.value)} className={inputClassName}>
+            <option value="">Latest rate</option>
+            {dateColumns.map(col => <option key={col.name} value={col.name}>{col.name}</option>)}
+          </select>
+        </label>
+        <Button type="submit" size="sm" isLoading={isSaving} disabled={!canAdd || isSaving}>
+          Add conversion
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default DatasetCurrencyConversions;
@@ -0,0 +1,225 @@
+// frontend/src/features/dataset_management/components/DatasetEditModal.jsx
+// ** NEW FILE **
+import React, { useState, useEffect } from 'react';
+import Modal from '../../../shared/ui/Modal';
+import Button from '../../../shared/ui/Button';
+import Input from '../../../shared/ui/Input';
+import Spinner from '../../../shared/ui/Spinner';
+import { Checkbox } from '../../../shared/ui/Checkbox';
+import { useDatasetDetails } from '../hooks/useDatasetDetails';
+
+// Descriptions are kept across versions, so drop entries for columns the active file no longer has
+const pickKnownColumns = (descriptions, schemaInfo = []) => Object.fromEntries(
+  Object.entries(descriptions || {}).filter(([columnName]) => schemaInfo.some(col => col.name === columnName))
+);
+
+// "payroll, 2024, payroll" -> ['payroll', '2024']; the backend also de-duplicates case-insensitively
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+// Edits the user-managed metadata of a dataset: name, description, tags, folder, per-column descriptions and the ignore flag.
+// For Excel workbooks the owner also picks which worksheets the AI may use; column descriptions are per sheet.
+const DatasetEditModal = ({ isOpen, onClose, datasetId, onSave }) => {
+  const { dataset, isLoading, error: loadError } = useDatasetDetails(isOpen ? datasetId : null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [isIgnored, setIsIgnored] = useState(false);
+  const [includeSamplesInContext, setIncludeSamplesInContext] = useState(false);
+  const [tagsText, setTagsText] = useState('');
+  const [folder, setFolder] = useState('');
+  const [columnDescriptions, setColumnDescriptions] = useState({});
+  const [sheetDrafts, setSheetDrafts] = useState({}); // { [sheetName]: { isIncluded, columnDescriptions } }
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    if (!dataset) return;
+    setName(dataset.name || '');
+    setDescription(dataset.description || '');
+    setIsIgnored(!!dataset.isIgnored);
+    setIncludeSamplesInContext(!!dataset.includeSamplesInContext);
+    setTagsText((dataset.tags || []).join(', '));
+    setFolder(dataset.folder || '');
+    setColumnDescriptions(pickKnownColumns(dataset.columnDescriptions, dataset.schemaInfo));
+    setSheetDrafts(Object.fromEntries((dataset.sheets || []).map(sheet => [
+      sheet.name,
+      { isIncluded: sheet.isIncluded !== false, columnDescriptions: pickKnownColumns(sheet.columnDescriptions, sheet.schemaInfo) },
+    ])));
+    setSaveError(null);
+  }, [dataset]);
+
+  const handleColumnDescriptionChange = (columnName, value) => {
+    setColumnDescriptions(prev => ({ ...prev, [columnName]: value }));
+  };
+
+  const updateSheetDraft = (sheetName, changes) => {
+    setSheetDrafts(prev => ({ ...prev, [sheetName]: { ...prev[sheetName], ...changes } }));
+  };
+
+  const handleSheetColumnDescriptionChange = (sheetName, columnName, value) => {
+    setSheetDrafts(prev => ({
+      ...prev,
+      [sheetName]: { ...prev[sheetName], columnDescriptions: { ...prev[sheetName].columnDescriptions, [columnName]: value } },
+    }));
+  };
+
+  const sheets = dataset?.sheets || [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setSaveError('Name is required.');
+      return;
+    }
+    if (sheets.length > 0 && !Object.values(sheetDrafts).some(draft => draft.isIncluded)) {
+      setSaveError('Include at least one sheet.');
+      return;
+    }
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      const updates = { name: name.trim(), description, isIgnored, includeSamplesInContext, tags: parseTags(tagsText), folder: folder.trim() || null };
+      if (sheets.length > 0) {
+        updates.sheets = Object.entries(sheetDrafts).map(([sheetName, draft]) => ({ name: sheetName, ...draft }));
+      } else {
+        updates.columnDescriptions = columnDescriptions;
+      }
+      await onSave(datasetId, updates);
+      onClose();
+    } catch (err) {
+      console.error("Failed to update dataset:", err);
+      setSaveError(err.response?.data?.message || err.message || 'Could not save changes.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Edit Dataset" size="lg">
+      <form onSubmit={handleSubmit}>
+        <Modal.Body className="space-y-4">
+          {isLoading && <div className="flex justify-center p-6"><Spinner /></div>}
+          {loadError && <div className="text-sm text-red-600 dark:text-red-400">{loadError}</div>}
+          {!isLoading && dataset && (
+            <>
+              <Input id="dataset-name" label="Name" value={name} onChange={(e) => setName(e.target.value)} required />
+              <div>
+                <label htmlFor="dataset-description" className="block text-sm font-medium leading-6 text-gray-900 dark:text-gray-200 mb-1.5">
+                  Description
+                </label>
+                <textarea
+                  id="dataset-description"
+                  rows={3}
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  placeholder="What does this dataset contain? The AI sees this text."
+                  className="block w-full rounded-md border-0 py-2 px-3 text-gray-900 dark:text-white shadow-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-700 placeholder:text-gray-400 dark:placeholder:text-gray-500 focus:ring-2 focus:ring-inset focus:ring-blue-600 sm:text-sm dark:bg-gray-800"
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <Input
+                  id="dataset-tags"
+                  label="Tags"
+                  value={tagsText}
+                  onChange={(e) => setTagsText(e.target.value)}
+                  placeholder="payroll, 2024"
+                />
+                <Input
+                  id="dataset-folder"
+                  label="Folder"
+                  value={folder}
+                  onChange={(e) => setFolder(e.target.value)}
+                  placeholder="Finance/2024"
+                />
+              </div>
+              <Checkbox
+                id="dataset-is-ignored"
+                label="Hide from dataset selection on the dashboard"
+                checked={isIgnored}
+                onChange={(e) => setIsIgnored(e.target.checked)}
+              />
+              <div>
+                <Checkbox
+                  id="dataset-include-samples"
+                  label="Share sample rows with the AI"
+                  checked={includeSamplesInContext}
+                  onChange={(e) => setIncludeSamplesInContext(e.target.checked)}
+                />
+                <p className="ml-7 text-xs text-gray-500 dark:text-gray-400">
+                  Sends a few rows from across the file and example values per column, so the AI sees how values are written (e.g. codes like "D-104", expenses as negative amounts). Personal data policies apply.
+                </p>
+              </div>
+              {dataset.schemaInfo?.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-200 mb-2">Column Descriptions</p>
+                  <div className="space-y-2 max-h-64 overflow-y-auto pr-1">
+                    {dataset.schemaInfo.map(col => (
+                      <div key={col.name} className="grid grid-cols-3 gap-3 items-center">
+                        <span className="text-sm text-gray-700 dark:text-gray-300 truncate" title={col.name}>
+                          {col.name} <span className="text-xs text-gray-400">({col.type})</span>
+                        </span>
+                        <input
+                          type="text"
+                          value={columnDescriptions[col.name] || ''}
+                          onChange={(e) => handleColumnDescriptionChange(col.name, e.target.value)}
+                          placeholder="Optional description"
+                          className="col-span-2 block w-full rounded-md border-0 py-1.5 px-3 text-sm text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-700 dark:bg-gray-800 focus:ring-2 focus:ring-blue-600"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {sheets.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-200 mb-2">Sheets</p>
+                  <div className="space-y-3 max-h-80 overflow-y-auto pr-1">
+                    {sheets.map(sheet => {
+                      const draft = sheetDrafts[sheet.name] || { isIncluded: true, columnDescriptions: {} };
+                      return (
+                        <div key={sheet.name} className="rounded-md border border-gray-200 dark:border-gray-700 p-3">
+                          <Checkbox
+                            id={`sheet-included-${sheet.name}`}
+                            label={`${sheet.name} - available to the AI`}
+                            checked={draft.isIncluded}
+                            onChange={(e) => updateSheetDraft(sheet.name, { isIncluded: e.target.checked })}
+                          />
+                          {draft.isIncluded && sheet.schemaInfo?.length > 0 && (
+                            <div className="mt-2 space-y-2">
+                              {sheet.schemaInfo.map(col => (
+                                <div key={col.name} className="grid grid-cols-3 gap-3 items-center">
+                                  <span className="text-sm text-gray-700 dark:text-gray-300 truncate" title={col.name}>
+                                    {col.name} <span className="text-xs text-gray-400">({col.type})</span>
+                                  </span>
+                                  <input
+                                    type="text"
+                                    value={draft.columnDescriptions[col.name] || ''}
+                                    onChange={(e) => handleSheetColumnDescriptionChange(sheet.name, col.name, e.target.value)}
+                                    placeholder="Optional description"
+                                    className="col-span-2 block w-full rounded-md border-0 py-1.5 px-3 text-sm text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-700 dark:bg-gray-800 focus:ring-2 focus:ring-blue-600"
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+              {saveError && <div className="text-sm text-red-600 dark:text-red-400">{saveError}</div>}
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer className="justify-end gap-x-2">
+          <Button variant="secondary" size="sm" onClick={onClose} disabled={isSaving}>Cancel</Button>
+          <Button type="submit" variant="primary" size="sm" isLoading={isSaving} disabled={isLoading || !dataset}>
+            Save Changes
+          </Button>
+        </Modal.Footer>
+      </form>
+    </Modal>
+  );
+};
+
+export default DatasetEditModal;
@@ -0,0 +1,149 @@
+// frontend/src/features/dataset_management/components/DatasetFilters.jsx
+// ** NEW FILE **
+import React, { useEffect, useState } from 'react';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+
+// Same values as the backend's FILE_TYPES (dataset.model.js)
+const FILE_TYPES = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'tsv', label: 'TSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'xls', label: 'Excel (.xls)' },
+  { value: 'ofx', label: 'OFX' },
+  { value: 'qfx', label: 'QFX' },
+  { value: 'qif', label: 'QIF' },
+  { value: 'mt940', label: 'MT940' },
+  { value: 'camt053', label: 'CAMT.053' },
+];
+
+const SORTS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'name', label: 'Name' },
+  { value: 'largest', label: 'Largest first' },
+  { value: 'smallest', label: 'Smallest first' },
+];
+
+const SEARCH_DELAY_MS = 300;
+const BYTES_PER_MB = 1024 * 1024;
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+const labelClassName = 'text-xs text-gray-500 dark:text-gray-400';
+
+const toMegabytes = (bytes) => (bytes === undefined || bytes === '' ? '' : String(bytes / BYTES_PER_MB));
+const toBytes = (megabytes) => (megabytes === '' ? undefined : Math.round(Number(megabytes) * BYTES_PER_MB));
+
+/**
+ * Search and filter controls for a useDatasets() query.
+ * `compact` keeps only search, folder and tags (dashboard picker); the full set adds type, dates, size and sort.
+ */
+const DatasetFilters = ({ query, onChange, facets = { tags: [], folders: [] }, compact = false }) => {
+  const [searchText, setSearchText] = useState(query.search || '');
+  const selectedTags = query.tags || [];
+
+  // Search runs on the server, so wait until typing pauses
+  useEffect(() => {
+    if (searchText === (query.search || '')) return undefined;
+    const timer = setTimeout(() => onChange({ search: searchText }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchText, query.search, onChange]);
+
+  const toggleTag = (tag) => {
+    onChange({ tags: selectedTags.includes(tag) ? selectedTags.filter(other => other !== tag) : [...selectedTags, tag] });
+  };
+
+  const hasFilters = Boolean(query.search || query.folder || selectedTags.length || query.fileType || query.from || query.to
+    || query.minSize !== undefined || query.maxSize !== undefined);
+  const clearFilters = () => {
+    setSearchText('');
+    onChange({ search: '', folder: '', tags: [], fileType: '', from: '', to: '', minSize: undefined, maxSize: undefined });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className={`grid grid-cols-1 gap-2 ${compact ? 'sm:grid-cols-2' : 'sm:grid-cols-4'}`}>
+        <label className={`${labelClassName} ${compact ? '' : 'sm:col-span-2'}`}>
+          <span className="sr-only">Search datasets</span>
+          <div className="relative">
+            <MagnifyingGlassIcon className="pointer-events-none absolute left-2 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={searchText}
+              onChange={e => setSearchText(e.target.value)}
+              placeholder="Search names, descriptions and columns"
+              className={`${inputClassName} pl-8`}
+            />
+          </div>
+        </label>
+        <label className={labelClassName}>
+          <span className="sr-only">Folder</span>
+          <select value={query.folder || ''} onChange={e => onChange({ folder: e.target.value })} className={inputClassName}>
+            <option value="">All folders</option>
+            {facets.folders.map(folder => <option key={folder.value} value={folder.value}>{folder.value} ({folder.count})</option>)}
+          </select>
+        </label>
+        {!compact && (
+          <label className={labelClassName}>
+            <span className="sr-only">Sort</span>
+            <select value={query.sort || 'newest'} onChange={e => onChange({ sort: e.target.value })} className={inputClassName}>
+              {SORTS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {!compact && (
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+          <label className={labelClassName}>
+            File type
+            <select value={query.fileType || ''} onChange={e => onChange({ fileType: e.target.value })} className={inputClassName}>
+              <option value="">Any</option>
+              {FILE_TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+          <label className={labelClassName}>
+            Uploaded from
+            <input type="date" value={query.from || ''} onChange={e => onChange({ from: e.target.value })} className={inputClassName} />
+          </label>
+          <label className={labelClassName}>
+            Uploaded to
+            <input type="date" value={query.to || ''} onChange={e => onChange({ to: e.target.value })} className={inputClassName} />
+          </label>
+          <label className={labelClassName}>
+            Min size (MB)
+            <input type="number" min="0" step="any" value={toMegabytes(query.minSize)} onChange={e => onChange({ minSize: toBytes(e.target.value) })} className={inputClassName} />
+          </label>
+          <label className={labelClassName}>
+            Max size (MB)
+            <input type="number" min="0" step="any" value={toMegabytes(query.maxSize)} onChange={e => onChange({ maxSize: toBytes(e.target.value) })} className={inputClassName} />
+          </label>
+        </div>
+      )}
+
+      {(facets.tags.length > 0 || hasFilters) && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          {facets.tags.map(tag => (
+            <button
+              key={tag.value}
+              type="button"
+              onClick={() => toggleTag(tag.value)}
+              className={`rounded-full px-2 py-0.5 text-xs ${selectedTags.includes(tag.value)
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+              title={`${tag.count} ${tag.count === 1 ? 'dataset' : 'datasets'}`}
+            >
+              #{tag.value}
+            </button>
+          ))}
+          {hasFilters && (
+            <button type="button" onClick={clearFilters} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetFilters;
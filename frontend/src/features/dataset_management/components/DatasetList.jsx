@@ -1,14 +1,37 @@
 // frontend/src/features/dataset_management/components/DatasetList.jsx
 // ** NEW FILE **
-import React from 'react';
-import { useDatasets } from '../hooks/useDatasets';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import Spinner from '../../../shared/ui/Spinner';
 import Card from '../../../shared/ui/Card';
-import { CircleStackIcon, TrashIcon, PencilIcon } from '@heroicons/react/24/outline'; // Add icons
+import { CircleStackIcon, TrashIcon, PencilIcon, TableCellsIcon, FolderIcon, EyeIcon } from '@heroicons/react/24/outline'; // Add icons
 import Button from '../../../shared/ui/Button';
+import Modal from '../../../shared/ui/Modal';
+import DatasetSchemaModal from './DatasetSchemaModal';
+import DatasetEditModal from './DatasetEditModal';
+import DatasetPreviewModal from './DatasetPreviewModal';
+import DatasetFilters from './DatasetFilters';
+import DatasetPager from './DatasetPager';
 
-const DatasetList = () => {
-  const { datasets, isLoading, error, refetch } = useDatasets();
+const formatSize = (bytes) => {
+  if (!bytes) return '-';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Receives the state of a single useDatasets() instance from the page so upload, edit and delete share one list;
+// `facets` (useDatasetFacets) feeds the folder and tag filters
+const DatasetList = ({ datasets, isLoading, error, refetch, updateDataset, deleteDataset, query, setQuery, pagination, setPage, facets }) => {
+  const [schemaDataset, setSchemaDataset] = useState(null); // Dataset whose column types are being edited
+  const [previewDataset, setPreviewDataset] = useState(null); // Dataset shown in the row viewer
+  const [editDatasetId, setEditDatasetId] = useState(null);
+  const [datasetToDelete, setDatasetToDelete] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+  const [deleteUsage, setDeleteUsage] = useState(null); // Reports built from the dataset, from a DATASET_IN_USE refusal
+
+  const isFiltered = Boolean(query.search || query.folder || query.tags?.length || query.fileType || query.from || query.to
+    || query.minSize !== undefined || query.maxSize !== undefined);
 
   const formatDate = (dateString) => {
     if (!dateString) return '-';
@@ -19,10 +42,31 @@ const DatasetList = () => {
     } catch (e) { return '-' }
   };
 
-   // Add delete handler later
-   const handleDelete = (datasetId) => {
-       console.warn("Delete functionality not implemented yet for:", datasetId);
-       // TODO: Call API to delete, then refetch()
+   const closeDeleteModal = () => {
+       setDatasetToDelete(null);
+       setDeleteError(null);
+       setDeleteUsage(null);
+   };
+
+   const handleConfirmDelete = async () => {
+       if (!datasetToDelete) return;
+       setIsDeleting(true);
+       setDeleteError(null);
+       try {
+           // The first attempt is refused if reports depend on the dataset; confirming the warning deletes it anyway
+           await deleteDataset(datasetToDelete._id, { force: Boolean(deleteUsage) });
+           closeDeleteModal();
+       } catch (err) {
+           if (err.response?.data?.code === 'DATASET_IN_USE') {
+               setDeleteUsage(err.response.data);
+               return;
+           }
+           console.error("Failed to delete dataset:", err);
+           // Partial failures come back with a message telling the user whether a retry is needed
+           setDeleteError(err.response?.data?.message || err.message || 'Could not delete dataset.');
+       } finally {
+           setIsDeleting(false);
+       }
    };
 
   return (
@@ -34,6 +78,9 @@ const DatasetList = () => {
                  {isLoading ? 'Refreshing...' : 'Refresh List'}
              </Button>
          </div>
+         <div className="mt-3">
+            <DatasetFilters query={query} onChange={setQuery} facets={facets} />
+         </div>
       </Card.Header>
       <Card.Body padding="none"> {/* Remove default padding to allow table full width */}
         {isLoading && (
@@ -45,7 +92,7 @@ const DatasetList = () => {
 
         {!isLoading && !error && datasets.length === 0 && (
           <div className="p-6 text-center text-gray-500 dark:text-gray-400">
-            You haven't uploaded any datasets yet.
+            {isFiltered ? 'No datasets match these filters.' : "You haven't uploaded any datasets yet."}
           </div>
         )}
 
@@ -55,8 +102,9 @@ const DatasetList = () => {
                <thead className="bg-gray-50 dark:bg-gray-800/50">
                  <tr>
                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Name</th>
+                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Rows</th>
+                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Size</th>
                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Uploaded</th>
-                   {/* Add more columns later: size, team, status? */}
                    <th scope="col" className="relative px-6 py-3">
                      <span className="sr-only">Actions</span>
                    </th>
@@ -68,21 +116,73 @@ const DatasetList = () => {
                      <td className="px-6 py-4 whitespace-nowrap">
                         <div className="flex items-center">
                             <CircleStackIcon className="h-5 w-5 text-gray-400 mr-3" />
-                            <div className="text-sm font-medium text-gray-900 dark:text-white">{dataset.name}</div>
+                            <Link to={`/account/datasets/${dataset._id}`} className="text-sm font-medium text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 hover:underline">
+                                {dataset.name}
+                            </Link>
+                            {dataset.versions?.length > 1 && (
+                                <span className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 text-xs text-gray-600 dark:text-gray-300 bg-gray-100 dark:bg-gray-700" title={`${dataset.versions.length} versions`}>
+                                    v{dataset.activeVersion}
+                                </span>
+                            )}
+                            {dataset.profile?.status === 'failed' && (
+                                <span className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 text-xs text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/30" title="Profiling failed - open the dataset for details">Profile failed</span>
+                            )}
+                            {dataset.quality?.status === 'warning' && (
+                                <span className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 text-xs text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30" title={dataset.quality.results.filter(result => result.failedCount > 0).map(result => `${result.description}: ${result.failedCount} rows`).join('\n')}>
+                                    {dataset.quality.issueCount} quality {dataset.quality.issueCount === 1 ? 'issue' : 'issues'}
+                                </span>
+                            )}
+                            {dataset.piiPolicies?.some(policy => policy.policy !== 'allow') && (
+                                <span className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 text-xs text-purple-700 dark:text-purple-300 bg-purple-50 dark:bg-purple-900/30" title={dataset.piiPolicies.filter(policy => policy.policy !== 'allow').map(policy => `${policy.sheetName ? `${policy.sheetName} / ` : ''}${policy.column}: ${policy.policy}`).join('\n')}>
+                                    Sensitive
+                                </span>
+                            )}
+                            {dataset.isIgnored && (
+                                <span className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 text-xs text-gray-500 dark:text-gray-400 bg-gray-100 dark:bg-gray-700">Hidden</span>
+                            )}
+                            {dataset.sheets?.length > 0 && (
+                                <span className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 text-xs text-blue-700 dark:text-blue-300 bg-blue-50 dark:bg-blue-900/30" title={dataset.sheets.filter(sheet => sheet.isIncluded !== false).map(sheet => sheet.name).join(', ')}>
+                                    {dataset.sheets.filter(sheet => sheet.isIncluded !== false).length}/{dataset.sheets.length} sheets
+                                </span>
+                            )}
                          </div>
+                        {(dataset.folder || dataset.tags?.length > 0) && (
+                            <div className="mt-1 ml-8 flex flex-wrap items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                                {dataset.folder && (
+                                    <button type="button" onClick={() => setQuery({ folder: dataset.folder })} className="inline-flex items-center gap-x-1 hover:text-blue-600 dark:hover:text-blue-400" title="Show this folder">
+                                        <FolderIcon className="h-3.5 w-3.5" /> {dataset.folder}
+                                    </button>
+                                )}
+                                {dataset.tags?.map(tag => (
+                                    <button key={tag} type="button" onClick={() => setQuery({ tags: [tag] })} className="rounded-full px-1.5 bg-gray-100 dark:bg-gray-700 hover:text-blue-600 dark:hover:text-blue-400" title="Show datasets with this tag">
+                                        #{tag}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                     </td>
+                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {dataset.profile?.status === 'complete' ? (dataset.profile.rowCount ?? 0).toLocaleString() : ['pending', 'running'].includes(dataset.profile?.status) ? 'Profiling...' : '-'}
+                     </td>
+                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {formatSize(dataset.fileSizeBytes)}
                      </td>
                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                         {formatDate(dataset.createdAt)}
                      </td>
                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                       {/* Add Edit Link/Button later */}
-                       {/* <Button size="sm" variant="ghost" title="Edit Metadata (Coming Soon)" disabled>
+                       <Button size="sm" variant="ghost" onClick={() => setPreviewDataset(dataset)} title="Preview Rows">
+                           <EyeIcon className="h-4 w-4" />
+                       </Button>
+                       <Button size="sm" variant="ghost" onClick={() => setSchemaDataset(dataset)} title="View / Edit Column Types">
+                           <TableCellsIcon className="h-4 w-4" />
+                       </Button>
+                       <Button size="sm" variant="ghost" onClick={() => setEditDatasetId(dataset._id)} title="Edit Metadata">
                            <PencilIcon className="h-4 w-4" />
-                       </Button> */}
-                       {/* Add Delete Button later */}
-                       {/* <Button size="sm" variant="ghost" onClick={() => handleDelete(dataset._id)} title="Delete Dataset">
+                       </Button>
+                       <Button size="sm" variant="ghost" onClick={() => setDatasetToDelete(dataset)} title="Delete Dataset">
                            <TrashIcon className="h-4 w-4 text-red-500" />
-                       </Button> */}
+                       </Button>
                      </td>
                    </tr>
                  ))}
@@ -91,6 +191,50 @@ const DatasetList = () => {
            </div>
         )}
       </Card.Body>
+      {pagination.total > 0 && (
+        <Card.Footer>
+          <DatasetPager pagination={pagination} onPageChange={setPage} isLoading={isLoading} />
+        </Card.Footer>
+      )}
+      <DatasetPreviewModal
+        isOpen={!!previewDataset}
+        onClose={() => setPreviewDataset(null)}
+        dataset={previewDataset}
+      />
+      <DatasetSchemaModal
+        isOpen={!!schemaDataset}
+        onClose={() => setSchemaDataset(null)}
+        dataset={schemaDataset}
+      />
+      <DatasetEditModal
+        isOpen={!!editDatasetId}
+        onClose={() => setEditDatasetId(null)}
+        datasetId={editDatasetId}
+        onSave={updateDataset}
+      />
+      <Modal isOpen={!!datasetToDelete} onClose={closeDeleteModal} title="Delete Dataset" size="sm">
+        <Modal.Body>
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Delete <span className="font-semibold">{datasetToDelete?.name}</span>? The uploaded file and its metadata will be permanently removed.
+          </p>
+          {deleteUsage && (
+            <div className="mt-3 rounded-md bg-amber-50 dark:bg-amber-900/20 p-3 text-sm text-amber-800 dark:text-amber-200">
+              <p>{deleteUsage.message}</p>
+              {deleteUsage.details?.lastUsedAt && <p className="mt-1 text-xs">Last used {formatDate(deleteUsage.details.lastUsedAt)}.</p>}
+              <Link to={`/account/datasets/${datasetToDelete?._id}`} className="mt-1 inline-block text-xs font-medium underline">
+                See the reports
+              </Link>
+            </div>
+          )}
+          {deleteError && <p className="mt-3 text-sm text-red-600 dark:text-red-400">{deleteError}</p>}
+        </Modal.Body>
+        <Modal.Footer className="justify-end gap-x-2">
+          <Button variant="secondary" size="sm" onClick={closeDeleteModal} disabled={isDeleting}>Cancel</Button>
+          <Button variant="danger" size="sm" onClick={handleConfirmDelete} isLoading={isDeleting}>
+            {deleteError ? 'Retry Delete' : deleteUsage ? 'Delete Anyway' : 'Delete'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Card>
   );
 };
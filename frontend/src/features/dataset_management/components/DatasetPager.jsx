@@ -0,0 +1,32 @@
+// frontend/src/features/dataset_management/components/DatasetPager.jsx
+// ** NEW FILE **
+import React from 'react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+
+// "21–40 of 57" with previous/next buttons for a useDatasets() page
+const DatasetPager = ({ pagination, onPageChange, isLoading }) => {
+  const { total, page, pageSize, totalPages } = pagination;
+  if (total === 0) return null;
+  const first = (page - 1) * pageSize + 1;
+  const last = Math.min(total, page * pageSize);
+
+  return (
+    <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+      <span>{first.toLocaleString()}–{last.toLocaleString()} of {total.toLocaleString()}</span>
+      {totalPages > 1 && (
+        <div className="flex items-center gap-x-1">
+          <Button type="button" size="sm" variant="ghost" onClick={() => onPageChange(page - 1)} disabled={isLoading || page <= 1} aria-label="Previous page">
+            <ChevronLeftIcon className="h-4 w-4" />
+          </Button>
+          <span>Page {page} of {totalPages}</span>
+          <Button type="button" size="sm" variant="ghost" onClick={() => onPageChange(page + 1)} disabled={isLoading || page >= totalPages} aria-label="Next page">
+            <ChevronRightIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetPager;
@@ -0,0 +1,117 @@
+// frontend/src/features/dataset_management/components/DatasetPiiPolicies.jsx
+// ** NEW FILE **
+import React, { useEffect, useState } from 'react';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+
+// Same kinds and policies as the backend's dataset.pii.js
+const KIND_LABELS = {
+  email: 'Email', phone: 'Phone', iban: 'IBAN / account', card_number: 'Card number', tax_id: 'Tax ID', person_name: 'Person name',
+};
+
+const POLICIES = [
+  { value: 'allow', label: 'Allow (send as is)' },
+  { value: 'mask', label: 'Mask (e.g. ****1234)' },
+  { value: 'hash', label: 'Hash (stable token)' },
+  { value: 'drop', label: 'Drop column' },
+];
+
+const selectClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+
+const policyKey = (sheetName, column) => `${sheetName || ''}\u0000${column}`;
+
+// Draft policies keyed by sheet + column, starting from the stored ones
+const toDraft = (piiPolicies) => Object.fromEntries((piiPolicies || []).map(policy => [policyKey(policy.sheetName, policy.column), policy.policy]));
+
+// Per-column handling of personal data before it reaches the AI and the report worker. The preview stays unredacted (owner only).
+const DatasetPiiPolicies = ({ dataset, onSave }) => {
+  const sheets = (dataset.sheets || []).map(sheet => sheet.name);
+  const [sheetName, setSheetName] = useState(sheets[0] || '');
+  const [draft, setDraft] = useState(() => toDraft(dataset.piiPolicies));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => { setDraft(toDraft(dataset.piiPolicies)); }, [dataset.piiPolicies]);
+
+  const activeSheet = sheets.length > 0 ? sheetName : null;
+  const columns = sheets.length > 0
+    ? (dataset.sheets.find(sheet => sheet.name === sheetName)?.schemaInfo || [])
+    : (dataset.schemaInfo || []);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(toDraft(dataset.piiPolicies));
+  const protectedCount = Object.values(draft).filter(policy => policy !== 'allow').length;
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      // Every column that has a policy is sent, across all sheets; detected columns keep theirs even when allowed
+      await onSave(Object.entries(draft).map(([key, policy]) => {
+        const [sheet, column] = key.split('\u0000');
+        return { sheetName: sheet || null, column, policy };
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <p className="flex items-center gap-x-1.5 text-sm text-gray-600 dark:text-gray-400">
+        <ShieldCheckIcon className="h-5 w-5" />
+        {protectedCount > 0
+          ? `${protectedCount} ${protectedCount === 1 ? 'column is' : 'columns are'} masked, hashed or dropped before reaching the AI and your reports.`
+          : 'No column is protected. Columns that look like personal data are masked automatically when a file is uploaded.'}
+      </p>
+
+      {sheets.length > 0 && (
+        <label className="block max-w-xs text-xs text-gray-500 dark:text-gray-400">
+          Sheet
+          <select value={sheetName} onChange={e => setSheetName(e.target.value)} className={selectClassName}>
+            {sheets.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+      )}
+
+      {columns.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No columns detected.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {columns.map(col => {
+            const key = policyKey(activeSheet, col.name);
+            return (
+              <li key={col.name} className="py-2 flex items-center justify-between gap-x-4">
+                <span className="min-w-0 truncate text-gray-900 dark:text-white">
+                  {col.name}
+                  {col.piiKind && (
+                    <span className="ml-2 inline-flex rounded px-1.5 py-0.5 text-xs text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30">
+                      {KIND_LABELS[col.piiKind] || col.piiKind}
+                    </span>
+                  )}
+                </span>
+                <select
+                  value={draft[key] || 'allow'}
+                  onChange={e => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                  className={`${selectClassName} w-48 flex-shrink-0`}
+                  aria-label={`Policy for ${col.name}`}
+                >
+                  {POLICIES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="flex justify-end">
+        <Button size="sm" onClick={handleSave} isLoading={isSaving} disabled={!isDirty || isSaving}>
+          Save policies
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetPiiPolicies;
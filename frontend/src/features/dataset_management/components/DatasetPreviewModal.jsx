@@ -0,0 +1,163 @@
+// frontend/src/features/dataset_management/components/DatasetPreviewModal.jsx
+// ** NEW FILE **
+import React, { useEffect, useMemo, useState } from 'react';
+import { ChevronLeftIcon, ChevronRightIcon, ChevronUpIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+import Modal from '../../../shared/ui/Modal';
+import Button from '../../../shared/ui/Button';
+import Spinner from '../../../shared/ui/Spinner';
+import { useDatasetPreview } from '../hooks/useDatasetPreview';
+
+const PAGE_SIZES = [50, 100, 200];
+const NUMERIC_TYPES = ['number', 'integer', 'currency', 'percentage']; // Same as the backend's dataset.valueParser.js
+
+const selectClassName = 'block rounded-md border-0 py-1 text-sm text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-700 dark:bg-gray-800 focus:ring-2 focus:ring-blue-600';
+
+// Typed values arrive as JSON: numbers, booleans, ISO strings for dates, null for empty cells
+const formatValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  if (NUMERIC_TYPES.includes(column.type) && typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 10 });
+  if (column.type === 'date') return String(value).slice(0, 10);
+  if (column.type === 'datetime') return new Date(value).toLocaleString();
+  return String(value);
+};
+
+// Numbers compare numerically, everything else as text ("Item 2" before "Item 10")
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Grid viewer over the parsed rows of the active file, one server page at a time; sorting applies to the loaded page
+const DatasetPreviewModal = ({ isOpen, onClose, dataset }) => {
+  const sheetNames = (dataset?.sheets || []).map(sheet => sheet.name);
+  const [sheet, setSheet] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [limit, setLimit] = useState(PAGE_SIZES[0]);
+  const [sort, setSort] = useState(null); // { column, direction: 'asc'|'desc' }
+  const { preview, isLoading, error } = useDatasetPreview(isOpen ? dataset?._id : null, { offset, limit, sheet });
+
+  // Start at the top of the first (backend default) sheet whenever another dataset is opened
+  useEffect(() => {
+    setSheet(null);
+    setOffset(0);
+    setSort(null);
+  }, [dataset?._id]);
+
+  const columns = preview?.columns || [];
+  const rows = useMemo(() => {
+    const loaded = preview?.rows || [];
+    if (!sort) return loaded;
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    // Empty cells sort last in both directions
+    return [...loaded].sort((left, right) => {
+      const a = left.values[sort.column];
+      const b = right.values[sort.column];
+      if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+      if (b === null || b === undefined) return -1;
+      return compareValues(a, b) * factor;
+    });
+  }, [preview, sort]);
+
+  const toggleSort = (columnName) => {
+    setSort(prev => {
+      if (prev?.column !== columnName) return { column: columnName, direction: 'asc' };
+      return prev.direction === 'asc' ? { column: columnName, direction: 'desc' } : null;
+    });
+  };
+
+  const changePage = (nextOffset) => {
+    setOffset(Math.max(0, nextOffset));
+    setSort(null);
+  };
+
+  const first = rows.length > 0 ? offset + 1 : 0;
+  const last = offset + rows.length;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Preview: ${dataset?.name || ''}`} size="xl">
+      <Modal.Body className="space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+          <div className="flex items-center gap-x-3">
+            {sheetNames.length > 1 && (
+              <label className="flex items-center gap-x-2 text-gray-700 dark:text-gray-300">
+                Sheet
+                <select value={sheet || preview?.sheetName || ''} onChange={(e) => { setSheet(e.target.value); changePage(0); }} className={selectClassName}>
+                  {sheetNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </label>
+            )}
+            <label className="flex items-center gap-x-2 text-gray-700 dark:text-gray-300">
+              Rows per page
+              <select value={limit} onChange={(e) => { setLimit(Number(e.target.value)); changePage(0); }} className={selectClassName}>
+                {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="flex items-center gap-x-1 text-xs text-gray-500 dark:text-gray-400">
+            <span>
+              Rows {first.toLocaleString()}–{last.toLocaleString()}
+              {typeof preview?.totalRows === 'number' ? ` of ${preview.totalRows.toLocaleString()}` : ''}
+            </span>
+            <Button type="button" size="sm" variant="ghost" onClick={() => changePage(offset - limit)} disabled={isLoading || offset === 0} aria-label="Previous rows">
+              <ChevronLeftIcon className="h-4 w-4" />
+            </Button>
+            <Button type="button" size="sm" variant="ghost" onClick={() => changePage(offset + limit)} disabled={isLoading || !preview?.hasMore} aria-label="Next rows">
+              <ChevronRightIcon className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+
+        {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+        {isLoading && !preview && <div className="flex justify-center p-6"><Spinner /></div>}
+        {preview && columns.length === 0 && !error && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No columns were detected for this dataset.</p>
+        )}
+        {preview && columns.length > 0 && (
+          <div className={`overflow-auto max-h-[60vh] border border-gray-200 dark:border-gray-700 rounded-md ${isLoading ? 'opacity-60' : ''}`}>
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-800 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-400">#</th>
+                  {columns.map(col => (
+                    <th key={col.name} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      <button type="button" onClick={() => toggleSort(col.name)} className="inline-flex items-center gap-x-1 hover:text-gray-900 dark:hover:text-white" title="Sort this page">
+                        {col.name}
+                        <span className="font-normal text-gray-400">{col.isComputed ? `${col.type}, computed` : col.isConverted ? `${col.type}, converted` : col.type}</span>
+                        {sort?.column === col.name && (sort.direction === 'asc' ? <ChevronUpIcon className="h-3 w-3" /> : <ChevronDownIcon className="h-3 w-3" />)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+                {rows.map(row => (
+                  <tr key={row.rowNumber} className="hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                    <td className="px-3 py-1.5 text-right text-xs text-gray-400">{row.rowNumber}</td>
+                    {columns.map(col => {
+                      const isInvalid = row.invalidColumns.includes(col.name);
+                      return (
+                        <td
+                          key={col.name}
+                          className={`px-3 py-1.5 whitespace-nowrap ${isInvalid ? 'text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20' : 'text-gray-800 dark:text-gray-200'} ${NUMERIC_TYPES.includes(col.type) ? 'text-right' : ''}`}
+                          title={isInvalid ? `Not a valid ${col.type}` : undefined}
+                        >
+                          {isInvalid ? row.values[col.name] : formatValue(row.values[col.name], col)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length === 0 && <p className="p-4 text-sm text-gray-500 dark:text-gray-400">No rows on this page.</p>}
+          </div>
+        )}
+      </Modal.Body>
+      <Modal.Footer className="justify-end">
+        <Button variant="secondary" size="sm" onClick={onClose}>Close</Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default DatasetPreviewModal;
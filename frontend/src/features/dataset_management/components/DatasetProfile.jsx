@@ -0,0 +1,78 @@
+// frontend/src/features/dataset_management/components/DatasetProfile.jsx
+// ** NEW FILE **
+import React from 'react';
+
+const formatNumber = (value) => (
+  value === undefined || value === null ? '-' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })
+);
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+
+// Summary cell for the type-specific statistics of a column profile
+const ColumnStats = ({ column }) => {
+  if (column.min !== undefined && column.min !== null) {
+    return <span>min {formatNumber(column.min)} · max {formatNumber(column.max)} · mean {formatNumber(column.mean)}</span>;
+  }
+  if (column.minDate) {
+    return <span>{formatDate(column.minDate)} → {formatDate(column.maxDate)}</span>;
+  }
+  if (column.topValues?.length > 0) {
+    return (
+      <span title={column.topValues.map(({ value, count }) => `${value}: ${count}`).join('\n')}>
+        {column.topValues.slice(0, 5).map(({ value, count }) => `${value} (${formatNumber(count)})`).join(', ')}
+      </span>
+    );
+  }
+  return <span className="text-gray-400">-</span>;
+};
+
+// Per-column statistics of one table (a CSV file or a single worksheet)
+const DatasetProfile = ({ profile, title }) => {
+  if (!profile?.columns?.length) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No column statistics available.</p>;
+  }
+  const rowCount = profile.rowCount || 0;
+
+  return (
+    <div>
+      {title && <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">{title}</h3>}
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{formatNumber(rowCount)} rows</p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-800/50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Column</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Type</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Null / Blank</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Distinct</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Unparseable</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Statistics</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {profile.columns.map(column => {
+              // Columns that are mostly empty or fail to parse usually point at a broken export
+              const nullShare = rowCount > 0 ? column.nullCount / rowCount : 0;
+              return (
+                <tr key={column.name}>
+                  <td className="px-3 py-2 font-medium text-gray-900 dark:text-white whitespace-nowrap">{column.name}</td>
+                  <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">{column.type}</td>
+                  <td className={`px-3 py-2 text-right whitespace-nowrap ${nullShare > 0.5 ? 'text-amber-600 dark:text-amber-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                    {formatNumber(column.nullCount)}
+                  </td>
+                  <td className="px-3 py-2 text-right text-gray-700 dark:text-gray-300 whitespace-nowrap">{formatNumber(column.distinctCount)}</td>
+                  <td className={`px-3 py-2 text-right whitespace-nowrap ${column.invalidCount > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                    {formatNumber(column.invalidCount)}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700 dark:text-gray-300"><ColumnStats column={column} /></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetProfile;
@@ -0,0 +1,199 @@
+// frontend/src/features/dataset_management/components/DatasetQualityRules.jsx
+// ** NEW FILE **
+import React, { useState } from 'react';
+import { TrashIcon, ExclamationTriangleIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+import Spinner from '../../../shared/ui/Spinner';
+
+// Same rule types as the backend's dataset.qualityRules.js
+const RULE_TYPES = [
+  { value: 'not_null', label: 'Not empty' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'date_range', label: 'Date within range' },
+  { value: 'exactly_one_of', label: 'Exactly one of (e.g. debit XOR credit)' },
+  { value: 'unique', label: 'Unique' },
+];
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+
+const describeRule = (rule) => {
+  const column = `"${rule.column}"`;
+  switch (rule.type) {
+    case 'not_null': return `${column} is not empty`;
+    case 'numeric': return `${column} is numeric`;
+    case 'date_range': return `${column} is a valid date${rule.min ? ` from ${rule.min}` : ''}${rule.max ? ` to ${rule.max}` : ''}`;
+    case 'exactly_one_of': return `exactly one of ${(rule.columns || []).map(col => `"${col}"`).join(', ')} is filled`;
+    case 'unique': return `${column} is unique`;
+    default: return rule.type;
+  }
+};
+
+// Only the fields the API accepts, so saved rules can be sent back unchanged
+const toRuleInput = ({ _id, type, sheetName, column, columns, min, max }) => ({ _id, type, sheetName, column, columns, min, max });
+
+// Owner-defined checks run on every uploaded file, plus the latest results for the active version
+const DatasetQualityRules = ({ dataset, onSave }) => {
+  const sheets = (dataset.sheets || []).map(sheet => sheet.name);
+  const [type, setType] = useState('not_null');
+  const [sheetName, setSheetName] = useState(sheets[0] || '');
+  const [column, setColumn] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [min, setMin] = useState('');
+  const [max, setMax] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rules = dataset.qualityRules || [];
+  const quality = dataset.quality;
+  const failedResults = (quality?.results || []).filter(result => result.failedCount > 0);
+  const columnNames = sheets.length > 0
+    ? (dataset.sheets.find(sheet => sheet.name === sheetName)?.schemaInfo || []).map(col => col.name)
+    : (dataset.schemaInfo || []).map(col => col.name);
+
+  const save = async (nextRules) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave(nextRules.map(toRuleInput));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    const rule = { type, sheetName: sheets.length > 0 ? sheetName : null };
+    if (type === 'exactly_one_of') rule.columns = columns;
+    else rule.column = column;
+    if (type === 'date_range') {
+      rule.min = min || undefined;
+      rule.max = max || undefined;
+    }
+    if (await save([...rules, rule])) {
+      setColumn('');
+      setColumns([]);
+    }
+  };
+
+  const canAdd = type === 'exactly_one_of' ? columns.length >= 2 : column !== '';
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {/* Latest results */}
+      {quality?.status === 'pending' && (
+        <div className="flex items-center gap-x-2 text-sm text-gray-600 dark:text-gray-400">
+          <Spinner size="sm" /> Checking data quality...
+        </div>
+      )}
+      {quality?.status === 'error' && (
+        <p className="text-sm text-red-600 dark:text-red-400">The file could not be read, so its quality was not checked.</p>
+      )}
+      {quality?.status === 'passed' && (
+        <p className="flex items-center gap-x-1.5 text-sm text-green-700 dark:text-green-300">
+          <CheckCircleIcon className="h-5 w-5" /> All {quality.results.length} checks passed{quality.isPartial ? ' (first part of the file)' : ''}.
+        </p>
+      )}
+      {quality?.status === 'warning' && (
+        <div className="rounded-md border border-amber-300 dark:border-amber-600/50 bg-amber-50 dark:bg-amber-900/30 p-3 text-sm text-amber-800 dark:text-amber-200">
+          <p className="flex items-center gap-x-1.5 font-medium">
+            <ExclamationTriangleIcon className="h-5 w-5" />
+            {quality.issueCount} {quality.issueCount === 1 ? 'check' : 'checks'} failed. Reports on this version are marked as provisional.
+          </p>
+          <ul className="mt-2 space-y-1">
+            {failedResults.map(result => (
+              <li key={`${result.sheetName || ''}:${result.type}:${result.columns.join(',')}`}>
+                {result.sheetName && <span className="text-xs">[{result.sheetName}] </span>}
+                {result.description}: <strong>{result.failedCount.toLocaleString()}</strong> of {result.checkedCount.toLocaleString()} rows
+                {result.isBuiltIn && <span className="text-xs"> (column type check)</span>}
+                {result.samples?.length > 0 && (
+                  <span className="block text-xs text-amber-700 dark:text-amber-300">
+                    e.g. {result.samples.map(sample => `row ${sample.rowNumber}: ${sample.value || '(empty)'}`).join('; ')}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Rules */}
+      {rules.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No rules yet. Values that do not match their column type are always checked; add rules such as "invoice_id is unique" to check more.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {rules.map(rule => (
+            <li key={rule._id} className="py-2 flex items-center justify-between">
+              <span className="text-gray-900 dark:text-white">
+                {rule.sheetName && <span className="text-xs text-gray-500 dark:text-gray-400">[{rule.sheetName}] </span>}
+                {describeRule(rule)}
+              </span>
+              <button
+                onClick={() => save(rules.filter(other => other._id !== rule._id))}
+                disabled={isSaving}
+                className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title="Remove rule"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Rule
+          <select value={type} onChange={e => setType(e.target.value)} className={inputClassName}>
+            {RULE_TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        {sheets.length > 0 && (
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            Sheet
+            <select value={sheetName} onChange={e => { setSheetName(e.target.value); setColumn(''); setColumns([]); }} className={inputClassName}>
+              {sheets.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+        )}
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          {type === 'exactly_one_of' ? 'Columns (select two or more)' : 'Column'}
+          {type === 'exactly_one_of' ? (
+            <select multiple value={columns} onChange={e => setColumns([...e.target.selectedOptions].map(option => option.value))} className={inputClassName}>
+              {columnNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          ) : (
+            <select value={column} onChange={e => setColumn(e.target.value)} className={inputClassName}>
+              <option value="">Select…</option>
+              {columnNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          )}
+        </label>
+        {type === 'date_range' && (
+          <>
+            <label className="text-xs text-gray-500 dark:text-gray-400">
+              From (e.g. fiscal year start)
+              <input type="date" value={min} onChange={e => setMin(e.target.value)} className={inputClassName} />
+            </label>
+            <label className="text-xs text-gray-500 dark:text-gray-400">
+              To
+              <input type="date" value={max} onChange={e => setMax(e.target.value)} className={inputClassName} />
+            </label>
+          </>
+        )}
+        <Button type="submit" size="sm" isLoading={isSaving} disabled={!canAdd || isSaving}>
+          Add rule
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default DatasetQualityRules;
@@ -0,0 +1,57 @@
+// frontend/src/features/dataset_management/components/DatasetQuotaUsage.jsx
+// ** NEW FILE **
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../../shared/ui/Card';
+
+const TIER_LABELS = { free: 'Free', trial: 'Trial', plus: 'Plus', pro: 'Pro' };
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${+(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${+(bytes / 1024 ** 2).toFixed(1)} MB`;
+};
+
+const UsageBar = ({ label, used, limit, format = String }) => {
+  const percent = limit > 0 ? Math.min(100, Math.round((used * 100) / limit)) : 0;
+  const barColor = percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-amber-500' : 'bg-blue-600 dark:bg-blue-500';
+  return (
+    <div>
+      <div className="flex justify-between text-sm text-gray-700 dark:text-gray-300">
+        <span>{label}</span>
+        <span>{format(used)} of {format(limit)}</span>
+      </div>
+      <div className="mt-1 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+        <div className={`${barColor} h-2 rounded-full`} style={{ width: `${percent}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+// Storage and dataset count against the limits of the user's plan (see the backend's dataset.quotas.js)
+const DatasetQuotaUsage = ({ quota, error }) => {
+  if (error) return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>;
+  if (!quota) return null;
+  const { tier, limits, usage } = quota;
+
+  return (
+    <Card>
+      <Card.Header>Storage</Card.Header>
+      <Card.Body>
+        <div className="space-y-4">
+          <UsageBar label="Storage used" used={usage.storageBytes} limit={limits.maxStorageBytes} format={formatBytes} />
+          <UsageBar label="Datasets" used={usage.datasetCount} limit={limits.maxDatasets} />
+          <p className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <span>
+              {TIER_LABELS[tier] || tier} plan · files up to {formatBytes(limits.maxFileSizeBytes)} · older versions count towards storage
+            </span>
+            {tier !== 'pro' && (
+              <Link to="/select-plan" className="font-medium text-blue-600 dark:text-blue-400 hover:underline">Upgrade for more space</Link>
+            )}
+          </p>
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DatasetQuotaUsage;
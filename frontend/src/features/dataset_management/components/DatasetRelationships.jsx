@@ -0,0 +1,182 @@
+// frontend/src/features/dataset_management/components/DatasetRelationships.jsx
+// ** NEW FILE **
+import React, { useEffect, useState } from 'react';
+import { ArrowPathIcon, TrashIcon } from '@heroicons/react/24/outline';
+import Button from '../../../shared/ui/Button';
+import apiClient from '../../../shared/services/apiClient';
+import { useDatasets } from '../hooks/useDatasets';
+
+const CARDINALITIES = ['many-to-one', 'one-to-one', 'one-to-many', 'many-to-many'];
+
+const STATUS_STYLES = {
+  valid: 'text-green-700 dark:text-green-300 bg-green-50 dark:bg-green-900/30',
+  warning: 'text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30',
+  invalid: 'text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/30',
+};
+
+const selectClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-blue-500 focus:ring-blue-500';
+
+// Column choices of a dataset: one entry per column, per included worksheet for Excel workbooks.
+// Computed and converted columns (listed by the schema endpoint) cannot be join keys.
+const columnOptions = (dataset) => {
+  const sourceColumns = schemaInfo => (schemaInfo || []).filter(col => !col.isComputed && !col.isConverted);
+  const sheets = (dataset?.sheets || []).filter(sheet => sheet.isIncluded !== false);
+  if (sheets.length > 0) {
+    return sheets.flatMap(sheet => sourceColumns(sheet.schemaInfo).map(col => ({ sheetName: sheet.name, column: col.name, label: `${sheet.name} / ${col.name}` })));
+  }
+  return sourceColumns(dataset?.schemaInfo).map(col => ({ sheetName: null, column: col.name, label: col.name }));
+};
+
+const endLabel = (name, sheetName, column) => `${name}${sheetName ? ` / ${sheetName}` : ''}.${column}`;
+
+// Declared joins from this dataset to others, each checked against the actual key values of both files
+const DatasetRelationships = ({ dataset, onAdd, onRevalidate, onRemove }) => {
+  // Largest page the list endpoint serves, sorted by name for the target picker
+  const { datasets } = useDatasets({ pageSize: 100, sort: 'name' });
+  const [source, setSource] = useState('');
+  const [targetDatasetId, setTargetDatasetId] = useState('');
+  const [targetSchema, setTargetSchema] = useState(null);
+  const [target, setTarget] = useState('');
+  const [cardinality, setCardinality] = useState('many-to-one');
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const otherDatasets = datasets.filter(ds => ds._id !== dataset._id);
+  const datasetNames = new Map(datasets.map(ds => [ds._id, ds.name]));
+  const sourceOptions = columnOptions(dataset);
+  const targetOptions = columnOptions(targetSchema);
+
+  // Target columns come from the schema endpoint, the dataset list carries no column details
+  useEffect(() => {
+    setTarget('');
+    setTargetSchema(null);
+    if (!targetDatasetId) return undefined;
+    let isCurrent = true;
+    apiClient.get(`/datasets/${targetDatasetId}/schema`)
+      .then(response => { if (isCurrent) setTargetSchema(response.data.data); })
+      .catch(err => { if (isCurrent) setError(err.response?.data?.message || 'Could not load the columns of that dataset.'); });
+    return () => { isCurrent = false; };
+  }, [targetDatasetId]);
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    const sourceEnd = sourceOptions[Number(source)];
+    const targetEnd = targetOptions[Number(target)];
+    if (!sourceEnd || !targetEnd) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onAdd({
+        sheetName: sourceEnd.sheetName,
+        column: sourceEnd.column,
+        targetDatasetId,
+        targetSheetName: targetEnd.sheetName,
+        targetColumn: targetEnd.column,
+        cardinality,
+      });
+      setSource('');
+      setTarget('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const runAction = async (relationshipId, action) => {
+    setBusyId(relationshipId);
+    setError(null);
+    try {
+      await action(relationshipId);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const relationships = dataset.relationships || [];
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {relationships.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No relationships declared. Declare how this dataset links to another one (e.g. invoices.customer_id → customers.id) so reports can join them.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {relationships.map(rel => {
+            const validation = rel.validation || {};
+            return (
+              <li key={rel._id} className="py-2 flex items-start justify-between gap-x-4">
+                <div className="min-w-0">
+                  <p className="text-gray-900 dark:text-white">
+                    {endLabel(dataset.name, rel.sheetName, rel.column)} → {endLabel(datasetNames.get(rel.targetDatasetId) || 'Unknown dataset', rel.targetSheetName, rel.targetColumn)}
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{rel.cardinality}</span>
+                  </p>
+                  <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                    {validation.status && (
+                      <span className={`mr-2 inline-flex rounded px-1.5 py-0.5 ${STATUS_STYLES[validation.status]}`}>{validation.status}</span>
+                    )}
+                    {typeof validation.matchRate === 'number' && `${Math.round(validation.matchRate * 100)}% of ${validation.sourceKeyCount} distinct keys match`}
+                    {validation.isPartial && ' (checked on the first part of the file)'}
+                    {validation.unmatchedSamples?.length > 0 && ` · unmatched e.g. ${validation.unmatchedSamples.join(', ')}`}
+                  </p>
+                  {validation.status === 'warning' && validation.messages?.map(message => (
+                    <p key={message} className="text-xs text-amber-600 dark:text-amber-400">{message}</p>
+                  ))}
+                </div>
+                <div className="flex items-center gap-x-2 flex-shrink-0">
+                  <Button size="sm" variant="ghost" leftIcon={ArrowPathIcon} isLoading={busyId === rel._id} disabled={busyId !== null} onClick={() => runAction(rel._id, onRevalidate)}>
+                    Re-check
+                  </Button>
+                  <button onClick={() => runAction(rel._id, onRemove)} disabled={busyId !== null} className="text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Remove relationship">
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-end">
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Column
+          <select value={source} onChange={e => setSource(e.target.value)} className={selectClassName}>
+            <option value="">Select…</option>
+            {sourceOptions.map((opt, idx) => <option key={opt.label} value={idx}>{opt.label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Links to dataset
+          <select value={targetDatasetId} onChange={e => setTargetDatasetId(e.target.value)} className={selectClassName}>
+            <option value="">Select…</option>
+            {otherDatasets.map(ds => <option key={ds._id} value={ds._id}>{ds.name}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Target column
+          <select value={target} onChange={e => setTarget(e.target.value)} disabled={!targetSchema} className={selectClassName}>
+            <option value="">Select…</option>
+            {targetOptions.map((opt, idx) => <option key={opt.label} value={idx}>{opt.label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500 dark:text-gray-400">
+          Cardinality
+          <select value={cardinality} onChange={e => setCardinality(e.target.value)} className={selectClassName}>
+            {CARDINALITIES.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <Button type="submit" size="sm" isLoading={isSaving} disabled={source === '' || target === '' || isSaving}>
+          Add relationship
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default DatasetRelationships;
@@ -0,0 +1,170 @@
+// frontend/src/features/dataset_management/components/DatasetSchemaModal.jsx
+// ** NEW FILE **
+import React, { useState, useEffect, useMemo } from 'react';
+import Modal from '../../../shared/ui/Modal';
+import Button from '../../../shared/ui/Button';
+import Spinner from '../../../shared/ui/Spinner';
+import { useDatasetSchema, COLUMN_TYPES } from '../hooks/useDatasetSchema';
+
+// Shows the type detected for every column at ingestion and lets the owner override type/format.
+// Excel workbooks are edited one worksheet at a time.
+const DatasetSchemaModal = ({ isOpen, onClose, dataset }) => {
+  const { schemaInfo: datasetColumns, sheets, isLoading, isSaving, error, saveColumnTypes } = useDatasetSchema(isOpen ? dataset?._id : null);
+  const [activeSheet, setActiveSheet] = useState(null);
+  const [drafts, setDrafts] = useState({});
+
+  // Default to the first worksheet; keep the selection if it still exists after a save
+  useEffect(() => {
+    setActiveSheet(prev => (sheets.some(sheet => sheet.name === prev) ? prev : sheets[0]?.name ?? null));
+  }, [sheets]);
+
+  const schemaInfo = useMemo(() => {
+    if (sheets.length === 0) return datasetColumns;
+    return sheets.find(sheet => sheet.name === activeSheet)?.schemaInfo || [];
+  }, [sheets, activeSheet, datasetColumns]);
+
+  // Reset local edits whenever a fresh schema arrives or another sheet is shown
+  useEffect(() => {
+    const initial = {};
+    schemaInfo.forEach(col => { initial[col.name] = { type: col.type, format: col.format || '' }; });
+    setDrafts(initial);
+  }, [schemaInfo]);
+
+  const handleChange = (columnName, field, value) => {
+    setDrafts(prev => ({ ...prev, [columnName]: { ...prev[columnName], [field]: value } }));
+  };
+
+  const handleRevert = (column) => {
+    setDrafts(prev => ({ ...prev, [column.name]: { type: column.inferredType, format: column.inferredFormat || '', revert: true } }));
+  };
+
+  const handleSave = async () => {
+    const changed = schemaInfo
+      .filter(col => {
+        const draft = drafts[col.name];
+        if (col.isComputed || col.isConverted) return false;
+        return draft && (draft.revert || draft.type !== col.type || (draft.format || '') !== (col.format || ''));
+      })
+      .map(col => {
+        const draft = drafts[col.name];
+        return draft.revert && draft.type === col.inferredType && (draft.format || '') === (col.inferredFormat || '')
+          ? { name: col.name, type: null }
+          : { name: col.name, type: draft.type, format: draft.format || null };
+      });
+
+    if (changed.length === 0) {
+      onClose();
+      return;
+    }
+    const saved = await saveColumnTypes(changed, sheets.length > 0 ? activeSheet : undefined);
+    if (saved) onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Column Types: ${dataset?.name || ''}`} size="lg">
+      <Modal.Body>
+        {isLoading && (
+          <div className="flex justify-center items-center p-6"><Spinner /></div>
+        )}
+        {error && <div className="mb-3 text-sm text-red-600 dark:text-red-400">{error}</div>}
+        {!isLoading && sheets.length > 1 && (
+          <div className="mb-3 flex items-center gap-x-2">
+            <label htmlFor="schema-sheet" className="text-sm font-medium text-gray-700 dark:text-gray-300">Sheet</label>
+            <select
+              id="schema-sheet"
+              value={activeSheet || ''}
+              onChange={(e) => setActiveSheet(e.target.value)}
+              className="block rounded-md border-0 py-1 text-sm text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-700 dark:bg-gray-800 focus:ring-2 focus:ring-blue-600"
+            >
+              {sheets.map(sheet => (
+                <option key={sheet.name} value={sheet.name}>{sheet.name}{sheet.isIncluded === false ? ' (excluded)' : ''}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {!isLoading && schemaInfo.length === 0 && !error && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No columns were detected for this dataset.</p>
+        )}
+        {!isLoading && schemaInfo.length > 0 && (
+          <div className="overflow-x-auto max-h-[60vh] overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-800/50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Column</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Detected</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Type</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Format</th>
+                  <th className="px-3 py-2"><span className="sr-only">Revert</span></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {schemaInfo.map(col => {
+                  const draft = drafts[col.name] || { type: col.type, format: col.format || '' };
+                  const isOverridden = draft.type !== col.inferredType || (draft.format || '') !== (col.inferredFormat || '');
+                  // Computed and converted columns take their type from their definition (edited on the dataset page)
+                  if (col.isComputed || col.isConverted) {
+                    return (
+                      <tr key={col.name}>
+                        <td className="px-3 py-2 font-medium text-gray-900 dark:text-white whitespace-nowrap">{col.name}</td>
+                        {col.isComputed
+                          ? <td className="px-3 py-2 text-gray-500 dark:text-gray-400 font-mono text-xs" colSpan={2}>= {col.expression}</td>
+                          : <td className="px-3 py-2 text-gray-500 dark:text-gray-400 text-xs" colSpan={2}>{col.conversion}</td>}
+                        <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">{col.type}{col.format ? ` (${col.format})` : ''}</td>
+                        <td className="px-3 py-2" />
+                      </tr>
+                    );
+                  }
+                  return (
+                    <tr key={col.name}>
+                      <td className="px-3 py-2 font-medium text-gray-900 dark:text-white whitespace-nowrap">{col.name}</td>
+                      <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                        {col.inferredType}{col.inferredFormat ? ` (${col.inferredFormat})` : ''}
+                      </td>
+                      <td className="px-3 py-2">
+                        <select
+                          value={draft.type}
+                          onChange={(e) => handleChange(col.name, 'type', e.target.value)}
+                          className="block w-full rounded-md border-0 py-1 text-sm text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-700 dark:bg-gray-800 focus:ring-2 focus:ring-blue-600"
+                        >
+                          {COLUMN_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="text"
+                          value={draft.format}
+                          onChange={(e) => handleChange(col.name, 'format', e.target.value)}
+                          placeholder="e.g. DD/MM/YYYY"
+                          className="block w-full rounded-md border-0 py-1 text-sm text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-700 dark:bg-gray-800 focus:ring-2 focus:ring-blue-600"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {isOverridden && (
+                          <button
+                            type="button"
+                            onClick={() => handleRevert(col)}
+                            className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                          >
+                            Use detected
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Modal.Body>
+      <Modal.Footer className="justify-end gap-x-2">
+        <Button variant="secondary" size="sm" onClick={onClose} disabled={isSaving}>Cancel</Button>
+        <Button variant="primary" size="sm" onClick={handleSave} isLoading={isSaving} disabled={isLoading || schemaInfo.length === 0}>
+          Save Types
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default DatasetSchemaModal;
@@ -1,22 +1,46 @@
 // frontend/src/features/dataset_management/components/DatasetUpload.jsx
 // ** NEW FILE **
 import React, { useState, useRef, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import { useDatasetUpload } from '../hooks/useDatasetUpload';
 import Button from '../../../shared/ui/Button';
-import { ArrowUpTrayIcon, XCircleIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { ArrowUpTrayIcon, XCircleIcon, PauseIcon, PlayIcon, ExclamationTriangleIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
 import Card from '../../../shared/ui/Card';
 
-const DatasetUpload = ({ onUploadComplete }) => {
+// How a duplicate match (see backend dataset.duplicates.js) relates to the uploaded file
+const describeMatch = (match) => {
+  if (match.kind === 'identical') {
+    const versions = match.versionNumbers.join(', ');
+    return `identical to version ${versions}${match.isActiveVersion ? ' (current)' : ''}`;
+  }
+  if (match.kind === 'superset') return `this file has all its ${match.rowCount} rows plus ${match.extraRows} more`;
+  return `already has all rows of this file plus ${match.extraRows} more`;
+};
+
+// datasetId: upload a new version of an existing dataset instead of creating a new one
+// onUploaded: take over the stored file instead of registering it (e.g. to review an append), see useDatasetUpload
+const DatasetUpload = ({ onUploadComplete, onUploaded, datasetId, title = 'Upload New Dataset', description }) => {
   const [file, setFile] = useState(null);
-  const { uploadFile, isUploading, uploadProgress, uploadError } = useDatasetUpload(() => {
+  const {
+    uploadFile, pause, resume, cancel,
+    isUploading, isPaused, uploadProgress, chunkProgress, uploadError, uploadErrorCode, pendingUpload, isSameFile,
+    duplicate, isResolving, resolveDuplicate,
+  } = useDatasetUpload(() => {
       // Callback when upload AND metadata creation is successful
       setFile(null); // Clear the selected file
       if (onUploadComplete) {
           onUploadComplete(); // Notify parent to e.g., refetch list
       }
+  }, {
+      datasetId,
+      onUploaded: onUploaded && ((upload) => {
+          setFile(null);
+          onUploaded(upload);
+      }),
   });
   const fileInputRef = useRef();
+  const navigate = useNavigate();
 
   const onDrop = useCallback((acceptedFiles) => {
     // Do something with the files
@@ -31,8 +55,14 @@ const DatasetUpload = ({ onUploadComplete }) => {
     onDrop,
     accept: {
       'text/csv': ['.csv'],
+      'text/tab-separated-values': ['.tsv'],
       'application/vnd.ms-excel': ['.xls'],
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      // Bank statements, normalized to a transactions table by the backend
+      'application/x-ofx': ['.ofx', '.qfx'],
+      'application/qif': ['.qif'],
+      'text/plain': ['.mt940', '.sta', '.940'],
+      'application/xml': ['.xml'], // ISO 20022 CAMT.053
        // Add other types if needed
     },
     multiple: false, // Only allow one file at a time
@@ -52,11 +82,43 @@ const DatasetUpload = ({ onUploadComplete }) => {
       }
   }
 
+  const handleCancel = async () => {
+      await cancel();
+      handleClearFile();
+  }
+
+  // Discards the duplicate upload; from the library, the matching dataset is opened instead
+  const handleUseExisting = async (match) => {
+      if (!(await resolveDuplicate('discard'))) return;
+      handleClearFile();
+      if (!datasetId) navigate(`/account/datasets/${match.datasetId}`);
+  }
+
+  const canResume = file && isSameFile(file);
+  // Stopped mid-way (pause, error or reload) and the matching file is not selected yet
+  const isInterrupted = !isUploading && pendingUpload && !canResume;
+  const pendingPercent = pendingUpload?.fileSize ? Math.round(((pendingUpload.bytesUploaded || 0) * 100) / pendingUpload.fileSize) : 0;
+
   return (
     <Card>
-        <Card.Header>Upload New Dataset</Card.Header>
+        <Card.Header>{title}</Card.Header>
         <Card.Body>
             <div className="space-y-4">
+                {description && <p className="text-sm text-gray-500 dark:text-gray-400">{description}</p>}
+
+                {/* Interrupted upload from an earlier attempt or page load */}
+                {isInterrupted && (
+                    <div className="flex items-start gap-x-2 text-sm text-amber-700 dark:text-amber-300 p-3 bg-amber-50 dark:bg-amber-900/30 rounded-md border border-amber-300 dark:border-amber-600/50">
+                        <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+                        <div className="flex-grow">
+                            <span>
+                                Upload of <strong>{pendingUpload.fileName}</strong> stopped at {pendingPercent}%. Select the same file to continue where it left off.
+                            </span>
+                            <button onClick={handleCancel} className="ml-2 text-xs font-medium underline hover:text-amber-800 dark:hover:text-amber-200">Discard</button>
+                        </div>
+                    </div>
+                )}
+
                 {/* Dropzone Area */}
                 <div
                     {...getRootProps()}
@@ -78,19 +140,58 @@ const DatasetUpload = ({ onUploadComplete }) => {
                             </label>
                             <p className="pl-1">or drag and drop</p>
                         </div>
-                        <p className="text-xs leading-5 text-gray-500 dark:text-gray-500">CSV, XLS, XLSX up to 50MB (Example limit)</p>
+                        <p className="text-xs leading-5 text-gray-500 dark:text-gray-500">CSV, TSV, XLS, XLSX, or bank statements (OFX/QFX, QIF, MT940, CAMT.053 XML). Large files upload in chunks and can be paused and resumed.</p>
                     </div>
                 </div>
 
+                {/* Upload matching existing data: use the existing dataset, replace it with a new version, or keep both */}
+                {duplicate && !isUploading && (
+                    <div className="space-y-2 text-sm text-amber-700 dark:text-amber-300 p-3 bg-amber-50 dark:bg-amber-900/30 rounded-md border border-amber-300 dark:border-amber-600/50">
+                        <div className="flex items-start gap-x-2">
+                            <DocumentDuplicateIcon className="h-5 w-5 flex-shrink-0" />
+                            <span>{duplicate.message} Uploading it again could double-count it in reports.</span>
+                        </div>
+                        <ul className="space-y-1 pl-7">
+                            {duplicate.matches.map(match => (
+                                <li key={`${match.datasetId}-${match.kind}`} className="flex flex-wrap items-center gap-x-2">
+                                    <span><strong>{match.datasetName}</strong>: {describeMatch(match)}</span>
+                                    <button onClick={() => handleUseExisting(match)} disabled={isResolving} className="text-xs font-medium underline hover:text-amber-800 dark:hover:text-amber-200">
+                                        {datasetId ? 'Discard upload' : 'Use existing'}
+                                    </button>
+                                    {match.kind !== 'identical' && String(match.datasetId) !== String(datasetId) && (
+                                        <button onClick={() => resolveDuplicate('replace', match)} disabled={isResolving} className="text-xs font-medium underline hover:text-amber-800 dark:hover:text-amber-200">
+                                            Upload as new version of it
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="flex justify-end">
+                            <Button onClick={() => resolveDuplicate('keep')} size="sm" variant="secondary" isLoading={isResolving}>
+                                {datasetId ? 'Add version anyway' : 'Keep as separate dataset'}
+                            </Button>
+                        </div>
+                    </div>
+                )}
+
                 {/* Selected File Display */}
-                 {file && !isUploading && !uploadError && (
+                 {file && !isUploading && !uploadError && !duplicate && (
                     <div className="flex items-center justify-between rounded-md border border-gray-200 dark:border-gray-700 p-3 bg-gray-50 dark:bg-gray-700/50">
-                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate pr-2">{file.name}</span>
+                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate pr-2">
+                            {file.name}
+                            {canResume && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">({isPaused ? 'paused, ' : ''}{pendingPercent}% already uploaded)</span>}
+                        </span>
                          <div className="flex items-center gap-x-3">
-                            <Button onClick={handleUploadClick} size="sm" variant="primary">
-                                Upload
-                            </Button>
-                             <button onClick={handleClearFile} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                            {canResume ? (
+                                <Button onClick={() => resume(file)} size="sm" variant="primary" leftIcon={PlayIcon}>
+                                    Resume
+                                </Button>
+                            ) : (
+                                <Button onClick={handleUploadClick} size="sm" variant="primary">
+                                    Upload
+                                </Button>
+                            )}
+                             <button onClick={canResume ? handleCancel : handleClearFile} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" title={canResume ? 'Cancel upload' : 'Clear'}>
                                  <XCircleIcon className="h-5 w-5" />
                              </button>
                          </div>
@@ -101,7 +202,7 @@ const DatasetUpload = ({ onUploadComplete }) => {
                 {isUploading && (
                     <div className="space-y-2">
                         <div className="flex justify-between text-sm font-medium text-gray-700 dark:text-gray-300">
-                            <span>Uploading: {file?.name}</span>
+                            <span className="truncate pr-2">Uploading: {file?.name}</span>
                             <span>{uploadProgress}%</span>
                         </div>
                         <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
@@ -110,25 +211,41 @@ const DatasetUpload = ({ onUploadComplete }) => {
                                 style={{ width: `${uploadProgress}%` }}
                             ></div>
                         </div>
+                        {chunkProgress && (
+                            <div className="flex items-center gap-x-3">
+                                <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                                    Chunk {chunkProgress.index} of {chunkProgress.count}
+                                </span>
+                                <div className="flex-grow bg-gray-200 dark:bg-gray-700 rounded-full h-1">
+                                    <div className="bg-blue-400 dark:bg-blue-400 h-1 rounded-full" style={{ width: `${chunkProgress.percent}%` }}></div>
+                                </div>
+                            </div>
+                        )}
+                        <div className="flex justify-end gap-x-2">
+                            <Button onClick={pause} size="sm" variant="secondary" leftIcon={PauseIcon}>
+                                Pause
+                            </Button>
+                            <Button onClick={handleCancel} size="sm" variant="ghost">
+                                Cancel
+                            </Button>
+                        </div>
                     </div>
                 )}
 
-                 {/* Success Message (Briefly shown via hook logic if needed) */}
-                 {/* {uploadProgress === 100 && !isUploading && !uploadError && (
-                     <div className="flex items-center gap-x-2 text-sm text-green-600 dark:text-green-400">
-                         <CheckCircleIcon className="h-5 w-5" /> Upload Complete!
-                     </div>
-                 )} */}
-
-
                 {/* Upload Error */}
                 {uploadError && (
                     <div className="flex items-center gap-x-2 text-sm text-red-600 dark:text-red-400 p-3 bg-red-50 dark:bg-red-900/30 rounded-md border border-red-300 dark:border-red-600/50">
                         <XCircleIcon className="h-5 w-5 flex-shrink-0" />
                          <div className="flex-grow">
                              <span>{uploadError}</span>
-                             {/* Optionally add a retry button */}
-                             <button onClick={handleClearFile} className="ml-2 text-xs font-medium underline hover:text-red-700 dark:hover:text-red-300">Clear</button>
+                             {/* Plan limit reached (QUOTA_FILE_TOO_LARGE, QUOTA_STORAGE_EXCEEDED, QUOTA_DATASET_LIMIT) */}
+                             {uploadErrorCode?.startsWith('QUOTA_') && (
+                                 <Link to="/select-plan" className="ml-2 text-xs font-medium underline hover:text-red-700 dark:hover:text-red-300">Upgrade plan</Link>
+                             )}
+                             {file && pendingUpload && (
+                                 <button onClick={() => resume(file)} className="ml-2 text-xs font-medium underline hover:text-red-700 dark:hover:text-red-300">Retry</button>
+                             )}
+                             <button onClick={pendingUpload ? handleCancel : handleClearFile} className="ml-2 text-xs font-medium underline hover:text-red-700 dark:hover:text-red-300">Clear</button>
                          </div>
                     </div>
                 )}
@@ -138,4 +255,4 @@ const DatasetUpload = ({ onUploadComplete }) => {
   );
 };
 
-export default DatasetUpload;
\ No newline at end of file
+export default DatasetUpload;
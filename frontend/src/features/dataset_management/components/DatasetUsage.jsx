@@ -0,0 +1,67 @@
+// frontend/src/features/dataset_management/components/DatasetUsage.jsx
+// ** NEW FILE **
+import React from 'react';
+import Spinner from '../../../shared/ui/Spinner';
+import DatasetPager from './DatasetPager';
+
+const STATUS_STYLES = {
+  completed: 'text-green-700 dark:text-green-300 bg-green-50 dark:bg-green-900/30',
+  error: 'text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/30',
+};
+
+// Lineage of a dataset: the prompts and reports built from it, the version each one read and the other datasets it was combined with
+const DatasetUsage = ({ usage, isLoading, error, onPageChange }) => {
+  if (isLoading && !usage) {
+    return <div className="flex justify-center p-4"><Spinner /></div>;
+  }
+  if (error) return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>;
+  if (!usage || usage.total === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No prompts or reports have used this dataset yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        {usage.reportCount} report{usage.reportCount === 1 ? '' : 's'} from {usage.promptCount} prompt{usage.promptCount === 1 ? '' : 's'}
+        {usage.lastUsedAt && <>, last used {new Date(usage.lastUsedAt).toLocaleDateString()}</>}.
+        Each report keeps reading the version it was generated against.
+      </p>
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-800/50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Prompt</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Version</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">With</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Status</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Date</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {usage.prompts.map(entry => {
+            const others = entry.datasets.filter(other => other.datasetId !== usage.datasetId);
+            return (
+              <tr key={entry.promptId}>
+                <td className="px-3 py-2 text-gray-900 dark:text-white truncate max-w-xs" title={entry.promptText}>{entry.promptText}</td>
+                <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">{entry.versionNumber ? `v${entry.versionNumber}` : 'Not pinned'}</td>
+                <td className="px-3 py-2 text-gray-500 dark:text-gray-400 truncate max-w-xs">
+                  {others.length > 0
+                    ? others.map(other => `${other.name || 'Deleted dataset'}${other.versionNumber ? ` v${other.versionNumber}` : ''}`).join(', ')
+                    : '-'}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <span className={`inline-flex items-center rounded px-1.5 py-0.5 text-xs ${STATUS_STYLES[entry.status] || 'text-gray-600 dark:text-gray-300 bg-gray-100 dark:bg-gray-800'}`}>
+                    {entry.status}
+                  </span>
+                </td>
+                <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <DatasetPager pagination={usage} onPageChange={onPageChange} isLoading={isLoading} />
+    </div>
+  );
+};
+
+export default DatasetUsage;
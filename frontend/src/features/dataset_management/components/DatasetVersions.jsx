@@ -0,0 +1,99 @@
+// frontend/src/features/dataset_management/components/DatasetVersions.jsx
+// ** NEW FILE **
+import React, { useState } from 'react';
+import Button from '../../../shared/ui/Button';
+
+const formatBytes = (bytes) => (bytes ? `${(bytes / 1024).toFixed(1)} KB` : '-');
+
+// Version history of a dataset with switch / roll back actions and the number of reports built from each version.
+// Versions written by an append (or by undoing one) name the extract involved.
+const DatasetVersions = ({ versions = [], activeVersion = 1, onActivate, usage, appendBatches = [] }) => {
+  const [switchingTo, setSwitchingTo] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleActivate = async (versionNumber) => {
+    setSwitchingTo(versionNumber);
+    setError(null);
+    try {
+      await onActivate(versionNumber);
+    } catch (err) {
+      console.error("Failed to switch dataset version:", err);
+      setError(err.response?.data?.message || err.message || 'Could not switch version.');
+    } finally {
+      setSwitchingTo(null);
+    }
+  };
+
+  const batchName = (batchId) => appendBatches.find(batch => batch._id === batchId)?.originalFilename || 'an extract';
+  const reportCountOf = (versionNumber) => usage?.byVersion.find(entry => entry.versionNumber === versionNumber)?.reportCount || 0;
+  // Replacing the data behind existing reports only changes new prompts; each report re-runs on its pinned version
+  const usageWarning = usage?.reportCount > 0 && (
+    <p className="mb-2 text-xs text-amber-600 dark:text-amber-400">
+      {usage.reportCount} report{usage.reportCount === 1 ? ' was' : 's were'} built from this dataset. A new or rolled-back
+      version is what new prompts will read; existing reports keep the version they were generated against.
+    </p>
+  );
+
+  if (versions.length === 0) {
+    return (
+      <div>
+        {usageWarning}
+        <p className="text-sm text-gray-500 dark:text-gray-400">Only the original upload exists.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {usageWarning}
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-800/50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Version</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">File</th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Size</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Uploaded</th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Reports</th>
+            <th className="px-3 py-2"><span className="sr-only">Actions</span></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {[...versions].reverse().map(version => {
+            const isActive = version.versionNumber === activeVersion;
+            return (
+              <tr key={version.versionNumber}>
+                <td className="px-3 py-2 font-medium text-gray-900 dark:text-white whitespace-nowrap">v{version.versionNumber}</td>
+                <td className="px-3 py-2 text-gray-700 dark:text-gray-300 truncate max-w-xs" title={version.originalFilename}>
+                  {version.originalFilename}
+                  {version.appendBatchId && <span className="block text-xs text-gray-500 dark:text-gray-400">+ appended {batchName(version.appendBatchId)}</span>}
+                  {version.undoneBatchId && <span className="block text-xs text-gray-500 dark:text-gray-400">without {batchName(version.undoneBatchId)} (undone)</span>}
+                </td>
+                <td className="px-3 py-2 text-right text-gray-500 dark:text-gray-400 whitespace-nowrap">{formatBytes(version.fileSizeBytes)}</td>
+                <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">{new Date(version.createdAt).toLocaleString()}</td>
+                <td className="px-3 py-2 text-right text-gray-500 dark:text-gray-400 whitespace-nowrap">{reportCountOf(version.versionNumber) || '-'}</td>
+                <td className="px-3 py-2 text-right whitespace-nowrap">
+                  {isActive ? (
+                    <span className="inline-flex items-center rounded px-1.5 py-0.5 text-xs text-green-700 dark:text-green-300 bg-green-50 dark:bg-green-900/30">Active</span>
+                  ) : (
+                    <Button
+                      size="sm"
+                      variant="secondary"
+                      onClick={() => handleActivate(version.versionNumber)}
+                      isLoading={switchingTo === version.versionNumber}
+                      disabled={switchingTo !== null}
+                    >
+                      {version.versionNumber < activeVersion ? 'Roll back' : 'Make active'}
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DatasetVersions;
@@ -0,0 +1,73 @@
+// frontend/src/features/dataset_management/hooks/useDatasetAppend.js
+// ** NEW FILE **
+import { useState } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+
+/**
+ * Appending an uploaded file to a dataset (POST /datasets/{id}/appends). The upload is first reconciled without saving
+ * anything (dryRun), so the user can review the column mapping and dedupe key; confirming writes the merged version.
+ * @param {string} datasetId
+ * @param {(dataset: object) => void} onApplied - Receives the updated dataset after an append.
+ */
+export const useDatasetAppend = (datasetId, onApplied) => {
+  // { gcsPath, uploadId, originalFilename, mapping, addedColumns, missingColumns, datasetColumns, dedupeKey, columnMapping,
+  //   existingRowCount, rowCount, appendedRowCount, duplicateRowCount }
+  const [plan, setPlan] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  // columnMapping: only the user's overrides (uploaded header -> dataset column, or null for a new column)
+  const previewAppend = async ({ gcsPath, uploadId }, { columnMapping = {}, dedupeKey } = {}) => {
+    setIsPreviewing(true);
+    setError(null);
+    try {
+      const response = await apiClient.post(`/datasets/${datasetId}/appends`, { gcsPath, columnMapping, dedupeKey, dryRun: true });
+      if (response.data.status !== 'success') throw new Error(response.data.message || 'Failed to check the file');
+      setPlan({ gcsPath, uploadId, columnMapping, ...response.data.data });
+    } catch (err) {
+      console.error("Failed to reconcile append:", err);
+      setError(err.response?.data?.message || err.message || 'Could not check the file against the dataset.');
+      // A refused mapping keeps the previous plan so the user can correct it; other failures end the review
+      if (err.response?.data?.code !== 'APPEND_MAPPING_INVALID' && err.response?.data?.code !== 'APPEND_KEY_INVALID') {
+        setPlan(prev => (prev?.gcsPath === gcsPath ? prev : { gcsPath, uploadId, isRefused: true }));
+      }
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const confirmAppend = async () => {
+    if (!plan) return;
+    setIsApplying(true);
+    setError(null);
+    try {
+      const response = await apiClient.post(`/datasets/${datasetId}/appends`, {
+        gcsPath: plan.gcsPath, columnMapping: plan.columnMapping, dedupeKey: plan.dedupeKey,
+      });
+      if (response.data.status !== 'success') throw new Error(response.data.message || 'Failed to append the file');
+      setPlan(null);
+      onApplied(response.data.data.dataset);
+    } catch (err) {
+      console.error("Failed to append file:", err);
+      setError(err.response?.data?.message || err.message || 'Could not append the file.');
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  // Deletes the uploaded file; nothing was added to the dataset
+  const discardAppend = async () => {
+    const uploadId = plan?.uploadId;
+    setPlan(null);
+    setError(null);
+    if (!uploadId) return;
+    try {
+      await apiClient.delete(`/datasets/uploads/${uploadId}`);
+    } catch (err) {
+      console.warn("Could not discard the uploaded file:", err.response?.data?.message || err.message);
+    }
+  };
+
+  return { plan, isPreviewing, isApplying, error, previewAppend, confirmAppend, discardAppend };
+};
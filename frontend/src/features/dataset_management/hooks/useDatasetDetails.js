@@ -0,0 +1,104 @@
+// frontend/src/features/dataset_management/hooks/useDatasetDetails.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+
+// Loads a single dataset with its full schema, column descriptions and profile (GET /datasets/:id)
+export const useDatasetDetails = (datasetId) => {
+  const [dataset, setDataset] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // silent: refresh in place without the loading state (used while polling profiling progress)
+  const fetchDataset = useCallback(async ({ silent = false } = {}) => {
+    if (!datasetId) {
+      setDataset(null);
+      return;
+    }
+    if (!silent) setIsLoading(true);
+    setError(null);
+    try {
+      const response = await apiClient.get(`/datasets/${datasetId}`);
+      if (response.data.status === 'success') {
+        setDataset(response.data.data);
+      } else {
+        throw new Error(response.data.message || 'Failed to fetch dataset');
+      }
+    } catch (err) {
+      console.error("Failed to fetch dataset details:", err);
+      setError(err.response?.data?.message || err.message || 'Could not load dataset.');
+      setDataset(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [datasetId]);
+
+  useEffect(() => {
+    fetchDataset();
+  }, [fetchDataset]);
+
+  // Re-runs column profiling on the backend (POST /datasets/:id/profile); the job finishes asynchronously
+  const requestProfiling = async () => {
+    const response = await apiClient.post(`/datasets/${datasetId}/profile`);
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Failed to start profiling');
+    }
+    setDataset(prev => (prev ? { ...prev, profile: response.data.data.profile } : prev));
+  };
+
+  // Makes another version the active one (PUT /datasets/:id/active-version); also used to roll back
+  const activateVersion = async (versionNumber) => {
+    const response = await apiClient.put(`/datasets/${datasetId}/active-version`, { versionNumber });
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Failed to switch version');
+    }
+    setDataset(response.data.data);
+  };
+
+  // Changes that answer with the updated dataset; failures (e.g. no key overlap, unknown column) carry the server message
+  const applyChange = async (request, fallbackMessage) => {
+    try {
+      const response = await request();
+      if (response.data.status !== 'success') throw new Error(response.data.message || fallbackMessage);
+      setDataset(response.data.data);
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || fallbackMessage);
+    }
+  };
+
+  // Replaces the quality rules (PUT /datasets/:id/quality-rules); the file is re-checked in the background
+  const updateQualityRules = (rules) => applyChange(
+    () => apiClient.put(`/datasets/${datasetId}/quality-rules`, { rules }), 'Failed to save quality rules');
+
+  // Replaces the per-column PII policies (PUT /datasets/:id/pii-policies); redacted copies are rebuilt on the next report
+  const updatePiiPolicies = (policies) => applyChange(
+    () => apiClient.put(`/datasets/${datasetId}/pii-policies`, { policies }), 'Failed to save PII policies');
+
+  // Replaces the computed columns and lookup mappings (PUT /datasets/:id/computed-columns); the dataset is re-profiled
+  const updateComputedColumns = (columns, mappings) => applyChange(
+    () => apiClient.put(`/datasets/${datasetId}/computed-columns`, { columns, mappings }), 'Failed to save computed columns');
+
+  // Replaces the currency conversions (PUT /datasets/:id/currency-conversions); amounts are converted when the data is read
+  const updateCurrencyConversions = (conversions) => applyChange(
+    () => apiClient.put(`/datasets/${datasetId}/currency-conversions`, { conversions }), 'Failed to save currency conversions');
+
+  // Declares a relationship to another dataset (POST /datasets/:id/relationships), validated against key overlap
+  const addRelationship = (relationship) => applyChange(
+    () => apiClient.post(`/datasets/${datasetId}/relationships`, relationship), 'Failed to add relationship');
+
+  // Re-checks key overlap against the current files (POST /datasets/:id/relationships/:relationshipId/validate)
+  const revalidateRelationship = (relationshipId) => applyChange(
+    () => apiClient.post(`/datasets/${datasetId}/relationships/${relationshipId}/validate`), 'Failed to check relationship');
+
+  const removeRelationship = (relationshipId) => applyChange(
+    () => apiClient.delete(`/datasets/${datasetId}/relationships/${relationshipId}`), 'Failed to remove relationship');
+
+  // Undoes one append batch (DELETE /datasets/:id/appends/:batchId); the dataset without it becomes the active version
+  const undoAppend = (batchId) => applyChange(
+    () => apiClient.delete(`/datasets/${datasetId}/appends/${batchId}`), 'Failed to undo append');
+
+  return {
+    dataset, isLoading, error, refetch: fetchDataset, setDataset, requestProfiling, activateVersion,
+    updateQualityRules, updatePiiPolicies, updateComputedColumns, updateCurrencyConversions, addRelationship, revalidateRelationship, removeRelationship, undoAppend,
+  };
+};
@@ -0,0 +1,33 @@
+// frontend/src/features/dataset_management/hooks/useDatasetFacets.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+import { useAuth } from '../../../shared/hooks/useAuth';
+
+const EMPTY_FACETS = { tags: [], folders: [] };
+
+// Tags and folders in use across the library (GET /datasets/facets), each as { value, count }
+export const useDatasetFacets = () => {
+  const [facets, setFacets] = useState(EMPTY_FACETS);
+  const { user } = useAuth();
+
+  const fetchFacets = useCallback(async () => {
+    if (!user) {
+      setFacets(EMPTY_FACETS);
+      return;
+    }
+    try {
+      const response = await apiClient.get('/datasets/facets');
+      if (response.data.status === 'success') setFacets({ ...EMPTY_FACETS, ...response.data.data });
+    } catch (err) {
+      // The library still loads; only the folder and tag filter options are missing
+      console.error("Failed to fetch dataset facets:", err);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchFacets();
+  }, [fetchFacets]);
+
+  return { ...facets, refetch: fetchFacets };
+};
@@ -0,0 +1,40 @@
+// frontend/src/features/dataset_management/hooks/useDatasetPreview.js
+// ** NEW FILE **
+import { useState, useEffect } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+
+/**
+ * One page of parsed rows (GET /datasets/{id}/preview) for the grid viewer.
+ * @param {string|null} datasetId - null while the viewer is closed.
+ * @param {{ offset: number, limit: number, sheet?: string|null }} page
+ */
+export const useDatasetPreview = (datasetId, { offset, limit, sheet }) => {
+  const [preview, setPreview] = useState(null); // { sheetName, columns, rows, offset, limit, hasMore, totalRows }
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!datasetId) {
+      setPreview(null);
+      return undefined;
+    }
+    let isCurrent = true; // Ignore answers for pages the user has already moved past
+    setIsLoading(true);
+    setError(null);
+    apiClient.get(`/datasets/${datasetId}/preview`, { params: { offset, limit, ...(sheet ? { sheet } : {}) } })
+      .then(response => {
+        if (!isCurrent) return;
+        if (response.data.status !== 'success') throw new Error(response.data.message || 'Failed to load preview');
+        setPreview(response.data.data);
+      })
+      .catch(err => {
+        if (!isCurrent) return;
+        console.error("Failed to fetch dataset preview:", err);
+        setError(err.response?.data?.message || err.message || 'Could not load the preview.');
+      })
+      .finally(() => { if (isCurrent) setIsLoading(false); });
+    return () => { isCurrent = false; };
+  }, [datasetId, offset, limit, sheet]);
+
+  return { preview, isLoading, error };
+};
@@ -0,0 +1,37 @@
+// frontend/src/features/dataset_management/hooks/useDatasetQuota.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+import { useAuth } from '../../../shared/hooks/useAuth';
+
+// Plan limits and current usage (GET /datasets/quota): { tier, limits: { maxFileSizeBytes, maxStorageBytes, maxDatasets }, usage: { storageBytes, datasetCount } }
+export const useDatasetQuota = () => {
+  const [quota, setQuota] = useState(null);
+  const [error, setError] = useState(null);
+  const { user } = useAuth();
+
+  const fetchQuota = useCallback(async () => {
+    if (!user) {
+      setQuota(null);
+      return;
+    }
+    try {
+      const response = await apiClient.get('/datasets/quota');
+      if (response.data.status === 'success') {
+        setQuota(response.data.data);
+        setError(null);
+      } else {
+        throw new Error(response.data.message || 'Failed to fetch quota');
+      }
+    } catch (err) {
+      console.error("Failed to fetch dataset quota:", err);
+      setError(err.response?.data?.message || err.message || 'Failed to load storage usage.');
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchQuota();
+  }, [fetchQuota]);
+
+  return { quota, error, refetch: fetchQuota };
+};
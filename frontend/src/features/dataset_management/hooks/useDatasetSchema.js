@@ -0,0 +1,67 @@
+// frontend/src/features/dataset_management/hooks/useDatasetSchema.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+
+// Column types the backend can infer / accept as overrides (mirrors dataset.typeInference.js)
+export const COLUMN_TYPES = ['string', 'number', 'integer', 'currency', 'percentage', 'date', 'datetime', 'boolean', 'categorical'];
+
+export const useDatasetSchema = (datasetId) => {
+  const [schemaInfo, setSchemaInfo] = useState([]);
+  const [sheets, setSheets] = useState([]); // Excel workbooks: [{ name, schemaInfo, isIncluded }]
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSchema = useCallback(async () => {
+    if (!datasetId) {
+      setSchemaInfo([]);
+      setSheets([]);
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await apiClient.get(`/datasets/${datasetId}/schema`);
+      if (response.data.status === 'success') {
+        setSchemaInfo(response.data.data?.schemaInfo || []);
+        setSheets(response.data.data?.sheets || []);
+      } else {
+        throw new Error(response.data.message || 'Failed to fetch column types');
+      }
+    } catch (err) {
+      console.error("Failed to fetch dataset schema:", err);
+      setError(err.response?.data?.message || err.message || 'Could not load column types.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [datasetId]);
+
+  useEffect(() => {
+    fetchSchema();
+  }, [fetchSchema]);
+
+  // columns: [{ name, type, format }] - type null reverts a column to its detected type
+  // sheetName: worksheet the columns belong to (workbooks only)
+  const saveColumnTypes = async (columns, sheetName) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await apiClient.put(`/datasets/${datasetId}/schema`, { columns, sheetName });
+      if (response.data.status !== 'success') {
+        throw new Error(response.data.message || 'Failed to save column types');
+      }
+      setSchemaInfo(response.data.data?.schemaInfo || []);
+      setSheets(response.data.data?.sheets || []);
+      return true;
+    } catch (err) {
+      console.error("Failed to save dataset schema:", err);
+      setError(err.response?.data?.message || err.message || 'Could not save column types.');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return { schemaInfo, sheets, isLoading, isSaving, error, refetch: fetchSchema, saveColumnTypes };
+};
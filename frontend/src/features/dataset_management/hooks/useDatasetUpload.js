@@ -1,123 +1,304 @@
 // frontend/src/features/dataset_management/hooks/useDatasetUpload.js
-// ** FULLY UPDATED FILE **
-import { useState } from 'react';
+// ** FULLY UPDATED FILE - Resumable chunked uploads **
+import { useState, useRef } from 'react';
 import apiClient from '../../../shared/services/apiClient';
 import axios from 'axios'; // Use raw axios for direct GCS upload
 
-export const useDatasetUpload = (onUploadSuccess) => {
+const PENDING_UPLOAD_KEY_PREFIX = 'neuroledger-pending-upload-';
+const MAX_CHUNK_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// One interrupted upload per target (new dataset, a version of a given dataset, or an append to it)
+const pendingUploadKey = (target) => `${PENDING_UPLOAD_KEY_PREFIX}${target || 'new'}`;
+
+const readPendingUpload = (target) => {
+  try {
+    return JSON.parse(localStorage.getItem(pendingUploadKey(target))) || null;
+  } catch {
+    return null;
+  }
+};
+
+const writePendingUpload = (target, pending) => {
+  if (pending) localStorage.setItem(pendingUploadKey(target), JSON.stringify(pending));
+  else localStorage.removeItem(pendingUploadKey(target));
+};
+
+// A stored session can only be resumed with the very same file
+const isSameFile = (pending, file) => (
+  pending && file && pending.fileName === file.name && pending.fileSize === file.size && pending.lastModified === file.lastModified
+);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "bytes=0-1048575" -> 1048576
+const parseRangeEnd = (range) => (range ? parseInt(range.split('-')[1], 10) + 1 : null);
+
+const extractErrorMessage = (err) => {
+  if (axios.isAxiosError(err)) {
+    // Prioritize backend error message, then GCS XML <Message>
+    const gcsMessage = typeof err.response?.data === 'string' ? err.response.data.match(/<Message>(.*?)<\/Message>/)?.[1] : null;
+    return err.response?.data?.message || gcsMessage || err.response?.statusText || err.message;
+  }
+  return err.message || 'Dataset upload failed.';
+};
+
+// Machine-readable backend code, e.g. QUOTA_STORAGE_EXCEEDED (shown as an upgrade prompt)
+const extractErrorCode = (err) => (axios.isAxiosError(err) ? err.response?.data?.code || null : null);
+
+// datasetId: when given, the file is registered as a new version of that dataset instead of a new dataset.
+// onUploaded: when given, the stored file ({ gcsPath, uploadId, file }) is handed to it instead of being registered
+// (used to review an append first, see useDatasetAppend).
+// Files are sent to a GCS resumable session in chunks; failed chunks are retried with backoff, and an
+// interrupted upload (pause, network loss, page reload) continues from the last byte GCS has persisted.
+// A file the backend finds to duplicate existing data (DUPLICATE_UPLOAD) is held as `duplicate` until the user
+// discards it (and uses the existing dataset), uploads it as a new version of the matching dataset, or keeps both.
+export const useDatasetUpload = (onUploadSuccess, { datasetId, onUploaded } = {}) => {
+  const pendingKey = onUploaded ? `${datasetId}-append` : datasetId;
   const [isUploading, setIsUploading] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [chunkProgress, setChunkProgress] = useState(null); // { index, count, percent }
   const [uploadError, setUploadError] = useState(null);
+  const [uploadErrorCode, setUploadErrorCode] = useState(null);
+  const [pendingUpload, setPendingUpload] = useState(() => readPendingUpload(pendingKey));
+  const [duplicate, setDuplicate] = useState(null); // { message, matches, uploadId, gcsPath, file }
+  const [isResolving, setIsResolving] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  const savePending = (pending) => {
+    writePendingUpload(pendingKey, pending);
+    setPendingUpload(pending);
+  };
+
+  // Reuses the stored session for this file when GCS still has it, otherwise starts a new one
+  const openSession = async (file) => {
+    const pending = readPendingUpload(pendingKey);
+    if (isSameFile(pending, file)) {
+      try {
+        const statusResponse = await apiClient.get(`/datasets/uploads/${pending.uploadId}`);
+        console.log(`Resuming upload ${pending.uploadId} at byte ${statusResponse.data.data.bytesUploaded}`);
+        return statusResponse.data.data;
+      } catch (err) {
+        console.warn("Stored upload session can no longer be resumed, starting over:", extractErrorMessage(err));
+      }
+    }
+
+    console.log(`Starting upload session for: ${file.name}, size: ${file.size}`);
+    // datasetId tells the backend the file is a version, so the dataset count quota does not apply
+    const sessionResponse = await apiClient.post('/datasets/uploads', { filename: file.name, fileSize: file.size, datasetId });
+    if (sessionResponse.data.status !== 'success' || !sessionResponse.data.data?.sessionUri) {
+      throw new Error(sessionResponse.data.message || 'Failed to start upload session.');
+    }
+    return sessionResponse.data.data;
+  };
+
+  // PUTs one chunk; returns the next offset GCS expects, or file.size once the object is complete
+  const sendChunk = async (session, file, offset, signal, onChunkProgress) => {
+    const end = Math.min(offset + session.chunkSize, file.size);
+    const response = await axios.put(session.sessionUri, file.slice(offset, end), {
+      headers: { 'Content-Range': `bytes ${offset}-${end - 1}/${file.size}` },
+      signal,
+      validateStatus: status => status === 308 || status === 200 || status === 201, // 308: chunk stored, send the next
+      onUploadProgress: (progressEvent) => onChunkProgress(progressEvent.loaded, end - offset),
+    });
+    if (response.status !== 308) return file.size;
+    return parseRangeEnd(response.headers.range) ?? end;
+  };
+
+  // Registers the stored file as a new dataset, or as the next version of targetDatasetId
+  const registerUpload = async (gcsPath, file, { targetDatasetId = datasetId, allowDuplicate = false } = {}) => {
+    const metadataResponse = targetDatasetId
+      ? await apiClient.post(`/datasets/${targetDatasetId}/versions`, {
+          originalFilename: file.name,
+          gcsPath,
+          fileSizeBytes: file.size,
+          allowDuplicate,
+        })
+      : await apiClient.post('/datasets', {
+          name: file.name, // Use original filename as default name
+          originalFilename: file.name,
+          gcsPath,
+          fileSizeBytes: file.size,
+          allowDuplicate,
+        });
+
+    if (metadataResponse.data.status !== 'success') {
+      throw new Error(metadataResponse.data.message || 'Failed to save dataset metadata on server.');
+    }
+    console.log("Dataset metadata saved successfully.");
+    savePending(null);
+    setChunkProgress(null);
+    setDuplicate(null);
+
+    // Callback on complete success (GCS upload + metadata save)
+    if (onUploadSuccess) {
+      onUploadSuccess(metadataResponse.data.data);
+    }
+  };
 
   const uploadFile = async (file) => {
     if (!file) return;
 
     setIsUploading(true);
-    setUploadProgress(0);
+    setIsPaused(false);
     setUploadError(null);
+    setUploadErrorCode(null);
+    setDuplicate(null);
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
     try {
-      // 1. Get Signed URL - PASS fileSize
-      console.log(`Requesting upload URL for: ${file.name}, size: ${file.size}`);
-      // Add fileSize to the query parameters
-      const urlResponse = await apiClient.get(
-        `/datasets/upload-url?filename=${encodeURIComponent(file.name)}&fileSize=${file.size}`
-      );
-
-      if (urlResponse.data.status !== 'success' || !urlResponse.data.data?.signedUrl) {
-        throw new Error(urlResponse.data.message || 'Failed to get upload URL from server.');
-      }
-
-      const { signedUrl, gcsPath } = urlResponse.data.data;
-      console.log(`Got signed URL for path: ${gcsPath}`);
-
-      // 2. Upload file directly to GCS using the signed URL
-      console.log(`Uploading ${file.name} to GCS...`);
-      const fileContentType = file.type || 'application/octet-stream'; // Determine content type
-      const uploadResponse = await axios.put(signedUrl, file, {
-        headers: {
-           // Set Content-Type. Axios automatically adds Content-Length for Blob/File.
-           'Content-Type': fileContentType,
-        },
-        onUploadProgress: (progressEvent) => {
-          // Ensure progressEvent.total is available before calculating percentage
-          if (progressEvent.total && progressEvent.total > 0) {
-             const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-             setUploadProgress(percentCompleted);
-             // console.log(`Upload progress: ${percentCompleted}%`); // Optional: Reduce logging
-          } else {
-             // Handle cases where total size isn't reported (less common for single PUT)
-             // Avoid setting intermediate progress without total size
-             console.warn("Upload progress event missing total size.");
-          }
-        },
+      // 1. Open (or resume) the resumable session
+      let session = await openSession(file);
+      savePending({
+        uploadId: session.uploadId,
+        fileName: file.name,
+        fileSize: file.size,
+        lastModified: file.lastModified,
+        bytesUploaded: session.bytesUploaded,
       });
 
-      // Check for GCS success status (usually 200 OK for PUT)
-      if (uploadResponse.status !== 200) {
-         // Attempt to parse error from GCS response if available
-         let gcsErrorMsg = `GCS upload failed with status: ${uploadResponse.status}`;
-         if (uploadResponse.data) { // GCS often returns XML error details
-            console.error("GCS Error Response:", uploadResponse.data);
-            // Basic parsing attempt
-            const responseText = String(uploadResponse.data); // Ensure it's a string
-            const messageMatch = responseText.match(/<Message>(.*?)<\/Message>/);
-            const detailsMatch = responseText.match(/<Details>(.*?)<\/Details>/);
-            if (messageMatch && messageMatch[1]) {
-                gcsErrorMsg += ` - ${messageMatch[1]}`;
-            }
-            if (detailsMatch && detailsMatch[1]) {
-                gcsErrorMsg += ` (${detailsMatch[1]})`;
-            }
-         }
-         throw new Error(gcsErrorMsg);
+      // 2. Send the remaining bytes chunk by chunk
+      const chunkCount = Math.ceil(file.size / session.chunkSize);
+      let offset = session.bytesUploaded;
+      let retries = 0;
+      setUploadProgress(Math.round((offset * 100) / file.size));
+      while (offset < file.size) {
+        const chunkIndex = Math.floor(offset / session.chunkSize);
+        const chunkStart = offset;
+        try {
+          offset = await sendChunk(session, file, offset, abortController.signal, (loaded, chunkBytes) => {
+            setChunkProgress({ index: chunkIndex + 1, count: chunkCount, percent: Math.round((loaded * 100) / chunkBytes) });
+            setUploadProgress(Math.round(((chunkStart + loaded) * 100) / file.size));
+          });
+          retries = 0;
+          writePendingUpload(pendingKey, { ...readPendingUpload(pendingKey), bytesUploaded: offset });
+        } catch (err) {
+          if (axios.isCancel(err)) throw err;
+          if (retries >= MAX_CHUNK_RETRIES) throw err;
+          retries += 1;
+          const delay = RETRY_BASE_DELAY_MS * 2 ** (retries - 1);
+          console.warn(`Chunk ${chunkIndex + 1}/${chunkCount} failed (${extractErrorMessage(err)}), retry ${retries} in ${delay}ms`);
+          await wait(delay);
+          // GCS may have stored part of the chunk; continue from what it actually has
+          try {
+            session = (await apiClient.get(`/datasets/uploads/${session.uploadId}`)).data.data;
+            offset = session.bytesUploaded;
+          } catch (statusErr) {
+            if ([404, 410].includes(statusErr.response?.status)) throw statusErr; // Session gone, nothing to resume
+            console.warn("Could not re-sync upload offset:", extractErrorMessage(statusErr));
+          }
+        }
+        setUploadProgress(Math.round((offset * 100) / file.size));
       }
       console.log("GCS Upload successful.");
-      setUploadProgress(100); // Explicitly set to 100% on success before backend call
+      setUploadProgress(100);
 
-      // 3. Notify our backend that upload is complete & create metadata
+      // 3. Notify our backend that upload is complete & create metadata (or the next version)
+      if (onUploaded) {
+        savePending(null);
+        setChunkProgress(null);
+        onUploaded({ gcsPath: session.gcsPath, uploadId: session.uploadId, file });
+        return;
+      }
       console.log("Notifying backend of successful upload...");
-      const metadataResponse = await apiClient.post('/datasets', {
-        name: file.name, // Use original filename as default name
-        originalFilename: file.name,
-        gcsPath: gcsPath,
-        fileSizeBytes: file.size,
-      });
-
-       if (metadataResponse.data.status !== 'success') {
-          throw new Error(metadataResponse.data.message || 'Failed to save dataset metadata on server.');
+      await registerUpload(session.gcsPath, file);
+    } catch (err) {
+      if (extractErrorCode(err) === 'DUPLICATE_UPLOAD') {
+        const { details, message } = err.response.data;
+        setDuplicate({ message, matches: details?.matches || [], uploadId: details?.uploadId, gcsPath: details?.gcsPath, file });
+        setChunkProgress(null);
+      } else if (axios.isCancel(err)) {
+        // Paused or cancelled by the user; the stored session (if any) stays resumable
+        console.log("Upload stopped by user.");
+        setPendingUpload(readPendingUpload(pendingKey));
+      } else {
+        console.error("Dataset upload failed:", err);
+        setUploadError(extractErrorMessage(err));
+        setUploadErrorCode(extractErrorCode(err));
+        setPendingUpload(readPendingUpload(pendingKey));
       }
-      console.log("Dataset metadata saved successfully.");
+    } finally {
+      if (abortControllerRef.current === abortController) abortControllerRef.current = null;
+      setIsUploading(false);
+    }
+  };
+
+  // Stops after the bytes GCS has already received; resume() (or uploadFile after a reload) continues
+  const pause = () => {
+    if (!abortControllerRef.current) return;
+    setIsPaused(true);
+    abortControllerRef.current.abort();
+  };
+
+  const resume = (file) => uploadFile(file);
 
-      // Callback on complete success (GCS upload + metadata save)
-      if (onUploadSuccess) {
-        onUploadSuccess(metadataResponse.data.data); // Pass new dataset data if needed
+  // Aborts the transfer and discards the stored session on the server
+  const cancel = async () => {
+    abortControllerRef.current?.abort();
+    const pending = readPendingUpload(pendingKey);
+    savePending(null);
+    setIsPaused(false);
+    setUploadProgress(0);
+    setChunkProgress(null);
+    setUploadError(null);
+    setUploadErrorCode(null);
+    if (pending?.uploadId) {
+      try {
+        await apiClient.delete(`/datasets/uploads/${pending.uploadId}`);
+      } catch (err) {
+        console.warn("Could not cancel upload session:", extractErrorMessage(err));
       }
+    }
+  };
 
+  // Resolves a duplicate: 'keep' saves it anyway, 'replace' makes it the next version of the matching dataset,
+  // 'discard' deletes the uploaded file (the existing dataset is used instead). Returns whether it succeeded.
+  const resolveDuplicate = async (action, match) => {
+    if (!duplicate) return false;
+    setIsResolving(true);
+    setUploadError(null);
+    setUploadErrorCode(null);
+    try {
+      if (action === 'discard') {
+        await apiClient.delete(`/datasets/uploads/${duplicate.uploadId}`);
+        savePending(null);
+        setDuplicate(null);
+        setUploadProgress(0);
+      } else {
+        await registerUpload(duplicate.gcsPath, duplicate.file, {
+          targetDatasetId: action === 'replace' ? match.datasetId : datasetId,
+          allowDuplicate: true,
+        });
+      }
+      return true;
     } catch (err) {
-       console.error("Dataset upload failed:", err);
-        let message = 'Dataset upload failed.';
-        // Extract message more reliably
-        if (axios.isAxiosError(err)) {
-            // Prioritize backend error message if available from metadata step
-            message = err.response?.data?.message || err.response?.statusText || err.message;
-            // Include specific GCS message if it was thrown earlier
-            if (err.message.includes("GCS upload failed")) {
-                 message = err.message;
-             }
-        } else if (err.message) {
-             message = err.message;
-        }
-        setUploadError(message);
-        setUploadProgress(0); // Reset progress on error
-
+      console.error(`Could not ${action} duplicate upload:`, err);
+      setUploadError(extractErrorMessage(err));
+      setUploadErrorCode(extractErrorCode(err));
+      return false;
     } finally {
-      setIsUploading(false);
-      // Consider resetting progress after a short delay to show 100% briefly
-        // setTimeout(() => { if (!uploadError) setUploadProgress(0); }, 3000);
+      setIsResolving(false);
     }
   };
 
-  // Return state and upload function
-  return { uploadFile, isUploading, uploadProgress, uploadError };
-};
\ No newline at end of file
+  // Return state and upload controls
+  return {
+    uploadFile,
+    pause,
+    resume,
+    cancel,
+    isUploading,
+    isPaused,
+    uploadProgress,
+    chunkProgress,
+    uploadError,
+    uploadErrorCode,
+    pendingUpload,
+    duplicate,
+    isResolving,
+    resolveDuplicate,
+    isSameFile: (file) => isSameFile(pendingUpload, file),
+  };
+};
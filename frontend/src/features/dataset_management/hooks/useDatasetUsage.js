@@ -0,0 +1,43 @@
+// frontend/src/features/dataset_management/hooks/useDatasetUsage.js
+// ** NEW FILE **
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../../../shared/services/apiClient';
+
+/**
+ * Prompts and reports built from a dataset (GET /datasets/{id}/usage), newest first, with per-version counts.
+ * @param {string|null} datasetId
+ * @param {{ page: number, pageSize?: number }} page
+ */
+export const useDatasetUsage = (datasetId, { page, pageSize }) => {
+  const [usage, setUsage] = useState(null); // { reportCount, lastUsedAt, byVersion, prompts, total, page, pageSize, totalPages }
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!datasetId) {
+      setUsage(null);
+      return undefined;
+    }
+    let isCurrent = true; // Ignore answers for pages the user has already moved past
+    setIsLoading(true);
+    setError(null);
+    apiClient.get(`/datasets/${datasetId}/usage`, { params: { page, ...(pageSize ? { pageSize } : {}) } })
+      .then(response => {
+        if (!isCurrent) return;
+        if (response.data.status !== 'success') throw new Error(response.data.message || 'Failed to load dataset usage');
+        setUsage(response.data.data);
+      })
+      .catch(err => {
+        if (!isCurrent) return;
+        console.error("Failed to fetch dataset usage:", err);
+        setError(err.response?.data?.message || err.message || 'Could not load the reports using this dataset.');
+      })
+      .finally(() => { if (isCurrent) setIsLoading(false); });
+    return () => { isCurrent = false; };
+  }, [datasetId, page, pageSize, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey(key => key + 1), []);
+
+  return { usage, isLoading, error, refetch };
+};
@@ -4,8 +4,22 @@ import { useState, useEffect, useCallback } from 'react';
 import apiClient from '../../../shared/services/apiClient';
 import { useAuth } from '../../../shared/hooks/useAuth'; // Needed to re-fetch on auth change maybe
 
-export const useDatasets = () => {
+const DEFAULT_QUERY = { page: 1, pageSize: 25, sort: 'newest' };
+const EMPTY_PAGINATION = { total: 0, page: 1, pageSize: DEFAULT_QUERY.pageSize, totalPages: 1 };
+
+// Query state -> GET /datasets params: empty filters are left out, lists are sent comma-separated
+const toParams = (query) => Object.fromEntries(Object.entries(query)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+  .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value]));
+
+/**
+ * One page of the user's dataset library. Search, filters, sort and paging run on the server.
+ * @param {object} [initialQuery] - e.g. { hideIgnored: true, pageSize: 20 }; see GET /datasets for the params.
+ */
+export const useDatasets = (initialQuery = {}) => {
   const [datasets, setDatasets] = useState([]);
+  const [query, setQueryState] = useState(() => ({ ...DEFAULT_QUERY, ...initialQuery }));
+  const [pagination, setPagination] = useState(EMPTY_PAGINATION);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const { user } = useAuth(); // Get user to ensure we only fetch when logged in
@@ -19,9 +33,11 @@ export const useDatasets = () => {
     setIsLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get('/datasets');
+      const response = await apiClient.get('/datasets', { params: toParams(query) });
       if (response.data.status === 'success') {
-        setDatasets(response.data.data || []);
+        const { datasets: page = [], ...pageInfo } = response.data.data || {};
+        setDatasets(page);
+        setPagination({ ...EMPTY_PAGINATION, ...pageInfo });
       } else {
         throw new Error(response.data.message || 'Failed to fetch datasets');
       }
@@ -29,10 +45,11 @@ export const useDatasets = () => {
       console.error("Failed to fetch datasets:", err);
       setError(err.response?.data?.message || err.message || 'Could not load datasets.');
       setDatasets([]); // Clear datasets on error
+      setPagination(EMPTY_PAGINATION);
     } finally {
       setIsLoading(false);
     }
-  }, [user]); // Re-fetch if user changes
+  }, [user, query]); // Re-fetch if user or query changes
 
   // Initial fetch on mount and when user changes
   useEffect(() => {
@@ -44,7 +61,34 @@ export const useDatasets = () => {
     fetchDatasets();
   };
 
-  // Add delete/update functions here later if needed
+  // Changing a filter goes back to the first page; pass { page } alone to move between pages
+  const setQuery = useCallback((changes) => {
+    setQueryState(prev => ({ ...prev, page: 1, ...changes }));
+  }, []);
+
+  const setPage = useCallback((page) => setQuery({ page }), [setQuery]);
+
+  // PATCH /datasets/:id - updates { name, description, columnDescriptions, isIgnored, sheets, tags, folder }
+  const updateDataset = async (datasetId, updates) => {
+    const response = await apiClient.patch(`/datasets/${datasetId}`, updates);
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Failed to update dataset');
+    }
+    const updated = response.data.data;
+    setDatasets(prev => prev.map(ds => (ds._id === datasetId ? { ...ds, ...updated } : ds)));
+    return updated;
+  };
+
+  // DELETE /datasets/:id - removes the stored file and the metadata record. Refused with 409 DATASET_IN_USE when
+  // reports were built from the dataset, unless `force` is set.
+  const deleteDataset = async (datasetId, { force = false } = {}) => {
+    const response = await apiClient.delete(`/datasets/${datasetId}`, force ? { params: { force: true } } : undefined);
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Failed to delete dataset');
+    }
+    setDatasets(prev => prev.filter(ds => ds._id !== datasetId));
+    setPagination(prev => ({ ...prev, total: Math.max(0, prev.total - 1) }));
+  };
 
-  return { datasets, isLoading, error, refetch };
+  return { datasets, isLoading, error, refetch, updateDataset, deleteDataset, query, setQuery, pagination, setPage };
 };
\ No newline at end of file
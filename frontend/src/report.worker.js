@@ -8,6 +8,9 @@ import * as Recharts from 'recharts';
 import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
 import _ from 'lodash';
+import { expandDatasetTables } from './shared/utils/datasetContent';
+import { joinRows } from './shared/utils/datasetJoin';
+import { createFiscalCalendar } from './shared/utils/fiscalCalendar';
 
 console.log("Report Worker Script Initializing (Claude Code Execution)...");
 
@@ -58,7 +61,7 @@ self.onmessage = async (event) => {
     console.log("[Worker] Received message from main thread");
 
     // Destructure message data with defaults
-    const { code: codeString = '', datasets = [] } = event.data || {};
+    const { code: codeString = '', datasets: fetchedDatasets = [], fiscalCalendar = null } = event.data || {};
 
     // --- Input Validation ---
     if (!codeString || typeof codeString !== 'string' || codeString.trim() === '') {
@@ -71,7 +74,7 @@ self.onmessage = async (event) => {
         return;
     }
 
-    if (!Array.isArray(datasets) || datasets.length === 0) {
+    if (!Array.isArray(fetchedDatasets) || fetchedDatasets.length === 0) {
         trackProgress(PROGRESS_STAGES.ERROR, 'No valid datasets array provided');
         self.postMessage({
             status: 'error',
@@ -81,6 +84,11 @@ self.onmessage = async (event) => {
         return;
     }
 
+    // Excel workbooks arrive as binary and become one CSV table per worksheet; CSV/TSV files are decoded
+    // and normalized with their parse options (delimiter, encoding, decimal comma, ...)
+    const datasets = expandDatasetTables(fetchedDatasets);
+    console.log(`[Worker] Prepared ${datasets.length} table(s) from ${fetchedDatasets.length} dataset(s)`);
+
     // Check if at least one dataset has content
     const hasValidDataset = datasets.some(ds => ds && ds.content && typeof ds.content === 'string' && ds.content.trim() !== '');
     if (!hasValidDataset) {
@@ -135,6 +143,8 @@ self.onmessage = async (event) => {
             Papa,
             _,
             XLSX,
+            joinRows, // Joins two tables on a declared relationship (see shared/utils/datasetJoin.js)
+            fiscal: createFiscalCalendar(fiscalCalendar), // The owner's fiscal periods (see shared/utils/fiscalCalendar.js)
 
             // Console with progress tracking
             console: {
@@ -20,6 +20,7 @@ const DashboardPage = lazy(() => import('./features/dashboard/pages/DashboardPag
 // Lazy load Account pages
 const AccountProfilePage = lazy(() => import('./features/account_management/pages/AccountProfilePage'));
 const AccountDatasetsPage = lazy(() => import('./features/account_management/pages/AccountDatasetsPage'));
+const DatasetDetailPage = lazy(() => import('./features/account_management/pages/DatasetDetailPage'));
 const AccountTeamsPage = lazy(() => import('./features/account_management/pages/AccountTeamsPage'));
 const AccountSettingsPage = lazy(() => import('./features/account_management/pages/AccountSettingsPage'));
 
@@ -90,6 +91,7 @@ const router = createBrowserRouter([
                  { index: true, element: <Navigate to="/account/profile" replace /> },
                  { path: 'profile', element: <AccountProfilePage /> },
                  { path: 'datasets', element: <AccountDatasetsPage /> },
+                 { path: 'datasets/:datasetId', element: <DatasetDetailPage /> },
                  { path: 'teams', element: <AccountTeamsPage /> },
                  { path: 'settings', element: <AccountSettingsPage /> },
              ]
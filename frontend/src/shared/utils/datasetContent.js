@@ -0,0 +1,91 @@
+// frontend/src/shared/utils/datasetContent.js
+// ** NEW FILE **
+import * as XLSX from 'xlsx';
+import Papa from 'papaparse';
+
+const WORKBOOK_FILE_TYPES = ['xlsx', 'xls'];
+const NUMBER_AFFIX_REGEX = /^[\s()+\-$€£¥₹%]*(?:[A-Z]{3})?[\s()+\-$€£¥₹%]*$/;
+
+export const isWorkbookFileType = (fileType) => WORKBOOK_FILE_TYPES.includes(fileType);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Same rules as the backend's dataset.parseOptions.js: "1.234,56 €" -> "1234.56 €", dates/text untouched
+const normalizeNumberText = (value, { decimalSeparator, thousandsSeparator }) => {
+  const match = value.match(/\d[\d.,\s']*/);
+  if (!match) return value;
+  const core = match[0].trim();
+  const prefix = value.slice(0, match.index);
+  const suffix = value.slice(match.index + core.length);
+  if (!NUMBER_AFFIX_REGEX.test(prefix + suffix)) return value;
+  const groupSeparators = thousandsSeparator === ' ' ? '\\s' : escapeRegex(thousandsSeparator);
+  const number = core.match(new RegExp(`^(\\d{1,3}(?:${groupSeparators}\\d{3})+|\\d+)(?:${escapeRegex(decimalSeparator)}(\\d+))?$`));
+  if (!number) return value;
+  const integerPart = number[1].replace(new RegExp(groupSeparators, 'g'), '');
+  return `${prefix}${integerPart}${number[2] !== undefined ? `.${number[2]}` : ''}${suffix}`;
+};
+
+/**
+ * Turns a fetched CSV/TSV file into the canonical text generated code expects: UTF-8, comma-delimited,
+ * double-quoted, numbers with a "." decimal point and no thousands separators.
+ * @param {string|ArrayBuffer} content - Raw file (binary whenever the dataset has parse options).
+ * @param {{ encoding?: string, delimiter?: string, quoteChar?: string, decimalSeparator?: string, thousandsSeparator?: string }|null} parseOptions - As detected at ingestion.
+ * @returns {string}
+ */
+export const normalizeDelimitedContent = (content, parseOptions) => {
+  const text = typeof content === 'string' ? content : new TextDecoder(parseOptions?.encoding || 'utf-8').decode(content);
+  if (!parseOptions) return text;
+  const { delimiter = ',', quoteChar = '"', decimalSeparator = '.', thousandsSeparator = ',' } = parseOptions;
+  const needsNumberNormalization = decimalSeparator !== '.' || thousandsSeparator !== ',';
+  if (delimiter === ',' && quoteChar === '"' && !needsNumberNormalization) return text;
+
+  const { data } = Papa.parse(text, { delimiter, quoteChar, skipEmptyLines: true });
+  const rows = needsNumberNormalization
+    ? data.map((cells, rowIndex) => (rowIndex === 0 ? cells : cells.map(cell => normalizeNumberText(cell, { decimalSeparator, thousandsSeparator }))))
+    : data;
+  return Papa.unparse(rows);
+};
+
+/**
+ * Turns fetched dataset payloads into the flat table list ReportComponent receives.
+ * CSV/TSV datasets are normalized with their parse options (see normalizeDelimitedContent); a workbook (content is an ArrayBuffer) becomes one
+ * entry per included worksheet, named "<dataset> / <sheet>" to match the prompt context,
+ * with the sheet converted to CSV text so generated code can parse every table the same way.
+ * @param {Array<{ name: string, gcsPath: string, fileType?: string, sheets?: string[], parseOptions?: object|null, content: string|ArrayBuffer|null, error?: string|null }>} datasets
+ * @returns {Array<{ name: string, datasetName: string, sheetName?: string, gcsPath: string, content: string|null, error: string|null }>}
+ */
+export const expandDatasetTables = (datasets) => datasets.flatMap(ds => {
+  if (!ds || !isWorkbookFileType(ds.fileType)) {
+    let content = ds?.content ?? null;
+    let error = ds?.error ?? null;
+    if (content && !error) {
+      try {
+        content = normalizeDelimitedContent(content, ds.parseOptions);
+      } catch (err) {
+        content = null;
+        error = `Could not read file: ${err.message}`;
+      }
+    }
+    return [{ name: ds?.name, datasetName: ds?.name, gcsPath: ds?.gcsPath, content, error }];
+  }
+  if (ds.error || !ds.content) {
+    return [{ name: ds.name, datasetName: ds.name, gcsPath: ds.gcsPath, content: null, error: ds.error || 'Workbook content is empty' }];
+  }
+
+  let workbook;
+  try {
+    workbook = XLSX.read(ds.content, { type: 'array', cellFormula: false, cellHTML: false });
+  } catch (err) {
+    return [{ name: ds.name, datasetName: ds.name, gcsPath: ds.gcsPath, content: null, error: `Could not read workbook: ${err.message}` }];
+  }
+
+  // An empty list means the backend has no sheet metadata (e.g. older records) - expose every sheet
+  const sheetNames = ds.sheets?.length ? ds.sheets : workbook.SheetNames;
+  return sheetNames.map(sheetName => {
+    const worksheet = workbook.Sheets[sheetName];
+    const table = { name: `${ds.name} / ${sheetName}`, datasetName: ds.name, sheetName, gcsPath: ds.gcsPath };
+    if (!worksheet) return { ...table, content: null, error: `Worksheet "${sheetName}" not found in workbook` };
+    // rawNumbers: false keeps the displayed text (e.g. "$1,234.50"), matching the formats detected at ingestion
+    return { ...table, content: XLSX.utils.sheet_to_csv(worksheet, { blankrows: false, rawNumbers: false }), error: null };
+  });
+});
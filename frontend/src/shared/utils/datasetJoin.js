@@ -0,0 +1,41 @@
+// frontend/src/shared/utils/datasetJoin.js
+// ** NEW FILE **
+
+// Same rule as the backend's relationship validation (dataset.relationships.js): 42, "42" and " 42 " join
+const keyOf = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Joins two arrays of row objects on a key column, as offered to generated code via executionScope.joinRows.
+ * A left row matching several right rows yields one merged row per match.
+ * @param {object[]} leftRows
+ * @param {object[]} rightRows
+ * @param {string} leftKey - Key column in the left rows (e.g. invoices.customer_id).
+ * @param {string} rightKey - Key column in the right rows (e.g. customers.id).
+ * @param {{ type?: 'left'|'inner', prefix?: string }} [options] - 'left' keeps unmatched left rows; right-hand
+ *   columns whose name already exists on the left row are renamed with `prefix`.
+ * @returns {object[]}
+ */
+export const joinRows = (leftRows, rightRows, leftKey, rightKey, { type = 'left', prefix = 'right_' } = {}) => {
+  const rightByKey = new Map();
+  (rightRows || []).forEach(row => {
+    const key = keyOf(row?.[rightKey]);
+    if (key === '') return;
+    if (!rightByKey.has(key)) rightByKey.set(key, []);
+    rightByKey.get(key).push(row);
+  });
+
+  const merge = (left, right) => {
+    const merged = { ...left };
+    Object.entries(right).forEach(([column, value]) => {
+      if (column === rightKey && keyOf(value) === keyOf(left[leftKey])) return; // Same key value, keep it once
+      merged[column in left ? `${prefix}${column}` : column] = value;
+    });
+    return merged;
+  };
+
+  return (leftRows || []).flatMap(left => {
+    const matches = rightByKey.get(keyOf(left?.[leftKey])) || [];
+    if (matches.length === 0) return type === 'inner' ? [] : [{ ...left }];
+    return matches.map(right => merge(left, right));
+  });
+};
@@ -0,0 +1,138 @@
+// frontend/src/shared/utils/fiscalCalendar.js
+// ** NEW FILE **
+// Fiscal periods for generated report code (executionScope.fiscal). Same rules as the backend's
+// users/user.fiscalCalendar.js, which describes the calendar in the prompt context; keep both in step.
+
+const DEFAULT_FISCAL_CALENDAR = { startMonth: 1, pattern: 'calendar', weekEndsOn: 6, yearEndRule: 'last', yearLabel: 'end' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Period arithmetic on UTC day numbers ---
+
+const dayOf = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS; // month 1-12; overflow rolls over
+const isoOf = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const endMonthOf = (calendar) => (calendar.startMonth === 1 ? 12 : calendar.startMonth - 1);
+
+// Day number of a Date (its local calendar day, as parsed data shows it) or a 'YYYY-MM-DD...' string; null if invalid
+const toDay = (date) => {
+  if (date instanceof Date) return Number.isNaN(date.getTime()) ? null : dayOf(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date ?? '').trim());
+  return match ? dayOf(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+};
+
+// Last day of the fiscal year whose last month falls in `endYear`
+const yearEndDay = (calendar, endYear) => {
+  const monthEnd = dayOf(endYear, endMonthOf(calendar) + 1, 0);
+  if (calendar.pattern === 'calendar') return monthEnd;
+  const daysBack = (new Date(monthEnd * DAY_MS).getUTCDay() - calendar.weekEndsOn + 7) % 7;
+  return calendar.yearEndRule === 'nearest' && daysBack > 3 ? monthEnd - daysBack + 7 : monthEnd - daysBack;
+};
+
+// First and last day of each of the 12 periods of a fiscal year; a 53rd week goes to period 12
+const periodBounds = (calendar, endYear) => {
+  const yearStart = yearEndDay(calendar, endYear - 1) + 1;
+  if (calendar.pattern === 'calendar') {
+    const startYear = calendar.startMonth === 1 ? endYear : endYear - 1;
+    return Array.from({ length: 12 }, (_, index) => ({
+      start: dayOf(startYear, calendar.startMonth + index, 1),
+      end: dayOf(startYear, calendar.startMonth + index + 1, 0),
+    }));
+  }
+  const weeks = calendar.pattern.split('-').map(Number);
+  const periodWeeks = [...weeks, ...weeks, ...weeks, ...weeks];
+  if ((yearEndDay(calendar, endYear) - yearStart + 1) / 7 === 53) periodWeeks[11] += 1;
+  let start = yearStart;
+  return periodWeeks.map(count => {
+    const bounds = { start, end: start + count * 7 - 1 };
+    start = bounds.end + 1;
+    return bounds;
+  });
+};
+
+// The calendar year the fiscal year is named by, and back
+const labelOf = (calendar, endYear) => (calendar.yearLabel === 'start' && calendar.startMonth !== 1 ? endYear - 1 : endYear);
+const endYearOfLabel = (calendar, fiscalYear) => (calendar.yearLabel === 'start' && calendar.startMonth !== 1 ? fiscalYear + 1 : fiscalYear);
+
+// Fiscal year (by the year its last month falls in) containing a day number
+const endYearOf = (calendar, day) => {
+  let endYear = new Date(day * DAY_MS).getUTCFullYear() - 1;
+  while (yearEndDay(calendar, endYear) < day) endYear += 1;
+  return endYear;
+};
+
+const rangeOf = (startDay, endDay) => ({ start: isoOf(startDay), end: isoOf(endDay) });
+
+/**
+ * Fiscal calendar helpers for one calendar definition (the user's settings.fiscalCalendar).
+ * Dates are Date objects (their local calendar day) or 'YYYY-MM-DD' strings; ranges are inclusive
+ * `{ start, end }` pairs of 'YYYY-MM-DD' strings, so they compare as text.
+ * @param {{ startMonth?, pattern?, weekEndsOn?, yearEndRule?, yearLabel? }} [definition] - Missing fields take the
+ *   defaults (calendar year, monthly periods).
+ */
+export const createFiscalCalendar = (definition) => {
+  const calendar = { ...DEFAULT_FISCAL_CALENDAR, ...definition };
+
+  /**
+   * @returns {{ fiscalYear, quarter, period, week, label, quarterLabel, yearStart, yearEnd, quarterStart, quarterEnd,
+   *   periodStart, periodEnd }|null} e.g. label 'FY2027 P04', quarterLabel 'FY2027 Q2'; null for an invalid date.
+   */
+  const periodOf = (date) => {
+    const day = toDay(date);
+    if (day === null) return null;
+    const endYear = endYearOf(calendar, day);
+    const periods = periodBounds(calendar, endYear);
+    const index = periods.findIndex(bounds => day <= bounds.end);
+    const quarter = Math.floor(index / 3) + 1;
+    const fiscalYear = labelOf(calendar, endYear);
+    return {
+      fiscalYear,
+      quarter,
+      period: index + 1,
+      week: Math.floor((day - periods[0].start) / 7) + 1,
+      label: `FY${fiscalYear} P${String(index + 1).padStart(2, '0')}`,
+      quarterLabel: `FY${fiscalYear} Q${quarter}`,
+      yearStart: isoOf(periods[0].start),
+      yearEnd: isoOf(periods[11].end),
+      quarterStart: isoOf(periods[(quarter - 1) * 3].start),
+      quarterEnd: isoOf(periods[quarter * 3 - 1].end),
+      periodStart: isoOf(periods[index].start),
+      periodEnd: isoOf(periods[index].end),
+    };
+  };
+
+  const boundsOf = (fiscalYear) => periodBounds(calendar, endYearOfLabel(calendar, Number(fiscalYear)));
+  const asOfDay = (asOf) => toDay(asOf ?? new Date());
+
+  return {
+    calendar,
+    periodOf,
+    fiscalYear: (date) => periodOf(date)?.fiscalYear ?? null,
+    quarter: (date) => periodOf(date)?.quarter ?? null,
+    period: (date) => periodOf(date)?.period ?? null,
+    current: () => periodOf(new Date()),
+    yearRange: (fiscalYear) => {
+      const periods = boundsOf(fiscalYear);
+      return rangeOf(periods[0].start, periods[11].end);
+    },
+    quarterRange: (fiscalYear, quarter) => {
+      const periods = boundsOf(fiscalYear);
+      return rangeOf(periods[(quarter - 1) * 3].start, periods[quarter * 3 - 1].end);
+    },
+    periodRange: (fiscalYear, period) => {
+      const periods = boundsOf(fiscalYear);
+      return rangeOf(periods[period - 1].start, periods[period - 1].end);
+    },
+    // Fiscal year-to-date and quarter-to-date up to asOf (default today), both ends included
+    ytd: (asOf) => {
+      const current = periodOf(asOf ?? new Date());
+      return current && rangeOf(toDay(current.yearStart), asOfDay(asOf));
+    },
+    qtd: (asOf) => {
+      const current = periodOf(asOf ?? new Date());
+      return current && rangeOf(toDay(current.quarterStart), asOfDay(asOf));
+    },
+    isInRange: (date, range) => {
+      const day = toDay(date);
+      return day !== null && Boolean(range) && day >= toDay(range.start) && day <= toDay(range.end);
+    },
+  };
+};
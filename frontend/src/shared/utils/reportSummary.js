@@ -0,0 +1,27 @@
+// frontend/src/shared/utils/reportSummary.js
+// ** NEW FILE **
+
+const MAX_HEADINGS = 30;
+const MAX_TABLES = 10;
+const MAX_TEXT_CHARS = 3000; // The backend caps the same fields (prompt.threads.js normalizeResultSummary)
+
+const textOf = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Summary of a rendered report for follow-up prompts (PUT /prompts/{id}/result): section headings, the column headers
+ * of each table, the number of charts and the report's text. Uses DOMParser, so it runs on the main thread only.
+ * @param {string} html - The worker's renderToString output.
+ * @returns {{ headings: string[], tables: string[][], chartCount: number, text: string }}
+ */
+export const summarizeReportHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const headings = [...doc.querySelectorAll('h1, h2, h3, h4')].map(textOf).filter(Boolean).slice(0, MAX_HEADINGS);
+  const tables = [...doc.querySelectorAll('table')].slice(0, MAX_TABLES).map(table => {
+    const headerRow = table.querySelector('thead tr') || table.querySelector('tr');
+    return headerRow ? [...headerRow.querySelectorAll('th, td')].map(textOf) : [];
+  });
+  // One per chart: a ResponsiveContainer (possibly empty in server rendering) or a bare chart wrapper
+  const chartCount = [...doc.querySelectorAll('.recharts-responsive-container, .recharts-wrapper')]
+    .filter(node => !node.parentElement?.closest('.recharts-responsive-container')).length;
+  return { headings, tables, chartCount, text: textOf(doc.body).slice(0, MAX_TEXT_CHARS) };
+};